@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Customer = require('../models/Customer');
+const { PORTAL_TOKEN_TYPE } = require('../utils/portal');
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -122,9 +124,64 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Verify a customer portal token (magic link), from the Authorization header or ?token=
+// so that links such as PDF downloads work straight from the browser
+const authenticatePortalToken = async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = (authHeader && authHeader.split(' ')[1]) || req.query.token;
+
+    if (!token) {
+      return res.status(401).json({ 
+        message: 'Portal link required' 
+      });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== PORTAL_TOKEN_TYPE) {
+      return res.status(401).json({ 
+        message: 'Invalid portal link' 
+      });
+    }
+
+    const customer = await Customer.findOne({
+      _id: decoded.customerId,
+      company: decoded.companyId
+    }).populate('company');
+
+    if (!customer || !customer.isActive || !customer.company || !customer.company.isActive ||
+        customer.company.settings?.portalEnabled === false ||
+        (customer.portalTokenVersion || 0) !== (decoded.version || 0)) {
+      return res.status(401).json({ 
+        message: 'This portal link is no longer valid' 
+      });
+    }
+
+    req.portal = { customer, company: customer.company };
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ 
+        message: 'Invalid portal link' 
+      });
+    }
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ 
+        message: 'This portal link has expired' 
+      });
+    }
+
+    console.error('Portal auth middleware error:', error);
+    res.status(500).json({ 
+      message: 'Authentication error' 
+    });
+  }
+};
+
 module.exports = {
   authenticateToken,
   requireRole,
   requireSameCompany,
-  optionalAuth
+  optionalAuth,
+  authenticatePortalToken
 };
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+// Default chart of accounts seeded for every company.
+// systemKey identifies the accounts that automatic postings rely on.
+const DEFAULT_ACCOUNTS = [
+  { code: '1000', name: 'Cash on Hand', type: 'asset', systemKey: 'cash' },
+  { code: '1010', name: 'Bank', type: 'asset', systemKey: 'bank' },
+  { code: '1100', name: 'Accounts Receivable', type: 'asset', systemKey: 'accounts_receivable' },
+  { code: '1200', name: 'Inventory', type: 'asset', systemKey: 'inventory' },
+  { code: '1300', name: 'VAT Receivable (Input Tax)', type: 'asset', systemKey: 'vat_input' },
+  { code: '2000', name: 'Accounts Payable', type: 'liability', systemKey: 'accounts_payable' },
+  { code: '2100', name: 'VAT Payable (Output Tax)', type: 'liability', systemKey: 'vat_output' },
+  { code: '2200', name: 'Customer Credit Notes', type: 'liability', systemKey: 'customer_credit' },
+  { code: '2300', name: 'Customer Advances', type: 'liability', systemKey: 'customer_advances' },
+  { code: '3000', name: "Owner's Equity", type: 'equity', systemKey: 'owners_equity' },
+  { code: '3100', name: 'Retained Earnings', type: 'equity', systemKey: 'retained_earnings' },
+  { code: '4000', name: 'Sales Revenue', type: 'revenue', systemKey: 'sales_revenue' },
+  { code: '4100', name: 'Sales Returns & Allowances', type: 'revenue', systemKey: 'sales_returns', isContra: true },
+  { code: '4200', name: 'Foreign Exchange Gain/Loss', type: 'revenue', systemKey: 'fx_gain_loss' },
+  { code: '5000', name: 'Cost of Goods Sold', type: 'expense', systemKey: 'cogs' },
+  { code: '5100', name: 'Inventory Adjustments', type: 'expense', systemKey: 'inventory_adjustments' },
+  { code: '6010', name: 'Office Supplies', type: 'expense', systemKey: 'expense_office_supplies' },
+  { code: '6020', name: 'Utilities', type: 'expense', systemKey: 'expense_utilities' },
+  { code: '6030', name: 'Rent', type: 'expense', systemKey: 'expense_rent' },
+  { code: '6040', name: 'Marketing', type: 'expense', systemKey: 'expense_marketing' },
+  { code: '6050', name: 'Travel', type: 'expense', systemKey: 'expense_travel' },
+  { code: '6060', name: 'Equipment', type: 'expense', systemKey: 'expense_equipment' },
+  { code: '6070', name: 'Maintenance', type: 'expense', systemKey: 'expense_maintenance' },
+  { code: '6080', name: 'Professional Services', type: 'expense', systemKey: 'expense_professional_services' },
+  { code: '6090', name: 'Insurance', type: 'expense', systemKey: 'expense_insurance' },
+  { code: '6990', name: 'Other Expenses', type: 'expense', systemKey: 'expense_other' }
+];
+
+const accountSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Account code is required'],
+    trim: true,
+    maxlength: [20, 'Account code cannot exceed 20 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [100, 'Account name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: ['asset', 'liability', 'equity', 'revenue', 'expense'],
+    required: [true, 'Account type is required']
+  },
+  // Contra accounts carry the opposite normal balance of their type (e.g. sales returns)
+  isContra: {
+    type: Boolean,
+    default: false
+  },
+  systemKey: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+accountSchema.index({ company: 1, code: 1 }, { unique: true });
+accountSchema.index({ company: 1, systemKey: 1 });
+accountSchema.index({ company: 1, type: 1 });
+
+// Virtual for normal balance side
+accountSchema.virtual('normalBalance').get(function() {
+  const debitNormal = ['asset', 'expense'].includes(this.type);
+  return debitNormal !== this.isContra ? 'debit' : 'credit';
+});
+
+// Virtual for system account flag
+accountSchema.virtual('isSystem').get(function() {
+  return !!this.systemKey;
+});
+
+// Static method to seed the default chart of accounts (idempotent)
+accountSchema.statics.ensureDefaultAccounts = async function(companyId) {
+  const existing = await this.find({ company: companyId, systemKey: { $ne: null } }).select('systemKey').lean();
+  const existingKeys = new Set(existing.map(account => account.systemKey));
+
+  const missing = DEFAULT_ACCOUNTS.filter(account => !existingKeys.has(account.systemKey));
+  if (missing.length > 0) {
+    await this.insertMany(
+      missing.map(account => ({ ...account, company: companyId })),
+      { ordered: false }
+    ).catch(error => {
+      // Ignore duplicate code errors from concurrent seeding
+      if (error.code !== 11000) {
+        throw error;
+      }
+    });
+  }
+};
+
+// Static method to get system accounts keyed by systemKey
+accountSchema.statics.getSystemAccounts = async function(companyId) {
+  await this.ensureDefaultAccounts(companyId);
+
+  const accounts = await this.find({ company: companyId, systemKey: { $ne: null } });
+  return accounts.reduce((map, account) => {
+    map[account.systemKey] = account;
+    return map;
+  }, {});
+};
+
+const Account = mongoose.model('Account', accountSchema);
+Account.DEFAULT_ACCOUNTS = DEFAULT_ACCOUNTS;
+
+module.exports = Account;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { normalizeTaxNumber, isValidTaxNumber } = require('../utils/taxes');
+const { CURRENCIES } = require('../utils/currency');
 
 const companySchema = new mongoose.Schema({
   name: {
@@ -42,6 +44,16 @@ const companySchema = new mongoose.Schema({
     trim: true,
     maxlength: [20, 'Phone number cannot exceed 20 characters']
   },
+  // Tax Registration Number (VAT)
+  trn: {
+    type: String,
+    trim: true,
+    set: normalizeTaxNumber,
+    validate: {
+      validator: isValidTaxNumber,
+      message: 'TRN must be 15 digits (or a VAT number with its country prefix)'
+    }
+  },
   address: {
     street: {
       type: String,
@@ -74,10 +86,11 @@ const companySchema = new mongoose.Schema({
     default: null
   },
   settings: {
+    // Base currency: the ledger, reports and statements are kept in it
     currency: {
       type: String,
       default: 'INR',
-      enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'AED', 'INR']
+      enum: CURRENCIES
     },
     timezone: {
       type: String,
@@ -124,6 +137,17 @@ const companySchema = new mongoose.Schema({
       min: [0, 'Tax rate cannot be negative'],
       max: [100, 'Tax rate cannot exceed 100%']
     },
+    // Whether unit prices on new documents are entered including tax
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false
+    },
+    // AED per unit of the company currency, to state VAT in AED on documents in another currency
+    aedExchangeRate: {
+      type: Number,
+      default: null,
+      min: [0, 'Exchange rate cannot be negative']
+    },
     terms: {
       type: String,
       default: 'Payment due within 30 days of invoice date.'
@@ -154,6 +178,62 @@ const companySchema = new mongoose.Schema({
       min: [1, 'Expiry must be at least 1 day'],
       max: [3650, 'Expiry cannot exceed 10 years']
     },
+    // General ledger settings
+    journalEntryPrefix: {
+      type: String,
+      default: 'JE',
+      maxlength: [10, 'Journal entry prefix cannot exceed 10 characters']
+    },
+    nextJournalEntryNumber: {
+      type: Number,
+      default: 1
+    },
+    // Payment receipt settings
+    receiptPrefix: {
+      type: String,
+      default: 'RCT',
+      maxlength: [10, 'Receipt prefix cannot exceed 10 characters']
+    },
+    nextReceiptNumber: {
+      type: Number,
+      default: 1
+    },
+    // Vendor bill settings
+    billPrefix: {
+      type: String,
+      default: 'BILL',
+      maxlength: [10, 'Bill prefix cannot exceed 10 characters']
+    },
+    nextBillNumber: {
+      type: Number,
+      default: 1
+    },
+    // Stock transfer settings
+    transferPrefix: {
+      type: String,
+      default: 'TRF',
+      maxlength: [10, 'Transfer prefix cannot exceed 10 characters']
+    },
+    nextTransferNumber: {
+      type: Number,
+      default: 1
+    },
+    // Stock count settings
+    countPrefix: {
+      type: String,
+      default: 'CNT',
+      maxlength: [10, 'Stock count prefix cannot exceed 10 characters']
+    },
+    nextCountNumber: {
+      type: Number,
+      default: 1
+    },
+    // How stock is costed when it leaves inventory
+    inventoryCostingMethod: {
+      type: String,
+      enum: ['fifo', 'weighted_average'],
+      default: 'weighted_average'
+    },
     quoteEmailSubject: {
       type: String,
       default: 'Quote {{quoteNumber}} from {{companyName}}'
@@ -170,6 +250,44 @@ const companySchema = new mongoose.Schema({
       type: String,
       default: 'Dear {{customerName}},\n\nPlease find attached the invoice {{invoiceNumber}} for your review.\n\nTotal: {{totalAmount}}\nAmount Paid: {{paidAmount}}\nBalance Due: {{balanceDue}}\n\nThank you for your business!'
     },
+    // Payment reminder settings
+    paymentRemindersEnabled: {
+      type: Boolean,
+      default: true
+    },
+    // Days relative to the due date when reminders go out (negative = before due)
+    paymentReminderSchedule: {
+      type: [Number],
+      default: [-3, 0, 7, 30]
+    },
+    paymentReminderSubject: {
+      type: String,
+      default: 'Payment reminder: Invoice {{invoiceNumber}} is due {{dueDate}}'
+    },
+    paymentReminderBody: {
+      type: String,
+      default: 'Dear {{customerName}},\n\nThis is a friendly reminder that invoice {{invoiceNumber}} for {{balanceDue}} is due on {{dueDate}}.\n\nIf you have already arranged payment, please disregard this message.\n\nThank you for your business!'
+    },
+    overdueReminderSubject: {
+      type: String,
+      default: 'Overdue: Invoice {{invoiceNumber}} is {{daysOverdue}} days past due'
+    },
+    overdueReminderBody: {
+      type: String,
+      default: 'Dear {{customerName}},\n\nOur records show that invoice {{invoiceNumber}} was due on {{dueDate}} and {{balanceDue}} is still outstanding ({{daysOverdue}} days overdue).\n\nPlease arrange payment at your earliest convenience, or let us know if you have already paid.\n\nThank you,\n{{companyName}}'
+    },
+    // Customer portal settings
+    portalEnabled: {
+      type: Boolean,
+      default: true
+    },
+    // Days a portal link in quote and invoice emails stays valid
+    portalLinkExpiryDays: {
+      type: Number,
+      default: 30,
+      min: [1, 'Portal links must be valid for at least 1 day'],
+      max: [365, 'Portal links cannot be valid for more than 365 days']
+    },
     emailServiceType: {
       type: String,
       default: 'smtp',
@@ -224,6 +342,23 @@ companySchema.methods.generateQuoteNumber = function() {
   return `${this.settings.quotePrefix}-${String(this.settings.quoteNumber).padStart(4, '0')}`;
 };
 
+// Atomically reserve the next number from a settings counter (e.g. 'nextJournalEntryNumber').
+// Works for companies created before the counter existed.
+companySchema.statics.nextSequence = async function(companyId, counterField) {
+  const path = `settings.${counterField}`;
+  const company = await this.findByIdAndUpdate(
+    companyId,
+    [{ $set: { [path]: { $add: [{ $ifNull: [`$${path}`, 1] }, 1] } } }],
+    { new: true }
+  );
+
+  if (!company) {
+    return { company: null, sequence: null };
+  }
+
+  return { company, sequence: company.settings[counterField] - 1 };
+};
+
 // Generate next PO number
 companySchema.methods.generatePONumber = function() {
   this.settings.nextPONumber += 1;
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+// A batch of stock received at one unit cost. Sales and other stock-outs consume
+// layers according to the company's costing method (FIFO or weighted average).
+const costLayerSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Movement type that brought the stock in
+  type: {
+    type: String,
+    enum: ['opening', 'sale_return', 'credit_note', 'purchase_receipt', 'adjustment', 'stock_count'],
+    default: 'adjustment'
+  },
+  sourceType: {
+    type: String,
+    enum: ['manual', 'product', 'sale', 'credit_note', 'purchase_order', 'stock_count'],
+    default: 'manual'
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sourceNumber: {
+    type: String,
+    trim: true
+  },
+  // When the stock entered inventory; FIFO consumes the oldest layers first
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Quantity cannot be negative']
+  },
+  remainingQuantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Remaining quantity cannot be negative']
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: [0, 'Unit cost cannot be negative']
+  },
+  // Each draw on the layer, kept so stock can be valued as of any date
+  consumptions: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true
+    },
+    type: {
+      type: String,
+      trim: true
+    },
+    sourceType: {
+      type: String,
+      trim: true
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    sourceNumber: {
+      type: String,
+      trim: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+costLayerSchema.index({ company: 1, product: 1, date: 1 });
+costLayerSchema.index({ company: 1, product: 1, remainingQuantity: 1 });
+
+// Costing method configured for the company
+costLayerSchema.statics.getMethod = async function(companyId) {
+  const Company = mongoose.model('Company');
+  const company = await Company.findById(companyId).select('settings.inventoryCostingMethod').lean();
+  return company?.settings?.inventoryCostingMethod || 'weighted_average';
+};
+
+// Layers of a product that still hold stock, oldest first
+costLayerSchema.statics.openLayers = function(product) {
+  return this.find({
+    company: product.company,
+    product: product._id,
+    remainingQuantity: { $gt: 0 }
+  }).sort({ date: 1, _id: 1 });
+};
+
+// Average unit cost of a product's remaining layers (null when none hold stock)
+costLayerSchema.statics.averageCost = async function(product) {
+  const layers = await this.openLayers(product);
+  const quantity = layers.reduce((sum, layer) => sum + layer.remainingQuantity, 0);
+  if (quantity <= 0) return null;
+  return round4(layers.reduce((sum, layer) => sum + layer.remainingQuantity * layer.unitCost, 0) / quantity);
+};
+
+// Stock on hand with no layer behind it (counted before costing was tracked)
+// gets an opening layer at the product's cost price
+costLayerSchema.statics.seedOpening = async function(product, quantityOnHand = product.stockQuantity) {
+  const layers = await this.openLayers(product);
+  const layered = layers.reduce((sum, layer) => sum + layer.remainingQuantity, 0);
+  const untracked = round4(quantityOnHand - layered);
+  if (untracked <= 0) return null;
+
+  return this.create({
+    company: product.company,
+    product: product._id,
+    type: 'opening',
+    sourceType: 'product',
+    sourceId: product._id,
+    date: product.createdAt || new Date(),
+    quantity: untracked,
+    remainingQuantity: untracked,
+    unitCost: product.costPrice || 0
+  });
+};
+
+// Seed opening layers for every product of a company whose stock isn't fully layered
+costLayerSchema.statics.seedCompany = async function(companyId) {
+  const Product = mongoose.model('Product');
+  const [products, layered] = await Promise.all([
+    Product.find({ company: companyId, isTrackable: true, stockQuantity: { $gt: 0 } }),
+    this.aggregate([
+      { $match: { company: new mongoose.Types.ObjectId(companyId), remainingQuantity: { $gt: 0 } } },
+      { $group: { _id: '$product', quantity: { $sum: '$remainingQuantity' } } }
+    ])
+  ]);
+
+  const layeredByProduct = {};
+  layered.forEach(row => {
+    layeredByProduct[row._id.toString()] = row.quantity;
+  });
+
+  for (const product of products) {
+    if (round4(product.stockQuantity - (layeredByProduct[product._id.toString()] || 0)) > 0) {
+      await this.seedOpening(product);
+    }
+  }
+};
+
+// Add a layer for stock coming in. `source` is { type, sourceType, sourceId, sourceNumber, date }.
+costLayerSchema.statics.receive = function(product, quantity, unitCost, source = {}) {
+  return this.create({
+    company: product.company,
+    product: product._id,
+    type: source.type || 'adjustment',
+    sourceType: source.sourceType || 'manual',
+    sourceId: source.sourceId,
+    sourceNumber: source.sourceNumber,
+    date: source.date || new Date(),
+    quantity: round4(quantity),
+    remainingQuantity: round4(quantity),
+    unitCost: Math.max(0, unitCost || 0)
+  });
+};
+
+// Draw stock out of the product's layers: oldest first under FIFO, pro rata across
+// every open layer under weighted average. Resolves to { quantity, totalCost, unitCost };
+// any quantity the layers can't cover is costed at the product's cost price.
+costLayerSchema.statics.consume = async function(product, quantity, source = {}) {
+  const method = await this.getMethod(product.company);
+  const layers = await this.openLayers(product);
+  const available = layers.reduce((sum, layer) => sum + layer.remainingQuantity, 0);
+
+  let remaining = round4(Math.min(quantity, available));
+  let totalCost = 0;
+
+  const draw = async (layer, amount) => {
+    amount = round4(Math.min(amount, layer.remainingQuantity));
+    if (amount <= 0) return;
+    layer.remainingQuantity = round4(layer.remainingQuantity - amount);
+    layer.consumptions.push({
+      date: source.date || new Date(),
+      quantity: amount,
+      type: source.type,
+      sourceType: source.sourceType,
+      sourceId: source.sourceId,
+      sourceNumber: source.sourceNumber
+    });
+    totalCost += amount * layer.unitCost;
+    remaining = round4(remaining - amount);
+    await layer.save();
+  };
+
+  if (method === 'fifo') {
+    for (const layer of layers) {
+      if (remaining <= 0) break;
+      await draw(layer, remaining);
+    }
+  } else {
+    const share = remaining / (available || 1);
+    for (const [index, layer] of layers.entries()) {
+      if (remaining <= 0) break;
+      // The last layer takes whatever rounding left over
+      await draw(layer, index === layers.length - 1 ? remaining : layer.remainingQuantity * share);
+    }
+  }
+
+  const uncovered = Math.max(0, round4(quantity - Math.min(quantity, available) + remaining));
+  totalCost += uncovered * (product.costPrice || 0);
+
+  return {
+    quantity,
+    totalCost: round4(totalCost),
+    unitCost: quantity > 0 ? round4(totalCost / quantity) : 0
+  };
+};
+
+// Quantity and value per product held in layers as of a date
+costLayerSchema.statics.valuation = function(companyId, asOf) {
+  return this.aggregate([
+    { $match: { company: new mongoose.Types.ObjectId(companyId), date: { $lte: asOf } } },
+    {
+      $project: {
+        product: 1,
+        unitCost: 1,
+        remaining: {
+          $subtract: ['$quantity', {
+            $sum: {
+              $map: {
+                input: { $filter: { input: '$consumptions', as: 'c', cond: { $lte: ['$$c.date', asOf] } } },
+                as: 'c',
+                in: '$$c.quantity'
+              }
+            }
+          }]
+        }
+      }
+    },
+    { $match: { remaining: { $gt: 0 } } },
+    {
+      $group: {
+        _id: '$product',
+        quantity: { $sum: '$remaining' },
+        value: { $sum: { $multiply: ['$remaining', '$unitCost'] } }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('CostLayer', costLayerSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { lineTaxSchema, taxSummarySchema, documentTaxes, applyLineTaxes, resolveAedExchangeRate } = require('../utils/taxes');
+const { CURRENCIES, resolveExchangeRate } = require('../utils/currency');
 
 const creditNoteItemSchema = new mongoose.Schema({
   product: {
@@ -14,16 +16,41 @@ const creditNoteItemSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Unit of the returned sale line and the base units it holds
+  unit: {
+    type: String,
+    trim: true
+  },
+  unitFactor: {
+    type: Number,
+    default: 1,
+    min: [0.0001, 'Unit factor must be greater than 0']
+  },
   quantity: {
     type: Number,
     required: [true, 'Return quantity is required'],
     min: [0.01, 'Return quantity must be greater than 0']
   },
+  // Serial numbers of the units returned, for lines of a sale that captured serials
+  serialNumbers: [{
+    type: String,
+    trim: true
+  }],
   unitPrice: {
     type: Number,
     required: true,
     min: [0, 'Unit price cannot be negative']
   },
+  // Taxes of the original line; a line without any takes the credit note's tax rate
+  taxes: [lineTaxSchema],
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  // Line amount before tax: the total less the tax it includes when prices include tax
+  netAmount: {
+    type: Number
+  },
   total: {
     type: Number,
     required: true,
@@ -102,6 +129,24 @@ const creditNoteSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Tax amount cannot be negative']
   },
+  // Tax credited per tax across the lines
+  taxSummary: [taxSummarySchema],
+  // Currency and rate to base currency of the credited invoice or sale
+  currency: {
+    type: String,
+    enum: CURRENCIES
+  },
+  exchangeRate: {
+    type: Number,
+    default: null,
+    min: [0.000001, 'Exchange rate must be greater than 0']
+  },
+  // AED per unit of the document currency when it was issued, to state VAT in AED
+  aedExchangeRate: {
+    type: Number,
+    default: null,
+    min: [0, 'Exchange rate cannot be negative']
+  },
   creditAmount: {
     type: Number,
     min: [0, 'Credit amount cannot be negative']
@@ -125,6 +170,11 @@ const creditNoteSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Return reason cannot exceed 1000 characters']
   },
+  // Location returned stock was put back into
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
   redemptions: [redemptionSchema],
   expiryDate: {
     type: Date,
@@ -147,6 +197,9 @@ const creditNoteSchema = new mongoose.Schema({
 // Pre-save middleware: auto-generate CN number, recalculate balances
 creditNoteSchema.pre('save', async function(next) {
   try {
+    await resolveExchangeRate(this, this.createdAt);
+    await resolveAedExchangeRate(this);
+
     // Calculate item totals
     this.returnedItems.forEach(item => {
       item.total = item.quantity * item.unitPrice;
@@ -155,8 +208,10 @@ creditNoteSchema.pre('save', async function(next) {
     // Calculate subtotal
     this.subtotal = this.returnedItems.reduce((sum, item) => sum + item.total, 0);
 
-    // Calculate tax amount
-    this.taxAmount = (this.subtotal * this.taxRate) / 100;
+    // Calculate tax per line (unit prices are net of tax)
+    const { taxAmount, taxSummary } = applyLineTaxes(this.returnedItems, { defaultTaxes: documentTaxes(this) });
+    this.taxAmount = taxAmount;
+    this.taxSummary = taxSummary;
 
     // Calculate credit amount
     this.creditAmount = this.subtotal + this.taxAmount;
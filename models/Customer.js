@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { normalizeTaxNumber, isValidTaxNumber } = require('../utils/taxes');
 
 const customerSchema = new mongoose.Schema({
   company: {
@@ -35,10 +36,16 @@ const customerSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Company name cannot exceed 100 characters']
   },
+  // Tax Registration Number (VAT)
   vatNumber: {
     type: String,
     trim: true,
-    maxlength: [50, 'VAT number cannot exceed 50 characters']
+    maxlength: [50, 'VAT number cannot exceed 50 characters'],
+    set: normalizeTaxNumber,
+    validate: {
+      validator: isValidTaxNumber,
+      message: 'TRN must be 15 digits (or a VAT number with its country prefix)'
+    }
   },
   address: {
     street: {
@@ -81,6 +88,22 @@ const customerSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Bumped to revoke every customer portal link already sent to the customer
+  portalTokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Customer asked not to receive automatic payment reminders
+  paymentRemindersOptOut: {
+    type: Boolean,
+    default: false
+  },
+  // Prices for this customer's sales, quotes and invoices (product prices when none)
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../utils/currency');
+
+// What one unit of a foreign currency is worth in the company's base currency from
+// effectiveDate onwards (until a later rate for the same currency takes over)
+const exchangeRateSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    enum: CURRENCIES
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Exchange rate is required'],
+    min: [0.000001, 'Exchange rate must be greater than 0']
+  },
+  effectiveDate: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ company: 1, currency: 1, effectiveDate: -1 }, { unique: true });
+
+// Static method to find the rate in force for a currency on a date (null when none is)
+exchangeRateSchema.statics.lookup = async function(companyId, currency, date = new Date()) {
+  const exchangeRate = await this.findOne({
+    company: companyId,
+    currency,
+    effectiveDate: { $lte: date }
+  }).sort({ effectiveDate: -1 });
+
+  return exchangeRate ? exchangeRate.rate : null;
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CURRENCIES, resolveExchangeRate } = require('../utils/currency');
 
 const expenseSchema = new mongoose.Schema({
   company: {
@@ -43,10 +44,34 @@ const expenseSchema = new mongoose.Schema({
     required: [true, 'Amount is required'],
     min: [0.01, 'Amount must be greater than 0']
   },
+  // The company's base currency when not given
   currency: {
     type: String,
-    enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'AED', 'INR'],
-    default: 'USD'
+    enum: CURRENCIES
+  },
+  // Base currency per unit of the expense currency on the expense date, looked up from
+  // the company's exchange rates
+  exchangeRate: {
+    type: Number,
+    default: null,
+    min: [0.000001, 'Exchange rate must be greater than 0']
+  },
+  // Recoverable input tax included in the amount
+  tax: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tax',
+    default: null
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100%']
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax amount cannot be negative']
   },
   paymentMethod: {
     type: String,
@@ -122,6 +147,25 @@ expenseSchema.index({ company: 1, category: 1 });
 expenseSchema.index({ company: 1, paymentStatus: 1 });
 expenseSchema.index({ company: 1, vendor: 1 });
 
+expenseSchema.path('taxAmount').validate(function(taxAmount) {
+  return !(taxAmount > 0) || typeof this.amount !== 'number' || taxAmount < this.amount;
+}, 'Tax amount must be less than the expense amount');
+
+expenseSchema.pre('save', async function(next) {
+  try {
+    await resolveExchangeRate(this, this.expenseDate);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Tax included in a tax-inclusive amount at `taxRate` percent
+expenseSchema.statics.includedTax = function(amount, taxRate) {
+  if (!(amount > 0) || !(taxRate > 0)) return 0;
+  return Math.round(amount * taxRate / (100 + taxRate) * 100) / 100;
+};
+
 // Method to generate expense number
 expenseSchema.statics.generateExpenseNumber = async function(companyId) {
   const today = new Date();
@@ -154,6 +198,9 @@ expenseSchema.methods.approve = function(approvedBy) {
 
 // Virtual for formatted amount
 expenseSchema.virtual('formattedAmount').get(function() {
+  if (!this.currency) {
+    return this.amount?.toFixed(2);
+  }
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
     currency: this.currency
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { applyLineTotals } = require('../utils/lineTotals');
+const { lineTaxSchema, taxSummarySchema, documentTaxes, applyLineTaxes, resolvePricesIncludeTax, resolveAedExchangeRate } = require('../utils/taxes');
+const { CURRENCIES, resolveExchangeRate } = require('../utils/currency');
 
 const invoiceSchema = new mongoose.Schema({
   invoiceNumber: {
@@ -25,7 +28,19 @@ const invoiceSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // The customer's own reference for the invoice (their PO number or cost centre)
+  buyerReference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Buyer reference cannot exceed 100 characters']
+  },
   items: [{
+    // Catalogue product the line is for (free-text lines have none)
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      default: null
+    },
     name: {
       type: String,
       required: true,
@@ -47,12 +62,83 @@ const invoiceSchema = new mongoose.Schema({
       default: 0,
       min: 0
     },
+    // Line discount: a percentage or a fixed amount off the line; promotion is set when a
+    // promotion gave it
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative']
+    },
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      default: 'percentage'
+    },
+    discountAmount: {
+      type: Number,
+      default: 0
+    },
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion',
+      default: null
+    },
+    promotionName: {
+      type: String,
+      trim: true
+    },
+    // How the unit price was set: typed in, the product's price, or a price list rule
+    pricing: {
+      source: {
+        type: String,
+        enum: ['manual', 'product', 'price_list']
+      },
+      priceList: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PriceList'
+      },
+      priceListName: {
+        type: String,
+        trim: true
+      },
+      rule: {
+        type: String,
+        enum: ['price', 'markup', 'default_markup']
+      },
+      minQuantity: {
+        type: Number
+      },
+      markupPercent: {
+        type: Number
+      }
+    },
+    // Taxes charged on the line; a line without any takes the document's tax
+    taxes: [lineTaxSchema],
+    taxAmount: {
+      type: Number,
+      default: 0
+    },
+    // Line amount before tax: the total less the tax it includes when prices include tax
+    netAmount: {
+      type: Number
+    },
     total: {
       type: Number,
       default: 0,
       min: 0
     }
   }],
+  // Discounts taken off the lines (line totals and the subtotal are net of them)
+  lineDiscountTotal: {
+    type: Number,
+    default: 0
+  },
+  // Coupon code entered to unlock a promotion
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   subtotal: {
     type: Number,
     required: true,
@@ -76,6 +162,30 @@ const invoiceSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  // Tax charged per tax across the lines
+  taxSummary: [taxSummarySchema],
+  // Whether unit prices include tax (follows the company setting when not given)
+  pricesIncludeTax: {
+    type: Boolean,
+    default: null
+  },
+  // Currency the document is in (the company's base currency when not given) and what
+  // one unit of it is worth in base currency, looked up from the company's exchange rates
+  currency: {
+    type: String,
+    enum: CURRENCIES
+  },
+  exchangeRate: {
+    type: Number,
+    default: null,
+    min: [0.000001, 'Exchange rate must be greater than 0']
+  },
+  // AED per unit of the document currency when it was issued, to state VAT in AED
+  aedExchangeRate: {
+    type: Number,
+    default: null,
+    min: [0, 'Exchange rate cannot be negative']
+  },
   total: {
     type: Number,
     required: true,
@@ -90,6 +200,11 @@ const invoiceSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Date the goods or services were supplied, when it differs from the invoice date
+  supplyDate: {
+    type: Date,
+    default: null
+  },
   terms: {
     type: String,
     default: 'Payment due within 30 days of invoice date.'
@@ -108,6 +223,12 @@ const invoiceSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Quote'
   },
+  // Reference to the recurring schedule that generated this invoice
+  recurringInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringInvoice',
+    default: null
+  },
   // Payment tracking
   payments: [{
     amount: {
@@ -130,6 +251,27 @@ const invoiceSchema = new mongoose.Schema({
       trim: true
     }
   }],
+  // Receipts (Payment documents) allocated to this invoice
+  paymentAllocations: [{
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: true
+    },
+    receiptNumber: {
+      type: String,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   paidAmount: {
     type: Number,
     default: 0,
@@ -164,7 +306,34 @@ const invoiceSchema = new mongoose.Schema({
   finalPayable: {
     type: Number,
     min: 0
-  }
+  },
+  // Payment reminders sent for this invoice
+  reminders: [{
+    // Days relative to the due date of the schedule step (negative = before due)
+    offsetDays: {
+      type: Number,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['upcoming', 'due', 'overdue'],
+      required: true
+    },
+    email: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'failed'],
+      required: true
+    },
+    error: String,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -172,28 +341,48 @@ const invoiceSchema = new mongoose.Schema({
 // Calculate totals and generate invoice number before saving
 invoiceSchema.pre('save', async function(next) {
   try {
-    // Calculate item totals
-    this.items.forEach(item => {
-      item.total = item.quantity * item.unitPrice;
+    await resolvePricesIncludeTax(this);
+    await resolveExchangeRate(this, this.createdAt);
+    await resolveAedExchangeRate(this);
+
+    // Calculate item totals, net of line discounts
+    this.lineDiscountTotal = applyLineTotals(this.items);
+
+    // Calculate tax per line (working out the net amount of tax-inclusive lines)
+    const { taxAmount, taxSummary } = applyLineTaxes(this.items, {
+      defaultTaxes: documentTaxes(this),
+      pricesIncludeTax: this.pricesIncludeTax
     });
     
     // Calculate subtotal
-    this.subtotal = this.items.reduce((sum, item) => sum + item.total, 0);
+    this.subtotal = this.items.reduce((sum, item) => sum + item.netAmount, 0);
     
     // Calculate tax amount
-    this.taxAmount = (this.subtotal * this.taxRate) / 100;
+    this.taxAmount = taxAmount;
+    this.taxSummary = taxSummary;
     
     // Calculate total
     this.total = this.subtotal + this.taxAmount;
     
-    // Calculate paid amount
-    this.paidAmount = this.payments.reduce((sum, payment) => sum + payment.amount, 0);
+    // Calculate paid amount from receipt allocations (plus legacy embedded payments)
+    this.paidAmount = this.payments.reduce((sum, payment) => sum + payment.amount, 0) +
+      this.paymentAllocations.reduce((sum, allocation) => sum + allocation.amount, 0);
     
     // Calculate credit applied
     this.creditApplied = this.creditNoteRedemptions.reduce((sum, r) => sum + r.amount, 0);
     
     // Calculate final payable (total minus credit applied)
     this.finalPayable = Math.max(0, this.total - this.creditApplied);
+
+    // Update status when payments change; drafts and cancelled invoices keep their status
+    if ((this.isModified('payments') || this.isModified('paymentAllocations')) &&
+      !['draft', 'cancelled'].includes(this.status)) {
+      if (this.paidAmount > 0 && this.paidAmount >= this.finalPayable - 0.005) {
+        this.status = 'paid';
+      } else if (this.status === 'paid') {
+        this.status = this.dueDate < new Date() ? 'overdue' : 'sent';
+      }
+    }
     
     // Generate invoice number if this is a new invoice
     if (this.isNew && !this.invoiceNumber) {
@@ -246,21 +435,22 @@ invoiceSchema.pre('findOneAndUpdate', async function(next) {
       return next(new Error('Invoice not found'));
     }
 
-    // Recalculate totals if items or taxRate changed
-    if (update.items || update.taxRate !== undefined) {
+    // Recalculate totals if items or the tax changed
+    if (update.items || update.taxRate !== undefined || update.tax !== undefined || update.pricesIncludeTax !== undefined) {
       const items = update.items || docToUpdate.items;
-      const taxRate = update.taxRate !== undefined ? update.taxRate : docToUpdate.taxRate;
+      const pick = (field) => (update[field] !== undefined ? update[field] : docToUpdate[field]);
 
-      // Calculate item totals
-      items.forEach(item => {
-        item.total = item.quantity * item.unitPrice;
+      // Calculate item totals, net of line discounts
+      const lineDiscountTotal = applyLineTotals(items);
+      const { taxAmount, taxSummary } = applyLineTaxes(items, {
+        defaultTaxes: documentTaxes({ tax: pick('tax'), taxRate: pick('taxRate') }),
+        pricesIncludeTax: pick('pricesIncludeTax')
       });
 
-      const subtotal = items.reduce((acc, item) => acc + item.total, 0);
-      const taxAmount = subtotal * (taxRate / 100);
+      const subtotal = items.reduce((acc, item) => acc + item.netAmount, 0);
       const total = subtotal + taxAmount;
 
-      this.set({ subtotal, taxAmount, total });
+      this.set({ lineDiscountTotal, subtotal, taxAmount, taxSummary, total });
     }
 
     // Update status based on payments if payments changed
@@ -292,5 +482,7 @@ invoiceSchema.index({ company: 1, createdAt: -1 });
 invoiceSchema.index({ customer: 1, createdAt: -1 });
 invoiceSchema.index({ status: 1 });
 invoiceSchema.index({ invoiceNumber: 1 });
+invoiceSchema.index({ recurringInvoice: 1, createdAt: -1 });
+invoiceSchema.index({ 'paymentAllocations.payment': 1 });
 
 module.exports = mongoose.model('Invoice', invoiceSchema);
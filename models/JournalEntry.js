@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Account is required']
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debit cannot be negative']
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit cannot be negative']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Line description cannot exceed 500 characters']
+  }
+});
+
+const journalEntrySchema = new mongoose.Schema({
+  entryNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Document that produced this entry
+  sourceType: {
+    type: String,
+    enum: ['manual', 'invoice', 'invoice_payment', 'payment', 'sale', 'sale_return', 'expense', 'credit_note', 'vendor_bill', 'bill_payment', 'stock_count'],
+    default: 'manual'
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sourceNumber: {
+    type: String,
+    trim: true
+  },
+  lines: [journalLineSchema],
+  totalDebit: {
+    type: Number,
+    default: 0
+  },
+  totalCredit: {
+    type: Number,
+    default: 0
+  },
+  // Reversal tracking
+  isReversed: {
+    type: Boolean,
+    default: false
+  },
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    default: null
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-save middleware: validate balance and auto-generate entry number
+journalEntrySchema.pre('save', async function(next) {
+  try {
+    // Round line amounts to cents
+    this.lines.forEach(line => {
+      line.debit = Math.round((line.debit || 0) * 100) / 100;
+      line.credit = Math.round((line.credit || 0) * 100) / 100;
+    });
+
+    // Drop empty lines
+    this.lines = this.lines.filter(line => line.debit > 0 || line.credit > 0);
+
+    if (this.lines.length < 2) {
+      return next(new Error('Journal entry must have at least two non-zero lines'));
+    }
+
+    for (const line of this.lines) {
+      if (line.debit > 0 && line.credit > 0) {
+        return next(new Error('A journal line cannot have both a debit and a credit'));
+      }
+    }
+
+    // Calculate totals
+    this.totalDebit = Math.round(this.lines.reduce((sum, line) => sum + line.debit, 0) * 100) / 100;
+    this.totalCredit = Math.round(this.lines.reduce((sum, line) => sum + line.credit, 0) * 100) / 100;
+
+    if (Math.abs(this.totalDebit - this.totalCredit) > 0.005) {
+      return next(new Error(`Journal entry is not balanced. Debits: ${this.totalDebit.toFixed(2)}, Credits: ${this.totalCredit.toFixed(2)}`));
+    }
+
+    // Generate entry number if new
+    if (this.isNew && !this.entryNumber) {
+      const Company = mongoose.model('Company');
+      const { company, sequence } = await Company.nextSequence(this.company, 'nextJournalEntryNumber');
+
+      if (!company) {
+        return next(new Error('Company not found for journal entry numbering'));
+      }
+
+      const prefix = company.settings?.journalEntryPrefix || 'JE';
+      this.entryNumber = `${prefix}-${sequence.toString().padStart(6, '0')}`;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Indexes
+journalEntrySchema.index({ company: 1, date: -1 });
+journalEntrySchema.index({ company: 1, sourceType: 1, sourceId: 1 });
+journalEntrySchema.index({ company: 1, 'lines.account': 1, date: 1 });
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const { CURRENCIES, resolveExchangeRate } = require('../utils/currency');
+
+const allocationSchema = new mongoose.Schema({
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  invoiceNumber: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Allocation amount must be greater than 0']
+  },
+  // The invoice's rate to base currency, which the receivable was booked at
+  exchangeRate: {
+    type: Number,
+    default: null
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+});
+
+const paymentSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be greater than 0']
+  },
+  paymentDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Currency the money arrived in (the company's base currency when not given) and its
+  // rate to base currency on the payment date; only invoices in the same currency can be settled
+  currency: {
+    type: String,
+    enum: CURRENCIES
+  },
+  exchangeRate: {
+    type: Number,
+    default: null,
+    min: [0.000001, 'Exchange rate must be greater than 0']
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'check', 'bank_transfer', 'credit_card', 'other'],
+    default: 'bank_transfer'
+  },
+  // Cheque number, transfer reference, etc.
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  allocations: [allocationSchema],
+  allocatedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Amount held on the customer as an advance
+  unallocatedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Realized exchange gain (negative for a loss) in base currency: what the allocated
+  // part is worth at the receipt's rate less what the invoices were booked at
+  fxGainLoss: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['unallocated', 'partially_allocated', 'allocated', 'void'],
+    default: 'unallocated'
+  },
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  voidReason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-save middleware: recalculate allocation totals and auto-generate receipt number
+paymentSchema.pre('save', async function(next) {
+  try {
+    await resolveExchangeRate(this, this.paymentDate);
+
+    this.allocatedAmount = Math.round(this.allocations.reduce((sum, a) => sum + a.amount, 0) * 100) / 100;
+
+    if (this.allocatedAmount - this.amount > 0.005) {
+      return next(new Error(`Allocations (${this.allocatedAmount.toFixed(2)}) exceed the payment amount (${this.amount.toFixed(2)})`));
+    }
+
+    // A voided receipt no longer holds anything for the customer
+    this.unallocatedAmount = this.status === 'void'
+      ? 0
+      : Math.max(0, Math.round((this.amount - this.allocatedAmount) * 100) / 100);
+
+    const round2 = value => Math.round(value * 100) / 100;
+    const rate = this.exchangeRate || 1;
+    this.fxGainLoss = round2(round2(this.amount * rate) -
+      this.allocations.reduce((sum, a) => sum + round2(a.amount * (a.exchangeRate || 1)), 0) -
+      round2((this.amount - this.allocatedAmount) * rate));
+
+    // Update status (void is final)
+    if (this.status !== 'void') {
+      if (this.unallocatedAmount <= 0) {
+        this.status = 'allocated';
+      } else if (this.allocatedAmount > 0) {
+        this.status = 'partially_allocated';
+      } else {
+        this.status = 'unallocated';
+      }
+    }
+
+    // Generate receipt number if new
+    if (this.isNew && !this.receiptNumber) {
+      const Company = mongoose.model('Company');
+      const { company, sequence } = await Company.nextSequence(this.company, 'nextReceiptNumber');
+
+      if (!company) {
+        return next(new Error('Company not found for receipt numbering'));
+      }
+
+      const prefix = company.settings?.receiptPrefix || 'RCT';
+      this.receiptNumber = `${prefix}-${sequence.toString().padStart(6, '0')}`;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Indexes
+paymentSchema.index({ company: 1, paymentDate: -1 });
+paymentSchema.index({ company: 1, customer: 1, status: 1 });
+paymentSchema.index({ 'allocations.invoice': 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// A price for one product: either a fixed price or a markup over its cost, from
+// minQuantity base units upwards (quantity breaks are several rules for one product)
+const priceRuleSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  minQuantity: {
+    type: Number,
+    default: 1,
+    min: [0, 'Minimum quantity cannot be negative']
+  },
+  // Price per base unit
+  price: {
+    type: Number,
+    default: null,
+    min: [0, 'Price cannot be negative']
+  },
+  // Percentage over the product's cost price
+  markupPercent: {
+    type: Number,
+    default: null,
+    min: [-100, 'Markup cannot be below -100%']
+  }
+});
+
+priceRuleSchema.path('markupPercent').validate(function(markupPercent) {
+  return (this.price === null || this.price === undefined) !== (markupPercent === null || markupPercent === undefined);
+}, 'Each price rule needs either a price or a markup percentage');
+
+const priceListSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Price list name is required'],
+    trim: true,
+    maxlength: [100, 'Price list name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  rules: [priceRuleSchema],
+  // Markup over cost for products without a rule of their own (none when null)
+  defaultMarkupPercent: {
+    type: Number,
+    default: null,
+    min: [-100, 'Markup cannot be below -100%']
+  },
+  // The list only applies between these dates (open-ended when not set)
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validTo: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+priceListSchema.index({ company: 1, name: 1 }, { unique: true });
+
+priceListSchema.path('validTo').validate(function(validTo) {
+  return !validTo || !this.validFrom || validTo >= this.validFrom;
+}, 'Valid to date cannot be before the valid from date');
+
+// Whether the list applies on `date`
+priceListSchema.methods.isValidOn = function(date = new Date()) {
+  if (!this.isActive) return false;
+  if (this.validFrom && date < this.validFrom) return false;
+  if (this.validTo) {
+    const end = new Date(this.validTo);
+    end.setHours(23, 59, 59, 999);
+    if (date > end) return false;
+  }
+  return true;
+};
+
+// Price per base unit of `quantity` base units of a product, or null when the list has
+// nothing for it. The product's own rules win over its parent's (for variants); among
+// them the largest quantity break reached applies, then the list's default markup.
+// Markups need a cost price to work from.
+priceListSchema.methods.priceFor = function(product, quantity) {
+  const rulesFor = (productId) => this.rules.filter(rule => productId && rule.product.toString() === productId.toString());
+  let rules = rulesFor(product._id);
+  if (rules.length === 0) {
+    rules = rulesFor(product.parentProduct?._id || product.parentProduct);
+  }
+
+  const rule = rules
+    .filter(r => (r.minQuantity || 0) <= quantity)
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+  const cost = product.costPrice || 0;
+
+  if (rule && rule.price !== null && rule.price !== undefined) {
+    return { unitPrice: rule.price, rule: { type: 'price', minQuantity: rule.minQuantity, price: rule.price } };
+  }
+  if (rule && cost > 0) {
+    return {
+      unitPrice: round2(cost * (1 + rule.markupPercent / 100)),
+      rule: { type: 'markup', minQuantity: rule.minQuantity, markupPercent: rule.markupPercent }
+    };
+  }
+  if (!rule && this.defaultMarkupPercent !== null && this.defaultMarkupPercent !== undefined && cost > 0) {
+    return {
+      unitPrice: round2(cost * (1 + this.defaultMarkupPercent / 100)),
+      rule: { type: 'default_markup', markupPercent: this.defaultMarkupPercent }
+    };
+  }
+  return null;
+};
+
+module.exports = mongoose.model('PriceList', priceListSchema);
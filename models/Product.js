@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const StockMovement = require('./StockMovement');
+const CostLayer = require('./CostLayer');
+const StockLot = require('./StockLot');
+const Warehouse = require('./Warehouse');
+
+const UNITS = ['piece', 'kg', 'g', 'liter', 'ml', 'box', 'pack', 'dozen', 'meter', 'cm', 'other'];
 
 const productSchema = new mongoose.Schema({
   company: {
@@ -44,9 +50,32 @@ const productSchema = new mongoose.Schema({
   unit: {
     type: String,
     required: [true, 'Unit is required'],
-    enum: ['piece', 'kg', 'g', 'liter', 'ml', 'box', 'pack', 'dozen', 'meter', 'cm', 'other'],
+    enum: UNITS,
     default: 'piece'
   },
+  // Other units the product is sold in, each worth `factor` base units (e.g. a box of 12
+  // pieces). Stock is always held in the base unit.
+  unitConversions: [{
+    unit: {
+      type: String,
+      required: [true, 'Conversion unit is required'],
+      enum: UNITS
+    },
+    factor: {
+      type: Number,
+      required: [true, 'Conversion factor is required'],
+      min: [0.0001, 'Conversion factor must be greater than 0']
+    },
+    // Price per conversion unit; defaults to factor x sellingPrice
+    sellingPrice: {
+      type: Number,
+      min: [0, 'Selling price cannot be negative']
+    },
+    barcode: {
+      type: String,
+      trim: true
+    }
+  }],
   costPrice: {
     type: Number,
     required: [true, 'Cost price is required'],
@@ -63,6 +92,25 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Stock quantity cannot be negative'],
     default: 0
   },
+  // Stock held at each location; stockQuantity is the total across locations
+  stockLevels: [{
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      min: [0, 'Stock quantity cannot be negative'],
+      default: 0
+    },
+    // Alert threshold at this location; falls back to minStockLevel
+    minStockLevel: {
+      type: Number,
+      min: [0, 'Minimum stock level cannot be negative'],
+      default: null
+    }
+  }],
   minStockLevel: {
     type: Number,
     min: [0, 'Minimum stock level cannot be negative'],
@@ -86,6 +134,45 @@ const productSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Vendor'
   },
+  // A parent product groups variants; each variant is a product of its own (SKU, barcode,
+  // prices and stock) pointing back at its parent
+  parentProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  hasVariants: {
+    type: Boolean,
+    default: false
+  },
+  // Parent: the options its variants differ by, e.g. { name: 'Size', values: ['S', 'M'] }
+  variantOptions: [{
+    name: {
+      type: String,
+      required: [true, 'Option name is required'],
+      trim: true,
+      maxlength: [50, 'Option name cannot exceed 50 characters']
+    },
+    values: [{
+      type: String,
+      trim: true
+    }]
+  }],
+  // Variant: its value for each option, e.g. { name: 'Size', value: 'M' }
+  variantAttributes: [{
+    name: {
+      type: String,
+      required: [true, 'Attribute name is required'],
+      trim: true,
+      maxlength: [50, 'Attribute name cannot exceed 50 characters']
+    },
+    value: {
+      type: String,
+      required: [true, 'Attribute value is required'],
+      trim: true,
+      maxlength: [100, 'Attribute value cannot exceed 100 characters']
+    }
+  }],
   images: [{
     type: String, // Cloudinary URLs
     trim: true
@@ -98,6 +185,16 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: true // Whether to track stock movements
   },
+  // Hold stock in lots (lot number, manufacture and expiry date); sales pick lots FEFO
+  trackLots: {
+    type: Boolean,
+    default: false
+  },
+  // Require a serial number for every unit received, sold and returned
+  trackSerials: {
+    type: Boolean,
+    default: false
+  },
   tags: [{
     type: String,
     trim: true,
@@ -122,6 +219,8 @@ productSchema.index({ company: 1, sku: 1 });
 productSchema.index({ company: 1, name: 1 });
 productSchema.index({ company: 1, category: 1 });
 productSchema.index({ company: 1, isActive: 1 });
+productSchema.index({ company: 1, 'stockLevels.warehouse': 1 });
+productSchema.index({ company: 1, parentProduct: 1 });
 
 // Virtual for profit margin
 productSchema.virtual('profitMargin').get(function() {
@@ -137,21 +236,194 @@ productSchema.virtual('stockStatus').get(function() {
   return 'in_stock';
 });
 
+// Unit a product is sold in, with the number of base units it holds and its price.
+// Null when the unit isn't the base unit or one of the product's conversions.
+productSchema.methods.getUnitConversion = function(unit) {
+  if (!unit || unit === this.unit) {
+    return { unit: this.unit, factor: 1, sellingPrice: this.sellingPrice };
+  }
+
+  const conversion = this.unitConversions.find(c => c.unit === unit);
+  if (!conversion) return null;
+
+  return {
+    unit: conversion.unit,
+    factor: conversion.factor,
+    sellingPrice: conversion.sellingPrice ?? Math.round(this.sellingPrice * conversion.factor * 100) / 100
+  };
+};
+
 // Method to check if product needs reordering
 productSchema.methods.needsReorder = function() {
   return this.stockQuantity <= this.reorderPoint;
 };
 
-// Method to update stock quantity
-productSchema.methods.updateStock = function(quantity, operation = 'add') {
+const warehouseKey = (warehouse) => (warehouse._id || warehouse).toString();
+
+// Stock counted before locations existed (stockQuantity beyond the sum of stockLevels)
+// is treated as sitting at the default location
+productSchema.methods.assignUnlocatedStock = function(defaultWarehouseId) {
+  const located = this.stockLevels.reduce((sum, level) => sum + level.quantity, 0);
+  const unlocated = Math.round((this.stockQuantity - located) * 1000) / 1000;
+  if (unlocated > 0) {
+    this.getStockLevel(defaultWarehouseId).quantity += unlocated;
+  }
+};
+
+// Stock level entry for a location, added when the product has none there yet
+productSchema.methods.getStockLevel = function(warehouseId) {
+  let level = this.stockLevels.find(l => warehouseKey(l.warehouse) === warehouseKey(warehouseId));
+  if (!level) {
+    this.stockLevels.push({ warehouse: warehouseId, quantity: 0 });
+    level = this.stockLevels[this.stockLevels.length - 1];
+  }
+  return level;
+};
+
+// Quantity and alert threshold per location, including unlocated stock at the default
+productSchema.methods.getStockByLocation = function(defaultWarehouseId) {
+  const levels = this.stockLevels.map(level => ({
+    warehouse: level.warehouse,
+    quantity: level.quantity,
+    minStockLevel: level.minStockLevel ?? this.minStockLevel
+  }));
+
+  const located = levels.reduce((sum, level) => sum + level.quantity, 0);
+  const unlocated = Math.round((this.stockQuantity - located) * 1000) / 1000;
+  if (unlocated > 0 && defaultWarehouseId) {
+    let level = levels.find(l => warehouseKey(l.warehouse) === warehouseKey(defaultWarehouseId));
+    if (!level) {
+      level = { warehouse: defaultWarehouseId, quantity: 0, minStockLevel: this.minStockLevel };
+      levels.push(level);
+    }
+    level.quantity += unlocated;
+  }
+
+  return levels;
+};
+
+// Quantity on hand at one location
+productSchema.methods.getLocationQuantity = function(warehouseId, defaultWarehouseId) {
+  const level = this.getStockByLocation(defaultWarehouseId)
+    .find(l => warehouseKey(l.warehouse) === warehouseKey(warehouseId));
+  return level ? level.quantity : 0;
+};
+
+// Method to update stock quantity at a location (movement.warehouse, or the default).
+// `movement` ({ type, reason, sourceType, sourceId, sourceNumber, user, warehouse, date })
+// says why; every change is logged as a StockMovement. Stock in adds a cost layer at
+// movement.unitCost (the current average when not given); stock out consumes layers.
+// For lot-tracked products stock in goes into movement.lots ([{ lotNumber,
+// manufactureDate, expiryDate, quantity }]) and stock out is picked FEFO, skipping
+// expired lots when movement.excludeExpired is set.
+// Resolves to the StockMovement, whose unitCost/totalCost is the cost moved and whose
+// lots are the lots allocated.
+productSchema.methods.updateStock = async function(quantity, operation = 'add', movement = {}) {
+  const defaultWarehouse = await Warehouse.getDefault(this.company);
+  const warehouseId = movement.warehouse || defaultWarehouse._id;
+
+  this.assignUnlocatedStock(defaultWarehouse._id);
+  const level = this.getStockLevel(warehouseId);
+
+  const quantityBefore = this.stockQuantity;
+  const locationQuantityBefore = level.quantity;
+
   if (operation === 'add') {
-    this.stockQuantity += quantity;
+    level.quantity += quantity;
   } else if (operation === 'subtract') {
-    this.stockQuantity = Math.max(0, this.stockQuantity - quantity);
+    level.quantity = Math.max(0, level.quantity - quantity);
   } else if (operation === 'set') {
-    this.stockQuantity = Math.max(0, quantity);
+    level.quantity = Math.max(0, quantity);
   }
-  return this.save();
+  this.stockQuantity = this.stockLevels.reduce((sum, l) => sum + l.quantity, 0);
+
+  const change = Math.round((level.quantity - locationQuantityBefore) * 10000) / 10000;
+  let cost = {};
+  let lots;
+  if (change !== 0) {
+    await CostLayer.seedOpening(this, quantityBefore);
+
+    const source = {
+      type: movement.type,
+      sourceType: movement.sourceType,
+      sourceId: movement.sourceId,
+      sourceNumber: movement.sourceNumber,
+      date: movement.date
+    };
+
+    if (change > 0) {
+      const unitCost = movement.unitCost ?? (await CostLayer.averageCost(this)) ?? this.costPrice ?? 0;
+      await CostLayer.receive(this, change, unitCost, source);
+      cost = { unitCost, totalCost: Math.round(change * unitCost * 10000) / 10000 };
+    } else {
+      cost = await CostLayer.consume(this, -change, source);
+    }
+
+    if (this.trackLots) {
+      lots = change > 0
+        ? await StockLot.receive(this, warehouseId, change, movement.lots, source)
+        : await StockLot.pick(this, warehouseId, -change, { excludeExpired: movement.excludeExpired, lots: movement.lots });
+    }
+
+    // Cost price follows the average of the stock still on hand
+    const average = await CostLayer.averageCost(this);
+    if (average !== null) {
+      this.costPrice = Math.round(average * 100) / 100;
+    }
+  }
+
+  await this.save();
+  return StockMovement.record(this, quantityBefore, {
+    ...movement,
+    ...cost,
+    lots,
+    warehouse: warehouseId,
+    locationQuantityBefore,
+    locationQuantityAfter: level.quantity
+  });
+};
+
+// Move stock between two locations; the total is unchanged. Throws when the source
+// location doesn't hold enough.
+productSchema.methods.transferStock = async function(quantity, fromWarehouseId, toWarehouseId, movement = {}) {
+  const defaultWarehouse = await Warehouse.getDefault(this.company);
+  this.assignUnlocatedStock(defaultWarehouse._id);
+
+  const from = this.getStockLevel(fromWarehouseId);
+  const to = this.getStockLevel(toWarehouseId);
+  if (from.quantity < quantity) {
+    throw new Error(`Insufficient stock for ${this.name} at the source location. Available: ${from.quantity}`);
+  }
+
+  const fromBefore = from.quantity;
+  const toBefore = to.quantity;
+  from.quantity -= quantity;
+  to.quantity += quantity;
+  this.stockQuantity = this.stockLevels.reduce((sum, l) => sum + l.quantity, 0);
+
+  // Lots travel with the stock, earliest expiry first
+  const lots = this.trackLots
+    ? await StockLot.transfer(this, fromWarehouseId, toWarehouseId, quantity, movement)
+    : {};
+
+  await this.save();
+  await StockMovement.record(this, this.stockQuantity, {
+    ...movement,
+    type: 'transfer_out',
+    lots: lots.picked,
+    warehouse: fromWarehouseId,
+    locationQuantityBefore: fromBefore,
+    locationQuantityAfter: from.quantity
+  });
+  await StockMovement.record(this, this.stockQuantity, {
+    ...movement,
+    type: 'transfer_in',
+    lots: lots.received,
+    warehouse: toWarehouseId,
+    locationQuantityBefore: toBefore,
+    locationQuantityAfter: to.quantity
+  });
+  return this;
 };
 
 // Pre-save middleware to ensure SKU is uppercase
@@ -162,6 +434,16 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Conversion units must differ from the base unit and from each other
+productSchema.path('unitConversions').validate(function(conversions) {
+  const units = conversions.map(c => c.unit);
+  return !units.includes(this.unit) && new Set(units).size === units.length;
+}, 'Each conversion unit must be listed once and differ from the base unit');
+
+productSchema.path('hasVariants').validate(function(hasVariants) {
+  return !(hasVariants && this.parentProduct);
+}, 'A variant cannot have variants of its own');
+
 // Ensure virtual fields are serialized
 productSchema.set('toJSON', { virtuals: true });
 productSchema.set('toObject', { virtuals: true });
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+
+// An offer applied to sale, invoice and quote lines: buy X get Y (free or discounted)
+// or a percentage off a whole category. Promotions with a code are coupons and only
+// apply when the code is entered; the rest apply automatically.
+const promotionSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    enum: ['buy_x_get_y', 'category_discount'],
+    required: [true, 'Promotion type is required']
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Coupon code cannot exceed 50 characters'],
+    default: null
+  },
+  // buy_x_get_y: every buyQuantity of buyProduct (or its variants) gets getQuantity of
+  // getProduct (buyProduct when not set) at getDiscountPercent off
+  buyProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  buyQuantity: {
+    type: Number,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+  getProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  getQuantity: {
+    type: Number,
+    min: [1, 'Get quantity must be at least 1']
+  },
+  getDiscountPercent: {
+    type: Number,
+    default: 100,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
+  },
+  // category_discount: discountPercent off every product in the category
+  category: {
+    type: String,
+    trim: true
+  },
+  discountPercent: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
+  },
+  // The promotion only applies between these dates (open-ended when not set)
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  // Redemptions allowed in total and per customer (unlimited when not set)
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  usageLimitPerCustomer: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit per customer must be at least 1']
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  // Sales and invoices the promotion was used on
+  redemptions: [{
+    documentType: {
+      type: String,
+      enum: ['sale', 'invoice'],
+      required: true
+    },
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    documentNumber: {
+      type: String,
+      trim: true
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer'
+    },
+    discountAmount: {
+      type: Number,
+      default: 0
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+promotionSchema.index({ company: 1, isActive: 1 });
+promotionSchema.index(
+  { company: 1, code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: 'string' } } }
+);
+promotionSchema.index({ company: 1, 'redemptions.documentId': 1 });
+
+promotionSchema.path('type').validate(function(type) {
+  if (type === 'buy_x_get_y') {
+    return !!this.buyProduct && this.buyQuantity >= 1 && this.getQuantity >= 1;
+  }
+  return !!this.category && this.discountPercent > 0;
+}, 'Buy X get Y needs a product and both quantities; a category discount needs a category and a percentage');
+
+promotionSchema.path('endDate').validate(function(endDate) {
+  return !endDate || !this.startDate || endDate >= this.startDate;
+}, 'End date cannot be before the start date');
+
+// Whether the promotion runs on `date`
+promotionSchema.methods.isValidOn = function(date = new Date()) {
+  if (!this.isActive) return false;
+  if (this.startDate && date < this.startDate) return false;
+  if (this.endDate) {
+    const end = new Date(this.endDate);
+    end.setHours(23, 59, 59, 999);
+    if (date > end) return false;
+  }
+  return true;
+};
+
+// Whether the promotion can be redeemed again (by `customerId`, when given)
+promotionSchema.methods.hasUsageLeft = function(customerId) {
+  if (this.usageLimit && this.usageCount >= this.usageLimit) return false;
+  if (this.usageLimitPerCustomer && customerId) {
+    const used = this.redemptions.filter(r => r.customer && r.customer.toString() === customerId.toString()).length;
+    if (used >= this.usageLimitPerCustomer) return false;
+  }
+  return true;
+};
+
+// Record the promotions used on a sale or invoice, one redemption per promotion
+promotionSchema.statics.recordRedemptions = async function(document, documentType) {
+  const byPromotion = {};
+  document.items.forEach(item => {
+    if (!item.promotion) return;
+    const key = item.promotion.toString();
+    byPromotion[key] = Math.round(((byPromotion[key] || 0) + (item.discountAmount || 0)) * 100) / 100;
+  });
+
+  for (const [promotionId, discountAmount] of Object.entries(byPromotion)) {
+    await this.updateOne(
+      { _id: promotionId, company: document.company },
+      {
+        $inc: { usageCount: 1 },
+        $push: {
+          redemptions: {
+            documentType,
+            documentId: document._id,
+            documentNumber: documentType === 'sale' ? document.saleNumber : document.invoiceNumber,
+            customer: document.customer,
+            discountAmount
+          }
+        }
+      }
+    );
+  }
+};
+
+// Give back the redemptions of a cancelled or deleted sale or invoice
+promotionSchema.statics.releaseRedemptions = async function(companyId, documentId) {
+  const promotions = await this.find({ company: companyId, 'redemptions.documentId': documentId });
+  for (const promotion of promotions) {
+    const before = promotion.redemptions.length;
+    promotion.redemptions = promotion.redemptions.filter(r => r.documentId.toString() !== documentId.toString());
+    promotion.usageCount = Math.max(0, promotion.usageCount - (before - promotion.redemptions.length));
+    await promotion.save();
+  }
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { lineTaxSchema, taxSummarySchema, documentTaxes, applyLineTaxes, resolvePricesIncludeTax } = require('../utils/taxes');
+const { CURRENCIES, resolveExchangeRate } = require('../utils/currency');
 
 const purchaseOrderSchema = new mongoose.Schema({
   poNumber: {
@@ -32,6 +34,12 @@ const purchaseOrderSchema = new mongoose.Schema({
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
   items: [{
+    // Stocked product this line buys; free-text lines have none
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      default: null
+    },
     name: {
       type: String,
       required: [true, 'Item name is required'],
@@ -51,9 +59,29 @@ const purchaseOrderSchema = new mongoose.Schema({
       required: [true, 'Unit price is required'],
       min: [0, 'Unit price must be non-negative']
     },
+    // Taxes charged on the line; a line without any takes the document's tax
+    taxes: [lineTaxSchema],
+    taxAmount: {
+      type: Number,
+      default: 0
+    },
+    // Line amount before tax: the total less the tax it includes when prices include tax
+    netAmount: {
+      type: Number
+    },
     total: {
       type: Number,
       default: 0
+    },
+    // Quantity received into stock so far
+    receivedQuantity: {
+      type: Number,
+      default: 0
+    },
+    // Quantity billed by the vendor so far (non-void bills)
+    billedQuantity: {
+      type: Number,
+      default: 0
     }
   }],
   subtotal: {
@@ -76,6 +104,24 @@ const purchaseOrderSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Tax amount must be non-negative']
   },
+  // Tax charged per tax across the lines
+  taxSummary: [taxSummarySchema],
+  // Whether unit prices include tax (follows the company setting when not given)
+  pricesIncludeTax: {
+    type: Boolean,
+    default: null
+  },
+  // Currency the document is in (the company's base currency when not given) and what
+  // one unit of it is worth in base currency, looked up from the company's exchange rates
+  currency: {
+    type: String,
+    enum: CURRENCIES
+  },
+  exchangeRate: {
+    type: Number,
+    default: null,
+    min: [0.000001, 'Exchange rate must be greater than 0']
+  },
   total: {
     type: Number,
     default: 0,
@@ -86,6 +132,81 @@ const purchaseOrderSchema = new mongoose.Schema({
     enum: ['draft', 'sent', 'confirmed', 'in_progress', 'completed', 'cancelled'],
     default: 'draft'
   },
+  // Location goods are delivered to unless a receipt says otherwise
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  // Goods receipts recorded against this order
+  receipts: [{
+    receivedDate: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse'
+    },
+    items: [{
+      poItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        default: null
+      },
+      name: {
+        type: String,
+        trim: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Received quantity must be greater than 0']
+      },
+      unitCost: {
+        type: Number,
+        min: [0, 'Unit cost must be non-negative']
+      },
+      // Lot received, for lot-tracked products
+      lotNumber: {
+        type: String,
+        trim: true
+      },
+      manufactureDate: {
+        type: Date
+      },
+      expiryDate: {
+        type: Date
+      },
+      // Serial numbers received, for serial-tracked products
+      serialNumbers: [{
+        type: String,
+        trim: true
+      }]
+    }],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  billingStatus: {
+    type: String,
+    enum: ['unbilled', 'partially_billed', 'billed'],
+    default: 'unbilled'
+  },
+  billedAmount: {
+    type: Number,
+    default: 0
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -170,6 +291,7 @@ purchaseOrderSchema.index({ company: 1, client: 1 });
 purchaseOrderSchema.index({ company: 1, status: 1 });
 purchaseOrderSchema.index({ company: 1, priority: 1 });
 purchaseOrderSchema.index({ company: 1, createdAt: -1 });
+purchaseOrderSchema.index({ company: 1, 'items.product': 1 });
 
 // Virtual for full shipping address
 purchaseOrderSchema.virtual('fullShippingAddress').get(function() {
@@ -205,16 +327,26 @@ purchaseOrderSchema.pre('save', async function(next) {
       }
     }
 
+    await resolvePricesIncludeTax(this);
+    await resolveExchangeRate(this, this.createdAt);
+
     // Calculate item totals
     this.items.forEach(item => {
       item.total = item.quantity * item.unitPrice;
     });
 
+    // Calculate tax per line (working out the net amount of tax-inclusive lines)
+    const { taxAmount, taxSummary } = applyLineTaxes(this.items, {
+      defaultTaxes: documentTaxes(this),
+      pricesIncludeTax: this.pricesIncludeTax
+    });
+
     // Calculate subtotal
-    this.subtotal = this.items.reduce((sum, item) => sum + item.total, 0);
+    this.subtotal = this.items.reduce((sum, item) => sum + item.netAmount, 0);
 
     // Calculate tax amount
-    this.taxAmount = (this.subtotal * this.taxRate) / 100;
+    this.taxAmount = taxAmount;
+    this.taxSummary = taxSummary;
 
     // Calculate total
     this.total = this.subtotal + this.taxAmount;
@@ -237,20 +369,31 @@ purchaseOrderSchema.pre('findOneAndUpdate', function(next) {
       });
     }
 
+    // Calculate tax per line
+    const taxes = update.items
+      ? applyLineTaxes(update.items, {
+        defaultTaxes: documentTaxes({ tax: update.tax, taxRate: update.taxRate || 0 }),
+        pricesIncludeTax: !!update.pricesIncludeTax
+      })
+      : null;
+
     // Calculate subtotal
     const subtotal = update.items ? 
-      update.items.reduce((sum, item) => sum + item.total, 0) : 
+      update.items.reduce((sum, item) => sum + item.netAmount, 0) : 
       update.subtotal;
 
     // Calculate tax amount
     const taxRate = update.taxRate || 0;
-    const taxAmount = (subtotal * taxRate) / 100;
+    const taxAmount = taxes ? taxes.taxAmount : (subtotal * taxRate) / 100;
 
     // Calculate total
     const total = subtotal + taxAmount;
 
     update.subtotal = subtotal;
     update.taxAmount = taxAmount;
+    if (taxes) {
+      update.taxSummary = taxes.taxSummary;
+    }
     update.total = total;
   }
 
@@ -281,6 +424,19 @@ purchaseOrderSchema.methods.complete = function() {
   return this.save();
 };
 
+// Quantity still to be received on each line
+purchaseOrderSchema.methods.getOutstandingItems = function() {
+  return this.items.map(item => ({
+    poItem: item._id,
+    product: item.product,
+    name: item.name,
+    orderedQuantity: item.quantity,
+    receivedQuantity: item.receivedQuantity || 0,
+    remainingQuantity: Math.max(0, Math.round((item.quantity - (item.receivedQuantity || 0)) * 100) / 100),
+    unitPrice: item.unitPrice
+  }));
+};
+
 // Static method to get PO statistics
 purchaseOrderSchema.statics.getStats = async function(companyId) {
   console.log('Getting PO stats for company:', companyId);
@@ -291,7 +447,7 @@ purchaseOrderSchema.statics.getStats = async function(companyId) {
       $group: {
         _id: null,
         totalPOs: { $sum: 1 },
-        totalValue: { $sum: '$total' },
+        totalValue: { $sum: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } },
         draftPOs: {
           $sum: { $cond: [{ $eq: ['$status', 'draft'] }, 1, 0] }
         },
@@ -310,7 +466,7 @@ purchaseOrderSchema.statics.getStats = async function(companyId) {
         cancelledPOs: {
           $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] }
         },
-        averageValue: { $avg: '$total' }
+        averageValue: { $avg: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } }
       }
     }
   ]);
@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
+const { applyLineTotals } = require('../utils/lineTotals');
+const { lineTaxSchema, taxSummarySchema, documentTaxes, applyLineTaxes, resolvePricesIncludeTax } = require('../utils/taxes');
+const { CURRENCIES, resolveExchangeRate } = require('../utils/currency');
 
 const quoteItemSchema = new mongoose.Schema({
+  // Catalogue product the line is for (free-text lines have none)
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
   name: {
     type: String,
     required: [true, 'Item name is required'],
@@ -23,6 +32,66 @@ const quoteItemSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Unit price cannot be negative']
   },
+  // Line discount: a percentage or a fixed amount off the line; promotion is set when a
+  // promotion gave it
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    default: 'percentage'
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    default: null
+  },
+  promotionName: {
+    type: String,
+    trim: true
+  },
+  // How the unit price was set: typed in, the product's price, or a price list rule
+  pricing: {
+    source: {
+      type: String,
+      enum: ['manual', 'product', 'price_list']
+    },
+    priceList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceList'
+    },
+    priceListName: {
+      type: String,
+      trim: true
+    },
+    rule: {
+      type: String,
+      enum: ['price', 'markup', 'default_markup']
+    },
+    minQuantity: {
+      type: Number
+    },
+    markupPercent: {
+      type: Number
+    }
+  },
+  // Taxes charged on the line; a line without any takes the document's tax
+  taxes: [lineTaxSchema],
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  // Line amount before tax: the total less the tax it includes when prices include tax
+  netAmount: {
+    type: Number
+  },
   total: {
     type: Number,
     default: 0
@@ -35,7 +104,7 @@ const quoteItemSchema = new mongoose.Schema({
 
 // Calculate total before saving
 quoteItemSchema.pre('save', function (next) {
-  this.total = this.quantity * this.unitPrice;
+  applyLineTotals([this]);
   next();
 });
 
@@ -67,6 +136,17 @@ const quoteSchema = new mongoose.Schema({
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
   items: [quoteItemSchema],
+  // Discounts taken off the lines (line totals and the subtotal are net of them)
+  lineDiscountTotal: {
+    type: Number,
+    default: 0
+  },
+  // Coupon code entered to unlock a promotion
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   subtotal: {
     type: Number,
     required: true,
@@ -87,6 +167,24 @@ const quoteSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Tax charged per tax across the lines
+  taxSummary: [taxSummarySchema],
+  // Whether unit prices include tax (follows the company setting when not given)
+  pricesIncludeTax: {
+    type: Boolean,
+    default: null
+  },
+  // Currency the document is in (the company's base currency when not given) and what
+  // one unit of it is worth in base currency, looked up from the company's exchange rates
+  currency: {
+    type: String,
+    enum: CURRENCIES
+  },
+  exchangeRate: {
+    type: Number,
+    default: null,
+    min: [0.000001, 'Exchange rate must be greater than 0']
+  },
   total: {
     type: Number,
     required: true,
@@ -148,17 +246,34 @@ quoteSchema.index({ company: 1, status: 1 });
 quoteSchema.index({ company: 1, createdAt: -1 });
 
 // Calculate totals before saving
-quoteSchema.pre('save', function (next) {
-  // Calculate subtotal
-  this.subtotal = this.items.reduce((sum, item) => sum + item.total, 0);
+quoteSchema.pre('save', async function (next) {
+  try {
+    await resolvePricesIncludeTax(this);
+    await resolveExchangeRate(this, this.createdAt);
 
-  // Calculate tax amount
-  this.taxAmount = (this.subtotal * this.taxRate) / 100;
+    // Calculate item totals, net of line discounts
+    this.lineDiscountTotal = applyLineTotals(this.items);
 
-  // Calculate total
-  this.total = this.subtotal + this.taxAmount;
+    // Calculate tax per line (working out the net amount of tax-inclusive lines)
+    const { taxAmount, taxSummary } = applyLineTaxes(this.items, {
+      defaultTaxes: documentTaxes(this),
+      pricesIncludeTax: this.pricesIncludeTax
+    });
 
-  next();
+    // Calculate subtotal
+    this.subtotal = this.items.reduce((sum, item) => sum + item.netAmount, 0);
+
+    // Calculate tax amount
+    this.taxAmount = taxAmount;
+    this.taxSummary = taxSummary;
+
+    // Calculate total
+    this.total = this.subtotal + this.taxAmount;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
 });
 
 // Check if quote is expired
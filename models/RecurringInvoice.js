@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const { applyLineTotals } = require('../utils/lineTotals');
+const { lineTaxSchema, taxSummarySchema, documentTaxes, applyLineTaxes, resolvePricesIncludeTax } = require('../utils/taxes');
+const { CURRENCIES } = require('../utils/currency');
+
+const FREQUENCY_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+};
+
+const recurringInvoiceSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  items: [{
+    // Catalogue product the line is for (free-text lines have none)
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      default: null
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [200, 'Item name cannot exceed 200 characters']
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    unitPrice: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Line discount: a percentage or a fixed amount off the line
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative']
+    },
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      default: 'percentage'
+    },
+    discountAmount: {
+      type: Number,
+      default: 0
+    },
+    // Taxes charged on the line; a line without any takes the template's tax
+    taxes: [lineTaxSchema],
+    taxAmount: {
+      type: Number,
+      default: 0
+    },
+    // Line amount before tax: the total less the tax it includes when prices include tax
+    netAmount: {
+      type: Number
+    },
+    total: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  lineDiscountTotal: {
+    type: Number,
+    default: 0
+  },
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tax',
+    default: null
+  },
+  taxRate: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxSummary: [taxSummarySchema],
+  // Whether unit prices include tax (follows the company setting when not given)
+  pricesIncludeTax: {
+    type: Boolean,
+    default: null
+  },
+  // Currency of the generated invoices (the company's base currency when not given);
+  // each invoice takes the exchange rate in force on the day it is generated
+  currency: {
+    type: String,
+    enum: CURRENCIES
+  },
+  total: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Schedule
+  frequency: {
+    type: String,
+    enum: ['weekly', 'monthly', 'quarterly', 'yearly'],
+    required: [true, 'Frequency is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  // Days between the invoice date and its due date
+  dueInDays: {
+    type: Number,
+    default: 30,
+    min: [0, 'Due days cannot be negative']
+  },
+  terms: {
+    type: String,
+    default: 'Payment due within 30 days of invoice date.'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Email each generated invoice to the customer and mark it as sent
+  autoSend: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed'],
+    default: 'active'
+  },
+  occurrencesGenerated: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  nextRunDate: {
+    type: Date,
+    default: null
+  },
+  lastRunDate: {
+    type: Date,
+    default: null
+  },
+  // Log of every scheduler run for this template
+  runs: [{
+    runDate: {
+      type: Date,
+      required: true
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null
+    },
+    invoiceNumber: String,
+    status: {
+      type: String,
+      enum: ['generated', 'failed'],
+      required: true
+    },
+    emailSent: {
+      type: Boolean,
+      default: false
+    },
+    error: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Date of the nth occurrence (0-based), anchored to the start date's day of month
+recurringInvoiceSchema.methods.occurrenceDate = function(n) {
+  const date = new Date(this.startDate);
+
+  if (this.frequency === 'weekly') {
+    date.setDate(date.getDate() + 7 * n);
+    return date;
+  }
+
+  const day = date.getDate();
+  date.setDate(1);
+  date.setMonth(date.getMonth() + FREQUENCY_MONTHS[this.frequency] * n);
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  date.setDate(Math.min(day, lastDay));
+  return date;
+};
+
+// Point nextRunDate at the next occurrence, completing the schedule once past the end date
+recurringInvoiceSchema.methods.scheduleNextRun = function() {
+  const next = this.occurrenceDate(this.occurrencesGenerated);
+
+  if (this.endDate && next > this.endDate) {
+    this.nextRunDate = null;
+    this.status = 'completed';
+  } else {
+    this.nextRunDate = next;
+    if (this.status === 'completed') {
+      this.status = 'active';
+    }
+  }
+};
+
+// Upcoming run dates without generating anything
+recurringInvoiceSchema.methods.getUpcomingRuns = function(count = 5) {
+  const runs = [];
+  if (this.status === 'completed') return runs;
+
+  for (let n = this.occurrencesGenerated; runs.length < count; n++) {
+    const runDate = this.occurrenceDate(n);
+    if (this.endDate && runDate > this.endDate) break;
+
+    const dueDate = new Date(runDate);
+    dueDate.setDate(dueDate.getDate() + this.dueInDays);
+    runs.push({ occurrence: n + 1, runDate, dueDate, total: this.total });
+  }
+  return runs;
+};
+
+// Calculate totals (the same way as the invoices it generates) and schedule before saving
+recurringInvoiceSchema.pre('save', async function(next) {
+  try {
+    await resolvePricesIncludeTax(this);
+
+    // Calculate item totals, net of line discounts, and tax per line
+    this.lineDiscountTotal = applyLineTotals(this.items);
+    const { taxAmount, taxSummary } = applyLineTaxes(this.items, {
+      defaultTaxes: documentTaxes(this),
+      pricesIncludeTax: this.pricesIncludeTax
+    });
+
+    this.subtotal = this.items.reduce((sum, item) => sum + item.netAmount, 0);
+    this.taxAmount = taxAmount;
+    this.taxSummary = taxSummary;
+    this.total = this.subtotal + this.taxAmount;
+
+    if (this.endDate && this.endDate < this.startDate) {
+      return next(new Error('End date cannot be before start date'));
+    }
+
+    if (this.isNew || this.isModified('startDate') || this.isModified('frequency') || this.isModified('endDate')) {
+      this.scheduleNextRun();
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Indexes for better performance
+recurringInvoiceSchema.index({ company: 1, createdAt: -1 });
+recurringInvoiceSchema.index({ status: 1, nextRunDate: 1 });
+recurringInvoiceSchema.index({ customer: 1 });
+
+module.exports = mongoose.model('RecurringInvoice', recurringInvoiceSchema);
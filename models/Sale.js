@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { applyLineTotals } = require('../utils/lineTotals');
+const { lineTaxSchema, taxSummarySchema, documentTaxes, applyLineTaxes, resolvePricesIncludeTax, resolveAedExchangeRate } = require('../utils/taxes');
+const { CURRENCIES, resolveExchangeRate } = require('../utils/currency');
 
 const saleItemSchema = new mongoose.Schema({
   product: {
@@ -16,6 +19,21 @@ const saleItemSchema = new mongoose.Schema({
     required: false,
     trim: true
   },
+  // Variant option values when the product is a variant (e.g. Size: M)
+  variantAttributes: [{
+    name: { type: String, trim: true },
+    value: { type: String, trim: true }
+  }],
+  // Unit sold in and how many of the product's base units it holds; stock moves in base units
+  unit: {
+    type: String,
+    trim: true
+  },
+  unitFactor: {
+    type: Number,
+    default: 1,
+    min: [0.0001, 'Unit factor must be greater than 0']
+  },
   quantity: {
     type: Number,
     required: [true, 'Quantity is required'],
@@ -26,11 +44,72 @@ const saleItemSchema = new mongoose.Schema({
     required: [true, 'Unit price is required'],
     min: [0, 'Unit price cannot be negative']
   },
+  // Line discount: a percentage or a fixed amount off the line; promotion is set when a
+  // promotion gave it
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    default: 'percentage'
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    default: null
+  },
+  promotionName: {
+    type: String,
+    trim: true
+  },
+  // How the unit price was set: typed in, the product's price, or a price list rule
+  pricing: {
+    source: {
+      type: String,
+      enum: ['manual', 'product', 'price_list']
+    },
+    priceList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceList'
+    },
+    priceListName: {
+      type: String,
+      trim: true
+    },
+    rule: {
+      type: String,
+      enum: ['price', 'markup', 'default_markup']
+    },
+    minQuantity: {
+      type: Number
+    },
+    markupPercent: {
+      type: Number
+    }
+  },
+  // Taxes charged on the line; a line without any takes the document's tax
+  taxes: [lineTaxSchema],
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  // Line amount before tax: the total less the tax it includes when prices include tax
+  netAmount: {
+    type: Number
+  },
   total: {
     type: Number,
     required: true,
     min: [0, 'Total cannot be negative']
   },
+  // Unit cost drawn from inventory cost layers when the sale was saved
   costPrice: {
     type: Number,
     min: [0, 'Cost price cannot be negative']
@@ -38,7 +117,29 @@ const saleItemSchema = new mongoose.Schema({
   profit: {
     type: Number,
     default: 0
-  }
+  },
+  // Serial numbers of the units sold or returned, for serial-tracked products (one per base unit)
+  serialNumbers: [{
+    type: String,
+    trim: true
+  }],
+  // Lots the stock was picked from (FEFO) for lot-tracked products, in base units
+  lots: [{
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLot'
+    },
+    lotNumber: {
+      type: String,
+      trim: true
+    },
+    expiryDate: {
+      type: Date
+    },
+    quantity: {
+      type: Number
+    }
+  }]
 });
 
 const saleSchema = new mongoose.Schema({
@@ -92,6 +193,42 @@ const saleSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Tax amount cannot be negative']
   },
+  // Tax charged per tax across the lines
+  taxSummary: [taxSummarySchema],
+  // Whether unit prices include tax (follows the company setting when not given)
+  pricesIncludeTax: {
+    type: Boolean,
+    default: null
+  },
+  // Currency the document is in (the company's base currency when not given) and what
+  // one unit of it is worth in base currency, looked up from the company's exchange rates
+  currency: {
+    type: String,
+    enum: CURRENCIES
+  },
+  exchangeRate: {
+    type: Number,
+    default: null,
+    min: [0.000001, 'Exchange rate must be greater than 0']
+  },
+  // AED per unit of the document currency when it was issued, to state VAT in AED
+  aedExchangeRate: {
+    type: Number,
+    default: null,
+    min: [0, 'Exchange rate cannot be negative']
+  },
+  // Discounts taken off the lines (line totals and the subtotal are net of them)
+  lineDiscountTotal: {
+    type: Number,
+    default: 0
+  },
+  // Coupon code entered to unlock a promotion
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Order-level discount, taken off the subtotal
   discount: {
     type: Number,
     default: 0,
@@ -159,6 +296,11 @@ const saleSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Location stock is drawn from (or returned to)
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
   // Credit Note tracking
   creditApplied: {
     type: Number,
@@ -192,45 +334,65 @@ saleSchema.index({ company: 1, status: 1 });
 saleSchema.index({ company: 1, paymentStatus: 1 });
 
 // Pre-save middleware to calculate totals
-saleSchema.pre('save', function(next) {
-  // Calculate item totals
-  this.items.forEach(item => {
-    item.total = item.quantity * item.unitPrice;
-    if (item.costPrice) {
-      item.profit = (item.unitPrice - item.costPrice) * item.quantity;
-    }
-  });
+saleSchema.pre('save', async function(next) {
+  try {
+    await resolvePricesIncludeTax(this);
+    await resolveExchangeRate(this, this.saleDate);
+    await resolveAedExchangeRate(this);
 
-  // Calculate subtotal
-  this.subtotal = this.items.reduce((sum, item) => sum + item.total, 0);
+    // Calculate item totals, net of line discounts, and their net amounts before tax
+    this.lineDiscountTotal = applyLineTotals(this.items);
+    const defaultTaxes = documentTaxes(this);
+    let taxes = applyLineTaxes(this.items, { defaultTaxes, pricesIncludeTax: this.pricesIncludeTax });
+    // Costs are in base currency, so profit is worked out in base currency
+    const rate = this.exchangeRate || 1;
+    this.items.forEach(item => {
+      if (item.costPrice) {
+        item.profit = item.netAmount * rate - item.costPrice * item.quantity;
+      }
+    });
+
+    // Calculate subtotal
+    this.subtotal = this.items.reduce((sum, item) => sum + item.netAmount, 0);
 
-  // Calculate discount
-  let discountAmount = 0;
-  if (this.discount > 0) {
-    if (this.discountType === 'percentage') {
-      discountAmount = (this.subtotal * this.discount) / 100;
-    } else {
-      discountAmount = this.discount;
+    // Calculate discount
+    let discountAmount = 0;
+    if (this.discount > 0) {
+      if (this.discountType === 'percentage') {
+        discountAmount = (this.subtotal * this.discount) / 100;
+      } else {
+        discountAmount = this.discount;
+      }
     }
-  }
 
-  // Calculate tax
-  this.taxAmount = (this.subtotal - discountAmount) * (this.taxRate / 100);
+    // Calculate tax per line, spreading the order discount over the lines
+    if (discountAmount > 0 && this.subtotal > 0) {
+      taxes = applyLineTaxes(this.items, {
+        defaultTaxes,
+        pricesIncludeTax: this.pricesIncludeTax,
+        baseFactor: (this.subtotal - discountAmount) / this.subtotal
+      });
+    }
+    this.taxAmount = taxes.taxAmount;
+    this.taxSummary = taxes.taxSummary;
 
-  // Calculate final total
-  this.total = this.subtotal - discountAmount + this.taxAmount;
+    // Calculate final total
+    this.total = this.subtotal - discountAmount + this.taxAmount;
 
-  // Calculate total cost and profit
-  this.totalCost = this.items.reduce((sum, item) => sum + (item.costPrice * item.quantity), 0);
-  this.totalProfit = this.total - this.totalCost;
+    // Calculate total cost and profit
+    this.totalCost = this.items.reduce((sum, item) => sum + (item.costPrice * item.quantity), 0);
+    this.totalProfit = this.total * rate - this.totalCost;
 
-  // Calculate credit applied
-  this.creditApplied = this.creditNoteRedemptions.reduce((sum, r) => sum + r.amount, 0);
-  
-  // Calculate final payable (total minus credit applied)
-  this.finalPayable = Math.max(0, this.total - this.creditApplied);
+    // Calculate credit applied
+    this.creditApplied = this.creditNoteRedemptions.reduce((sum, r) => sum + r.amount, 0);
 
-  next();
+    // Calculate final payable (total minus credit applied)
+    this.finalPayable = Math.max(0, this.total - this.creditApplied);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
 });
 
 // Method to generate sale number
@@ -259,24 +421,89 @@ saleSchema.statics.generateSaleNumber = async function(companyId) {
 // Method to update stock after sale
 saleSchema.methods.updateStock = async function() {
   const Product = mongoose.model('Product');
+  const SerialNumber = mongoose.model('SerialNumber');
   
   for (const item of this.items) {
     const product = await Product.findById(item.product);
     if (product && product.isTrackable) {
+      const factor = item.unitFactor || 1;
+      const movement = {
+        type: this.isReturn ? 'sale_return' : 'sale',
+        sourceType: 'sale',
+        sourceId: this._id,
+        sourceNumber: this.saleNumber,
+        user: this.createdBy,
+        warehouse: this.warehouse,
+        date: this.saleDate
+      };
+
+      if (item.serialNumbers.length > 0) {
+        await SerialNumber.recordEvent(product, item.serialNumbers, this.isReturn ? 'returned' : 'sold', {
+          ...movement,
+          customer: this.customer,
+          customerName: this.customerName
+        });
+      }
+
       if (this.isReturn) {
-        // Add stock back for returns
-        await product.updateStock(item.quantity, 'add');
+        // Add stock back for returns, at the cost and into the lots it went out from
+        await product.updateStock(item.quantity * factor, 'add', {
+          ...movement,
+          unitCost: item.costPrice !== undefined ? item.costPrice / factor : undefined,
+          lots: item.lots,
+          reason: this.returnReason || 'Sale return'
+        });
       } else {
-        // Subtract stock for sales
-        await product.updateStock(item.quantity, 'subtract');
+        // Subtract stock for sales and keep the cost and lots the sale actually consumed
+        const stockMovement = await product.updateStock(item.quantity * factor, 'subtract', {
+          ...movement,
+          excludeExpired: true,
+          reason: 'Sold'
+        });
+        if (stockMovement) {
+          item.costPrice = Math.round(stockMovement.unitCost * factor * 10000) / 10000;
+          item.lots = stockMovement.lots;
+        }
       }
     }
   }
+
+  if (!this.isReturn) {
+    const rate = this.exchangeRate || 1;
+    this.items.forEach(item => {
+      if (item.costPrice) {
+        item.profit = item.netAmount * rate - item.costPrice * item.quantity;
+      }
+    });
+    this.totalCost = this.items.reduce((sum, item) => sum + ((item.costPrice || 0) * item.quantity), 0);
+    this.totalProfit = this.total * rate - this.totalCost;
+  }
 };
 
-// Pre-save middleware to update stock
+// What the sale moves in stock: the products, quantities, serials and lots of its lines
+const stockSignature = (sale) => JSON.stringify({
+  isReturn: !!sale.isReturn,
+  items: sale.items.map(item => ({
+    product: item.product ? item.product.toString() : null,
+    quantity: item.quantity,
+    unitFactor: item.unitFactor || 1,
+    serialNumbers: [...item.serialNumbers],
+    lots: item.lots.map(lot => ({ lot: lot.lot ? lot.lot.toString() : null, quantity: lot.quantity }))
+  }))
+});
+
+// Remember what the stored sale moved, so saving it again only touches stock when that changed
+saleSchema.post('init', function() {
+  this.$locals.stockSignature = stockSignature(this);
+});
+
+saleSchema.post('save', function() {
+  this.$locals.stockSignature = stockSignature(this);
+});
+
+// Pre-save middleware to update stock (new sales, or edits to what the lines move)
 saleSchema.pre('save', async function(next) {
-  if (this.isNew || this.isModified('items') || this.isModified('isReturn')) {
+  if (this.isNew || this.$locals.stockSignature !== stockSignature(this)) {
     try {
       await this.updateStock();
     } catch (error) {
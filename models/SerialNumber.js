@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+
+// One unit of a serial-tracked product, with every time it changed hands
+const serialNumberSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  serialNumber: {
+    type: String,
+    required: [true, 'Serial number is required'],
+    trim: true,
+    maxlength: [100, 'Serial number cannot exceed 100 characters']
+  },
+  status: {
+    type: String,
+    enum: ['in_stock', 'sold'],
+    default: 'in_stock'
+  },
+  // Where the unit is held while in stock
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  // Sale and customer the unit currently belongs to
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    default: null
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  history: [{
+    event: {
+      type: String,
+      enum: ['received', 'sold', 'returned', 'return_reversed'],
+      required: true
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse'
+    },
+    sourceType: {
+      type: String,
+      trim: true
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    sourceNumber: {
+      type: String,
+      trim: true
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer'
+    },
+    customerName: {
+      type: String,
+      trim: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+serialNumberSchema.index({ company: 1, product: 1, serialNumber: 1 }, { unique: true });
+serialNumberSchema.index({ company: 1, serialNumber: 1 });
+serialNumberSchema.index({ company: 1, sale: 1 });
+
+// Trimmed, non-empty serial numbers
+const normalize = (serials) => (Array.isArray(serials) ? serials : [])
+  .map(serial => String(serial ?? '').trim())
+  .filter(Boolean);
+
+serialNumberSchema.statics.normalize = normalize;
+
+// Why `serials` can't be received as `quantity` base units, or null when they can:
+// one distinct serial per unit, none of them already in stock
+serialNumberSchema.statics.checkReceipt = async function(product, serials, quantity) {
+  const list = normalize(serials);
+  if (!Number.isInteger(quantity) || list.length !== quantity) {
+    return `${product.name} needs one serial number per unit received (${quantity})`;
+  }
+  if (new Set(list).size !== list.length) {
+    return `Duplicate serial numbers for ${product.name}`;
+  }
+
+  const inStock = await this.find({
+    company: product.company,
+    product: product._id,
+    serialNumber: { $in: list },
+    status: 'in_stock'
+  }).select('serialNumber');
+  if (inStock.length > 0) {
+    return `Serial numbers already in stock: ${inStock.map(s => s.serialNumber).join(', ')}`;
+  }
+  return null;
+};
+
+// Why `serials` can't go out on a sale of `quantity` base units, or null when they can:
+// there must be one distinct serial per unit, none of them already sold
+serialNumberSchema.statics.checkSale = async function(product, serials, quantity) {
+  const list = normalize(serials);
+  if (!Number.isInteger(quantity) || list.length !== quantity) {
+    return `${product.name} needs one serial number per unit sold (${quantity})`;
+  }
+  if (new Set(list).size !== list.length) {
+    return `Duplicate serial numbers for ${product.name}`;
+  }
+
+  const sold = await this.find({
+    company: product.company,
+    product: product._id,
+    serialNumber: { $in: list },
+    status: 'sold'
+  }).select('serialNumber');
+  if (sold.length > 0) {
+    return `Serial numbers already sold: ${sold.map(s => s.serialNumber).join(', ')}`;
+  }
+  return null;
+};
+
+// Why `serials` can't come back against `sale` (the line `saleItem` of it), or null when
+// they can: one per unit returned, each sold on that line and not returned since
+serialNumberSchema.statics.checkReturn = async function(product, serials, quantity, sale, saleItem) {
+  const list = normalize(serials);
+  if (!Number.isInteger(quantity) || list.length !== quantity) {
+    return `${product.name} needs one serial number per unit returned (${quantity})`;
+  }
+  if (new Set(list).size !== list.length) {
+    return `Duplicate serial numbers for ${product.name}`;
+  }
+
+  const notOnSale = list.filter(serial => !(saleItem.serialNumbers || []).includes(serial));
+  if (notOnSale.length > 0) {
+    return `Serial numbers not sold on ${sale.saleNumber}: ${notOnSale.join(', ')}`;
+  }
+
+  const held = await this.find({
+    company: product.company,
+    product: product._id,
+    serialNumber: { $in: list },
+    status: 'sold',
+    sale: sale._id
+  }).select('serialNumber');
+  const returned = list.filter(serial => !held.some(s => s.serialNumber === serial));
+  if (returned.length > 0) {
+    return `Serial numbers already returned: ${returned.join(', ')}`;
+  }
+  return null;
+};
+
+// Record an event on each serial, registering serials seen for the first time.
+// `source` is { date, warehouse, sourceType, sourceId, sourceNumber, customer, customerName, user },
+// plus saleId when a reversed return puts the serial back on its sale.
+serialNumberSchema.statics.recordEvent = async function(product, serials, event, source = {}) {
+  const list = normalize(serials);
+  const existing = await this.find({
+    company: product.company,
+    product: product._id,
+    serialNumber: { $in: list }
+  });
+
+  const records = [];
+  for (const serialNumber of list) {
+    const record = existing.find(s => s.serialNumber === serialNumber) || new this({
+      company: product.company,
+      product: product._id,
+      serialNumber
+    });
+
+    // A sale saved again (e.g. edited) doesn't sell its serials twice
+    if (event === 'sold' && record.status === 'sold' && record.sale?.toString() === source.sourceId?.toString()) {
+      continue;
+    }
+
+    if (event === 'sold' || event === 'return_reversed') {
+      record.status = 'sold';
+      record.sale = source.saleId || source.sourceId;
+      record.customer = source.customer || null;
+    } else {
+      record.status = 'in_stock';
+      record.sale = null;
+      record.customer = null;
+      record.warehouse = source.warehouse;
+    }
+
+    record.history.push({
+      event,
+      date: source.date || new Date(),
+      warehouse: source.warehouse,
+      sourceType: source.sourceType,
+      sourceId: source.sourceId,
+      sourceNumber: source.sourceNumber,
+      customer: source.customer,
+      customerName: source.customerName,
+      user: source.user
+    });
+    await record.save();
+    records.push(record);
+  }
+  return records;
+};
+
+module.exports = mongoose.model('SerialNumber', serialNumberSchema);
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+
+const countItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    trim: true
+  },
+  productSku: {
+    type: String,
+    trim: true
+  },
+  barcode: {
+    type: String,
+    trim: true
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Quantity at the location when the session was opened
+  expectedQuantity: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  // Null until the item has been counted
+  countedQuantity: {
+    type: Number,
+    min: [0, 'Counted quantity cannot be negative'],
+    default: null
+  },
+  // Cost price when the session was opened, used to value variances
+  costPrice: {
+    type: Number,
+    default: 0
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  countedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Stock adjustment written when the session was posted, and its inventory cost
+  adjustmentQuantity: {
+    type: Number,
+    default: 0
+  },
+  adjustmentCost: {
+    type: Number,
+    default: 0
+  }
+});
+
+countItemSchema.virtual('variance').get(function() {
+  if (this.countedQuantity === null || this.countedQuantity === undefined) return null;
+  return Math.round((this.countedQuantity - this.expectedQuantity) * 1000) / 1000;
+});
+
+countItemSchema.virtual('varianceValue').get(function() {
+  if (this.variance === null) return null;
+  return Math.round(this.variance * (this.costPrice || 0) * 100) / 100;
+});
+
+countItemSchema.set('toJSON', { virtuals: true });
+countItemSchema.set('toObject', { virtuals: true });
+
+const stockCountSchema = new mongoose.Schema({
+  countNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // Location being counted
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'Location is required']
+  },
+  // Limit the count to one product category (all categories when empty)
+  category: {
+    type: String,
+    trim: true
+  },
+  // open -> submitted -> approved -> posted; a rejected submission goes back to open
+  status: {
+    type: String,
+    enum: ['open', 'submitted', 'approved', 'posted', 'cancelled'],
+    default: 'open'
+  },
+  items: [countItemSchema],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: {
+    type: Date
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  // Manager's comments when sending a submission back for recounting
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review notes cannot exceed 1000 characters']
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  postedAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelReason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+stockCountSchema.index({ company: 1, status: 1 });
+stockCountSchema.index({ company: 1, warehouse: 1, createdAt: -1 });
+
+// Progress and variance totals for the session
+stockCountSchema.methods.getSummary = function() {
+  const counted = this.items.filter(item => item.variance !== null);
+  const withVariance = counted.filter(item => item.variance !== 0);
+  const sum = (list, fn) => Math.round(list.reduce((total, item) => total + fn(item), 0) * 100) / 100;
+
+  return {
+    totalItems: this.items.length,
+    countedItems: counted.length,
+    uncountedItems: this.items.length - counted.length,
+    itemsWithVariance: withVariance.length,
+    varianceQuantity: sum(withVariance, item => item.variance),
+    gainValue: sum(withVariance.filter(item => item.varianceValue > 0), item => item.varianceValue),
+    lossValue: sum(withVariance.filter(item => item.varianceValue < 0), item => -item.varianceValue),
+    varianceValue: sum(withVariance, item => item.varianceValue)
+  };
+};
+
+// Pre-save middleware to generate the count number
+stockCountSchema.pre('save', async function(next) {
+  try {
+    if (this.isNew && !this.countNumber) {
+      const Company = mongoose.model('Company');
+      const { company, sequence } = await Company.nextSequence(this.company, 'nextCountNumber');
+
+      if (!company) {
+        return next(new Error('Company not found for stock count numbering'));
+      }
+
+      const prefix = company.settings?.countPrefix || 'CNT';
+      this.countNumber = `${prefix}-${sequence.toString().padStart(6, '0')}`;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Ensure virtual fields are serialized
+stockCountSchema.set('toJSON', { virtuals: true });
+stockCountSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('StockCount', stockCountSchema);
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+
+// Stock received without lot details (or held before lot tracking was switched on)
+const UNASSIGNED_LOT = 'UNASSIGNED';
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+// Quantity of one lot of a lot-tracked product held at one location
+const stockLotSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  lotNumber: {
+    type: String,
+    required: [true, 'Lot number is required'],
+    trim: true,
+    maxlength: [100, 'Lot number cannot exceed 100 characters']
+  },
+  manufactureDate: {
+    type: Date,
+    default: null
+  },
+  expiryDate: {
+    type: Date,
+    default: null
+  },
+  // On hand at this location, in the product's base unit
+  quantity: {
+    type: Number,
+    min: [0, 'Lot quantity cannot be negative'],
+    default: 0
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0
+  },
+  receivedDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Document the lot first arrived on
+  sourceType: {
+    type: String,
+    trim: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sourceNumber: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+stockLotSchema.index({ company: 1, product: 1, warehouse: 1, lotNumber: 1 }, { unique: true });
+stockLotSchema.index({ company: 1, expiryDate: 1, quantity: 1 });
+
+stockLotSchema.virtual('isExpired').get(function() {
+  return !!this.expiryDate && this.expiryDate < new Date();
+});
+
+// First-expiry-first-out: earliest expiry first, lots without an expiry last,
+// then the oldest receipt
+const fefo = (a, b) => {
+  const aExpiry = a.expiryDate ? a.expiryDate.getTime() : Infinity;
+  const bExpiry = b.expiryDate ? b.expiryDate.getTime() : Infinity;
+  if (aExpiry !== bExpiry) return aExpiry - bExpiry;
+  return (a.receivedDate || 0) - (b.receivedDate || 0);
+};
+
+const allocation = (lot, quantity) => ({
+  lot: lot._id,
+  lotNumber: lot.lotNumber,
+  manufactureDate: lot.manufactureDate,
+  expiryDate: lot.expiryDate,
+  quantity: round4(quantity)
+});
+
+// Lots of a product at a location that still hold stock, in FEFO order
+stockLotSchema.statics.availableLots = async function(product, warehouseId) {
+  const lots = await this.find({
+    company: product.company,
+    product: product._id,
+    warehouse: warehouseId,
+    quantity: { $gt: 0 }
+  });
+  return lots.sort(fefo);
+};
+
+// Quantity in expired lots at a location (not sellable)
+stockLotSchema.statics.expiredQuantity = async function(product, warehouseId) {
+  const lots = await this.availableLots(product, warehouseId);
+  return round4(lots.filter(lot => lot.isExpired).reduce((sum, lot) => sum + lot.quantity, 0));
+};
+
+// Put `quantity` into lots at a location. `lots` ([{ lotNumber, manufactureDate,
+// expiryDate, quantity }]) are filled in order; a single lot without a quantity takes
+// everything, and whatever is left over goes to the unassigned lot.
+// Resolves to the allocations made.
+stockLotSchema.statics.receive = async function(product, warehouseId, quantity, lots = [], source = {}) {
+  let remaining = round4(quantity);
+  const allocations = [];
+
+  const entries = (lots || []).filter(entry => entry && entry.lotNumber);
+  for (const [index, entry] of entries.entries()) {
+    if (remaining <= 0) break;
+    const wanted = entry.quantity === undefined && entries.length === 1 && index === 0
+      ? remaining
+      : Number(entry.quantity) || 0;
+    const amount = round4(Math.min(wanted, remaining));
+    if (amount <= 0) continue;
+
+    allocations.push(await this.addToLot(product, warehouseId, entry, amount, source));
+    remaining = round4(remaining - amount);
+  }
+
+  if (remaining > 0) {
+    allocations.push(await this.addToLot(product, warehouseId, { lotNumber: UNASSIGNED_LOT }, remaining, source));
+  }
+
+  return allocations;
+};
+
+// Add to a lot at a location, creating it on first receipt
+stockLotSchema.statics.addToLot = async function(product, warehouseId, entry, quantity, source = {}) {
+  const lot = await this.findOneAndUpdate(
+    {
+      company: product.company,
+      product: product._id,
+      warehouse: warehouseId,
+      lotNumber: entry.lotNumber.trim()
+    },
+    {
+      $inc: { quantity, receivedQuantity: quantity },
+      $setOnInsert: {
+        manufactureDate: entry.manufactureDate || null,
+        expiryDate: entry.expiryDate || null,
+        receivedDate: source.date || new Date(),
+        sourceType: source.sourceType,
+        sourceId: source.sourceId,
+        sourceNumber: source.sourceNumber
+      }
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+  return allocation(lot, quantity);
+};
+
+// Take `quantity` out of the lots at a location, FEFO. Lots named in `options.lots`
+// (by lotNumber) go first; `options.excludeExpired` leaves expired lots alone.
+// Resolves to the allocations made; stock not held in any lot isn't allocated.
+stockLotSchema.statics.pick = async function(product, warehouseId, quantity, options = {}) {
+  const preferred = (options.lots || []).map(entry => entry.lotNumber).filter(Boolean);
+  let lots = await this.availableLots(product, warehouseId);
+  if (options.excludeExpired) {
+    lots = lots.filter(lot => !lot.isExpired);
+  }
+  lots.sort((a, b) => {
+    const aPreferred = preferred.includes(a.lotNumber) ? 0 : 1;
+    const bPreferred = preferred.includes(b.lotNumber) ? 0 : 1;
+    return aPreferred - bPreferred;
+  });
+
+  let remaining = round4(quantity);
+  const allocations = [];
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+    const amount = round4(Math.min(remaining, lot.quantity));
+    lot.quantity = round4(lot.quantity - amount);
+    await lot.save();
+    allocations.push(allocation(lot, amount));
+    remaining = round4(remaining - amount);
+  }
+
+  return allocations;
+};
+
+// Move `quantity` of a product's lots between locations, FEFO
+stockLotSchema.statics.transfer = async function(product, fromWarehouseId, toWarehouseId, quantity, source = {}) {
+  const picked = await this.pick(product, fromWarehouseId, quantity);
+  const received = await this.receive(product, toWarehouseId, quantity, picked, source);
+  return { picked, received };
+};
+
+stockLotSchema.set('toJSON', { virtuals: true });
+stockLotSchema.set('toObject', { virtuals: true });
+
+const StockLot = mongoose.model('StockLot', stockLotSchema);
+StockLot.UNASSIGNED_LOT = UNASSIGNED_LOT;
+
+module.exports = StockLot;
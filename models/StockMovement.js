@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+// One row per change to a product's stock quantity
+const stockMovementSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['opening', 'sale', 'sale_return', 'credit_note', 'credit_note_reversal', 'purchase_receipt', 'adjustment', 'transfer_in', 'transfer_out', 'stock_count'],
+    default: 'adjustment'
+  },
+  // Location the stock moved in or out of
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  // Signed change at the location: positive for stock in, negative for stock out
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Product totals across all locations
+  quantityBefore: {
+    type: Number,
+    required: true
+  },
+  quantityAfter: {
+    type: Number,
+    required: true
+  },
+  locationQuantityBefore: {
+    type: Number
+  },
+  locationQuantityAfter: {
+    type: Number
+  },
+  // Inventory cost of the quantity moved (layers consumed, or the cost received)
+  unitCost: {
+    type: Number
+  },
+  totalCost: {
+    type: Number
+  },
+  // Lots moved, for lot-tracked products (quantities in the base unit)
+  lots: [{
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLot'
+    },
+    lotNumber: {
+      type: String,
+      trim: true
+    },
+    expiryDate: {
+      type: Date
+    },
+    quantity: {
+      type: Number
+    }
+  }],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Document that caused the movement
+  sourceType: {
+    type: String,
+    enum: ['manual', 'product', 'sale', 'credit_note', 'purchase_order', 'stock_transfer', 'stock_count'],
+    default: 'manual'
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sourceNumber: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+stockMovementSchema.index({ company: 1, product: 1, createdAt: -1 });
+stockMovementSchema.index({ company: 1, sourceType: 1, sourceId: 1 });
+stockMovementSchema.index({ company: 1, warehouse: 1, createdAt: -1 });
+
+// Log a stock change on a product. `movement` describes why it happened:
+// { type, reason, sourceType, sourceId, sourceNumber, user, unitCost, totalCost, lots } plus,
+// for a location, { warehouse, locationQuantityBefore, locationQuantityAfter }
+stockMovementSchema.statics.record = function(product, quantityBefore, movement = {}) {
+  const atLocation = movement.locationQuantityAfter !== undefined;
+  const change = Math.round((atLocation
+    ? movement.locationQuantityAfter - movement.locationQuantityBefore
+    : product.stockQuantity - quantityBefore) * 1000) / 1000;
+  if (change === 0) return null;
+
+  return this.create({
+    company: product.company,
+    product: product._id,
+    type: movement.type || 'adjustment',
+    warehouse: movement.warehouse,
+    quantity: change,
+    quantityBefore,
+    quantityAfter: product.stockQuantity,
+    locationQuantityBefore: movement.locationQuantityBefore,
+    locationQuantityAfter: movement.locationQuantityAfter,
+    unitCost: movement.unitCost,
+    totalCost: movement.totalCost,
+    lots: movement.lots,
+    reason: movement.reason,
+    sourceType: movement.sourceType || 'manual',
+    sourceId: movement.sourceId,
+    sourceNumber: movement.sourceNumber,
+    createdBy: movement.user
+  });
+};
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
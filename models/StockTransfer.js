@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  fromWarehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'Source location is required']
+  },
+  toWarehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'Destination location is required']
+  },
+  transferDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  items: {
+    type: [{
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+      },
+      productName: {
+        type: String,
+        trim: true
+      },
+      productSku: {
+        type: String,
+        trim: true
+      },
+      unit: {
+        type: String,
+        trim: true
+      },
+      quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        min: [0.01, 'Quantity must be greater than 0']
+      }
+    }],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A transfer needs at least one item'
+    }
+  },
+  // Transfers move stock when created; cancelling moves it back
+  status: {
+    type: String,
+    enum: ['completed', 'cancelled'],
+    default: 'completed'
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+stockTransferSchema.index({ company: 1, transferDate: -1 });
+stockTransferSchema.index({ company: 1, fromWarehouse: 1 });
+stockTransferSchema.index({ company: 1, toWarehouse: 1 });
+
+// Pre-save middleware: check the locations differ and generate the transfer number
+stockTransferSchema.pre('save', async function(next) {
+  try {
+    if (this.fromWarehouse && this.toWarehouse && this.fromWarehouse.toString() === this.toWarehouse.toString()) {
+      return next(new Error('Source and destination locations must be different'));
+    }
+
+    if (this.isNew && !this.transferNumber) {
+      const Company = mongoose.model('Company');
+      const { company, sequence } = await Company.nextSequence(this.company, 'nextTransferNumber');
+
+      if (!company) {
+        return next(new Error('Company not found for transfer numbering'));
+      }
+
+      const prefix = company.settings?.transferPrefix || 'TRF';
+      this.transferNumber = `${prefix}-${sequence.toString().padStart(6, '0')}`;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
@@ -13,6 +13,17 @@ const taxSchema = new mongoose.Schema({
     min: [0, 'Tax percentage cannot be negative'],
     max: [100, 'Tax percentage cannot exceed 100%']
   },
+  // Compound taxes are charged on the amount plus the other taxes of the line
+  isCompound: {
+    type: Boolean,
+    default: false
+  },
+  // How supplies under this tax are reported on the VAT return
+  vatCategory: {
+    type: String,
+    enum: ['standard', 'zero_rated', 'exempt', 'out_of_scope'],
+    default: 'standard'
+  },
   description: {
     type: String,
     trim: true,
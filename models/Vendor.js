@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CURRENCIES } = require('../utils/currency');
 
 const vendorSchema = new mongoose.Schema({
   name: {
@@ -70,7 +71,7 @@ const vendorSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    enum: ['USD', 'EUR', 'GBP', 'AED', 'CAD', 'AUD'],
+    enum: CURRENCIES,
     default: 'USD'
   },
   status: {
@@ -120,6 +121,18 @@ vendorSchema.virtual('fullAddress').get(function() {
   return parts.join(', ');
 });
 
+// Days until a bill falls due under the vendor's payment terms.
+// Custom terms count only when they contain a number of days (e.g. "Net 90"); otherwise null.
+vendorSchema.methods.getPaymentTermDays = function() {
+  const standardTerms = { 'Net 15': 15, 'Net 30': 30, 'Net 45': 45, 'Net 60': 60, 'Due on Receipt': 0 };
+  if (this.paymentTerms in standardTerms) {
+    return standardTerms[this.paymentTerms];
+  }
+
+  const match = (this.customPaymentTerms || '').match(/(\d+)/);
+  return match ? parseInt(match[1]) : null;
+};
+
 // Virtual for contact person full info
 vendorSchema.virtual('contactPersonInfo').get(function() {
   const contact = this.contactPerson;
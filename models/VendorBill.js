@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const { CURRENCIES, resolveExchangeRate } = require('../utils/currency');
+
+const billItemSchema = new mongoose.Schema({
+  // Purchase order line being billed; empty for extra charges such as freight
+  poItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  name: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0.01, 'Quantity must be greater than 0']
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price must be non-negative']
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  // What the purchase order said, kept to show quantity and price variances
+  orderedQuantity: {
+    type: Number,
+    default: null
+  },
+  orderedUnitPrice: {
+    type: Number,
+    default: null
+  }
+});
+
+const billPaymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Payment amount must be greater than 0']
+  },
+  paymentDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'check', 'bank_transfer', 'credit_card', 'other'],
+    default: 'bank_transfer'
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+const vendorBillSchema = new mongoose.Schema({
+  billNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // The vendor's own invoice number
+  vendorInvoiceNumber: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Vendor invoice number cannot exceed 100 characters']
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor is required']
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: [true, 'Purchase order is required']
+  },
+  poNumber: {
+    type: String,
+    trim: true
+  },
+  billDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  // Vendor payment terms at the time the bill was entered
+  paymentTerms: {
+    type: String,
+    trim: true
+  },
+  items: {
+    type: [billItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A bill needs at least one item'
+    }
+  },
+  // Currency and rate to base currency of the purchase order
+  currency: {
+    type: String,
+    enum: CURRENCIES
+  },
+  exchangeRate: {
+    type: Number,
+    default: null,
+    min: [0.000001, 'Exchange rate must be greater than 0']
+  },
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Subtotal must be non-negative']
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate must be non-negative'],
+    max: [100, 'Tax rate cannot exceed 100%']
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax amount must be non-negative']
+  },
+  total: {
+    type: Number,
+    default: 0,
+    min: [0, 'Total must be non-negative']
+  },
+  payments: [billPaymentSchema],
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'partially_paid', 'paid', 'void'],
+    default: 'open'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  voidReason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+vendorBillSchema.index({ company: 1, billDate: -1 });
+vendorBillSchema.index({ company: 1, vendor: 1, status: 1 });
+vendorBillSchema.index({ company: 1, purchaseOrder: 1 });
+vendorBillSchema.index({ company: 1, dueDate: 1 });
+
+// Past its due date with money still owed
+vendorBillSchema.virtual('isOverdue').get(function() {
+  return ['open', 'partially_paid'].includes(this.status) && this.dueDate < new Date();
+});
+
+// Pre-save middleware: calculate totals, payment status and bill number
+vendorBillSchema.pre('save', async function(next) {
+  try {
+    const round2 = value => Math.round(value * 100) / 100;
+
+    await resolveExchangeRate(this, this.billDate);
+
+    this.items.forEach(item => {
+      item.total = round2(item.quantity * item.unitPrice);
+    });
+
+    this.subtotal = round2(this.items.reduce((sum, item) => sum + item.total, 0));
+    this.taxAmount = round2((this.subtotal * this.taxRate) / 100);
+    this.total = round2(this.subtotal + this.taxAmount);
+
+    this.paidAmount = round2(this.payments.reduce((sum, payment) => sum + payment.amount, 0));
+    if (this.paidAmount - this.total > 0.005) {
+      return next(new Error(`Payments (${this.paidAmount.toFixed(2)}) exceed the bill total (${this.total.toFixed(2)})`));
+    }
+
+    // A voided bill is no longer owed
+    this.balanceDue = this.status === 'void' ? 0 : Math.max(0, round2(this.total - this.paidAmount));
+
+    if (this.status !== 'void') {
+      if (this.balanceDue <= 0) {
+        this.status = 'paid';
+      } else if (this.paidAmount > 0) {
+        this.status = 'partially_paid';
+      } else {
+        this.status = 'open';
+      }
+    }
+
+    if (this.isNew && !this.billNumber) {
+      const Company = mongoose.model('Company');
+      const { company, sequence } = await Company.nextSequence(this.company, 'nextBillNumber');
+
+      if (!company) {
+        return next(new Error('Company not found for bill numbering'));
+      }
+
+      const prefix = company.settings?.billPrefix || 'BILL';
+      this.billNumber = `${prefix}-${sequence.toString().padStart(6, '0')}`;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('VendorBill', vendorBillSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const warehouseSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Warehouse name is required'],
+    trim: true,
+    maxlength: [100, 'Warehouse name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Warehouse code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Warehouse code cannot exceed 20 characters']
+  },
+  type: {
+    type: String,
+    enum: ['warehouse', 'store_room', 'shop', 'other'],
+    default: 'warehouse'
+  },
+  address: {
+    street: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    zipCode: { type: String, trim: true },
+    country: { type: String, trim: true }
+  },
+  // Where stock goes when a document doesn't name a location
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+warehouseSchema.index({ company: 1, code: 1 }, { unique: true });
+warehouseSchema.index({ company: 1, isActive: 1 });
+
+// The company's default location, created on first use so stock recorded before
+// locations existed has somewhere to live
+warehouseSchema.statics.getDefault = async function(companyId) {
+  const existing = await this.findOne({ company: companyId, isDefault: true });
+  if (existing) return existing;
+
+  try {
+    return await this.create({
+      company: companyId,
+      name: 'Main Warehouse',
+      code: 'MAIN',
+      isDefault: true
+    });
+  } catch (error) {
+    // Another request seeded it first
+    if (error.code === 11000) {
+      return this.findOne({ company: companyId, $or: [{ isDefault: true }, { code: 'MAIN' }] });
+    }
+    throw error;
+  }
+};
+
+// Resolve a location named on a document: the company's default when none is given,
+// null when the id doesn't belong to an active location of this company
+warehouseSchema.statics.resolveForCompany = async function(companyId, warehouseId) {
+  if (!warehouseId) {
+    return this.getDefault(companyId);
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(warehouseId)) {
+    return null;
+  }
+
+  return this.findOne({ _id: warehouseId, company: companyId, isActive: true });
+};
+
+module.exports = mongoose.model('Warehouse', warehouseSchema);
@@ -0,0 +1,276 @@
+const express = require('express');
+const router = express.Router();
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+const { authenticateToken, requireRole, requireSameCompany } = require('../middleware/auth');
+
+// Get chart of accounts with balances
+router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const companyId = req.user.company._id;
+    await Account.ensureDefaultAccounts(companyId);
+
+    const filters = { company: companyId };
+    if (req.query.type) {
+      filters.type = req.query.type;
+    }
+    if (req.query.includeInactive !== 'true') {
+      filters.isActive = true;
+    }
+
+    const accounts = await Account.find(filters).sort({ code: 1 });
+
+    // Sum debits and credits per account, optionally as of a date
+    const match = { company: companyId };
+    if (req.query.asOf) {
+      const asOf = new Date(req.query.asOf);
+      asOf.setHours(23, 59, 59, 999);
+      match.date = { $lte: asOf };
+    }
+
+    const balances = await JournalEntry.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$lines.account',
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+
+    const balanceMap = {};
+    balances.forEach(b => {
+      balanceMap[b._id.toString()] = b;
+    });
+
+    res.json({
+      accounts: accounts.map(account => {
+        const totals = balanceMap[account._id.toString()] || { debit: 0, credit: 0 };
+        const net = totals.debit - totals.credit;
+        return {
+          ...account.toJSON(),
+          totalDebit: totals.debit,
+          totalCredit: totals.credit,
+          balance: account.normalBalance === 'debit' ? net : -net
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    res.status(500).json({ message: 'Failed to fetch accounts' });
+  }
+});
+
+// Get account ledger (journal lines with running balance)
+router.get('/:id/ledger', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const account = await Account.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const sign = account.normalBalance === 'debit' ? 1 : -1;
+    const dateFilter = {};
+    let openingBalance = 0;
+
+    if (req.query.startDate) {
+      const startDate = new Date(req.query.startDate);
+      startDate.setHours(0, 0, 0, 0);
+      dateFilter.$gte = startDate;
+
+      const opening = await JournalEntry.aggregate([
+        { $match: { company: req.user.company._id, date: { $lt: startDate } } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': account._id } },
+        { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+      ]);
+      if (opening[0]) {
+        openingBalance = sign * (opening[0].debit - opening[0].credit);
+      }
+    }
+    if (req.query.endDate) {
+      const endDate = new Date(req.query.endDate);
+      endDate.setHours(23, 59, 59, 999);
+      dateFilter.$lte = endDate;
+    }
+
+    const match = { company: req.user.company._id, 'lines.account': account._id };
+    if (Object.keys(dateFilter).length > 0) {
+      match.date = dateFilter;
+    }
+
+    const entries = await JournalEntry.find(match).sort({ date: 1, createdAt: 1 }).lean();
+
+    let runningBalance = openingBalance;
+    const lines = [];
+    entries.forEach(entry => {
+      entry.lines
+        .filter(line => line.account.toString() === account._id.toString())
+        .forEach(line => {
+          runningBalance += sign * (line.debit - line.credit);
+          lines.push({
+            journalEntry: entry._id,
+            entryNumber: entry.entryNumber,
+            date: entry.date,
+            description: line.description || entry.description,
+            sourceType: entry.sourceType,
+            sourceId: entry.sourceId,
+            sourceNumber: entry.sourceNumber,
+            debit: line.debit,
+            credit: line.credit,
+            balance: runningBalance
+          });
+        });
+    });
+
+    res.json({
+      account,
+      openingBalance,
+      lines,
+      closingBalance: runningBalance
+    });
+  } catch (error) {
+    console.error('Get account ledger error:', error);
+    res.status(500).json({ message: 'Failed to fetch account ledger' });
+  }
+});
+
+// Get single account
+router.get('/:id', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const account = await Account.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    res.json({ account });
+  } catch (error) {
+    console.error('Get account error:', error);
+    res.status(500).json({ message: 'Failed to fetch account' });
+  }
+});
+
+// Create custom account
+router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const { code, name, type, isContra, description } = req.body;
+
+    const existing = await Account.findOne({ company: req.user.company._id, code });
+    if (existing) {
+      return res.status(400).json({ message: `Account code ${code} already exists` });
+    }
+
+    const account = new Account({
+      company: req.user.company._id,
+      code,
+      name,
+      type,
+      isContra: !!isContra,
+      description
+    });
+    await account.save();
+
+    res.status(201).json({ account });
+  } catch (error) {
+    console.error('Create account error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to create account' });
+  }
+});
+
+// Update account
+router.put('/:id', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const account = await Account.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const { code, name, description, isActive } = req.body;
+
+    if (code && code !== account.code) {
+      const existing = await Account.findOne({ company: req.user.company._id, code });
+      if (existing) {
+        return res.status(400).json({ message: `Account code ${code} already exists` });
+      }
+      account.code = code;
+    }
+    if (name !== undefined) account.name = name;
+    if (description !== undefined) account.description = description;
+
+    // Type and contra flag are fixed once created; system accounts cannot be deactivated
+    if (isActive !== undefined) {
+      if (account.systemKey && !isActive) {
+        return res.status(400).json({ message: 'System accounts cannot be deactivated' });
+      }
+      account.isActive = isActive;
+    }
+
+    await account.save();
+
+    res.json({ account });
+  } catch (error) {
+    console.error('Update account error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to update account' });
+  }
+});
+
+// Delete account (only custom accounts without postings)
+router.delete('/:id', authenticateToken, requireRole('admin'), requireSameCompany, async (req, res) => {
+  try {
+    const account = await Account.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    if (account.systemKey) {
+      return res.status(400).json({ message: 'System accounts cannot be deleted' });
+    }
+
+    const hasPostings = await JournalEntry.exists({
+      company: req.user.company._id,
+      'lines.account': account._id
+    });
+    if (hasPostings) {
+      return res.status(400).json({ message: 'Cannot delete an account that has journal postings. Deactivate it instead.' });
+    }
+
+    await Account.findByIdAndDelete(account._id);
+
+    res.json({ message: 'Account deleted successfully' });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Failed to delete account' });
+  }
+});
+
+module.exports = router;
@@ -337,7 +337,7 @@ router.get('/stats', authenticateToken, requireSameCompany, async (req, res) =>
         { $group: { 
           _id: null, 
           totalQuotes: { $sum: 1 },
-          totalQuoteValue: { $sum: '$total' },
+          totalQuoteValue: { $sum: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } },
           acceptedQuotes: { $sum: { $cond: [{ $eq: ['$status', 'accepted'] }, 1, 0] } }
         }}
       ]),
@@ -355,7 +355,7 @@ router.get('/stats', authenticateToken, requireSameCompany, async (req, res) =>
       { $match: { company: companyId } },
       { $group: { 
         _id: '$customer', 
-        totalValue: { $sum: '$total' }
+        totalValue: { $sum: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } }
       }},
       { $group: { 
         _id: null, 
@@ -5,9 +5,14 @@ const CreditNote = require('../models/CreditNote');
 const Invoice = require('../models/Invoice');
 const Sale = require('../models/Sale');
 const Product = require('../models/Product');
+const Warehouse = require('../models/Warehouse');
+const SerialNumber = require('../models/SerialNumber');
 const Customer = require('../models/Customer');
 const Company = require('../models/Company');
 const { authenticateToken, requireRole, requireSameCompany } = require('../middleware/auth');
+const { postCreditNote, reverseCreditNote } = require('../utils/ledger');
+const { buildCreditNoteUBL } = require('../utils/ubl');
+const { currencyCondition } = require('../utils/currency');
 
 // Get all credit notes with pagination and filtering
 router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
@@ -82,9 +87,9 @@ router.get('/stats/overview', authenticateToken, requireSameCompany, async (req,
         $group: {
           _id: null,
           totalCreditNotes: { $sum: 1 },
-          totalCreditAmount: { $sum: '$creditAmount' },
+          totalCreditAmount: { $sum: { $multiply: ['$creditAmount', { $ifNull: ['$exchangeRate', 1] }] } },
           totalUsed: { $sum: '$usedAmount' },
-          totalOutstanding: { $sum: '$remainingBalance' }
+          totalOutstanding: { $sum: { $multiply: ['$remainingBalance', { $ifNull: ['$exchangeRate', 1] }] } }
         }
       }
     ]);
@@ -95,8 +100,8 @@ router.get('/stats/overview', authenticateToken, requireSameCompany, async (req,
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          amount: { $sum: '$creditAmount' },
-          remaining: { $sum: '$remainingBalance' }
+          amount: { $sum: { $multiply: ['$creditAmount', { $ifNull: ['$exchangeRate', 1] }] } },
+          remaining: { $sum: { $multiply: ['$remainingBalance', { $ifNull: ['$exchangeRate', 1] }] } }
         }
       }
     ]);
@@ -143,7 +148,8 @@ router.get('/reports/outstanding', authenticateToken, requireSameCompany, async
       {
         $group: {
           _id: '$customer',
-          totalOutstanding: { $sum: '$remainingBalance' },
+          // In base currency
+          totalOutstanding: { $sum: { $multiply: ['$remainingBalance', { $ifNull: ['$exchangeRate', 1] }] } },
           creditNoteCount: { $sum: 1 }
         }
       },
@@ -201,9 +207,10 @@ router.get('/customer/:customerId/balance', authenticateToken, requireSameCompan
       {
         $group: {
           _id: null,
-          totalCredit: { $sum: '$creditAmount' },
-          totalUsed: { $sum: '$usedAmount' },
-          remainingBalance: { $sum: '$remainingBalance' }
+          // In base currency
+          totalCredit: { $sum: { $multiply: ['$creditAmount', { $ifNull: ['$exchangeRate', 1] }] } },
+          totalUsed: { $sum: { $multiply: ['$usedAmount', { $ifNull: ['$exchangeRate', 1] }] } },
+          remainingBalance: { $sum: { $multiply: ['$remainingBalance', { $ifNull: ['$exchangeRate', 1] }] } }
         }
       }
     ]);
@@ -302,6 +309,15 @@ router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSame
       return res.status(400).json({ message: 'Invalid source type. Must be "invoice" or "sale".' });
     }
 
+    // Returned stock goes back to the given location, else where a sale drew it from
+    const warehouse = await Warehouse.resolveForCompany(
+      req.user.company._id,
+      req.body.warehouse || (sourceType === 'sale' ? source.warehouse : null)
+    );
+    if (!warehouse) {
+      return res.status(400).json({ message: 'Invalid warehouse selected' });
+    }
+
     // Find existing credit notes for this source to check already-returned quantities
     const existingCNs = await CreditNote.find({
       company: req.user.company._id,
@@ -359,28 +375,38 @@ router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSame
         });
       }
 
-      const unitPrice = sourceType === 'invoice' ? sourceItem.unitPrice : sourceItem.unitPrice;
+      // Serials captured on the sale must come back by serial, and only ones it sold
+      let serialNumbers = [];
+      if (sourceType === 'sale' && sourceItem.serialNumbers?.length > 0) {
+        const product = await Product.findOne({ _id: sourceItem.product, company: req.user.company._id });
+        serialNumbers = SerialNumber.normalize(returnItem.serialNumbers);
+        const serialError = product && await SerialNumber.checkReturn(product, serialNumbers,
+          returnItem.quantity * (sourceItem.unitFactor || 1), source, sourceItem);
+        if (serialError) {
+          return res.status(400).json({ message: serialError });
+        }
+      }
+
+      // Credit the price actually charged, net of any line discount or promotion and of
+      // tax when the source's prices included it (the credit note adds its tax back)
+      const unitPrice = (sourceItem.discountAmount > 0 || source.pricesIncludeTax) && sourceItem.quantity > 0
+        ? Math.round((sourceItem.netAmount ?? sourceItem.total) / sourceItem.quantity * 100) / 100
+        : sourceItem.unitPrice;
 
       validatedItems.push({
         product: sourceType === 'sale' ? sourceItem.product : returnItem.product,
         productName: sourceType === 'invoice' ? sourceItem.name : sourceItem.productName,
         productSku: sourceType === 'sale' ? sourceItem.productSku : (returnItem.productSku || ''),
+        unit: sourceType === 'sale' ? sourceItem.unit : undefined,
+        unitFactor: sourceType === 'sale' ? (sourceItem.unitFactor || 1) : 1,
         quantity: returnItem.quantity,
+        serialNumbers,
         unitPrice: unitPrice,
+        taxes: sourceItem.taxes,
         total: returnItem.quantity * unitPrice
       });
     }
 
-    // Update inventory — add stock back for returned items
-    for (const item of validatedItems) {
-      if (item.product) {
-        const product = await Product.findById(item.product);
-        if (product && product.isTrackable) {
-          await product.updateStock(item.quantity, 'add');
-        }
-      }
-    }
-
     // Get company settings for expiry
     const company = await Company.findById(req.user.company._id);
     let expiryDate = null;
@@ -397,8 +423,11 @@ router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSame
       originalInvoice: sourceType === 'invoice' ? sourceId : undefined,
       originalSale: sourceType === 'sale' ? sourceId : undefined,
       returnedItems: validatedItems,
+      currency: source.currency,
+      exchangeRate: source.exchangeRate,
       taxRate,
       returnReason: returnReason || '',
+      warehouse: warehouse._id,
       notes: notes || '',
       expiryDate,
       createdBy: req.user._id
@@ -407,6 +436,45 @@ router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSame
     const creditNote = new CreditNote(creditNoteData);
     await creditNote.save();
 
+    // Update inventory — add stock back for returned items, at the cost a sale consumed
+    for (const item of validatedItems) {
+      if (item.product) {
+        const product = await Product.findById(item.product);
+        if (product && product.isTrackable) {
+          const saleItem = sourceType === 'sale'
+            ? sourceItems.find(si => si.product && si.product.toString() === item.product.toString())
+            : null;
+          // Sale lines may be in a larger unit than the stock is held in; lot-tracked
+          // stock goes back into the lots the sale picked
+          const factor = item.unitFactor || 1;
+          await product.updateStock(item.quantity * factor, 'add', {
+            unitCost: saleItem?.costPrice !== undefined ? saleItem.costPrice / factor : undefined,
+            lots: saleItem?.lots,
+            type: 'credit_note',
+            reason: returnReason || 'Returned against credit note',
+            sourceType: 'credit_note',
+            sourceId: creditNote._id,
+            sourceNumber: creditNote.creditNoteNumber,
+            user: req.user._id,
+            warehouse: warehouse._id
+          });
+        }
+        if (product && item.serialNumbers.length > 0) {
+          await SerialNumber.recordEvent(product, item.serialNumbers, 'returned', {
+            sourceType: 'credit_note',
+            sourceId: creditNote._id,
+            sourceNumber: creditNote.creditNoteNumber,
+            customer: customerId,
+            user: req.user._id,
+            warehouse: warehouse._id
+          });
+        }
+      }
+    }
+
+    // Post the credit note to the general ledger
+    await postCreditNote(creditNote, req.user._id);
+
     await creditNote.populate('customer', 'firstName lastName companyName email');
     await creditNote.populate('originalInvoice', 'invoiceNumber total');
     await creditNote.populate('originalSale', 'saleNumber total');
@@ -428,17 +496,18 @@ router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSame
 // Redeem credit for an invoice (FIFO)
 router.post('/redeem-for-invoice', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
   try {
-    const { customerId, amount, invoiceId } = req.body;
+    const { customerId, amount, invoiceId, currency } = req.body;
 
     if (!customerId || !amount || amount <= 0) {
       return res.status(400).json({ message: 'Customer ID and valid amount are required' });
     }
 
-    // Get available credit notes (FIFO — oldest first), excluding expired
+    // Get available credit notes in the invoice's currency (FIFO — oldest first), excluding expired
     const now = new Date();
     const creditNotes = await CreditNote.find({
       company: req.user.company._id,
       customer: customerId,
+      currency: await currencyCondition(req.user.company._id, currency),
       status: { $in: ['unused', 'partially_used'] },
       $or: [
         { expiryDate: null },
@@ -492,16 +561,18 @@ router.post('/redeem-for-invoice', authenticateToken, requireRole('admin', 'mana
 // Redeem credit for a sale (FIFO)
 router.post('/redeem-for-sale', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
   try {
-    const { customerId, amount, saleId } = req.body;
+    const { customerId, amount, saleId, currency } = req.body;
 
     if (!customerId || !amount || amount <= 0) {
       return res.status(400).json({ message: 'Customer ID and valid amount are required' });
     }
 
+    // Only credit notes in the sale's currency
     const now = new Date();
     const creditNotes = await CreditNote.find({
       company: req.user.company._id,
       customer: customerId,
+      currency: await currencyCondition(req.user.company._id, currency),
       status: { $in: ['unused', 'partially_used'] },
       $or: [
         { expiryDate: null },
@@ -588,6 +659,36 @@ router.get('/:id/pdf', authenticateToken, requireSameCompany, async (req, res) =
   }
 });
 
+// Export credit note as UBL 2.1 XML (PEPPOL BIS Billing 3.0)
+router.get('/:id/ubl', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    })
+      .populate('customer')
+      .populate('company')
+      .populate('originalInvoice', 'invoiceNumber buyerReference createdAt')
+      .populate('originalSale', 'saleNumber saleDate');
+
+    if (!creditNote) {
+      return res.status(404).json({ message: 'Credit note not found' });
+    }
+
+    const { xml, errors } = buildCreditNoteUBL(creditNote, creditNote.company, creditNote.customer);
+    if (errors) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="credit-note-${creditNote.creditNoteNumber}.xml"`);
+    res.send(xml);
+  } catch (error) {
+    console.error('Export credit note UBL error:', error);
+    res.status(500).json({ message: 'Failed to export credit note' });
+  }
+});
+
 // Delete credit note (only unused)
 router.delete('/:id', authenticateToken, requireRole('admin'), requireSameCompany, async (req, res) => {
   try {
@@ -607,18 +708,55 @@ router.delete('/:id', authenticateToken, requireRole('admin'), requireSameCompan
       });
     }
 
+    // Returned serials go back to the customer, unless they have been sold again since
+    const serialItems = creditNote.returnedItems.filter(item => item.product && item.serialNumbers.length > 0);
+    const resold = serialItems.length > 0
+      ? await SerialNumber.find({
+        company: req.user.company._id,
+        $or: serialItems.map(item => ({ product: item.product, serialNumber: { $in: item.serialNumbers } })),
+        status: 'sold'
+      }).select('serialNumber')
+      : [];
+    if (resold.length > 0) {
+      return res.status(400).json({
+        message: `Cannot delete a credit note whose returned serial numbers have been sold again: ${resold.map(s => s.serialNumber).join(', ')}`
+      });
+    }
+
     // Reverse stock changes — subtract stock back
     for (const item of creditNote.returnedItems) {
       if (item.product) {
         const product = await Product.findById(item.product);
         if (product && product.isTrackable) {
-          await product.updateStock(item.quantity, 'subtract');
+          await product.updateStock(item.quantity * (item.unitFactor || 1), 'subtract', {
+            type: 'credit_note_reversal',
+            reason: 'Credit note deleted',
+            sourceType: 'credit_note',
+            sourceId: creditNote._id,
+            sourceNumber: creditNote.creditNoteNumber,
+            user: req.user._id,
+            warehouse: creditNote.warehouse
+          });
+        }
+        if (product && item.serialNumbers.length > 0) {
+          await SerialNumber.recordEvent(product, item.serialNumbers, 'return_reversed', {
+            sourceType: 'credit_note',
+            sourceId: creditNote._id,
+            sourceNumber: creditNote.creditNoteNumber,
+            saleId: creditNote.originalSale,
+            customer: creditNote.customer,
+            user: req.user._id,
+            warehouse: creditNote.warehouse
+          });
         }
       }
     }
 
     await CreditNote.findByIdAndDelete(req.params.id);
 
+    // Reverse the credit note in the general ledger
+    await reverseCreditNote(creditNote, req.user._id);
+
     res.json({ message: 'Credit note deleted successfully' });
   } catch (error) {
     console.error('Delete credit note error:', error);
@@ -1,10 +1,21 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Customer = require('../models/Customer');
 const Quote = require('../models/Quote');
-const { authenticateToken, requireSameCompany } = require('../middleware/auth');
+const PriceList = require('../models/PriceList');
+const { authenticateToken, requireRole, requireSameCompany } = require('../middleware/auth');
+const { getCustomerAdvance } = require('../utils/paymentAllocations');
+const { createPortalLink } = require('../utils/portal');
 
 const router = express.Router();
 
+// A price list given for a customer must be one of the company's
+const invalidPriceList = async (companyId, priceListId) => {
+  if (!priceListId) return false;
+  if (!mongoose.Types.ObjectId.isValid(priceListId)) return true;
+  return !(await PriceList.exists({ _id: priceListId, company: companyId }));
+};
+
 // Get all customers for the company
 router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
   try {
@@ -48,7 +59,7 @@ router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
           { $group: { 
             _id: null, 
             totalQuotes: { $sum: 1 },
-            totalValue: { $sum: '$total' }
+            totalValue: { $sum: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } }
           }}
         ]);
 
@@ -57,7 +68,7 @@ router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
           { $match: { customer: customer._id, company: customer.company, status: { $in: ['unused', 'partially_used'] } } },
           { $group: {
             _id: null,
-            remainingBalance: { $sum: '$remainingBalance' }
+            remainingBalance: { $sum: { $multiply: ['$remainingBalance', { $ifNull: ['$exchangeRate', 1] }] } }
           }}
         ]);
 
@@ -65,6 +76,7 @@ router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
         customerObj.totalQuotes = stats[0]?.totalQuotes || 0;
         customerObj.totalValue = stats[0]?.totalValue || 0;
         customerObj.creditBalance = cnStats[0]?.remainingBalance || 0;
+        customerObj.advanceBalance = await getCustomerAdvance(customer.company, customer._id);
         
         return customerObj;
       })
@@ -96,7 +108,9 @@ router.get('/:id', authenticateToken, requireSameCompany, async (req, res) => {
       _id: req.params.id,
       company: req.user.company._id,
       isActive: true
-    }).populate('createdBy', 'firstName lastName');
+    })
+      .populate('createdBy', 'firstName lastName')
+      .populate('priceList', 'name');
 
     if (!customer) {
       return res.status(404).json({ 
@@ -135,6 +149,10 @@ router.post('/', authenticateToken, requireSameCompany, async (req, res) => {
       createdBy: req.user._id
     };
 
+    if (await invalidPriceList(req.user.company._id, customerData.priceList)) {
+      return res.status(400).json({ message: 'Invalid price list selected' });
+    }
+
     const customer = new Customer(customerData);
     await customer.save();
 
@@ -162,6 +180,10 @@ router.post('/', authenticateToken, requireSameCompany, async (req, res) => {
 // Update customer
 router.put('/:id', authenticateToken, requireSameCompany, async (req, res) => {
   try {
+    if (await invalidPriceList(req.user.company._id, req.body.priceList)) {
+      return res.status(400).json({ message: 'Invalid price list selected' });
+    }
+
     const customer = await Customer.findOneAndUpdate(
       { 
         _id: req.params.id,
@@ -249,8 +271,8 @@ router.get('/:id/stats', authenticateToken, requireSameCompany, async (req, res)
       { $group: { 
         _id: null, 
         totalQuotes: { $sum: 1 },
-        totalValue: { $sum: '$total' },
-        averageValue: { $avg: '$total' },
+        totalValue: { $sum: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } },
+        averageValue: { $avg: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } },
         acceptedQuotes: { $sum: { $cond: [{ $eq: ['$status', 'accepted'] }, 1, 0] } },
         pendingQuotes: { $sum: { $cond: [{ $in: ['$status', ['sent', 'viewed']] }, 1, 0] } }
       }}
@@ -274,6 +296,71 @@ router.get('/:id/stats', authenticateToken, requireSameCompany, async (req, res)
   }
 });
 
+// Get a customer portal link to share with the customer
+router.post('/:id/portal-link', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const customer = await Customer.findOne({
+      _id: req.params.id,
+      company: req.user.company._id,
+      isActive: true
+    });
+
+    if (!customer) {
+      return res.status(404).json({ 
+        message: 'Customer not found' 
+      });
+    }
+
+    const portalLink = createPortalLink(customer, req.user.company);
+    if (!portalLink) {
+      return res.status(400).json({ 
+        message: 'The customer portal is turned off in company settings' 
+      });
+    }
+
+    res.json({
+      portalLink,
+      expiresInDays: req.user.company.settings?.portalLinkExpiryDays || 30
+    });
+  } catch (error) {
+    console.error('Create portal link error:', error);
+    res.status(500).json({ 
+      message: 'Failed to create portal link',
+      error: error.message 
+    });
+  }
+});
+
+// Revoke every portal link sent to a customer so far
+router.post('/:id/portal-link/revoke', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const customer = await Customer.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        company: req.user.company._id
+      },
+      { $inc: { portalTokenVersion: 1 } },
+      { new: true }
+    );
+
+    if (!customer) {
+      return res.status(404).json({ 
+        message: 'Customer not found' 
+      });
+    }
+
+    res.json({ 
+      message: 'Portal links revoked successfully' 
+    });
+  } catch (error) {
+    console.error('Revoke portal links error:', error);
+    res.status(500).json({ 
+      message: 'Failed to revoke portal links',
+      error: error.message 
+    });
+  }
+});
+
 // Get all tags used by customers
 router.get('/tags/all', authenticateToken, requireSameCompany, async (req, res) => {
   try {
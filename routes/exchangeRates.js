@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const ExchangeRate = require('../models/ExchangeRate');
+const { authenticateToken, requireRole, requireSameCompany } = require('../middleware/auth');
+const { baseCurrency, lookupExchangeRate, missingRateMessage } = require('../utils/currency');
+
+// Fields an exchange rate can be created or updated with
+const exchangeRateFields = ({ currency, rate, effectiveDate, notes }) => (
+  Object.fromEntries(Object.entries({ currency, rate, effectiveDate, notes })
+    .filter(([, value]) => value !== undefined))
+);
+
+// Get the company's exchange rates, newest first (?currency= for one currency)
+router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const filters = { company: req.user.company._id };
+    if (req.query.currency) {
+      filters.currency = req.query.currency;
+    }
+
+    const [exchangeRates, base] = await Promise.all([
+      ExchangeRate.find(filters)
+        .populate('createdBy', 'firstName lastName')
+        .sort({ effectiveDate: -1, currency: 1 }),
+      baseCurrency(req.user.company._id)
+    ]);
+
+    res.json({ baseCurrency: base, exchangeRates });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ message: 'Failed to fetch exchange rates' });
+  }
+});
+
+// The rate a new document would take: ?currency=&date= (today when no date is given)
+router.get('/lookup', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+
+    const base = await baseCurrency(req.user.company._id);
+    const currency = req.query.currency || base;
+    const rate = await lookupExchangeRate(req.user.company._id, currency, date);
+
+    if (!rate) {
+      return res.status(404).json({ message: missingRateMessage(currency, date) });
+    }
+
+    res.json({ baseCurrency: base, currency, date, rate });
+  } catch (error) {
+    console.error('Lookup exchange rate error:', error);
+    res.status(500).json({ message: 'Failed to look up exchange rate' });
+  }
+});
+
+// Create exchange rate
+router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const fields = exchangeRateFields(req.body);
+
+    if (fields.currency && fields.currency === await baseCurrency(req.user.company._id)) {
+      return res.status(400).json({ message: 'The base currency does not need an exchange rate' });
+    }
+
+    const exchangeRate = new ExchangeRate({
+      ...fields,
+      company: req.user.company._id,
+      createdBy: req.user._id
+    });
+    await exchangeRate.validate();
+
+    if (await ExchangeRate.exists({
+      company: req.user.company._id,
+      currency: exchangeRate.currency,
+      effectiveDate: exchangeRate.effectiveDate
+    })) {
+      return res.status(400).json({ message: `A ${exchangeRate.currency} rate already exists for this date` });
+    }
+
+    await exchangeRate.save();
+
+    res.status(201).json({ exchangeRate });
+  } catch (error) {
+    console.error('Create exchange rate error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to create exchange rate' });
+  }
+});
+
+// Update exchange rate (documents already issued keep the rate they were issued at)
+router.put('/:id', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!exchangeRate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    const fields = exchangeRateFields(req.body);
+
+    if (fields.currency && fields.currency === await baseCurrency(req.user.company._id)) {
+      return res.status(400).json({ message: 'The base currency does not need an exchange rate' });
+    }
+
+    Object.assign(exchangeRate, fields);
+    await exchangeRate.validate();
+
+    if (await ExchangeRate.exists({
+      company: req.user.company._id,
+      currency: exchangeRate.currency,
+      effectiveDate: exchangeRate.effectiveDate,
+      _id: { $ne: exchangeRate._id }
+    })) {
+      return res.status(400).json({ message: `A ${exchangeRate.currency} rate already exists for this date` });
+    }
+
+    await exchangeRate.save();
+
+    res.json({ exchangeRate });
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to update exchange rate' });
+  }
+});
+
+// Delete exchange rate
+router.delete('/:id', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!exchangeRate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({ message: 'Failed to delete exchange rate' });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,36 @@ const mongoose = require('mongoose');
 const router = express.Router();
 const Expense = require('../models/Expense');
 const Vendor = require('../models/Vendor');
+const Tax = require('../models/Tax');
 const { authenticateToken } = require('../middleware/auth');
+const { syncExpense, reverseExpense } = require('../utils/ledger');
+const { lookupExchangeRate, missingRateMessage } = require('../utils/currency');
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Input tax included in an expense: the rate comes from the tax when one is picked, and a
+// tax amount given explicitly (as printed on the receipt) wins over the one worked out.
+// Returns { tax, taxRate, taxAmount } or { error }.
+const expenseTax = async (companyId, { tax, taxRate, taxAmount, amount }) => {
+  let rate = isBlank(taxRate) ? 0 : Number(taxRate);
+  if (tax) {
+    const found = mongoose.Types.ObjectId.isValid(tax)
+      ? await Tax.findOne({ _id: tax, company: companyId })
+      : null;
+    if (!found) {
+      return { error: 'Tax not found' };
+    }
+    if (isBlank(taxRate)) {
+      rate = found.percentage;
+    }
+  }
+
+  return {
+    tax: tax || null,
+    taxRate: rate,
+    taxAmount: isBlank(taxAmount) ? Expense.includedTax(Number(amount), rate) : Number(taxAmount)
+  };
+};
 
 // Get all expenses for a company
 router.get('/', authenticateToken, async (req, res) => {
@@ -112,8 +141,8 @@ router.get('/stats', authenticateToken, async (req, res) => {
         $group: {
           _id: null,
           totalExpenses: { $sum: 1 },
-          totalAmount: { $sum: '$amount' },
-          averageAmount: { $avg: '$amount' },
+          totalAmount: { $sum: { $multiply: ['$amount', { $ifNull: ['$exchangeRate', 1] }] } },
+          averageAmount: { $avg: { $multiply: ['$amount', { $ifNull: ['$exchangeRate', 1] }] } },
           pendingExpenses: {
             $sum: { $cond: [{ $eq: ['$paymentStatus', 'pending'] }, 1, 0] }
           },
@@ -134,7 +163,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
         $group: {
           _id: '$category',
           count: { $sum: 1 },
-          totalAmount: { $sum: '$amount' }
+          totalAmount: { $sum: { $multiply: ['$amount', { $ifNull: ['$exchangeRate', 1] }] } }
         }
       },
       { $sort: { totalAmount: -1 } }
@@ -150,7 +179,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
             month: { $month: '$expenseDate' }
           },
           count: { $sum: 1 },
-          totalAmount: { $sum: '$amount' }
+          totalAmount: { $sum: { $multiply: ['$amount', { $ifNull: ['$exchangeRate', 1] }] } }
         }
       },
       { $sort: { '_id.year': -1, '_id.month': -1 } },
@@ -217,6 +246,11 @@ router.post('/', authenticateToken, async (req, res) => {
       notes
     } = req.body;
 
+    const taxes = await expenseTax(req.user.company, { ...req.body, amount });
+    if (taxes.error) {
+      return res.status(400).json({ message: taxes.error });
+    }
+
     // Generate expense number
     const expenseNumber = await Expense.generateExpenseNumber(req.user.company);
 
@@ -228,6 +262,9 @@ router.post('/', authenticateToken, async (req, res) => {
       category,
       amount,
       currency,
+      tax: taxes.tax,
+      taxRate: taxes.taxRate,
+      taxAmount: taxes.taxAmount,
       paymentMethod,
       paymentStatus,
       vendor: vendor || null,
@@ -256,6 +293,10 @@ router.post('/', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating expense:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: errors.join(', ') });
+    }
     res.status(500).json({ message: 'Error creating expense', error: error.message });
   }
 });
@@ -282,6 +323,42 @@ router.put('/:id', authenticateToken, async (req, res) => {
       notes
     } = req.body;
 
+    // Work the input tax out again when the amount or the tax changes
+    let taxes = {};
+    if (['amount', 'tax', 'taxRate', 'taxAmount'].some(field => req.body[field] !== undefined)) {
+      const existing = await Expense.findOne({ _id: req.params.id, company: req.user.company })
+        .select('amount tax taxRate');
+      if (!existing) {
+        return res.status(404).json({ message: 'Expense not found' });
+      }
+      const taxChanged = req.body.tax !== undefined || req.body.taxRate !== undefined;
+      taxes = await expenseTax(req.user.company, {
+        tax: req.body.tax !== undefined ? req.body.tax : existing.tax,
+        taxRate: taxChanged ? req.body.taxRate : existing.taxRate,
+        taxAmount: req.body.taxAmount,
+        amount: amount !== undefined ? amount : existing.amount
+      });
+      if (taxes.error) {
+        return res.status(400).json({ message: taxes.error });
+      }
+    }
+
+    // A new currency or date takes the rate in force on the expense date
+    let exchangeRate;
+    if (currency !== undefined || expenseDate !== undefined) {
+      const existing = await Expense.findOne({ _id: req.params.id, company: req.user.company })
+        .select('currency expenseDate');
+      if (!existing) {
+        return res.status(404).json({ message: 'Expense not found' });
+      }
+      const rateCurrency = currency || existing.currency;
+      const rateDate = expenseDate ? new Date(expenseDate) : existing.expenseDate;
+      exchangeRate = await lookupExchangeRate(req.user.company, rateCurrency, rateDate);
+      if (!exchangeRate) {
+        return res.status(400).json({ message: missingRateMessage(rateCurrency, rateDate) });
+      }
+    }
+
     const expense = await Expense.findOneAndUpdate(
       { _id: req.params.id, company: req.user.company },
       {
@@ -290,6 +367,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
         category,
         amount,
         currency,
+        exchangeRate,
+        ...taxes,
         paymentMethod,
         paymentStatus,
         vendor: vendor || null,
@@ -312,6 +391,9 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Expense not found' });
     }
 
+    // Re-post approved expenses whose amount, category or payment changed
+    await syncExpense(expense, req.user.id);
+
     res.json({
       message: 'Expense updated successfully',
       expense
@@ -336,6 +418,9 @@ router.patch('/:id/approve', authenticateToken, async (req, res) => {
 
     await expense.approve(req.user.id);
 
+    // Approval posts the expense to the general ledger
+    await syncExpense(expense, req.user.id);
+
     await expense.populate([
       { path: 'vendor', select: 'name email phone' },
       { path: 'createdBy', select: 'firstName lastName' },
@@ -364,6 +449,9 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Expense not found' });
     }
 
+    // Reverse the expense in the general ledger
+    await reverseExpense(expense, req.user.id);
+
     res.json({ message: 'Expense deleted successfully' });
   } catch (error) {
     console.error('Error deleting expense:', error);
@@ -5,8 +5,17 @@ const Customer = require('../models/Customer');
 const Quote = require('../models/Quote');
 const Company = require('../models/Company');
 const CreditNote = require('../models/CreditNote');
+const Payment = require('../models/Payment');
 const { authenticateToken, requireRole, requireSameCompany } = require('../middleware/auth');
 const { sendInvoiceEmail } = require('../utils/emailService');
+const { syncInvoice, reverseInvoice } = require('../utils/ledger');
+const { invoiceBalance, applyAllocations, releaseInvoiceAllocations } = require('../utils/paymentAllocations');
+const { priceDocumentItems } = require('../utils/pricing');
+const { applyPromotions } = require('../utils/promotions');
+const { resolveLineTaxes } = require('../utils/taxes');
+const { baseCurrency, currencyCondition } = require('../utils/currency');
+const { buildInvoiceUBL } = require('../utils/ubl');
+const Promotion = require('../models/Promotion');
 
 // Get all invoices with pagination and filtering
 router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
@@ -98,10 +107,12 @@ router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSame
       const creditApplied = Number(req.body.creditApplied);
       const customerId = req.body.customer;
       
+      // Only credit notes in the invoice's currency can be applied to it
       const now = new Date();
       const creditNotes = await CreditNote.find({
         company: req.user.company._id,
         customer: customerId,
+        currency: await currencyCondition(req.user.company._id, req.body.currency),
         status: { $in: ['unused', 'partially_used'] },
         $or: [
           { expiryDate: null },
@@ -130,8 +141,28 @@ router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSame
       }
     }
 
+    // Lines for a product without a typed price take it from the customer's price list
+    const priced = await priceDocumentItems(req.user.company._id, req.body.customer, req.body.items);
+    if (priced.error) {
+      return res.status(400).json({ message: priced.error });
+    }
+
+    const promoted = await applyPromotions(req.user.company._id, priced.items, {
+      couponCode: req.body.couponCode,
+      customerId: req.body.customer
+    });
+    if (promoted.error) {
+      return res.status(400).json({ message: promoted.error });
+    }
+
+    const taxed = await resolveLineTaxes(req.user.company._id, promoted.items);
+    if (taxed.error) {
+      return res.status(400).json({ message: taxed.error });
+    }
+
     const invoiceData = {
       ...req.body,
+      items: taxed.items,
       company: req.user.company._id,
       createdBy: req.user._id,
       creditApplied: req.body.creditApplied || 0,
@@ -166,6 +197,11 @@ router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSame
         await cn.save();
       }
     }
+
+    await Promotion.recordRedemptions(invoice, 'invoice');
+
+    // Post to the general ledger (drafts are not posted)
+    await syncInvoice(invoice, req.user._id);
     
     await invoice.populate('customer', 'firstName lastName companyName email');
     await invoice.populate('tax', 'name percentage');
@@ -229,12 +265,23 @@ router.post('/convert-from-quote/:quoteId', authenticateToken, requireRole('admi
         description: item.description,
         quantity: item.quantity,
         unitPrice: item.unitPrice,
-        total: item.total
+        discount: item.discount,
+        discountType: item.discountType,
+        promotion: item.promotion,
+        promotionName: item.promotionName,
+        taxes: item.taxes,
+        total: item.total,
+        product: item.product,
+        pricing: item.pricing
       })),
+      couponCode: quote.couponCode,
       subtotal: quote.subtotal,
       tax: quote.tax,
       taxRate: quote.taxRate,
       taxAmount: quote.taxAmount,
+      pricesIncludeTax: quote.pricesIncludeTax,
+      // Same currency; the rate is the one in force when the invoice is raised
+      currency: quote.currency,
       total: quote.total,
       status: 'draft',
       dueDate: req.body.dueDate || dueDate,
@@ -258,6 +305,8 @@ router.post('/convert-from-quote/:quoteId', authenticateToken, requireRole('admi
     });
     
     await invoice.save();
+
+    await Promotion.recordRedemptions(invoice, 'invoice');
     
     await invoice.populate('customer', 'firstName lastName companyName email');
     await invoice.populate('createdBy', 'firstName lastName');
@@ -297,6 +346,12 @@ router.put('/:id', authenticateToken, requireRole('admin', 'manager'), requireSa
       return res.status(403).json({ message: 'Access denied' });
     }
     
+    // Payments and credit were taken in the invoice's currency
+    if (req.body.currency && req.body.currency !== invoice.currency && (invoice.payments.length > 0 ||
+      invoice.paymentAllocations.length > 0 || invoice.creditNoteRedemptions.length > 0)) {
+      return res.status(400).json({ message: 'Currency cannot be changed once payments or credit have been applied' });
+    }
+
     // Handle credit note redemptions update
     if (req.body.creditApplied !== undefined) {
       // 1. Revert existing redemptions for this invoice
@@ -323,6 +378,7 @@ router.put('/:id', authenticateToken, requireRole('admin', 'manager'), requireSa
         const creditNotes = await CreditNote.find({
           company: req.user.company._id,
           customer: customerId,
+          currency: await currencyCondition(req.user.company._id, req.body.currency || invoice.currency),
           status: { $in: ['unused', 'partially_used'] },
           $or: [
             { expiryDate: null },
@@ -375,11 +431,49 @@ router.put('/:id', authenticateToken, requireRole('admin', 'manager'), requireSa
     delete updateBody.creditApplied;
     delete updateBody.creditNoteRedemptions;
 
+    // New lines or a new coupon: work the promotion discounts out again
+    const repromote = updateBody.items !== undefined || updateBody.couponCode !== undefined;
+    if (repromote) {
+      // The invoice's own uses don't count against the usage limits
+      await Promotion.releaseRedemptions(invoice.company, invoice._id);
+      const promoted = await applyPromotions(req.user.company._id,
+        updateBody.items || invoice.items.map(item => item.toObject()), {
+          couponCode: updateBody.couponCode !== undefined ? updateBody.couponCode : invoice.couponCode,
+          customerId: updateBody.customer || invoice.customer,
+          date: invoice.createdAt
+        });
+      if (promoted.error) {
+        if (invoice.status !== 'cancelled') {
+          await Promotion.recordRedemptions(invoice, 'invoice');
+        }
+        return res.status(400).json({ message: promoted.error });
+      }
+      updateBody.items = promoted.items;
+    }
+
+    if (updateBody.items !== undefined) {
+      const taxed = await resolveLineTaxes(req.user.company._id, updateBody.items);
+      if (taxed.error) {
+        return res.status(400).json({ message: taxed.error });
+      }
+      updateBody.items = taxed.items;
+    }
+
     // Update invoice fields
     Object.assign(invoice, updateBody);
     
     // Save the invoice to trigger pre-save middleware for recalculation
     await invoice.save();
+
+    if (repromote || invoice.status === 'cancelled') {
+      await Promotion.releaseRedemptions(invoice.company, invoice._id);
+      if (invoice.status !== 'cancelled') {
+        await Promotion.recordRedemptions(invoice, 'invoice');
+      }
+    }
+
+    // Re-post to the general ledger if amounts or status changed
+    await syncInvoice(invoice, req.user._id);
     
     // Populate the updated invoice
     await invoice.populate('customer', 'firstName lastName companyName email');
@@ -414,8 +508,19 @@ router.patch('/:id/status', authenticateToken, requireRole('admin', 'manager'),
       return res.status(403).json({ message: 'Access denied' });
     }
     
+    const wasCancelled = invoice.status === 'cancelled';
     invoice.status = status;
     await invoice.save();
+
+    // Cancelling gives the invoice's promotion uses back; reinstating takes them again
+    if (status === 'cancelled' && !wasCancelled) {
+      await Promotion.releaseRedemptions(invoice.company, invoice._id);
+    } else if (wasCancelled && status !== 'cancelled') {
+      await Promotion.recordRedemptions(invoice, 'invoice');
+    }
+
+    // Post or reverse in the general ledger based on the new status
+    await syncInvoice(invoice, req.user._id);
     
     res.json({ invoice });
   } catch (error) {
@@ -438,18 +543,47 @@ router.post('/:id/payments', authenticateToken, requireRole('admin', 'manager'),
       return res.status(403).json({ message: 'Access denied' });
     }
     
-    invoice.payments.push(req.body);
-    await invoice.save();
-    
-    // Update status to paid if fully paid
-    if (invoice.paidAmount >= invoice.total) {
-      invoice.status = 'paid';
-      await invoice.save();
+    if (['draft', 'cancelled'].includes(invoice.status)) {
+      return res.status(400).json({ message: `Payments cannot be recorded on a ${invoice.status} invoice` });
+    }
+
+    // The receipt settles the invoice, so it has to be in the invoice's currency (base
+    // currency for invoices saved before currencies were tracked)
+    const currency = invoice.currency || await baseCurrency(invoice.company);
+    if (req.body.currency && req.body.currency !== currency) {
+      return res.status(400).json({ message: `Payment currency must match the invoice currency (${currency})` });
     }
+
+    // Record a receipt allocated to this invoice; any overpayment stays on the customer as an advance
+    const payment = new Payment({
+      company: invoice.company,
+      customer: invoice.customer,
+      amount: req.body.amount,
+      currency,
+      exchangeRate: req.body.exchangeRate,
+      paymentDate: req.body.paymentDate || new Date(),
+      paymentMethod: req.body.paymentMethod,
+      reference: req.body.reference,
+      notes: req.body.notes,
+      createdBy: req.user._id
+    });
+    await payment.validate();
+
+    const amount = Math.min(payment.amount, invoiceBalance(invoice));
+    await applyAllocations(payment, amount > 0 ? [{ invoice, amount }] : [], req.user._id);
+
+    // Post the invoice if it was never posted
+    await syncInvoice(invoice, req.user._id);
     
-    res.json({ invoice });
+    res.json({ invoice, payment });
   } catch (error) {
     console.error('Add payment error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
     res.status(500).json({ message: 'Failed to add payment' });
   }
 });
@@ -469,6 +603,12 @@ router.delete('/:id', authenticateToken, requireRole('admin'), requireSameCompan
     }
     
     await Invoice.findByIdAndDelete(req.params.id);
+
+    // Reverse the invoice and its payments in the general ledger; receipts allocated
+    // to it return to the customer's advance
+    await reverseInvoice(invoice, req.user._id);
+    await releaseInvoiceAllocations(invoice, req.user._id);
+    await Promotion.releaseRedemptions(invoice.company, invoice._id);
     
     res.json({ message: 'Invoice deleted successfully' });
   } catch (error) {
@@ -516,6 +656,39 @@ router.get('/:id/pdf', authenticateToken, requireSameCompany, async (req, res) =
   }
 });
 
+// Export invoice as UBL 2.1 XML (PEPPOL BIS Billing 3.0)
+router.get('/:id/ubl', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    })
+      .populate('customer')
+      .populate('company')
+      .populate('tax', 'name vatCategory');
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (['draft', 'cancelled'].includes(invoice.status)) {
+      return res.status(400).json({ message: `A ${invoice.status} invoice cannot be exported` });
+    }
+
+    const { xml, errors } = buildInvoiceUBL(invoice, invoice.company, invoice.customer);
+    if (errors) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoice.invoiceNumber}.xml"`);
+    res.send(xml);
+  } catch (error) {
+    console.error('Export invoice UBL error:', error);
+    res.status(500).json({ message: 'Failed to export invoice' });
+  }
+});
+
 // Get invoice statistics
 router.get('/stats/overview', authenticateToken, requireSameCompany, async (req, res) => {
   try {
@@ -527,10 +700,10 @@ router.get('/stats/overview', authenticateToken, requireSameCompany, async (req,
         $group: {
           _id: null,
           totalInvoices: { $sum: 1 },
-          totalValue: { $sum: '$total' },
-          paidValue: { $sum: '$paidAmount' },
-          outstandingValue: { $sum: { $subtract: ['$total', '$paidAmount'] } },
-          averageValue: { $avg: '$total' }
+          totalValue: { $sum: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } },
+          paidValue: { $sum: { $multiply: ['$paidAmount', { $ifNull: ['$exchangeRate', 1] }] } },
+          outstandingValue: { $sum: { $multiply: [{ $subtract: ['$total', '$paidAmount'] }, { $ifNull: ['$exchangeRate', 1] }] } },
+          averageValue: { $avg: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } }
         }
       }
     ]);
@@ -541,7 +714,7 @@ router.get('/stats/overview', authenticateToken, requireSameCompany, async (req,
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          value: { $sum: '$total' }
+          value: { $sum: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } }
         }
       }
     ]);
@@ -555,7 +728,7 @@ router.get('/stats/overview', authenticateToken, requireSameCompany, async (req,
             month: { $month: '$createdAt' }
           },
           count: { $sum: 1 },
-          value: { $sum: '$total' }
+          value: { $sum: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } }
         }
       },
       { $sort: { '_id.year': -1, '_id.month': -1 } },
@@ -603,6 +776,9 @@ router.post('/:id/send', authenticateToken, requireRole('admin', 'manager'), req
     if (invoice.status === 'draft') {
       invoice.status = 'sent';
       await invoice.save();
+
+      // Sending posts the invoice to the general ledger
+      await syncInvoice(invoice, req.user._id);
     }
 
     // Send email to customer
@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+const { authenticateToken, requireRole, requireSameCompany } = require('../middleware/auth');
+const { createEntry, reverseEntry } = require('../utils/ledger');
+
+// Get all journal entries with pagination and filtering
+router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filters = {
+      company: req.user.company._id
+    };
+
+    if (req.query.sourceType) {
+      filters.sourceType = req.query.sourceType;
+    }
+
+    if (req.query.sourceId) {
+      filters.sourceId = req.query.sourceId;
+    }
+
+    if (req.query.accountId) {
+      filters['lines.account'] = req.query.accountId;
+    }
+
+    if (req.query.search) {
+      filters.$or = [
+        { entryNumber: { $regex: req.query.search, $options: 'i' } },
+        { sourceNumber: { $regex: req.query.search, $options: 'i' } },
+        { description: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    if (req.query.startDate || req.query.endDate) {
+      filters.date = {};
+      if (req.query.startDate) {
+        filters.date.$gte = new Date(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        const endDate = new Date(req.query.endDate);
+        endDate.setHours(23, 59, 59, 999);
+        filters.date.$lte = endDate;
+      }
+    }
+
+    const journalEntries = await JournalEntry.find(filters)
+      .populate('lines.account', 'code name type')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ date: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await JournalEntry.countDocuments(filters);
+    const pages = Math.ceil(total / limit);
+
+    res.json({
+      journalEntries,
+      pagination: {
+        current: page,
+        pages,
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get journal entries error:', error);
+    res.status(500).json({ message: 'Failed to fetch journal entries' });
+  }
+});
+
+// Get single journal entry
+router.get('/:id', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const journalEntry = await JournalEntry.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    })
+      .populate('lines.account', 'code name type')
+      .populate('reversalOf', 'entryNumber')
+      .populate('reversedBy', 'entryNumber')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!journalEntry) {
+      return res.status(404).json({ message: 'Journal entry not found' });
+    }
+
+    res.json({ journalEntry });
+  } catch (error) {
+    console.error('Get journal entry error:', error);
+    res.status(500).json({ message: 'Failed to fetch journal entry' });
+  }
+});
+
+// Create manual journal entry
+router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const { date, description, lines } = req.body;
+
+    if (!description || !Array.isArray(lines) || lines.length < 2) {
+      return res.status(400).json({ message: 'Description and at least two lines are required' });
+    }
+
+    // Validate accounts belong to the company
+    const accountIds = [...new Set(lines.map(line => line.account))];
+    const accounts = await Account.find({
+      _id: { $in: accountIds },
+      company: req.user.company._id,
+      isActive: true
+    });
+    if (accounts.length !== accountIds.length) {
+      return res.status(400).json({ message: 'One or more accounts are invalid or inactive' });
+    }
+
+    const journalEntry = await createEntry({
+      company: req.user.company._id,
+      date: date ? new Date(date) : new Date(),
+      description,
+      sourceType: 'manual',
+      lines: lines.map(line => ({
+        account: line.account,
+        debit: Number(line.debit) || 0,
+        credit: Number(line.credit) || 0,
+        description: line.description
+      })),
+      createdBy: req.user._id
+    });
+
+    await journalEntry.populate('lines.account', 'code name type');
+
+    res.status(201).json({ journalEntry });
+  } catch (error) {
+    console.error('Create journal entry error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(400).json({ message: error.message || 'Failed to create journal entry' });
+  }
+});
+
+// Reverse a journal entry
+router.post('/:id/reverse', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const journalEntry = await JournalEntry.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!journalEntry) {
+      return res.status(404).json({ message: 'Journal entry not found' });
+    }
+
+    if (journalEntry.isReversed || journalEntry.reversalOf) {
+      return res.status(400).json({ message: 'This entry has already been reversed or is itself a reversal' });
+    }
+
+    const reversal = await reverseEntry(journalEntry, req.user._id, req.body.reason);
+
+    res.json({
+      message: 'Journal entry reversed successfully',
+      journalEntry,
+      reversal
+    });
+  } catch (error) {
+    console.error('Reverse journal entry error:', error);
+    res.status(500).json({ message: 'Failed to reverse journal entry' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,336 @@
+const express = require('express');
+const router = express.Router();
+const Payment = require('../models/Payment');
+const Customer = require('../models/Customer');
+const Company = require('../models/Company');
+const { authenticateToken, requireRole, requireSameCompany } = require('../middleware/auth');
+const {
+  getOpenInvoices,
+  invoiceBalance,
+  planAllocations,
+  applyAllocations,
+  releaseAllocations,
+  getCustomerAdvance
+} = require('../utils/paymentAllocations');
+const { syncPayment } = require('../utils/ledger');
+const { generateReceiptPDF } = require('../utils/pdfGenerator');
+
+// Get all payments with pagination and filtering
+router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filters = {
+      company: req.user.company._id
+    };
+
+    if (req.query.customerId) {
+      filters.customer = req.query.customerId;
+    }
+
+    if (req.query.status) {
+      filters.status = req.query.status;
+    }
+
+    if (req.query.paymentMethod) {
+      filters.paymentMethod = req.query.paymentMethod;
+    }
+
+    if (req.query.search) {
+      filters.$or = [
+        { receiptNumber: { $regex: req.query.search, $options: 'i' } },
+        { reference: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    if (req.query.startDate || req.query.endDate) {
+      filters.paymentDate = {};
+      if (req.query.startDate) {
+        filters.paymentDate.$gte = new Date(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        const endDate = new Date(req.query.endDate);
+        endDate.setHours(23, 59, 59, 999);
+        filters.paymentDate.$lte = endDate;
+      }
+    }
+
+    const payments = await Payment.find(filters)
+      .populate('customer', 'firstName lastName companyName email')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ paymentDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Payment.countDocuments(filters);
+    const pages = Math.ceil(total / limit);
+
+    res.json({
+      payments,
+      pagination: {
+        current: page,
+        pages,
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ message: 'Failed to fetch payments' });
+  }
+});
+
+// Get a customer's advance balance and open invoices available for allocation
+router.get('/customer/:customerId/open-items', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const [advanceBalance, openInvoices, advances] = await Promise.all([
+      getCustomerAdvance(req.user.company._id, req.params.customerId),
+      getOpenInvoices(req.user.company._id, req.params.customerId, req.query.currency),
+      Payment.find({
+        company: req.user.company._id,
+        customer: req.params.customerId,
+        status: { $in: ['unallocated', 'partially_allocated'] }
+      })
+        .select('receiptNumber paymentDate amount currency exchangeRate unallocatedAmount paymentMethod reference')
+        .sort({ paymentDate: 1 })
+    ]);
+
+    res.json({
+      advanceBalance,
+      advances,
+      openInvoices: openInvoices.map(invoice => ({
+        _id: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        title: invoice.title,
+        currency: invoice.currency,
+        exchangeRate: invoice.exchangeRate,
+        total: invoice.total,
+        finalPayable: invoice.finalPayable,
+        paidAmount: invoice.paidAmount,
+        dueDate: invoice.dueDate,
+        status: invoice.status,
+        createdAt: invoice.createdAt,
+        balance: invoiceBalance(invoice)
+      }))
+    });
+  } catch (error) {
+    console.error('Get customer open items error:', error);
+    res.status(500).json({ message: 'Failed to fetch customer open items' });
+  }
+});
+
+// Get single payment
+router.get('/:id', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    })
+      .populate('customer', 'firstName lastName companyName email phone')
+      .populate('allocations.invoice', 'invoiceNumber title total finalPayable paidAmount status dueDate')
+      .populate('createdBy', 'firstName lastName')
+      .populate('voidedBy', 'firstName lastName');
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    res.json({ payment });
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({ message: 'Failed to fetch payment' });
+  }
+});
+
+// Record a payment and allocate it: oldest invoices first (allocationMode 'auto', the
+// default), as listed in `allocations` ('manual'), or not at all ('none')
+router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const { customer: customerId, amount, currency, exchangeRate, paymentDate, paymentMethod, reference, notes, allocations } = req.body;
+    const allocationMode = req.body.allocationMode || (Array.isArray(allocations) ? 'manual' : 'auto');
+
+    if (!['auto', 'manual', 'none'].includes(allocationMode)) {
+      return res.status(400).json({ message: 'Allocation mode must be auto, manual or none' });
+    }
+
+    const customer = await Customer.findOne({
+      _id: customerId,
+      company: req.user.company._id
+    });
+    if (!customer) {
+      return res.status(400).json({ message: 'Customer not found' });
+    }
+
+    const payment = new Payment({
+      company: req.user.company._id,
+      customer: customer._id,
+      amount,
+      currency,
+      exchangeRate,
+      paymentDate: paymentDate || new Date(),
+      paymentMethod,
+      reference,
+      notes,
+      createdBy: req.user._id
+    });
+    await payment.validate();
+
+    let plan = { allocations: [] };
+    if (allocationMode !== 'none') {
+      plan = await planAllocations(payment, allocationMode === 'manual' ? (allocations || []) : null);
+      if (plan.error) {
+        return res.status(400).json({ message: plan.error });
+      }
+    }
+
+    await applyAllocations(payment, plan.allocations, req.user._id);
+
+    await payment.populate('customer', 'firstName lastName companyName email');
+
+    res.status(201).json({ payment });
+  } catch (error) {
+    console.error('Create payment error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to record payment' });
+  }
+});
+
+// Allocate a payment's advance to open invoices (oldest first, or as listed)
+router.post('/:id/allocate', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (payment.status === 'void') {
+      return res.status(400).json({ message: 'Voided payments cannot be allocated' });
+    }
+
+    if (payment.unallocatedAmount <= 0) {
+      return res.status(400).json({ message: 'Payment is already fully allocated' });
+    }
+
+    const plan = await planAllocations(payment, Array.isArray(req.body.allocations) ? req.body.allocations : null);
+    if (plan.error) {
+      return res.status(400).json({ message: plan.error });
+    }
+
+    if (plan.allocations.length === 0) {
+      return res.status(400).json({ message: 'Customer has no open invoices to allocate to' });
+    }
+
+    await applyAllocations(payment, plan.allocations, req.user._id);
+
+    res.json({
+      message: 'Payment allocated successfully',
+      payment
+    });
+  } catch (error) {
+    console.error('Allocate payment error:', error);
+    res.status(500).json({ message: 'Failed to allocate payment' });
+  }
+});
+
+// Remove an allocation; the amount returns to the customer's advance
+router.delete('/:id/allocations/:allocationId', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (!payment.allocations.id(req.params.allocationId)) {
+      return res.status(404).json({ message: 'Allocation not found' });
+    }
+
+    await releaseAllocations(payment, req.user._id, allocation => allocation._id.toString() === req.params.allocationId);
+
+    res.json({
+      message: 'Allocation removed successfully',
+      payment
+    });
+  } catch (error) {
+    console.error('Remove allocation error:', error);
+    res.status(500).json({ message: 'Failed to remove allocation' });
+  }
+});
+
+// Void a payment (e.g. bounced cheque); its allocations are released from the invoices
+router.post('/:id/void', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (payment.status === 'void') {
+      return res.status(400).json({ message: 'Payment is already void' });
+    }
+
+    payment.status = 'void';
+    payment.voidedAt = new Date();
+    payment.voidedBy = req.user._id;
+    payment.voidReason = req.body.reason;
+
+    if (payment.allocations.length > 0) {
+      await releaseAllocations(payment, req.user._id);
+    } else {
+      await payment.save();
+      await syncPayment(payment, req.user._id);
+    }
+
+    res.json({
+      message: 'Payment voided successfully',
+      payment
+    });
+  } catch (error) {
+    console.error('Void payment error:', error);
+    res.status(500).json({ message: 'Failed to void payment' });
+  }
+});
+
+// Generate receipt PDF
+router.get('/:id/pdf', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    }).populate('customer');
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const company = await Company.findById(req.user.company._id);
+    const pdfResult = await generateReceiptPDF(payment, company, payment.customer);
+
+    res.setHeader('Content-Type', pdfResult.isHtml ? 'text/html' : 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${pdfResult.filename}"`);
+    res.send(pdfResult.buffer);
+  } catch (error) {
+    console.error('Generate receipt PDF error:', error);
+    res.status(500).json({ message: 'Failed to generate receipt PDF' });
+  }
+});
+
+module.exports = router;
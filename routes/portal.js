@@ -0,0 +1,303 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Quote = require('../models/Quote');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const { authenticatePortalToken } = require('../middleware/auth');
+const { generateQuotePDF, generateInvoicePDF, generateSOAPDF } = require('../utils/pdfGenerator');
+const { buildStatement } = require('../utils/statement');
+
+const router = express.Router();
+
+// Customer self-service portal: every route is opened with a magic link (see utils/portal)
+// and only ever sees the documents of the customer the link was issued to
+
+// Fields not shown to the customer
+const QUOTE_HIDDEN_FIELDS = '-createdBy';
+const INVOICE_HIDDEN_FIELDS = '-createdBy -reminders -recurringInvoice';
+const CREDIT_NOTE_HIDDEN_FIELDS = '-createdBy -warehouse';
+
+const portalFilters = (req) => ({
+  company: req.portal.company._id,
+  customer: req.portal.customer._id
+});
+
+// A malformed document id cannot match anything, so it is reported as not found
+const validDocumentId = (name) => (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: `${name} not found` });
+  }
+  next();
+};
+
+// Quotes and invoices are visible once they have been sent
+const findQuote = (req) => Quote.findOne({
+  ...portalFilters(req),
+  _id: req.params.id,
+  status: { $ne: 'draft' }
+});
+
+const findInvoice = (req) => Invoice.findOne({
+  ...portalFilters(req),
+  _id: req.params.id,
+  status: { $nin: ['draft', 'cancelled'] }
+});
+
+// Send a generated document, which is HTML when PDF generation fell back to it
+const sendDocument = (res, pdfResult, filename) => {
+  if (pdfResult.isHtml) {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${pdfResult.filename}"`);
+    return res.send(pdfResult.buffer);
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(pdfResult.buffer || pdfResult);
+};
+
+// Get the company and customer the portal link is for
+router.get('/', authenticatePortalToken, async (req, res) => {
+  try {
+    const { company, customer } = req.portal;
+
+    res.json({
+      company: {
+        name: company.name,
+        email: company.email,
+        phone: company.phone,
+        website: company.website,
+        logo: company.logo,
+        currency: company.settings?.currency
+      },
+      customer: {
+        firstName: customer.firstName,
+        lastName: customer.lastName,
+        companyName: customer.companyName,
+        email: customer.email
+      }
+    });
+  } catch (error) {
+    console.error('Get portal error:', error);
+    res.status(500).json({ message: 'Failed to load portal' });
+  }
+});
+
+// Get the customer's quotes
+router.get('/quotes', authenticatePortalToken, async (req, res) => {
+  try {
+    const quotes = await Quote.find({ ...portalFilters(req), status: { $ne: 'draft' } })
+      .select(QUOTE_HIDDEN_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.json({ quotes });
+  } catch (error) {
+    console.error('Get portal quotes error:', error);
+    res.status(500).json({ message: 'Failed to fetch quotes' });
+  }
+});
+
+// Get a quote (the first time the customer opens a sent quote marks it as viewed)
+router.get('/quotes/:id', authenticatePortalToken, validDocumentId('Quote'), async (req, res) => {
+  try {
+    const quote = await findQuote(req);
+
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    await quote.markAsViewed();
+
+    res.json({ quote: await Quote.findById(quote._id).select(QUOTE_HIDDEN_FIELDS) });
+  } catch (error) {
+    console.error('Get portal quote error:', error);
+    res.status(500).json({ message: 'Failed to fetch quote' });
+  }
+});
+
+// Download quote PDF
+router.get('/quotes/:id/pdf', authenticatePortalToken, validDocumentId('Quote'), async (req, res) => {
+  try {
+    const quote = await findQuote(req)
+      .populate('customer')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    const pdfResult = await generateQuotePDF(quote, req.portal.company, quote.customer);
+    sendDocument(res, pdfResult, pdfResult.filename || `quote-${quote.quoteNumber}.pdf`);
+  } catch (error) {
+    console.error('Generate portal quote PDF error:', error);
+    res.status(500).json({ message: 'Failed to generate quote PDF' });
+  }
+});
+
+// Accept or reject a quote the customer has been sent, while it is still valid
+const respondToQuote = (response) => async (req, res) => {
+  try {
+    const quote = await findQuote(req);
+
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    if (!['sent', 'viewed'].includes(quote.status)) {
+      return res.status(400).json({ message: `This quote has already been ${quote.status}` });
+    }
+
+    if (quote.isExpired()) {
+      return res.status(400).json({ message: 'This quote has expired' });
+    }
+
+    // The customer may respond straight from the email without opening the quote first
+    if (!quote.viewedAt) {
+      quote.viewedAt = new Date();
+    }
+
+    if (response === 'accept') {
+      await quote.accept();
+    } else {
+      await quote.reject(req.body.reason);
+    }
+
+    res.json({
+      message: `Quote ${response === 'accept' ? 'accepted' : 'rejected'} successfully`,
+      quote: await Quote.findById(quote._id).select(QUOTE_HIDDEN_FIELDS)
+    });
+  } catch (error) {
+    console.error(`Portal ${response} quote error:`, error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: `Failed to ${response} quote` });
+  }
+};
+
+// Accept quote
+router.post('/quotes/:id/accept', authenticatePortalToken, validDocumentId('Quote'), respondToQuote('accept'));
+
+// Reject quote, optionally with a reason
+router.post('/quotes/:id/reject', authenticatePortalToken, validDocumentId('Quote'), respondToQuote('reject'));
+
+// Get the customer's invoices
+router.get('/invoices', authenticatePortalToken, async (req, res) => {
+  try {
+    const invoices = await Invoice.find({ ...portalFilters(req), status: { $nin: ['draft', 'cancelled'] } })
+      .select(INVOICE_HIDDEN_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.json({ invoices });
+  } catch (error) {
+    console.error('Get portal invoices error:', error);
+    res.status(500).json({ message: 'Failed to fetch invoices' });
+  }
+});
+
+// Get an invoice
+router.get('/invoices/:id', authenticatePortalToken, validDocumentId('Invoice'), async (req, res) => {
+  try {
+    const invoice = await findInvoice(req).select(INVOICE_HIDDEN_FIELDS);
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    res.json({ invoice });
+  } catch (error) {
+    console.error('Get portal invoice error:', error);
+    res.status(500).json({ message: 'Failed to fetch invoice' });
+  }
+});
+
+// Download invoice PDF
+router.get('/invoices/:id/pdf', authenticatePortalToken, validDocumentId('Invoice'), async (req, res) => {
+  try {
+    const invoice = await findInvoice(req)
+      .populate('customer')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const pdfResult = await generateInvoicePDF(invoice, req.portal.company, invoice.customer);
+    sendDocument(res, pdfResult, `invoice-${invoice.invoiceNumber}.pdf`);
+  } catch (error) {
+    console.error('Generate portal invoice PDF error:', error);
+    res.status(500).json({ message: 'Failed to generate invoice PDF' });
+  }
+});
+
+// Get the customer's statement of account (?from=&to=, the year to date by default;
+// ?format=pdf to download it)
+router.get('/statement', authenticatePortalToken, async (req, res) => {
+  try {
+    const today = new Date().toISOString().slice(0, 10);
+    const from = req.query.from || `${today.slice(0, 4)}-01-01`;
+    const to = req.query.to || today;
+
+    const fromDate = new Date(from);
+    fromDate.setHours(0, 0, 0, 0);
+
+    const toDate = new Date(to);
+    toDate.setHours(23, 59, 59, 999);
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+
+    const { company, customer } = req.portal;
+    const statement = await buildStatement(company._id, customer._id, fromDate, toDate);
+
+    const statementData = {
+      customer_id: customer._id,
+      period: { from, to },
+      statementDate: new Date(),
+      ...statement,
+      totalBalance: statement.closingBalance
+    };
+
+    if (req.query.format === 'pdf') {
+      const pdfResult = await generateSOAPDF(statementData, company, customer);
+      return sendDocument(res, pdfResult, pdfResult.filename);
+    }
+
+    res.json(statementData);
+  } catch (error) {
+    console.error('Get portal statement error:', error);
+    res.status(500).json({ message: 'Failed to generate statement of account' });
+  }
+});
+
+// Get the customer's credit notes and the credit still available to them
+router.get('/credit-notes', authenticatePortalToken, async (req, res) => {
+  try {
+    const creditNotes = await CreditNote.find(portalFilters(req))
+      .select(CREDIT_NOTE_HIDDEN_FIELDS)
+      .populate('originalInvoice', 'invoiceNumber')
+      .populate('originalSale', 'saleNumber')
+      .sort({ createdAt: -1 });
+
+    const available = creditNotes.filter(creditNote => ['unused', 'partially_used'].includes(creditNote.status));
+
+    // Credit still available, per currency
+    const balances = Object.values(available.reduce((totals, creditNote) => {
+      const currency = creditNote.currency || req.portal.company.settings?.currency;
+      totals[currency] = totals[currency] || { currency, remainingBalance: 0 };
+      totals[currency].remainingBalance = Math.round((totals[currency].remainingBalance + creditNote.remainingBalance) * 100) / 100;
+      return totals;
+    }, {}));
+
+    res.json({ balances, creditNotes });
+  } catch (error) {
+    console.error('Get portal credit notes error:', error);
+    res.status(500).json({ message: 'Failed to fetch credit notes' });
+  }
+});
+
+module.exports = router;
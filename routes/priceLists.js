@@ -0,0 +1,241 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const PriceList = require('../models/PriceList');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const { authenticateToken, requireRole, requireSameCompany } = require('../middleware/auth');
+const { priceListForCustomer, resolveUnitPrice } = require('../utils/pricing');
+
+// Fields a price list can be created or updated with
+const priceListFields = ({ name, description, rules, defaultMarkupPercent, validFrom, validTo, isActive }) => (
+  Object.fromEntries(Object.entries({ name, description, rules, defaultMarkupPercent, validFrom, validTo, isActive })
+    .filter(([, value]) => value !== undefined))
+);
+
+// Every product a price list's rules name must be one of the company's
+const unknownRuleProduct = async (companyId, rules) => {
+  if (!Array.isArray(rules)) return null;
+
+  const productIds = [...new Set(rules.map(rule => rule.product).filter(Boolean).map(String))];
+  const invalid = productIds.find(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid) return invalid;
+
+  const products = await Product.find({ _id: { $in: productIds }, company: companyId }).select('_id');
+  return productIds.find(id => !products.some(p => p._id.toString() === id)) || null;
+};
+
+// Get all price lists for the company
+router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const filters = { company: req.user.company._id };
+    if (req.query.includeInactive !== 'true') {
+      filters.isActive = true;
+    }
+    if (req.query.search) {
+      filters.name = { $regex: req.query.search, $options: 'i' };
+    }
+
+    const priceLists = await PriceList.find(filters)
+      .select('-rules')
+      .sort({ name: 1 })
+      .lean();
+
+    // How many customers each list is assigned to
+    const counts = await Customer.aggregate([
+      { $match: { company: req.user.company._id, isActive: true, priceList: { $in: priceLists.map(list => list._id) } } },
+      { $group: { _id: '$priceList', count: { $sum: 1 } } }
+    ]);
+    priceLists.forEach(list => {
+      list.customerCount = counts.find(c => c._id.toString() === list._id.toString())?.count || 0;
+    });
+
+    res.json({ priceLists });
+  } catch (error) {
+    console.error('Get price lists error:', error);
+    res.status(500).json({ message: 'Failed to fetch price lists' });
+  }
+});
+
+// Preview the unit price a customer would get for a product:
+// ?customer=&product=&quantity=&unit= (or ?priceList= to try a list directly)
+router.get('/resolve', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const { customer, priceList: priceListId, product: productId, unit } = req.query;
+    const quantity = req.query.quantity === undefined ? 1 : Number(req.query.quantity);
+
+    if (!(quantity > 0)) {
+      return res.status(400).json({ message: 'Quantity must be greater than 0' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: 'Product is required' });
+    }
+
+    const product = await Product.findOne({ _id: productId, company: req.user.company._id });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const conversion = product.getUnitConversion(unit);
+    if (!conversion) {
+      return res.status(400).json({ message: `${product.name} is not sold by the ${unit}` });
+    }
+
+    let priceList = null;
+    if (priceListId) {
+      priceList = mongoose.Types.ObjectId.isValid(priceListId)
+        ? await PriceList.findOne({ _id: priceListId, company: req.user.company._id })
+        : null;
+      if (!priceList) {
+        return res.status(404).json({ message: 'Price list not found' });
+      }
+    } else if (customer) {
+      priceList = mongoose.Types.ObjectId.isValid(customer)
+        ? await priceListForCustomer(req.user.company._id, customer)
+        : null;
+    }
+
+    const { unitPrice, pricing } = resolveUnitPrice(product, quantity, priceList, conversion);
+
+    res.json({
+      product: product._id,
+      unit: conversion.unit,
+      quantity,
+      unitPrice,
+      total: Math.round(unitPrice * quantity * 100) / 100,
+      pricing
+    });
+  } catch (error) {
+    console.error('Resolve price error:', error);
+    res.status(500).json({ message: 'Failed to resolve price' });
+  }
+});
+
+// Get single price list
+router.get('/:id', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const priceList = await PriceList.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    })
+      .populate('rules.product', 'name sku unit costPrice sellingPrice')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!priceList) {
+      return res.status(404).json({ message: 'Price list not found' });
+    }
+
+    res.json({ priceList });
+  } catch (error) {
+    console.error('Get price list error:', error);
+    res.status(500).json({ message: 'Failed to fetch price list' });
+  }
+});
+
+// Create price list
+router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const fields = priceListFields(req.body);
+
+    const unknown = await unknownRuleProduct(req.user.company._id, fields.rules);
+    if (unknown) {
+      return res.status(400).json({ message: `Product not found: ${unknown}` });
+    }
+
+    if (await PriceList.exists({ company: req.user.company._id, name: fields.name })) {
+      return res.status(400).json({ message: 'A price list with this name already exists' });
+    }
+
+    const priceList = new PriceList({
+      ...fields,
+      company: req.user.company._id,
+      createdBy: req.user._id
+    });
+    await priceList.save();
+
+    res.status(201).json({ priceList });
+  } catch (error) {
+    console.error('Create price list error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to create price list' });
+  }
+});
+
+// Update price list
+router.put('/:id', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const priceList = await PriceList.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!priceList) {
+      return res.status(404).json({ message: 'Price list not found' });
+    }
+
+    const fields = priceListFields(req.body);
+
+    const unknown = await unknownRuleProduct(req.user.company._id, fields.rules);
+    if (unknown) {
+      return res.status(400).json({ message: `Product not found: ${unknown}` });
+    }
+
+    if (fields.name && fields.name !== priceList.name && await PriceList.exists({
+      company: req.user.company._id,
+      name: fields.name,
+      _id: { $ne: priceList._id }
+    })) {
+      return res.status(400).json({ message: 'A price list with this name already exists' });
+    }
+
+    Object.assign(priceList, fields);
+    await priceList.save();
+
+    res.json({ priceList });
+  } catch (error) {
+    console.error('Update price list error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to update price list' });
+  }
+});
+
+// Delete price list (only once no customer is assigned to it)
+router.delete('/:id', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const priceList = await PriceList.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!priceList) {
+      return res.status(404).json({ message: 'Price list not found' });
+    }
+
+    const assigned = await Customer.countDocuments({ company: req.user.company._id, priceList: priceList._id });
+    if (assigned > 0) {
+      return res.status(400).json({
+        message: `This price list is assigned to ${assigned} customer(s); assign them another list or deactivate it instead`
+      });
+    }
+
+    await priceList.deleteOne();
+
+    res.json({ message: 'Price list deleted successfully' });
+  } catch (error) {
+    console.error('Delete price list error:', error);
+    res.status(500).json({ message: 'Failed to delete price list' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,131 @@
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const CostLayer = require('../models/CostLayer');
+const StockLot = require('../models/StockLot');
+const SerialNumber = require('../models/SerialNumber');
+const Warehouse = require('../models/Warehouse');
 const { authenticateToken } = require('../middleware/auth');
+const { buildReorderSuggestions, draftReorderPurchaseOrders } = require('../utils/reorderSuggestions');
+
+// Read the sales history window and supplier lead time for reorder suggestions
+const reorderOptions = (source) => {
+  const days = source.days === undefined ? 30 : parseInt(source.days);
+  const leadTimeDays = source.leadTimeDays === undefined ? 7 : parseInt(source.leadTimeDays);
+  if (!(days >= 1 && days <= 365) || !(leadTimeDays >= 0 && leadTimeDays <= 365)) {
+    return null;
+  }
+  return { days, leadTimeDays, supplier: source.supplier || undefined };
+};
+
+// Log a new product's starting quantity as its first movement and cost layer, placing
+// it in `lots` when the product is lot-tracked
+const recordOpeningStock = async (product, warehouseId, userId, lots) => {
+  const source = {
+    type: 'opening',
+    sourceType: 'product',
+    sourceId: product._id,
+    date: product.createdAt
+  };
+  let allocations;
+  if (product.stockQuantity > 0) {
+    await CostLayer.receive(product, product.stockQuantity, product.costPrice, source);
+    if (product.trackLots) {
+      allocations = await StockLot.receive(product, warehouseId, product.stockQuantity, lots, source);
+    }
+  }
+  await StockMovement.record(product, 0, {
+    type: 'opening',
+    reason: 'Opening stock',
+    sourceType: 'product',
+    sourceId: product._id,
+    user: userId,
+    warehouse: warehouseId,
+    locationQuantityBefore: 0,
+    locationQuantityAfter: product.stockQuantity,
+    unitCost: product.costPrice,
+    totalCost: product.stockQuantity * (product.costPrice || 0),
+    lots: allocations
+  });
+};
+
+// Lots stock is received into, as [{ lotNumber, manufactureDate, expiryDate, quantity }].
+// Returns { lots } or { error }.
+const parseLots = (lots) => {
+  if (lots === undefined || lots === null) {
+    return { lots: [] };
+  }
+  if (!Array.isArray(lots)) {
+    return { error: 'Lots must be a list' };
+  }
+
+  const parsed = [];
+  for (const lot of lots) {
+    const lotNumber = String(lot?.lotNumber || '').trim();
+    if (!lotNumber) {
+      return { error: 'Each lot needs a lot number' };
+    }
+    const manufactureDate = lot.manufactureDate ? new Date(lot.manufactureDate) : undefined;
+    const expiryDate = lot.expiryDate ? new Date(lot.expiryDate) : undefined;
+    if ([manufactureDate, expiryDate].some(date => date && isNaN(date))) {
+      return { error: `Lot ${lotNumber} has an invalid date` };
+    }
+    if (manufactureDate && expiryDate && expiryDate < manufactureDate) {
+      return { error: `Expiry date of lot ${lotNumber} is before its manufacture date` };
+    }
+    if (lot.quantity !== undefined && !(Number(lot.quantity) > 0)) {
+      return { error: `Quantity of lot ${lotNumber} must be greater than 0` };
+    }
+    parsed.push({
+      lotNumber,
+      manufactureDate,
+      expiryDate,
+      quantity: lot.quantity !== undefined ? Number(lot.quantity) : undefined
+    });
+  }
+  return { lots: parsed };
+};
+
+// Variant attributes as [{ name, value }], from either that form or { Size: 'M' }
+const normalizeAttributes = (attributes) => {
+  const list = Array.isArray(attributes)
+    ? attributes
+    : Object.entries(attributes || {}).map(([name, value]) => ({ name, value }));
+  return list
+    .map(attr => ({ name: String(attr.name || '').trim(), value: String(attr.value ?? '').trim() }))
+    .filter(attr => attr.name && attr.value);
+};
+
+const attributeKey = (attributes) => attributes
+  .map(attr => `${attr.name.toLowerCase()}=${attr.value.toLowerCase()}`)
+  .sort()
+  .join('|');
+
+// Bring a product's total stock to `target` by adjusting its default location
+const adjustTotalStock = async (product, target, movement) => {
+  const difference = Number(target) - product.stockQuantity;
+  if (!difference) return;
+  await product.updateStock(Math.abs(difference), difference > 0 ? 'add' : 'subtract', movement);
+};
+
+// Products with their stock at one location, keeping those matching `predicate`
+const productsAtLocation = async (companyId, warehouseId, predicate) => {
+  const defaultWarehouse = await Warehouse.getDefault(companyId);
+  const products = await Product.find({
+    company: companyId,
+    isActive: true,
+    isTrackable: true
+  }).populate('supplier', 'name email');
+
+  return products
+    .map(product => {
+      const level = product.getStockByLocation(defaultWarehouse._id)
+        .find(l => l.warehouse.toString() === warehouseId.toString());
+      return level ? { ...product.toJSON(), locationStock: level } : null;
+    })
+    .filter(product => product && predicate(product.locationStock));
+};
 
 // Get all products for a company
 router.get('/', authenticateToken, async (req, res) => {
@@ -12,12 +136,21 @@ router.get('/', authenticateToken, async (req, res) => {
       search = '',
       category = '',
       status = '',
+      parentProduct = '',
+      excludeVariants = '',
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
     const query = { company: req.user.company };
 
+    // Variants of one parent, or only top-level products
+    if (parentProduct) {
+      query.parentProduct = parentProduct;
+    } else if (excludeVariants === 'true') {
+      query.parentProduct = null;
+    }
+
     // Add search filter
     if (search) {
       query.$or = [
@@ -77,6 +210,121 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Get reorder suggestions from stock levels, open purchase orders and recent sales
+router.get('/reorder-suggestions', authenticateToken, async (req, res) => {
+  try {
+    const options = reorderOptions(req.query);
+    if (!options) {
+      return res.status(400).json({ message: 'days must be 1-365 and leadTimeDays 0-365' });
+    }
+
+    const suggestions = await buildReorderSuggestions(req.user.company._id, options);
+
+    res.json({
+      suggestions,
+      parameters: { days: options.days, leadTimeDays: options.leadTimeDays },
+      totals: {
+        products: suggestions.length,
+        estimatedCost: Math.round(suggestions.reduce((sum, s) => sum + s.estimatedCost, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching reorder suggestions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Draft purchase orders, one per supplier, from the given lines or the current suggestions
+router.post('/reorder-suggestions/purchase-orders', authenticateToken, async (req, res) => {
+  try {
+    const { items, warehouse: warehouseId } = req.body;
+
+    let lines;
+    if (Array.isArray(items) && items.length > 0) {
+      if (items.some(item => !item.product || !(Number(item.quantity) > 0))) {
+        return res.status(400).json({ message: 'Each item needs a product and a quantity greater than 0' });
+      }
+      lines = items.map(item => ({ product: item.product, quantity: Number(item.quantity), vendor: item.vendor }));
+    } else {
+      const options = reorderOptions(req.body);
+      if (!options) {
+        return res.status(400).json({ message: 'days must be 1-365 and leadTimeDays 0-365' });
+      }
+      const suggestions = await buildReorderSuggestions(req.user.company._id, options);
+      lines = suggestions.map(s => ({ product: s.product, quantity: s.suggestedQuantity }));
+    }
+
+    if (lines.length === 0) {
+      return res.status(400).json({ message: 'No products need reordering' });
+    }
+
+    let warehouse;
+    if (warehouseId) {
+      warehouse = await Warehouse.resolveForCompany(req.user.company._id, warehouseId);
+      if (!warehouse) {
+        return res.status(400).json({ message: 'Invalid warehouse selected' });
+      }
+    }
+
+    const result = await draftReorderPurchaseOrders(req.user.company, lines, {
+      userId: req.user.id,
+      warehouse: warehouse ? warehouse._id : undefined
+    });
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    if (result.purchaseOrders.length === 0) {
+      return res.status(400).json({
+        message: 'Assign a supplier to these products before drafting purchase orders',
+        unassigned: result.unassigned
+      });
+    }
+
+    res.status(201).json({
+      message: `${result.purchaseOrders.length} draft purchase order(s) created`,
+      purchaseOrders: result.purchaseOrders,
+      unassigned: result.unassigned
+    });
+  } catch (error) {
+    console.error('Error drafting reorder purchase orders:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Look up a serial number: which product it is, where it is now and its full history
+// (received, sold, returned). The same serial may exist on more than one product.
+router.get('/serials/:serialNumber', authenticateToken, async (req, res) => {
+  try {
+    const serials = await SerialNumber.find({
+      company: req.user.company._id,
+      serialNumber: req.params.serialNumber.trim()
+    })
+      .populate('product', 'name sku unit')
+      .populate('warehouse', 'name code')
+      .populate('sale', 'saleNumber saleDate')
+      .populate('customer', 'firstName lastName companyName email')
+      .populate('history.warehouse', 'name code')
+      .populate('history.customer', 'firstName lastName companyName')
+      .populate('history.user', 'firstName lastName');
+
+    if (serials.length === 0) {
+      return res.status(404).json({ message: 'Serial number not found' });
+    }
+
+    res.json(serials);
+  } catch (error) {
+    console.error('Error looking up serial number:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get product by ID
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -85,12 +333,21 @@ router.get('/:id', authenticateToken, async (req, res) => {
       company: req.user.company
     })
       .populate('supplier', 'name email phone')
+      .populate('stockLevels.warehouse', 'name code')
+      .populate('parentProduct', 'name sku variantOptions')
       .populate('createdBy', 'firstName lastName');
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
+    if (product.hasVariants) {
+      const variants = await Product.find({ company: req.user.company, parentProduct: product._id })
+        .select('name sku barcode variantAttributes costPrice sellingPrice stockQuantity isActive')
+        .sort({ name: 1 });
+      return res.json({ ...product.toJSON(), variants });
+    }
+
     res.json(product);
   } catch (error) {
     console.error('Error fetching product:', error);
@@ -101,12 +358,29 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // Create new product
 router.post('/', authenticateToken, async (req, res) => {
   try {
+    // Variants are added through /:id/variants
+    const { warehouse: warehouseId, stockLevels, parentProduct, hasVariants, lots, ...body } = req.body;
+
+    const openingLots = parseLots(lots);
+    if (openingLots.error) {
+      return res.status(400).json({ message: openingLots.error });
+    }
+
     const productData = {
-      ...req.body,
+      ...body,
       company: req.user.company,
       createdBy: req.user.id
     };
 
+    // Opening stock is placed at the given location (the default warehouse when not given)
+    const warehouse = await Warehouse.resolveForCompany(req.user.company._id, warehouseId);
+    if (!warehouse) {
+      return res.status(400).json({ message: 'Invalid warehouse selected' });
+    }
+    productData.stockLevels = Number(productData.stockQuantity) > 0
+      ? [{ warehouse: warehouse._id, quantity: Number(productData.stockQuantity) }]
+      : [];
+
     // Check if SKU already exists
     const existingProduct = await Product.findOne({
       sku: productData.sku,
@@ -120,6 +394,8 @@ router.post('/', authenticateToken, async (req, res) => {
     const product = new Product(productData);
     await product.save();
 
+    await recordOpeningStock(product, warehouse._id, req.user._id, openingLots.lots);
+
     const populatedProduct = await Product.findById(product._id)
       .populate('supplier', 'name email')
       .populate('createdBy', 'firstName lastName');
@@ -160,9 +436,27 @@ router.put('/:id', authenticateToken, async (req, res) => {
       }
     }
 
-    Object.assign(product, req.body);
+    // Stock changes go through updateStock so they are logged; variant links are managed
+    // through /:id/variants
+    const { stockQuantity, stockLevels, parentProduct, hasVariants, ...updates } = req.body;
+
+    if (product.hasVariants && stockQuantity !== undefined && Number(stockQuantity) !== product.stockQuantity) {
+      return res.status(400).json({ message: 'Stock is held by the variants of this product' });
+    }
+
+    Object.assign(product, updates);
     await product.save();
 
+    if (stockQuantity !== undefined) {
+      await adjustTotalStock(product, stockQuantity, {
+        type: 'adjustment',
+        reason: 'Product edited',
+        sourceType: 'product',
+        sourceId: product._id,
+        user: req.user._id
+      });
+    }
+
     const populatedProduct = await Product.findById(product._id)
       .populate('supplier', 'name email')
       .populate('createdBy', 'firstName lastName');
@@ -204,12 +498,19 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 // Update stock quantity
 router.patch('/:id/stock', authenticateToken, async (req, res) => {
   try {
-    const { quantity, operation = 'set' } = req.body;
+    const { quantity, operation = 'set', reason, warehouse: warehouseId } = req.body;
 
     if (typeof quantity !== 'number' || quantity < 0) {
       return res.status(400).json({ message: 'Invalid quantity' });
     }
 
+    // Stock added to a lot-tracked product goes into the given lots; stock taken out
+    // comes from them first
+    const { lots, error: lotsError } = parseLots(req.body.lots);
+    if (lotsError) {
+      return res.status(400).json({ message: lotsError });
+    }
+
     const product = await Product.findOne({
       _id: req.params.id,
       company: req.user.company
@@ -219,7 +520,23 @@ router.patch('/:id/stock', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    await product.updateStock(quantity, operation);
+    if (product.hasVariants) {
+      return res.status(400).json({ message: 'Stock is held by the variants of this product' });
+    }
+
+    const warehouse = await Warehouse.resolveForCompany(req.user.company._id, warehouseId);
+    if (!warehouse) {
+      return res.status(400).json({ message: 'Invalid warehouse selected' });
+    }
+
+    await product.updateStock(quantity, operation, {
+      type: 'adjustment',
+      reason: reason || 'Manual stock adjustment',
+      sourceType: 'manual',
+      user: req.user._id,
+      warehouse: warehouse._id,
+      lots
+    });
 
     const updatedProduct = await Product.findById(product._id)
       .populate('supplier', 'name email')
@@ -232,6 +549,333 @@ router.patch('/:id/stock', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the variants of a parent product
+router.get('/:id/variants', authenticateToken, async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const variants = await Product.find({
+      company: req.user.company,
+      parentProduct: product._id
+    })
+      .populate('stockLevels.warehouse', 'name code')
+      .sort({ name: 1 });
+
+    res.json({
+      product: { _id: product._id, name: product.name, sku: product.sku, variantOptions: product.variantOptions },
+      variants
+    });
+  } catch (error) {
+    console.error('Error fetching variants:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add variants to a product. Each variant is a product of its own that inherits the
+// parent's details; body: { variants: [{ attributes, sku, barcode, name, costPrice,
+// sellingPrice, stockQuantity, unitConversions }], warehouse }
+router.post('/:id/variants', authenticateToken, async (req, res) => {
+  try {
+    const { variants, warehouse: warehouseId } = req.body;
+
+    if (!Array.isArray(variants) || variants.length === 0) {
+      return res.status(400).json({ message: 'At least one variant is required' });
+    }
+
+    const parent = await Product.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!parent) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if (parent.parentProduct) {
+      return res.status(400).json({ message: 'A variant cannot have variants of its own' });
+    }
+
+    if (!parent.hasVariants && parent.stockQuantity > 0) {
+      return res.status(400).json({
+        message: `Clear the stock held on ${parent.name} first; once it has variants, stock is held by each variant`
+      });
+    }
+
+    const warehouse = await Warehouse.resolveForCompany(req.user.company._id, warehouseId);
+    if (!warehouse) {
+      return res.status(400).json({ message: 'Invalid warehouse selected' });
+    }
+
+    const existingVariants = await Product.find({ company: req.user.company, parentProduct: parent._id })
+      .select('variantAttributes');
+    const takenCombinations = new Set(existingVariants.map(v => attributeKey(v.variantAttributes)));
+    const requestedSkus = new Set();
+
+    const prepared = [];
+    for (const variant of variants) {
+      const attributes = normalizeAttributes(variant.attributes);
+      if (attributes.length === 0) {
+        return res.status(400).json({ message: 'Each variant needs at least one attribute, e.g. Size: M' });
+      }
+
+      const key = attributeKey(attributes);
+      if (takenCombinations.has(key)) {
+        return res.status(400).json({
+          message: `A variant with ${attributes.map(a => `${a.name}: ${a.value}`).join(', ')} already exists`
+        });
+      }
+      takenCombinations.add(key);
+
+      const sku = (variant.sku || '').trim().toUpperCase();
+      if (!sku) {
+        return res.status(400).json({ message: 'Each variant needs its own SKU' });
+      }
+      if (requestedSkus.has(sku) || await Product.exists({ sku, company: req.user.company })) {
+        return res.status(400).json({ message: `SKU already exists: ${sku}` });
+      }
+      requestedSkus.add(sku);
+
+      const openingLots = parseLots(variant.lots);
+      if (openingLots.error) {
+        return res.status(400).json({ message: openingLots.error });
+      }
+
+      const stockQuantity = Number(variant.stockQuantity) || 0;
+      prepared.push({
+        company: req.user.company,
+        parentProduct: parent._id,
+        variantAttributes: attributes,
+        name: variant.name || `${parent.name} - ${attributes.map(a => a.value).join(' / ')}`,
+        description: variant.description ?? parent.description,
+        sku,
+        barcode: variant.barcode,
+        category: parent.category,
+        brand: parent.brand,
+        unit: parent.unit,
+        unitConversions: variant.unitConversions ?? parent.unitConversions.map(c => ({
+          unit: c.unit,
+          factor: c.factor,
+          sellingPrice: c.sellingPrice
+        })),
+        costPrice: variant.costPrice ?? parent.costPrice,
+        sellingPrice: variant.sellingPrice ?? parent.sellingPrice,
+        stockQuantity,
+        stockLevels: stockQuantity > 0 ? [{ warehouse: warehouse._id, quantity: stockQuantity }] : [],
+        minStockLevel: variant.minStockLevel ?? parent.minStockLevel,
+        maxStockLevel: variant.maxStockLevel ?? parent.maxStockLevel,
+        reorderPoint: variant.reorderPoint ?? parent.reorderPoint,
+        supplier: parent.supplier,
+        isTrackable: parent.isTrackable,
+        trackLots: parent.trackLots,
+        tags: parent.tags,
+        createdBy: req.user.id
+      });
+    }
+
+    const created = [];
+    for (const [index, data] of prepared.entries()) {
+      const variant = new Product(data);
+      await variant.save();
+      await recordOpeningStock(variant, warehouse._id, req.user._id, parseLots(variants[index].lots).lots);
+      created.push(variant);
+    }
+
+    // The parent lists every option value its variants use
+    parent.hasVariants = true;
+    prepared.forEach(({ variantAttributes }) => {
+      variantAttributes.forEach(({ name, value }) => {
+        let option = parent.variantOptions.find(o => o.name.toLowerCase() === name.toLowerCase());
+        if (!option) {
+          parent.variantOptions.push({ name, values: [] });
+          option = parent.variantOptions[parent.variantOptions.length - 1];
+        }
+        if (!option.values.some(v => v.toLowerCase() === value.toLowerCase())) {
+          option.values.push(value);
+        }
+      });
+    });
+    await parent.save();
+
+    res.status(201).json({
+      message: `${created.length} variant(s) created`,
+      product: parent,
+      variants: created
+    });
+  } catch (error) {
+    console.error('Error creating variants:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: errors.join(', ') });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get stock movement history for a product
+router.get('/:id/movements', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type = '', warehouse = '', startDate, endDate } = req.query;
+
+    const product = await Product.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    }).select('name sku unit stockQuantity');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const query = {
+      company: req.user.company._id,
+      product: product._id
+    };
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (warehouse) {
+      query.warehouse = warehouse;
+    }
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) {
+        query.createdAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+
+    const movements = await StockMovement.find(query)
+      .populate('warehouse', 'name code')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await StockMovement.countDocuments(query);
+
+    res.json({
+      product,
+      movements,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the lots of a lot-tracked product still holding stock (?warehouse= for one location,
+// ?includeEmpty=true for used-up lots too), earliest expiry first
+router.get('/:id/lots', authenticateToken, async (req, res) => {
+  try {
+    const { warehouse = '', includeEmpty } = req.query;
+
+    const product = await Product.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    }).select('name sku unit stockQuantity trackLots');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const query = {
+      company: req.user.company._id,
+      product: product._id
+    };
+
+    if (warehouse) {
+      query.warehouse = warehouse;
+    }
+
+    if (includeEmpty !== 'true') {
+      query.quantity = { $gt: 0 };
+    }
+
+    const lots = await StockLot.find(query)
+      .populate('warehouse', 'name code')
+      .sort({ expiryDate: 1, receivedDate: 1 });
+
+    // Lots without an expiry date sort last
+    lots.sort((a, b) => (a.expiryDate ? 0 : 1) - (b.expiryDate ? 0 : 1));
+
+    res.json({ product, lots });
+  } catch (error) {
+    console.error('Error fetching product lots:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the serial numbers recorded for a product (?status=in_stock|sold)
+router.get('/:id/serials', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = '' } = req.query;
+
+    const product = await Product.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    }).select('name sku unit stockQuantity trackSerials');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const query = {
+      company: req.user.company._id,
+      product: product._id
+    };
+
+    if (status) {
+      query.status = status;
+    }
+
+    const serials = await SerialNumber.find(query)
+      .select('-history')
+      .populate('warehouse', 'name code')
+      .populate('sale', 'saleNumber saleDate')
+      .populate('customer', 'firstName lastName companyName')
+      .sort({ serialNumber: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await SerialNumber.countDocuments(query);
+
+    res.json({
+      product,
+      serials,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching serial numbers:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get product categories
 router.get('/categories/list', authenticateToken, async (req, res) => {
   try {
@@ -247,9 +891,48 @@ router.get('/categories/list', authenticateToken, async (req, res) => {
   }
 });
 
-// Get low stock products
+// Set the low-stock threshold for a product at one location
+router.patch('/:id/locations/:warehouseId', authenticateToken, async (req, res) => {
+  try {
+    const { minStockLevel } = req.body;
+
+    if (minStockLevel !== null && (typeof minStockLevel !== 'number' || minStockLevel < 0)) {
+      return res.status(400).json({ message: 'Invalid minimum stock level' });
+    }
+
+    const product = await Product.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const warehouse = await Warehouse.resolveForCompany(req.user.company._id, req.params.warehouseId);
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+
+    product.getStockLevel(warehouse._id).minStockLevel = minStockLevel;
+    await product.save();
+
+    res.json(product);
+  } catch (error) {
+    console.error('Error updating location stock level:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get low stock products (company-wide, or at one location with ?warehouse=)
 router.get('/alerts/low-stock', authenticateToken, async (req, res) => {
   try {
+    if (req.query.warehouse) {
+      const products = await productsAtLocation(req.user.company._id, req.query.warehouse,
+        level => level.quantity <= level.minStockLevel);
+      return res.json(products.sort((a, b) => a.locationStock.quantity - b.locationStock.quantity));
+    }
+
     const products = await Product.find({
       company: req.user.company,
       isActive: true,
@@ -267,9 +950,15 @@ router.get('/alerts/low-stock', authenticateToken, async (req, res) => {
   }
 });
 
-// Get out of stock products
+// Get out of stock products (company-wide, or at one location with ?warehouse=)
 router.get('/alerts/out-of-stock', authenticateToken, async (req, res) => {
   try {
+    if (req.query.warehouse) {
+      const products = await productsAtLocation(req.user.company._id, req.query.warehouse,
+        level => level.quantity <= 0);
+      return res.json(products.sort((a, b) => a.name.localeCompare(b.name)));
+    }
+
     const products = await Product.find({
       company: req.user.company,
       isActive: true,
@@ -287,6 +976,49 @@ router.get('/alerts/out-of-stock', authenticateToken, async (req, res) => {
   }
 });
 
+// Get lots expiring within ?days= (30 by default), including those already expired,
+// company-wide or at one location with ?warehouse=
+router.get('/alerts/expiring', authenticateToken, async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days);
+    if (!(days >= 0 && days <= 3650)) {
+      return res.status(400).json({ message: 'Days must be between 0 and 3650' });
+    }
+
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() + days);
+    cutoff.setHours(23, 59, 59, 999);
+
+    const query = {
+      company: req.user.company._id,
+      quantity: { $gt: 0 },
+      expiryDate: { $ne: null, $lte: cutoff }
+    };
+
+    if (req.query.warehouse) {
+      query.warehouse = req.query.warehouse;
+    }
+
+    const lots = await StockLot.find(query)
+      .populate({ path: 'product', select: 'name sku unit costPrice isActive', match: { isActive: true } })
+      .populate('warehouse', 'name code')
+      .sort({ expiryDate: 1 });
+
+    const now = new Date();
+    const dayMs = 24 * 60 * 60 * 1000;
+    res.json(lots
+      .filter(lot => lot.product)
+      .map(lot => ({
+        ...lot.toJSON(),
+        daysToExpiry: Math.ceil((lot.expiryDate - now) / dayMs),
+        value: Math.round(lot.quantity * (lot.product.costPrice || 0) * 100) / 100
+      })));
+  } catch (error) {
+    console.error('Error fetching expiring lots:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Bulk update products
 router.patch('/bulk-update', authenticateToken, async (req, res) => {
   try {
@@ -296,17 +1028,44 @@ router.patch('/bulk-update', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Product IDs are required' });
     }
 
-    const result = await Product.updateMany(
-      {
+    // Stock changes go through updateStock per product so they are logged
+    const { stockQuantity, stockLevels, ...fields } = updateData || {};
+
+    let modifiedCount = 0;
+    if (Object.keys(fields).length > 0) {
+      const result = await Product.updateMany(
+        {
+          _id: { $in: productIds },
+          company: req.user.company
+        },
+        fields
+      );
+      modifiedCount = result.modifiedCount;
+    }
+
+    if (stockQuantity !== undefined) {
+      const products = await Product.find({
         _id: { $in: productIds },
         company: req.user.company
-      },
-      updateData
-    );
+      });
+
+      let stockAdjusted = 0;
+      for (const product of products) {
+        if (product.stockQuantity === Number(stockQuantity)) continue;
+        await adjustTotalStock(product, stockQuantity, {
+          type: 'adjustment',
+          reason: 'Bulk update',
+          sourceType: 'manual',
+          user: req.user._id
+        });
+        stockAdjusted += 1;
+      }
+      modifiedCount = Math.max(modifiedCount, stockAdjusted);
+    }
 
     res.json({
-      message: `${result.modifiedCount} products updated successfully`,
-      modifiedCount: result.modifiedCount
+      message: `${modifiedCount} products updated successfully`,
+      modifiedCount
     });
   } catch (error) {
     console.error('Error bulk updating products:', error);
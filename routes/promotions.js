@@ -0,0 +1,225 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Promotion = require('../models/Promotion');
+const Product = require('../models/Product');
+const { authenticateToken, requireRole, requireSameCompany } = require('../middleware/auth');
+const { loadPromotions } = require('../utils/promotions');
+
+// Fields a promotion can be created or updated with
+const promotionFields = ({
+  name, description, type, code, buyProduct, buyQuantity, getProduct, getQuantity, getDiscountPercent,
+  category, discountPercent, startDate, endDate, usageLimit, usageLimitPerCustomer, isActive
+}) => (
+  Object.fromEntries(Object.entries({
+    name, description, type, code, buyProduct, buyQuantity, getProduct, getQuantity, getDiscountPercent,
+    category, discountPercent, startDate, endDate, usageLimit, usageLimitPerCustomer, isActive
+  }).filter(([, value]) => value !== undefined))
+);
+
+// The buy and get products of a buy X get Y promotion must be the company's
+const unknownPromotionProduct = async (companyId, fields) => {
+  const productIds = [fields.buyProduct, fields.getProduct].filter(Boolean).map(String);
+  const invalid = productIds.find(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid) return invalid;
+
+  const products = await Product.find({ _id: { $in: productIds }, company: companyId }).select('_id');
+  return productIds.find(id => !products.some(p => p._id.toString() === id)) || null;
+};
+
+// Another of the company's promotions already uses the coupon code
+const codeTaken = (companyId, code, excludeId) => (
+  code ? Promotion.exists({
+    company: companyId,
+    code: String(code).trim().toUpperCase(),
+    ...(excludeId ? { _id: { $ne: excludeId } } : {})
+  }) : null
+);
+
+// Get all promotions for the company
+router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const filters = { company: req.user.company._id };
+    if (req.query.includeInactive !== 'true') {
+      filters.isActive = true;
+    }
+    if (req.query.type) {
+      filters.type = req.query.type;
+    }
+    if (req.query.search) {
+      filters.$or = [
+        { name: { $regex: req.query.search, $options: 'i' } },
+        { code: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    const promotions = await Promotion.find(filters)
+      .select('-redemptions')
+      .populate('buyProduct', 'name sku')
+      .populate('getProduct', 'name sku')
+      .sort({ createdAt: -1 });
+
+    res.json({ promotions });
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({ message: 'Failed to fetch promotions' });
+  }
+});
+
+// Check a coupon code before it is used: ?code=&customer=
+router.get('/validate', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    if (!req.query.code) {
+      return res.status(400).json({ message: 'Coupon code is required' });
+    }
+
+    const customerId = mongoose.Types.ObjectId.isValid(req.query.customer) ? req.query.customer : null;
+    const { coupon, error } = await loadPromotions(req.user.company._id, {
+      couponCode: req.query.code,
+      customerId
+    });
+    if (error) {
+      return res.status(400).json({ valid: false, message: error });
+    }
+
+    res.json({
+      valid: true,
+      promotion: {
+        _id: coupon._id,
+        name: coupon.name,
+        description: coupon.description,
+        type: coupon.type,
+        code: coupon.code,
+        endDate: coupon.endDate
+      }
+    });
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(500).json({ message: 'Failed to validate coupon' });
+  }
+});
+
+// Get single promotion, with its redemptions
+router.get('/:id', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    })
+      .populate('buyProduct', 'name sku sellingPrice')
+      .populate('getProduct', 'name sku sellingPrice')
+      .populate('redemptions.customer', 'firstName lastName companyName')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    res.json({ promotion });
+  } catch (error) {
+    console.error('Get promotion error:', error);
+    res.status(500).json({ message: 'Failed to fetch promotion' });
+  }
+});
+
+// Create promotion
+router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const fields = promotionFields(req.body);
+
+    const unknown = await unknownPromotionProduct(req.user.company._id, fields);
+    if (unknown) {
+      return res.status(400).json({ message: `Product not found: ${unknown}` });
+    }
+
+    if (await codeTaken(req.user.company._id, fields.code)) {
+      return res.status(400).json({ message: 'A promotion with this coupon code already exists' });
+    }
+
+    const promotion = new Promotion({
+      ...fields,
+      company: req.user.company._id,
+      createdBy: req.user._id
+    });
+    await promotion.save();
+
+    res.status(201).json({ promotion });
+  } catch (error) {
+    console.error('Create promotion error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to create promotion' });
+  }
+});
+
+// Update promotion
+router.put('/:id', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    const fields = promotionFields(req.body);
+
+    const unknown = await unknownPromotionProduct(req.user.company._id, fields);
+    if (unknown) {
+      return res.status(400).json({ message: `Product not found: ${unknown}` });
+    }
+
+    if (await codeTaken(req.user.company._id, fields.code, promotion._id)) {
+      return res.status(400).json({ message: 'A promotion with this coupon code already exists' });
+    }
+
+    Object.assign(promotion, fields);
+    await promotion.save();
+
+    res.json({ promotion });
+  } catch (error) {
+    console.error('Update promotion error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to update promotion' });
+  }
+});
+
+// Delete promotion (one that has been used can only be deactivated)
+router.delete('/:id', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    if (promotion.redemptions.length > 0) {
+      return res.status(400).json({
+        message: `This promotion has been used ${promotion.redemptions.length} time(s); deactivate it instead`
+      });
+    }
+
+    await promotion.deleteOne();
+
+    res.json({ message: 'Promotion deleted successfully' });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({ message: 'Failed to delete promotion' });
+  }
+});
+
+module.exports = router;
@@ -4,8 +4,38 @@ const PurchaseOrder = require('../models/PurchaseOrder');
 const Vendor = require('../models/Vendor');
 const Customer = require('../models/Customer');
 const Company = require('../models/Company');
+const Product = require('../models/Product');
+const Warehouse = require('../models/Warehouse');
 const { authenticateToken, requireSameCompany } = require('../middleware/auth');
 const { generatePurchaseOrderPDF } = require('../utils/pdfGenerator');
+const { receivePurchaseOrder } = require('../utils/purchaseReceiving');
+const { resolveLineTaxes } = require('../utils/taxes');
+const { lookupExchangeRate, missingRateMessage } = require('../utils/currency');
+
+// Check that lines pointing at a product use one of the company's products, and fill
+// in the name and price from the product when the line leaves them out
+const resolveItemProducts = async (items, companyId) => {
+  if (!Array.isArray(items)) return null;
+
+  const productIds = items.map(item => item.product).filter(Boolean);
+  const products = await Product.find({ _id: { $in: productIds }, company: companyId });
+
+  for (const item of items) {
+    if (!item.product) continue;
+
+    const product = products.find(p => p._id.toString() === item.product.toString());
+    if (!product) {
+      return `Invalid product selected for item "${item.name || item.product}"`;
+    }
+
+    if (!item.name) item.name = product.name;
+    if (item.unitPrice === undefined || item.unitPrice === null || item.unitPrice === '') {
+      item.unitPrice = product.costPrice;
+    }
+  }
+
+  return null;
+};
 
 // Get all purchase orders for a company
 router.get('/', authenticateToken, async (req, res) => {
@@ -92,6 +122,9 @@ router.get('/:id', authenticateToken, requireSameCompany, async (req, res) => {
       .populate('client', 'name email phone address')
       .populate('createdBy', 'name email')
       .populate('tax', 'name percentage')
+      .populate('items.product', 'name sku unit stockQuantity costPrice')
+      .populate('warehouse', 'name code')
+      .populate('receipts.warehouse', 'name code')
       .lean();
 
     if (!purchaseOrder) {
@@ -154,6 +187,21 @@ router.post('/', authenticateToken, async (req, res) => {
       delete poData.taxId;
     }
 
+    const itemError = await resolveItemProducts(poData.items, req.user.company._id);
+    if (itemError) {
+      return res.status(400).json({ message: itemError });
+    }
+
+    const taxed = await resolveLineTaxes(req.user.company._id, poData.items);
+    if (taxed.error) {
+      return res.status(400).json({ message: taxed.error });
+    }
+    poData.items = taxed.items;
+
+    if (poData.warehouse && !(await Warehouse.resolveForCompany(req.user.company._id, poData.warehouse))) {
+      return res.status(400).json({ message: 'Invalid warehouse selected' });
+    }
+
     // Handle approvedBy - now just a string, no validation needed
 
     const purchaseOrder = new PurchaseOrder(poData);
@@ -230,8 +278,49 @@ router.put('/:id', authenticateToken, requireSameCompany, async (req, res) => {
       delete updateData.taxId;
     }
 
+    if (updateData.warehouse && !(await Warehouse.resolveForCompany(req.user.company._id, updateData.warehouse))) {
+      return res.status(400).json({ message: 'Invalid warehouse selected' });
+    }
+
+    // A new currency takes today's rate unless one is given; goods already received or
+    // billed were costed in the old one
+    if (updateData.currency) {
+      const existing = await PurchaseOrder.findById(req.params.id).select('currency receipts billingStatus');
+      if (existing && updateData.currency !== existing.currency) {
+        if (existing.receipts.length > 0 || (existing.billingStatus && existing.billingStatus !== 'unbilled')) {
+          return res.status(400).json({ message: 'Currency cannot be changed once goods have been received or billed' });
+        }
+        if (!updateData.exchangeRate) {
+          const exchangeRate = await lookupExchangeRate(req.user.company._id, updateData.currency);
+          if (!exchangeRate) {
+            return res.status(400).json({ message: missingRateMessage(updateData.currency) });
+          }
+          updateData.exchangeRate = exchangeRate;
+        }
+      }
+    }
+
     // Ensure items have totals calculated if they are being updated
     if (updateData.items) {
+      const existing = await PurchaseOrder.findById(req.params.id).select('receipts billingStatus pricesIncludeTax');
+      if (existing && (existing.receipts.length > 0 || (existing.billingStatus && existing.billingStatus !== 'unbilled'))) {
+        return res.status(400).json({ message: 'Items cannot be changed once goods have been received or billed' });
+      }
+
+      const itemError = await resolveItemProducts(updateData.items, req.user.company._id);
+      if (itemError) {
+        return res.status(400).json({ message: itemError });
+      }
+
+      const taxed = await resolveLineTaxes(req.user.company._id, updateData.items);
+      if (taxed.error) {
+        return res.status(400).json({ message: taxed.error });
+      }
+      updateData.items = taxed.items;
+      if (updateData.pricesIncludeTax === undefined && existing) {
+        updateData.pricesIncludeTax = existing.pricesIncludeTax;
+      }
+
       updateData.items.forEach(item => {
         if (item.quantity && item.unitPrice) {
           item.total = item.quantity * item.unitPrice;
@@ -365,6 +454,62 @@ router.post('/:id/complete', authenticateToken, requireSameCompany, async (req,
   }
 });
 
+// Receive goods against a purchase order (partial or full). Stock and cost price are
+// updated for product lines; the order moves to in_progress, or completed once everything is in.
+router.post('/:id/receive', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (!['sent', 'confirmed', 'in_progress'].includes(purchaseOrder.status)) {
+      return res.status(400).json({ message: 'Only sent, confirmed or in-progress purchase orders can be received' });
+    }
+
+    // Receive into the given location, else the order's delivery location, else the default
+    const warehouse = await Warehouse.resolveForCompany(req.user.company._id, req.body.warehouse || purchaseOrder.warehouse);
+    if (!warehouse) {
+      return res.status(400).json({ message: 'Invalid warehouse selected' });
+    }
+
+    const { items, receivedDate, notes } = req.body;
+    const result = await receivePurchaseOrder(purchaseOrder, items, {
+      receivedDate,
+      notes,
+      userId: req.user._id,
+      warehouse: warehouse._id
+    });
+
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.json({
+      message: purchaseOrder.status === 'completed'
+        ? 'Goods received; purchase order completed'
+        : 'Goods received successfully',
+      receipt: result.receipt,
+      outstandingItems: purchaseOrder.getOutstandingItems(),
+      purchaseOrder
+    });
+  } catch (error) {
+    console.error('Error receiving purchase order:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors
+      });
+    }
+    res.status(500).json({ message: 'Error receiving purchase order', error: error.message });
+  }
+});
+
 // Generate PDF for purchase order
 router.get('/:id/pdf', authenticateToken, requireSameCompany, async (req, res) => {
   try {
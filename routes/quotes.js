@@ -5,6 +5,9 @@ const Company = require('../models/Company');
 const { authenticateToken, requireSameCompany } = require('../middleware/auth');
 const { generateQuotePDF } = require('../utils/pdfGenerator');
 const { sendQuoteEmail } = require('../utils/emailService');
+const { priceDocumentItems } = require('../utils/pricing');
+const { applyPromotions } = require('../utils/promotions');
+const { resolveLineTaxes } = require('../utils/taxes');
 
 const router = express.Router();
 
@@ -119,6 +122,27 @@ router.post('/', authenticateToken, requireSameCompany, async (req, res) => {
       });
     }
 
+    // Lines for a product without a typed price take it from the customer's price list
+    const priced = await priceDocumentItems(req.user.company._id, customer._id, quoteData.items);
+    if (priced.error) {
+      return res.status(400).json({ message: priced.error });
+    }
+
+    // Quotes show the promotions the customer would get; uses are only counted once invoiced
+    const promoted = await applyPromotions(req.user.company._id, priced.items, {
+      couponCode: quoteData.couponCode,
+      customerId: customer._id
+    });
+    if (promoted.error) {
+      return res.status(400).json({ message: promoted.error });
+    }
+
+    const taxed = await resolveLineTaxes(req.user.company._id, promoted.items);
+    if (taxed.error) {
+      return res.status(400).json({ message: taxed.error });
+    }
+    quoteData.items = taxed.items;
+
     // Generate quote number
     const company = await Company.findById(req.user.company._id);
     const quoteNumber = company.generateQuoteNumber();
@@ -205,6 +229,26 @@ router.put('/:id', authenticateToken, requireSameCompany, async (req, res) => {
       quoteData.customer = customerId;
     }
 
+    if (quoteData.items !== undefined || quoteData.couponCode !== undefined) {
+      const promoted = await applyPromotions(req.user.company._id,
+        quoteData.items || quote.items.map(item => item.toObject()), {
+          couponCode: quoteData.couponCode !== undefined ? quoteData.couponCode : quote.couponCode,
+          customerId: newCustomerId
+        });
+      if (promoted.error) {
+        return res.status(400).json({ message: promoted.error });
+      }
+      quoteData.items = promoted.items;
+    }
+
+    if (quoteData.items !== undefined) {
+      const taxed = await resolveLineTaxes(req.user.company._id, quoteData.items);
+      if (taxed.error) {
+        return res.status(400).json({ message: taxed.error });
+      }
+      quoteData.items = taxed.items;
+    }
+
     // Update quote fields
     Object.assign(quote, quoteData);
     
@@ -452,6 +496,7 @@ router.post('/:id/duplicate', authenticateToken, requireSameCompany, async (req,
     delete duplicateData.acceptedAt;
     delete duplicateData.rejectedAt;
     delete duplicateData.rejectionReason;
+    delete duplicateData.exchangeRate;
 
     const duplicateQuote = new Quote({
       ...duplicateData,
@@ -592,8 +637,8 @@ router.get('/stats/overview', authenticateToken, requireSameCompany, async (req,
       { $group: { 
         _id: null, 
         totalQuotes: { $sum: 1 },
-        totalQuoteValue: { $sum: '$total' },
-        averageValue: { $avg: '$total' },
+        totalQuoteValue: { $sum: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } },
+        averageValue: { $avg: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } },
         draftQuotes: { $sum: { $cond: [{ $eq: ['$status', 'draft'] }, 1, 0] } },
         sentQuotes: { $sum: { $cond: [{ $eq: ['$status', 'sent'] }, 1, 0] } },
         viewedQuotes: { $sum: { $cond: [{ $eq: ['$status', 'viewed'] }, 1, 0] } },
@@ -0,0 +1,334 @@
+const express = require('express');
+const router = express.Router();
+const RecurringInvoice = require('../models/RecurringInvoice');
+const Invoice = require('../models/Invoice');
+const Customer = require('../models/Customer');
+const { authenticateToken, requireRole, requireSameCompany } = require('../middleware/auth');
+const { resolveLineTaxes } = require('../utils/taxes');
+
+// Fields that can be set on a recurring invoice template
+const EDITABLE_FIELDS = [
+  'customer', 'title', 'description', 'items', 'tax', 'taxRate', 'pricesIncludeTax', 'currency',
+  'frequency', 'startDate', 'endDate', 'dueInDays', 'terms', 'notes', 'autoSend'
+];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) {
+    data[field] = body[field];
+  }
+  return data;
+}, {});
+
+// Get all recurring invoices with pagination and filtering
+router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filters = {
+      company: req.user.company._id
+    };
+
+    if (req.query.status) {
+      filters.status = req.query.status;
+    }
+
+    if (req.query.customerId) {
+      filters.customer = req.query.customerId;
+    }
+
+    if (req.query.frequency) {
+      filters.frequency = req.query.frequency;
+    }
+
+    const recurringInvoices = await RecurringInvoice.find(filters)
+      .select('-runs')
+      .populate('customer', 'firstName lastName companyName email')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await RecurringInvoice.countDocuments(filters);
+    const pages = Math.ceil(total / limit);
+
+    res.json({
+      recurringInvoices,
+      pagination: {
+        current: page,
+        pages,
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get recurring invoices error:', error);
+    res.status(500).json({ message: 'Failed to fetch recurring invoices' });
+  }
+});
+
+// Get single recurring invoice
+router.get('/:id', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const recurringInvoice = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    })
+      .populate('customer')
+      .populate('tax', 'name percentage')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!recurringInvoice) {
+      return res.status(404).json({ message: 'Recurring invoice not found' });
+    }
+
+    res.json({ recurringInvoice });
+  } catch (error) {
+    console.error('Get recurring invoice error:', error);
+    res.status(500).json({ message: 'Failed to fetch recurring invoice' });
+  }
+});
+
+// Create recurring invoice
+router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const customer = await Customer.findOne({
+      _id: req.body.customer,
+      company: req.user.company._id
+    });
+    if (!customer) {
+      return res.status(400).json({ message: 'Customer not found' });
+    }
+
+    if (!Array.isArray(req.body.items) || req.body.items.length === 0) {
+      return res.status(400).json({ message: 'At least one item is required' });
+    }
+
+    const taxed = await resolveLineTaxes(req.user.company._id, req.body.items);
+    if (taxed.error) {
+      return res.status(400).json({ message: taxed.error });
+    }
+
+    const recurringInvoice = new RecurringInvoice({
+      ...pickEditable(req.body),
+      items: taxed.items,
+      company: req.user.company._id,
+      createdBy: req.user._id
+    });
+    await recurringInvoice.save();
+
+    await recurringInvoice.populate('customer', 'firstName lastName companyName email');
+
+    res.status(201).json({ recurringInvoice });
+  } catch (error) {
+    console.error('Create recurring invoice error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(400).json({ message: error.message || 'Failed to create recurring invoice' });
+  }
+});
+
+// Update recurring invoice (applies to future runs only)
+router.put('/:id', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const recurringInvoice = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!recurringInvoice) {
+      return res.status(404).json({ message: 'Recurring invoice not found' });
+    }
+
+    const updates = pickEditable(req.body);
+    if (updates.items) {
+      const taxed = await resolveLineTaxes(req.user.company._id, updates.items);
+      if (taxed.error) {
+        return res.status(400).json({ message: taxed.error });
+      }
+      updates.items = taxed.items;
+    }
+
+    if (updates.customer && updates.customer.toString() !== recurringInvoice.customer.toString()) {
+      const customer = await Customer.findOne({
+        _id: updates.customer,
+        company: req.user.company._id
+      });
+      if (!customer) {
+        return res.status(400).json({ message: 'Customer not found' });
+      }
+    }
+
+    // Once invoices have been generated the schedule is anchored to its start date
+    if (recurringInvoice.occurrencesGenerated > 0 &&
+      ((updates.startDate && new Date(updates.startDate).getTime() !== recurringInvoice.startDate.getTime()) ||
+        (updates.frequency && updates.frequency !== recurringInvoice.frequency))) {
+      return res.status(400).json({
+        message: 'Start date and frequency cannot be changed after invoices have been generated. Create a new schedule instead.'
+      });
+    }
+
+    recurringInvoice.set(updates);
+    await recurringInvoice.save();
+
+    await recurringInvoice.populate('customer', 'firstName lastName companyName email');
+
+    res.json({ recurringInvoice });
+  } catch (error) {
+    console.error('Update recurring invoice error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(400).json({ message: error.message || 'Failed to update recurring invoice' });
+  }
+});
+
+// Pause recurring invoice
+router.post('/:id/pause', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const recurringInvoice = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!recurringInvoice) {
+      return res.status(404).json({ message: 'Recurring invoice not found' });
+    }
+
+    if (recurringInvoice.status !== 'active') {
+      return res.status(400).json({ message: `Cannot pause a ${recurringInvoice.status} recurring invoice` });
+    }
+
+    recurringInvoice.status = 'paused';
+    await recurringInvoice.save();
+
+    res.json({
+      message: 'Recurring invoice paused',
+      recurringInvoice
+    });
+  } catch (error) {
+    console.error('Pause recurring invoice error:', error);
+    res.status(500).json({ message: 'Failed to pause recurring invoice' });
+  }
+});
+
+// Resume recurring invoice; runs that fell due while paused are skipped, not back-billed
+router.post('/:id/resume', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const recurringInvoice = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!recurringInvoice) {
+      return res.status(404).json({ message: 'Recurring invoice not found' });
+    }
+
+    if (recurringInvoice.status !== 'paused') {
+      return res.status(400).json({ message: 'Only paused recurring invoices can be resumed' });
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    while (recurringInvoice.occurrenceDate(recurringInvoice.occurrencesGenerated) < today) {
+      recurringInvoice.occurrencesGenerated += 1;
+    }
+
+    recurringInvoice.status = 'active';
+    recurringInvoice.scheduleNextRun();
+    await recurringInvoice.save();
+
+    res.json({
+      message: recurringInvoice.status === 'completed'
+        ? 'Recurring invoice has no runs left before its end date'
+        : 'Recurring invoice resumed',
+      recurringInvoice
+    });
+  } catch (error) {
+    console.error('Resume recurring invoice error:', error);
+    res.status(500).json({ message: 'Failed to resume recurring invoice' });
+  }
+});
+
+// Preview upcoming runs
+router.get('/:id/preview', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const recurringInvoice = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!recurringInvoice) {
+      return res.status(404).json({ message: 'Recurring invoice not found' });
+    }
+
+    const count = Math.min(parseInt(req.query.count) || 5, 52);
+
+    res.json({
+      status: recurringInvoice.status,
+      frequency: recurringInvoice.frequency,
+      upcomingRuns: recurringInvoice.getUpcomingRuns(count)
+    });
+  } catch (error) {
+    console.error('Preview recurring invoice error:', error);
+    res.status(500).json({ message: 'Failed to preview recurring invoice' });
+  }
+});
+
+// Get history of generated invoices
+router.get('/:id/history', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const recurringInvoice = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!recurringInvoice) {
+      return res.status(404).json({ message: 'Recurring invoice not found' });
+    }
+
+    const invoices = await Invoice.find({
+      company: req.user.company._id,
+      recurringInvoice: recurringInvoice._id
+    })
+      .select('invoiceNumber status total paidAmount dueDate createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      invoices,
+      runs: [...recurringInvoice.runs].reverse()
+    });
+  } catch (error) {
+    console.error('Get recurring invoice history error:', error);
+    res.status(500).json({ message: 'Failed to fetch recurring invoice history' });
+  }
+});
+
+// Delete recurring invoice (generated invoices are kept)
+router.delete('/:id', authenticateToken, requireRole('admin'), requireSameCompany, async (req, res) => {
+  try {
+    const recurringInvoice = await RecurringInvoice.findOneAndDelete({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!recurringInvoice) {
+      return res.status(404).json({ message: 'Recurring invoice not found' });
+    }
+
+    res.json({ message: 'Recurring invoice deleted successfully' });
+  } catch (error) {
+    console.error('Delete recurring invoice error:', error);
+    res.status(500).json({ message: 'Failed to delete recurring invoice' });
+  }
+});
+
+module.exports = router;
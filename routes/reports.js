@@ -0,0 +1,671 @@
+const express = require('express');
+const router = express.Router();
+const Company = require('../models/Company');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const VendorBill = require('../models/VendorBill');
+const Product = require('../models/Product');
+const CostLayer = require('../models/CostLayer');
+const { authenticateToken, requireSameCompany } = require('../middleware/auth');
+const { getAccountBalances, round2 } = require('../utils/ledger');
+const { buildVatReturn } = require('../utils/vatReturn');
+const { toBase } = require('../utils/currency');
+const {
+  generateProfitAndLossPDF,
+  generateBalanceSheetPDF,
+  generateTrialBalancePDF,
+  generateAgingReportPDF,
+  generateInventoryValuationPDF,
+  generateVatReturnPDF
+} = require('../utils/pdfGenerator');
+
+// Parse startDate/endDate query params (inclusive whole days)
+const parseDateRange = (query) => {
+  const range = {};
+  if (query.startDate) {
+    range.startDate = new Date(query.startDate);
+    range.startDate.setHours(0, 0, 0, 0);
+  }
+  if (query.endDate) {
+    range.endDate = new Date(query.endDate);
+    range.endDate.setHours(23, 59, 59, 999);
+  }
+  const invalid = Object.values(range).some(date => isNaN(date.getTime()));
+  return invalid ? null : range;
+};
+
+// Send a pdfGenerator result as a download
+const sendReportFile = (res, pdfResult) => {
+  res.setHeader('Content-Type', pdfResult.isHtml ? 'text/html' : 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${pdfResult.filename}"`);
+  return res.send(pdfResult.buffer);
+};
+
+// Send rows as a CSV download
+const sendCSV = (res, filename, headers, rows) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const csv = [headers, ...rows].map(row => row.map(escape).join(',')).join('\n');
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  return res.send(csv);
+};
+
+// Aging buckets by days past due
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days1to30', label: '1-30', maxDays: 30 },
+  { key: 'days31to60', label: '31-60', maxDays: 60 },
+  { key: 'days61to90', label: '61-90', maxDays: 90 },
+  { key: 'over90', label: '90+', maxDays: Infinity }
+];
+
+// Parse the asOf query param (end of day, defaults to today)
+const parseAsOf = (value) => {
+  const asOf = value ? new Date(value) : new Date();
+  asOf.setHours(23, 59, 59, 999);
+  return isNaN(asOf.getTime()) ? null : asOf;
+};
+
+// What was still owed on an invoice at asOf (in its own currency): receipts allocated and
+// credit applied after asOf had not settled it yet
+const invoiceBalanceAsOf = (invoice, creditAfterAsOf, asOf) => {
+  const settledAfter = (entries, dateField) => entries
+    .filter(entry => new Date(entry[dateField]) > asOf)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  const paid = (invoice.paidAmount || 0) -
+    settledAfter(invoice.payments || [], 'paymentDate') -
+    settledAfter(invoice.paymentAllocations || [], 'date');
+  const credit = Math.max(0, (invoice.creditApplied || 0) - creditAfterAsOf);
+
+  return Math.max(0, invoice.total - credit) - paid;
+};
+
+// Group open documents ({ partyId, name, companyName, number, date, dueDate, balance })
+// by party with their balances split across the aging buckets
+const buildAging = (documents, asOf, detailed) => {
+  const emptyBuckets = () => AGING_BUCKETS.reduce((buckets, bucket) => {
+    buckets[bucket.key] = 0;
+    return buckets;
+  }, { total: 0 });
+
+  const asOfDay = new Date(asOf);
+  asOfDay.setHours(0, 0, 0, 0);
+
+  const parties = {};
+  const totals = emptyBuckets();
+
+  documents.forEach(doc => {
+    const dueDay = new Date(doc.dueDate);
+    dueDay.setHours(0, 0, 0, 0);
+    const daysOverdue = Math.max(0, Math.round((asOfDay - dueDay) / (24 * 60 * 60 * 1000)));
+    const bucket = AGING_BUCKETS.find(b => daysOverdue <= b.maxDays).key;
+
+    const partyKey = doc.partyId.toString();
+    if (!parties[partyKey]) {
+      parties[partyKey] = {
+        partyId: doc.partyId,
+        name: doc.name,
+        companyName: doc.companyName,
+        ...emptyBuckets(),
+        documents: []
+      };
+    }
+
+    const party = parties[partyKey];
+    party[bucket] = round2(party[bucket] + doc.balance);
+    party.total = round2(party.total + doc.balance);
+    totals[bucket] = round2(totals[bucket] + doc.balance);
+    totals.total = round2(totals.total + doc.balance);
+
+    if (detailed) {
+      party.documents.push({
+        documentId: doc.documentId,
+        number: doc.number,
+        date: doc.date,
+        dueDate: doc.dueDate,
+        daysOverdue,
+        bucket,
+        balance: doc.balance
+      });
+    }
+  });
+
+  const sorted = Object.values(parties).sort((a, b) => b.total - a.total);
+  sorted.forEach(party => {
+    if (detailed) {
+      party.documents.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    } else {
+      delete party.documents;
+    }
+  });
+
+  return { parties: sorted, totals };
+};
+
+// Aging CSV rows: one per party (summary) or one per document (detailed)
+const agingCSV = (aging, detailed, partyLabel, documentLabel) => {
+  const bucketLabels = AGING_BUCKETS.map(bucket => bucket.label);
+
+  if (!detailed) {
+    return {
+      headers: [partyLabel, 'Company', ...bucketLabels, 'Total'],
+      rows: [
+        ...aging.parties.map(party => [
+          party.name, party.companyName, ...AGING_BUCKETS.map(bucket => party[bucket.key]), party.total
+        ]),
+        ['Total', '', ...AGING_BUCKETS.map(bucket => aging.totals[bucket.key]), aging.totals.total]
+      ]
+    };
+  }
+
+  const rows = [];
+  aging.parties.forEach(party => {
+    party.documents.forEach(doc => {
+      rows.push([
+        party.name, party.companyName, doc.number, doc.date, doc.dueDate, doc.daysOverdue,
+        AGING_BUCKETS.find(bucket => bucket.key === doc.bucket).label, doc.balance
+      ]);
+    });
+  });
+  return {
+    headers: [partyLabel, 'Company', `${documentLabel} No`, `${documentLabel} Date`, 'Due Date', 'Days Overdue', 'Bucket', 'Outstanding'],
+    rows
+  };
+};
+
+// Account summary line used in report sections
+const accountLine = (balance, amount) => ({
+  accountId: balance.account._id,
+  code: balance.account.code,
+  name: balance.account.name,
+  systemKey: balance.account.systemKey,
+  amount: round2(amount)
+});
+
+const sumAmounts = (lines) => round2(lines.reduce((sum, line) => sum + line.amount, 0));
+
+// Revenue and expense figures for a period, built from the ledger
+const buildProfitAndLoss = (balances) => {
+  const revenueBalances = balances.filter(b => b.account.type === 'revenue' && !b.account.isContra);
+  const returnBalances = balances.filter(b => b.account.type === 'revenue' && b.account.isContra);
+  const cogsBalances = balances.filter(b => b.account.systemKey === 'cogs');
+  const expenseBalances = balances.filter(b => b.account.type === 'expense' && b.account.systemKey !== 'cogs');
+
+  // Credits to revenue accounts, split by the document that posted them
+  const revenueAccounts = revenueBalances.map(b => accountLine(b, -b.net));
+  const revenueTotal = sumAmounts(revenueAccounts);
+  const fromSource = (list, sourceType, sign) =>
+    round2(list.reduce((sum, b) => sum + sign * (b.bySource[sourceType] || 0), 0));
+  const invoiceRevenue = fromSource(revenueBalances, 'invoice', -1);
+  const saleRevenue = fromSource(revenueBalances, 'sale', -1);
+
+  // Credit notes and sale returns are contra-revenue
+  const returnAccounts = returnBalances.map(b => accountLine(b, b.net));
+  const returnsTotal = sumAmounts(returnAccounts);
+  const creditNoteReturns = fromSource(returnBalances, 'credit_note', 1);
+  const saleReturns = fromSource(returnBalances, 'sale_return', 1);
+
+  const netRevenue = round2(revenueTotal - returnsTotal);
+  const costOfGoodsSold = sumAmounts(cogsBalances.map(b => accountLine(b, b.net)));
+  const grossProfit = round2(netRevenue - costOfGoodsSold);
+
+  // Operating expenses, one line per expense category account
+  const expenseAccounts = expenseBalances
+    .map(b => ({
+      ...accountLine(b, b.net),
+      category: b.account.systemKey && b.account.systemKey.startsWith('expense_')
+        ? b.account.systemKey.replace('expense_', '')
+        : null
+    }))
+    .filter(line => line.amount !== 0);
+  const expensesTotal = sumAmounts(expenseAccounts);
+
+  return {
+    revenue: {
+      accounts: revenueAccounts,
+      bySource: {
+        invoices: invoiceRevenue,
+        sales: saleRevenue,
+        other: round2(revenueTotal - invoiceRevenue - saleRevenue)
+      },
+      total: revenueTotal
+    },
+    salesReturns: {
+      accounts: returnAccounts,
+      bySource: {
+        creditNotes: creditNoteReturns,
+        saleReturns,
+        other: round2(returnsTotal - creditNoteReturns - saleReturns)
+      },
+      total: returnsTotal
+    },
+    netRevenue,
+    costOfGoodsSold,
+    grossProfit,
+    operatingExpenses: {
+      accounts: expenseAccounts,
+      total: expensesTotal
+    },
+    netProfit: round2(grossProfit - expensesTotal)
+  };
+};
+
+// Get profit & loss statement
+router.get('/profit-and-loss', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+
+    const balances = await getAccountBalances(req.user.company._id, range);
+
+    const report = {
+      period: { from: range.startDate || null, to: range.endDate || null },
+      ...buildProfitAndLoss(balances)
+    };
+
+    if (req.query.format === 'pdf') {
+      const company = await Company.findById(req.user.company._id);
+      return sendReportFile(res, await generateProfitAndLossPDF(report, company));
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Get profit and loss error:', error);
+    res.status(500).json({ message: 'Failed to generate profit and loss report' });
+  }
+});
+
+// Get balance sheet as of a date (endDate, defaults to today)
+router.get('/balance-sheet', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const range = parseDateRange({ endDate: req.query.endDate || new Date() });
+    if (!range) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+
+    const balances = await getAccountBalances(req.user.company._id, { endDate: range.endDate });
+
+    const group = (type) => {
+      const accounts = balances
+        .filter(b => b.account.type === type)
+        .map(b => accountLine(b, type === 'asset' ? b.net : -b.net))
+        .filter(line => line.amount !== 0);
+      return { accounts, total: sumAmounts(accounts) };
+    };
+
+    const assets = group('asset');
+    const liabilities = group('liability');
+    const equity = group('equity');
+
+    // No closing entries are posted, so all-time profit to date sits in equity as current earnings
+    const currentEarnings = buildProfitAndLoss(balances).netProfit;
+    equity.currentEarnings = currentEarnings;
+    equity.total = round2(equity.total + currentEarnings);
+
+    const totalLiabilitiesAndEquity = round2(liabilities.total + equity.total);
+
+    const report = {
+      asOf: range.endDate,
+      assets,
+      liabilities,
+      equity,
+      totalLiabilitiesAndEquity,
+      isBalanced: Math.abs(assets.total - totalLiabilitiesAndEquity) < 0.01
+    };
+
+    if (req.query.format === 'pdf') {
+      const company = await Company.findById(req.user.company._id);
+      return sendReportFile(res, await generateBalanceSheetPDF(report, company));
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Get balance sheet error:', error);
+    res.status(500).json({ message: 'Failed to generate balance sheet' });
+  }
+});
+
+// Get trial balance: closing balances as of endDate plus movements within the range
+router.get('/trial-balance', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+
+    const [closing, period] = await Promise.all([
+      getAccountBalances(req.user.company._id, { endDate: range.endDate }),
+      getAccountBalances(req.user.company._id, range)
+    ]);
+
+    const periodMap = {};
+    period.forEach(b => {
+      periodMap[b.account._id.toString()] = b;
+    });
+
+    const accounts = closing
+      .map(b => {
+        const movement = periodMap[b.account._id.toString()] || { debit: 0, credit: 0 };
+        return {
+          accountId: b.account._id,
+          code: b.account.code,
+          name: b.account.name,
+          type: b.account.type,
+          periodDebit: movement.debit,
+          periodCredit: movement.credit,
+          debit: b.net > 0 ? b.net : 0,
+          credit: b.net < 0 ? -b.net : 0
+        };
+      })
+      .filter(line => line.periodDebit || line.periodCredit || line.debit || line.credit);
+
+    const totals = {
+      periodDebit: round2(accounts.reduce((sum, line) => sum + line.periodDebit, 0)),
+      periodCredit: round2(accounts.reduce((sum, line) => sum + line.periodCredit, 0)),
+      debit: round2(accounts.reduce((sum, line) => sum + line.debit, 0)),
+      credit: round2(accounts.reduce((sum, line) => sum + line.credit, 0))
+    };
+
+    const report = {
+      period: { from: range.startDate || null, to: range.endDate || null },
+      accounts,
+      totals,
+      isBalanced: Math.abs(totals.debit - totals.credit) < 0.01
+    };
+
+    if (req.query.format === 'pdf') {
+      const company = await Company.findById(req.user.company._id);
+      return sendReportFile(res, await generateTrialBalancePDF(report, company));
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Get trial balance error:', error);
+    res.status(500).json({ message: 'Failed to generate trial balance' });
+  }
+});
+
+// Get accounts receivable aging (mode=summary|detailed, format=pdf|csv)
+router.get('/ar-aging', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const asOf = parseAsOf(req.query.asOf);
+    if (!asOf) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+    const detailed = req.query.mode === 'detailed';
+
+    const filters = {
+      company: req.user.company._id,
+      status: { $nin: ['draft', 'cancelled'] },
+      createdAt: { $lte: asOf }
+    };
+    if (req.query.customerId) {
+      filters.customer = req.query.customerId;
+    }
+
+    const invoices = await Invoice.find(filters)
+      .populate('customer', 'firstName lastName companyName')
+      .select('invoiceNumber customer total creditApplied paidAmount payments paymentAllocations exchangeRate dueDate createdAt')
+      .lean();
+
+    // Credit notes redeemed against the invoices after asOf
+    const laterRedemptions = await CreditNote.aggregate([
+      { $match: { company: req.user.company._id, 'redemptions.date': { $gt: asOf } } },
+      { $unwind: '$redemptions' },
+      { $match: { 'redemptions.invoice': { $in: invoices.map(invoice => invoice._id) }, 'redemptions.date': { $gt: asOf } } },
+      { $group: { _id: '$redemptions.invoice', amount: { $sum: '$redemptions.amount' } } }
+    ]);
+    const creditAfterAsOf = Object.fromEntries(laterRedemptions.map(r => [r._id.toString(), r.amount]));
+
+    // Outstanding as of the report date, in base currency
+    const documents = invoices
+      .map(invoice => ({
+        documentId: invoice._id,
+        partyId: invoice.customer?._id || invoice.customer,
+        name: invoice.customer ? `${invoice.customer.firstName} ${invoice.customer.lastName}` : 'Unknown customer',
+        companyName: invoice.customer?.companyName || '',
+        number: invoice.invoiceNumber,
+        date: invoice.createdAt,
+        dueDate: invoice.dueDate,
+        balance: toBase(invoiceBalanceAsOf(invoice, creditAfterAsOf[invoice._id.toString()] || 0, asOf), invoice.exchangeRate)
+      }))
+      .filter(doc => doc.balance > 0.005);
+
+    const aging = buildAging(documents, asOf, detailed);
+
+    const report = {
+      asOf,
+      mode: detailed ? 'detailed' : 'summary',
+      buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+      customers: aging.parties,
+      totals: aging.totals
+    };
+
+    if (req.query.format === 'pdf') {
+      const company = await Company.findById(req.user.company._id);
+      return sendReportFile(res, await generateAgingReportPDF(
+        { ...report, parties: report.customers },
+        company,
+        { title: 'Accounts Receivable Aging', partyLabel: 'Customer', documentLabel: 'Invoice' }
+      ));
+    }
+
+    if (req.query.format === 'csv') {
+      const { headers, rows } = agingCSV(aging, detailed, 'Customer', 'Invoice');
+      return sendCSV(res, `ar-aging-${asOf.toISOString().slice(0, 10)}`, headers, rows);
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Get AR aging error:', error);
+    res.status(500).json({ message: 'Failed to generate accounts receivable aging' });
+  }
+});
+
+// Get accounts payable aging from vendor bills (mode=summary|detailed, format=pdf|csv)
+router.get('/ap-aging', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const asOf = parseAsOf(req.query.asOf);
+    if (!asOf) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+    const detailed = req.query.mode === 'detailed';
+
+    const filters = {
+      company: req.user.company._id,
+      status: { $ne: 'void' },
+      billDate: { $lte: asOf }
+    };
+    if (req.query.vendorId) {
+      filters.vendor = req.query.vendorId;
+    }
+
+    const bills = await VendorBill.find(filters)
+      .populate('vendor', 'name')
+      .select('billNumber vendorInvoiceNumber vendor total exchangeRate payments billDate dueDate')
+      .lean();
+
+    // Outstanding as of the report date (in base currency): payments made after asOf are still owed
+    const documents = bills
+      .map(bill => ({
+        documentId: bill._id,
+        partyId: bill.vendor?._id || bill.vendor,
+        name: bill.vendor?.name || 'Unknown vendor',
+        companyName: '',
+        number: bill.vendorInvoiceNumber ? `${bill.billNumber} (${bill.vendorInvoiceNumber})` : bill.billNumber,
+        date: bill.billDate,
+        dueDate: bill.dueDate,
+        balance: toBase(bill.total - bill.payments
+          .filter(payment => new Date(payment.paymentDate) <= asOf)
+          .reduce((sum, payment) => sum + payment.amount, 0), bill.exchangeRate)
+      }))
+      .filter(doc => doc.balance > 0.005);
+
+    const aging = buildAging(documents, asOf, detailed);
+
+    const report = {
+      asOf,
+      mode: detailed ? 'detailed' : 'summary',
+      buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+      vendors: aging.parties,
+      totals: aging.totals
+    };
+
+    if (req.query.format === 'pdf') {
+      const company = await Company.findById(req.user.company._id);
+      return sendReportFile(res, await generateAgingReportPDF(
+        { ...report, parties: report.vendors },
+        company,
+        { title: 'Accounts Payable Aging', partyLabel: 'Vendor', documentLabel: 'Bill' }
+      ));
+    }
+
+    if (req.query.format === 'csv') {
+      const { headers, rows } = agingCSV(aging, detailed, 'Vendor', 'Bill');
+      return sendCSV(res, `ap-aging-${asOf.toISOString().slice(0, 10)}`, headers, rows);
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Get AP aging error:', error);
+    res.status(500).json({ message: 'Failed to generate accounts payable aging' });
+  }
+});
+
+// Get inventory valuation from cost layers as of a date (format=pdf|csv)
+router.get('/inventory-valuation', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const asOf = parseAsOf(req.query.asOf);
+    if (!asOf) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+
+    // Stock counted before cost layers existed is valued at the product's cost price
+    await CostLayer.seedCompany(req.user.company._id);
+
+    const [valuation, method, balances] = await Promise.all([
+      CostLayer.valuation(req.user.company._id, asOf),
+      CostLayer.getMethod(req.user.company._id),
+      getAccountBalances(req.user.company._id, { endDate: asOf })
+    ]);
+
+    const productFilters = {
+      company: req.user.company._id,
+      _id: { $in: valuation.map(row => row._id) }
+    };
+    if (req.query.category) {
+      productFilters.category = req.query.category;
+    }
+    const products = await Product.find(productFilters).select('name sku category unit').lean();
+    const productMap = {};
+    products.forEach(product => {
+      productMap[product._id.toString()] = product;
+    });
+
+    const lines = valuation
+      .filter(row => productMap[row._id.toString()])
+      .map(row => {
+        const product = productMap[row._id.toString()];
+        const quantity = Math.round(row.quantity * 10000) / 10000;
+        return {
+          product: product._id,
+          name: product.name,
+          sku: product.sku,
+          category: product.category,
+          unit: product.unit,
+          quantity,
+          averageCost: quantity > 0 ? round2(row.value / quantity) : 0,
+          value: round2(row.value)
+        };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const totalValue = round2(lines.reduce((sum, line) => sum + line.value, 0));
+    const inventoryAccount = balances.find(b => b.account.systemKey === 'inventory');
+    const ledgerBalance = inventoryAccount ? inventoryAccount.net : 0;
+
+    const report = {
+      asOf,
+      method,
+      category: req.query.category || null,
+      products: lines,
+      totals: {
+        products: lines.length,
+        value: totalValue
+      },
+      // Inventory account in the general ledger, for reconciliation
+      ledgerBalance,
+      difference: req.query.category ? null : round2(totalValue - ledgerBalance)
+    };
+
+    if (req.query.format === 'pdf') {
+      const company = await Company.findById(req.user.company._id);
+      return sendReportFile(res, await generateInventoryValuationPDF(report, company));
+    }
+
+    if (req.query.format === 'csv') {
+      return sendCSV(res, `inventory-valuation-${asOf.toISOString().slice(0, 10)}`,
+        ['SKU', 'Product', 'Category', 'Unit', 'Quantity', 'Average Cost', 'Value'],
+        [
+          ...lines.map(line => [line.sku, line.name, line.category, line.unit, line.quantity, line.averageCost, line.value]),
+          ['', 'Total', '', '', '', '', totalValue]
+        ]);
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Get inventory valuation error:', error);
+    res.status(500).json({ message: 'Failed to generate inventory valuation' });
+  }
+});
+
+// Get the FTA VAT 201 return for a period, with the documents behind each box (format=pdf|csv)
+router.get('/vat-return', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    if (!req.query.startDate || !req.query.endDate) {
+      return res.status(400).json({ message: 'startDate and endDate are required' });
+    }
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+
+    const report = await buildVatReturn(req.user.company._id, range);
+
+    if (req.query.format === 'pdf') {
+      const company = await Company.findById(req.user.company._id);
+      return sendReportFile(res, await generateVatReturnPDF(report, company));
+    }
+
+    if (req.query.format === 'csv') {
+      const sections = [
+        ...report.boxes.filter(b => b.documents).map(b => [b.box, b.documents]),
+        ['No emirate', report.unassigned.documents],
+        ['Out of scope', report.outOfScope],
+        ['No tax', report.unclassified]
+      ];
+      const rows = sections.flatMap(([box, entries]) => entries.map(entry => [
+        box, entry.sourceType, entry.number, entry.reference, entry.date, entry.party, entry.category,
+        entry.amount, entry.vat, entry.adjustment
+      ]));
+      return sendCSV(res, `vat-return-${range.startDate.toISOString().slice(0, 10)}-${range.endDate.toISOString().slice(0, 10)}`,
+        ['Box', 'Source', 'Number', 'Reference', 'Date', 'Party', 'VAT Category', 'Amount', 'VAT', 'Adjustment'],
+        rows);
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Get VAT return error:', error);
+    res.status(500).json({ message: 'Failed to generate VAT return' });
+  }
+});
+
+module.exports = router;
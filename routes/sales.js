@@ -2,10 +2,32 @@ const express = require('express');
 const router = express.Router();
 const Sale = require('../models/Sale');
 const Product = require('../models/Product');
+const Warehouse = require('../models/Warehouse');
+const StockLot = require('../models/StockLot');
+const SerialNumber = require('../models/SerialNumber');
 const Customer = require('../models/Customer');
 const { authenticateToken } = require('../middleware/auth');
 const Company = require('../models/Company');
 const CreditNote = require('../models/CreditNote');
+const { syncSale, reverseSale } = require('../utils/ledger');
+const { priceListForCustomer, resolveUnitPrice } = require('../utils/pricing');
+const { applyPromotions } = require('../utils/promotions');
+const { resolveLineTaxes } = require('../utils/taxes');
+const { currencyCondition } = require('../utils/currency');
+const Promotion = require('../models/Promotion');
+
+// Lots a returned quantity (base units) goes back into, taken in order from the lots the sale picked
+const returnLots = (lots = [], quantity) => {
+  let remaining = quantity;
+  return lots.reduce((result, lot) => {
+    const amount = Math.min(remaining, lot.quantity);
+    if (amount > 0) {
+      result.push({ lot: lot.lot, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: amount });
+      remaining -= amount;
+    }
+    return result;
+  }, []);
+};
 
 // Get all sales for a company
 router.get('/', authenticateToken, async (req, res) => {
@@ -118,7 +140,20 @@ router.post('/', authenticateToken, async (req, res) => {
     // Generate sale number
     saleData.saleNumber = await Sale.generateSaleNumber(req.user.company);
 
+    // Location the sale draws stock from (the default warehouse when not given)
+    const warehouse = await Warehouse.resolveForCompany(req.user.company._id, saleData.warehouse);
+    if (!warehouse) {
+      return res.status(400).json({ message: 'Invalid warehouse selected' });
+    }
+    saleData.warehouse = warehouse._id;
+    const defaultWarehouse = await Warehouse.getDefault(req.user.company._id);
+
+    // Lines without a typed price take it from the customer's price list
+    const priceList = await priceListForCustomer(req.user.company._id, saleData.customer,
+      saleData.saleDate ? new Date(saleData.saleDate) : new Date());
+
     // Validate and populate product information (allow manual items without product)
+    const saleSerials = new Set();
     for (const item of saleData.items) {
       if (item.product) {
         const product = await Product.findOne({
@@ -133,17 +168,59 @@ router.post('/', authenticateToken, async (req, res) => {
           });
         }
 
-        // Check stock availability
-        if (product.isTrackable && product.stockQuantity < item.quantity) {
+        // Stock is held by the variants, not the parent they belong to
+        if (product.hasVariants) {
+          return res.status(400).json({
+            message: `Choose a variant of ${product.name}`
+          });
+        }
+
+        const conversion = product.getUnitConversion(item.unit);
+        if (!conversion) {
+          return res.status(400).json({
+            message: `${product.name} is not sold by the ${item.unit}`
+          });
+        }
+
+        // Check stock availability at the selling location, in base units; expired lots can't be sold
+        const expired = product.trackLots ? await StockLot.expiredQuantity(product, warehouse._id) : 0;
+        const available = product.getLocationQuantity(warehouse._id, defaultWarehouse._id) - expired;
+        if (product.isTrackable && available < item.quantity * conversion.factor) {
           return res.status(400).json({ 
-            message: `Insufficient stock for ${product.name}. Available: ${product.stockQuantity}` 
+            message: `Insufficient stock for ${product.name} at ${warehouse.name}. Available: ${available} ${product.unit}${expired > 0 ? ` (${expired} expired)` : ''}` 
           });
         }
 
+        // Serial-tracked products need one serial per base unit, not yet sold
+        if (product.trackSerials) {
+          item.serialNumbers = SerialNumber.normalize(item.serialNumbers);
+          const serialError = await SerialNumber.checkSale(product, item.serialNumbers, item.quantity * conversion.factor);
+          if (serialError) {
+            return res.status(400).json({ message: serialError });
+          }
+          const repeated = item.serialNumbers.find(serial => saleSerials.has(`${product._id}:${serial}`));
+          if (repeated) {
+            return res.status(400).json({ message: `Serial number ${repeated} is on more than one line` });
+          }
+          item.serialNumbers.forEach(serial => saleSerials.add(`${product._id}:${serial}`));
+        } else {
+          item.serialNumbers = [];
+        }
+
         // Populate product information
         item.productName = item.productName || product.name;
         item.productSku = item.productSku || product.sku;
-        item.costPrice = item.costPrice ?? product.costPrice;
+        item.variantAttributes = product.variantAttributes;
+        item.unit = conversion.unit;
+        item.unitFactor = conversion.factor;
+        if (item.unitPrice === undefined || item.unitPrice === null || item.unitPrice === '') {
+          const price = resolveUnitPrice(product, item.quantity, priceList, conversion);
+          item.unitPrice = price.unitPrice;
+          item.pricing = price.pricing;
+        } else {
+          item.pricing = { source: 'manual' };
+        }
+        item.costPrice = item.costPrice ?? product.costPrice * conversion.factor;
       } else {
         // Manual line item: require productName
         if (!item.productName || item.productName.trim() === '') {
@@ -154,6 +231,22 @@ router.post('/', authenticateToken, async (req, res) => {
       }
     }
 
+    // Automatic promotions, and the coupon when one was entered, discount the lines
+    const promoted = await applyPromotions(req.user.company._id, saleData.items, {
+      couponCode: saleData.couponCode,
+      customerId: saleData.customer,
+      date: saleData.saleDate ? new Date(saleData.saleDate) : new Date()
+    });
+    if (promoted.error) {
+      return res.status(400).json({ message: promoted.error });
+    }
+
+    const taxed = await resolveLineTaxes(req.user.company._id, promoted.items);
+    if (taxed.error) {
+      return res.status(400).json({ message: taxed.error });
+    }
+    saleData.items = taxed.items;
+
     // Populate customer information if customer ID is provided
     if (saleData.customer) {
       const customer = await Customer.findOne({
@@ -177,10 +270,12 @@ router.post('/', authenticateToken, async (req, res) => {
         return res.status(400).json({ message: 'Customer ID is required to apply credit' });
       }
 
+      // Only credit notes in the sale's currency can be applied to it
       const now = new Date();
       const creditNotes = await CreditNote.find({
         company: req.user.company,
         customer: customerId,
+        currency: await currencyCondition(req.user.company._id, saleData.currency),
         status: { $in: ['unused', 'partially_used'] },
         $or: [
           { expiryDate: null },
@@ -230,6 +325,11 @@ router.post('/', authenticateToken, async (req, res) => {
       }
     }
 
+    await Promotion.recordRedemptions(sale, 'sale');
+
+    // Post the sale to the general ledger
+    await syncSale(sale, req.user.id);
+
     const populatedSale = await Sale.findById(sale._id)
       .populate('customer', 'firstName lastName email phone')
       .populate('items.product', 'name sku')
@@ -263,9 +363,25 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Cannot update completed sale' });
     }
 
+    if (req.body.items !== undefined) {
+      const taxed = await resolveLineTaxes(req.user.company._id, req.body.items);
+      if (taxed.error) {
+        return res.status(400).json({ message: taxed.error });
+      }
+      req.body.items = taxed.items;
+    }
+
     Object.assign(sale, req.body);
     await sale.save();
 
+    // A cancelled sale gives its promotion uses back
+    if (sale.status === 'cancelled') {
+      await Promotion.releaseRedemptions(sale.company, sale._id);
+    }
+
+    // Re-post to the general ledger if amounts or status changed
+    await syncSale(sale, req.user.id);
+
     const populatedSale = await Sale.findById(sale._id)
       .populate('customer', 'firstName lastName email phone')
       .populate('items.product', 'name sku')
@@ -300,6 +416,10 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 
     await Sale.findByIdAndDelete(sale._id);
+    await Promotion.releaseRedemptions(sale.company, sale._id);
+
+    // Reverse any postings for the deleted sale
+    await reverseSale(sale, req.user.id);
 
     res.json({ message: 'Sale deleted successfully' });
   } catch (error) {
@@ -329,11 +449,21 @@ router.post('/:id/return', authenticateToken, async (req, res) => {
       saleNumber: await Sale.generateSaleNumber(req.user.company)
     };
 
+    // Returned stock goes back to the given location, else where it was sold from
+    const warehouse = await Warehouse.resolveForCompany(req.user.company._id, req.body.warehouse || originalSale.warehouse);
+    if (!warehouse) {
+      return res.status(400).json({ message: 'Invalid warehouse selected' });
+    }
+    returnData.warehouse = warehouse._id;
+
     // Copy customer information from original sale
     returnData.customer = originalSale.customer;
     returnData.customerName = originalSale.customerName;
     returnData.customerEmail = originalSale.customerEmail;
     returnData.customerPhone = originalSale.customerPhone;
+    returnData.pricesIncludeTax = originalSale.pricesIncludeTax;
+    returnData.currency = originalSale.currency;
+    returnData.exchangeRate = originalSale.exchangeRate;
 
     // Validate return items
     for (const returnItem of returnData.items) {
@@ -353,15 +483,43 @@ router.post('/:id/return', authenticateToken, async (req, res) => {
         });
       }
 
+      // Serials captured on the sale must come back by serial, and only ones it sold
+      if (originalItem.serialNumbers.length > 0) {
+        const product = await Product.findOne({ _id: originalItem.product, company: req.user.company });
+        returnItem.serialNumbers = SerialNumber.normalize(returnItem.serialNumbers);
+        const serialError = product && await SerialNumber.checkReturn(product, returnItem.serialNumbers,
+          returnItem.quantity * (originalItem.unitFactor || 1), originalSale, originalItem);
+        if (serialError) {
+          return res.status(400).json({ message: serialError });
+        }
+      } else {
+        returnItem.serialNumbers = [];
+      }
+
       // Copy product information
       returnItem.productName = originalItem.productName;
       returnItem.productSku = originalItem.productSku;
+      returnItem.variantAttributes = originalItem.variantAttributes;
+      returnItem.unit = originalItem.unit;
+      returnItem.unitFactor = originalItem.unitFactor;
       returnItem.costPrice = originalItem.costPrice;
+      // Refund net of the line discount given on the sale, pro rata when it was fixed
+      returnItem.discountType = originalItem.discountType;
+      returnItem.discount = originalItem.discountType === 'fixed'
+        ? Math.round(originalItem.discount * returnItem.quantity / originalItem.quantity * 100) / 100
+        : originalItem.discount;
+      returnItem.promotion = originalItem.promotion;
+      returnItem.promotionName = originalItem.promotionName;
+      returnItem.taxes = originalItem.taxes;
+      returnItem.lots = returnLots(originalItem.lots, returnItem.quantity * (originalItem.unitFactor || 1));
     }
 
     const returnSale = new Sale(returnData);
     await returnSale.save();
 
+    // Post the return to the general ledger
+    await syncSale(returnSale, req.user.id);
+
     const populatedReturn = await Sale.findById(returnSale._id)
       .populate('customer', 'firstName lastName email phone')
       .populate('items.product', 'name sku')
@@ -435,11 +593,11 @@ router.get('/stats/overview', authenticateToken, async (req, res) => {
       {
         $group: {
           _id: null,
-          totalSales: { $sum: '$total' },
+          totalSales: { $sum: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } },
           totalProfit: { $sum: '$totalProfit' },
           totalCost: { $sum: '$totalCost' },
           totalTransactions: { $sum: 1 },
-          averageSaleValue: { $avg: '$total' }
+          averageSaleValue: { $avg: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } }
         }
       }
     ]);
@@ -485,7 +643,7 @@ router.get('/reports/daily', authenticateToken, async (req, res) => {
             month: { $month: '$saleDate' },
             day: { $dayOfMonth: '$saleDate' }
           },
-          totalSales: { $sum: '$total' },
+          totalSales: { $sum: { $multiply: ['$total', { $ifNull: ['$exchangeRate', 1] }] } },
           totalProfit: { $sum: '$totalProfit' },
           totalTransactions: { $sum: 1 }
         }
@@ -525,7 +683,7 @@ router.get('/reports/top-products', authenticateToken, async (req, res) => {
           productName: { $first: '$items.productName' },
           productSku: { $first: '$items.productSku' },
           totalQuantity: { $sum: '$items.quantity' },
-          totalRevenue: { $sum: '$items.total' },
+          totalRevenue: { $sum: { $multiply: [{ $ifNull: ['$items.netAmount', '$items.total'] }, { $ifNull: ['$exchangeRate', 1] }] } },
           totalProfit: { $sum: '$items.profit' }
         }
       },
@@ -540,6 +698,38 @@ router.get('/reports/top-products', authenticateToken, async (req, res) => {
   }
 });
 
+// Generate sale receipt PDF (a tax invoice when VAT was charged)
+router.get('/:id/receipt', authenticateToken, async (req, res) => {
+  try {
+    const sale = await Sale.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    })
+      .populate('customer')
+      .populate('tax', 'name')
+      .lean();
+
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    const company = await Company.findById(sale.company).lean();
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const { generateSaleReceiptPDF } = require('../utils/pdfGenerator');
+    const pdfResult = await generateSaleReceiptPDF(sale, company, sale.customer || null);
+
+    res.setHeader('Content-Type', pdfResult.isHtml ? 'text/html' : 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${pdfResult.filename}"`);
+    res.send(pdfResult.buffer);
+  } catch (error) {
+    console.error('Generate sale receipt PDF error:', error);
+    res.status(500).json({ message: 'Failed to generate sale receipt PDF' });
+  }
+});
+
 // Generate Delivery Order PDF
 router.get('/:id/delivery-order', authenticateToken, async (req, res) => {
   try {
@@ -548,7 +738,7 @@ router.get('/:id/delivery-order', authenticateToken, async (req, res) => {
       company: req.user.company
     })
       .populate('customer')
-      .populate('items.product')
+      .populate({ path: 'items.product', populate: { path: 'parentProduct', select: 'name description images' } })
       .lean();
 
     if (!sale) {
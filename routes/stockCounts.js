@@ -0,0 +1,451 @@
+const express = require('express');
+const router = express.Router();
+const StockCount = require('../models/StockCount');
+const Warehouse = require('../models/Warehouse');
+const Product = require('../models/Product');
+const { authenticateToken, requireRole, requireSameCompany } = require('../middleware/auth');
+const { postStockCount } = require('../utils/ledger');
+
+// Sessions still in progress; a location/category can only have one at a time
+const ACTIVE_STATUSES = ['open', 'submitted', 'approved'];
+
+// Count line for a product, expecting what it holds at the location now
+const countLine = (product, warehouseId, defaultWarehouseId) => ({
+  product: product._id,
+  productName: product.name,
+  productSku: product.sku,
+  barcode: product.barcode,
+  unit: product.unit,
+  expectedQuantity: product.getLocationQuantity(warehouseId, defaultWarehouseId),
+  costPrice: product.costPrice || 0
+});
+
+// Find the session line an entry refers to, by product id, barcode or SKU
+const findLine = (stockCount, entry) => stockCount.items.find(item =>
+  (entry.product && item.product.toString() === entry.product.toString()) ||
+  (entry.barcode && item.barcode === entry.barcode) ||
+  (entry.sku && item.productSku === entry.sku.toUpperCase())
+);
+
+const loadCount = (req) => StockCount.findOne({
+  _id: req.params.id,
+  company: req.user.company._id
+});
+
+// Get all stock counts with pagination and filtering
+router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filters = {
+      company: req.user.company._id
+    };
+
+    if (req.query.status) {
+      filters.status = req.query.status;
+    }
+
+    if (req.query.warehouseId) {
+      filters.warehouse = req.query.warehouseId;
+    }
+
+    if (req.query.search) {
+      filters.countNumber = { $regex: req.query.search, $options: 'i' };
+    }
+
+    const counts = await StockCount.find(filters)
+      .select('-items')
+      .populate('warehouse', 'name code')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await StockCount.countDocuments(filters);
+    const pages = Math.ceil(total / limit);
+
+    res.json({
+      counts,
+      pagination: {
+        current: page,
+        pages,
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get stock counts error:', error);
+    res.status(500).json({ message: 'Failed to fetch stock counts' });
+  }
+});
+
+// Get single stock count with its variance summary (varianceOnly=true lists just the differences)
+router.get('/:id', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const stockCount = await loadCount(req)
+      .populate('warehouse', 'name code')
+      .populate('items.countedBy', 'firstName lastName')
+      .populate('createdBy', 'firstName lastName')
+      .populate('submittedBy', 'firstName lastName')
+      .populate('approvedBy', 'firstName lastName')
+      .populate('postedBy', 'firstName lastName');
+
+    if (!stockCount) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    const summary = stockCount.getSummary();
+    const result = stockCount.toJSON();
+    if (req.query.varianceOnly === 'true') {
+      result.items = result.items.filter(item => item.variance !== null && item.variance !== 0);
+    }
+
+    res.json({ stockCount: result, summary });
+  } catch (error) {
+    console.error('Get stock count error:', error);
+    res.status(500).json({ message: 'Failed to fetch stock count' });
+  }
+});
+
+// Open a count session for a location, optionally limited to one category
+router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const { warehouse: warehouseId, category, includeZeroStock, notes } = req.body;
+
+    const warehouse = await Warehouse.resolveForCompany(req.user.company._id, warehouseId);
+    if (!warehouse) {
+      return res.status(400).json({ message: 'Invalid warehouse selected' });
+    }
+
+    // A whole-location count overlaps every category count at that location
+    const overlapping = await StockCount.findOne({
+      company: req.user.company._id,
+      warehouse: warehouse._id,
+      status: { $in: ACTIVE_STATUSES },
+      ...(category ? { category: { $in: [category, null, ''] } } : {})
+    });
+    if (overlapping) {
+      return res.status(400).json({
+        message: `Stock count ${overlapping.countNumber} is already in progress for this location`
+      });
+    }
+
+    // Parents of variants hold no stock of their own
+    const productFilters = {
+      company: req.user.company._id,
+      isActive: true,
+      isTrackable: true,
+      hasVariants: { $ne: true }
+    };
+    if (category) {
+      productFilters.category = category;
+    }
+
+    const defaultWarehouse = await Warehouse.getDefault(req.user.company._id);
+    const products = await Product.find(productFilters).sort({ name: 1 });
+    const items = products
+      .map(product => countLine(product, warehouse._id, defaultWarehouse._id))
+      .filter(line => includeZeroStock || line.expectedQuantity > 0);
+
+    if (items.length === 0) {
+      return res.status(400).json({ message: 'No products to count at this location' });
+    }
+
+    const stockCount = new StockCount({
+      company: req.user.company._id,
+      warehouse: warehouse._id,
+      category,
+      items,
+      notes,
+      createdBy: req.user._id
+    });
+    await stockCount.save();
+
+    await stockCount.populate('warehouse', 'name code');
+
+    res.status(201).json({ stockCount, summary: stockCount.getSummary() });
+  } catch (error) {
+    console.error('Create stock count error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to create stock count' });
+  }
+});
+
+// Enter counted quantities. Each entry names a product, barcode or SKU; with mode=add
+// the quantity (1 when omitted) is added to what is already counted, for scanning.
+router.patch('/:id/counts', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const { counts, mode = 'set' } = req.body;
+
+    if (!Array.isArray(counts) || counts.length === 0) {
+      return res.status(400).json({ message: 'At least one count is required' });
+    }
+
+    if (!['set', 'add'].includes(mode)) {
+      return res.status(400).json({ message: 'Mode must be set or add' });
+    }
+
+    const stockCount = await loadCount(req);
+    if (!stockCount) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    if (stockCount.status !== 'open') {
+      return res.status(400).json({ message: 'Only open stock counts can be counted' });
+    }
+
+    let defaultWarehouse;
+    const unmatched = [];
+    let updated = 0;
+
+    for (const entry of counts) {
+      const quantity = entry.quantity === undefined && mode === 'add' ? 1 : Number(entry.quantity);
+      if (isNaN(quantity) || (mode === 'set' && quantity < 0)) {
+        unmatched.push({ ...entry, reason: 'Invalid quantity' });
+        continue;
+      }
+
+      let line = findLine(stockCount, entry);
+
+      // Stock found that wasn't expected at the location joins the session
+      if (!line) {
+        const lookup = [];
+        if (entry.product) lookup.push({ _id: entry.product });
+        if (entry.barcode) lookup.push({ barcode: entry.barcode });
+        if (entry.sku) lookup.push({ sku: entry.sku.toUpperCase() });
+
+        const product = lookup.length > 0 && await Product.findOne({
+          company: req.user.company._id,
+          isTrackable: true,
+          $or: lookup,
+          ...(stockCount.category ? { category: stockCount.category } : {})
+        }).catch(() => null);
+
+        if (!product) {
+          unmatched.push({ ...entry, reason: 'Product not found in this count' });
+          continue;
+        }
+
+        defaultWarehouse = defaultWarehouse || await Warehouse.getDefault(req.user.company._id);
+        stockCount.items.push(countLine(product, stockCount.warehouse, defaultWarehouse._id));
+        line = stockCount.items[stockCount.items.length - 1];
+      }
+
+      const counted = mode === 'add' ? (line.countedQuantity || 0) + quantity : quantity;
+      if (counted < 0) {
+        unmatched.push({ ...entry, reason: 'Counted quantity cannot be negative' });
+        continue;
+      }
+
+      line.countedQuantity = counted;
+      line.countedBy = req.user._id;
+      line.countedAt = new Date();
+      if (entry.notes !== undefined) line.notes = entry.notes;
+      updated += 1;
+    }
+
+    await stockCount.save();
+
+    res.json({
+      message: `${updated} count(s) recorded`,
+      updated,
+      unmatched,
+      summary: stockCount.getSummary()
+    });
+  } catch (error) {
+    console.error('Record stock count error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to record counts' });
+  }
+});
+
+// Submit a count for manager approval
+router.post('/:id/submit', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const stockCount = await loadCount(req);
+    if (!stockCount) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    if (stockCount.status !== 'open') {
+      return res.status(400).json({ message: 'Only open stock counts can be submitted' });
+    }
+
+    const summary = stockCount.getSummary();
+    if (summary.countedItems === 0) {
+      return res.status(400).json({ message: 'Count at least one item before submitting' });
+    }
+
+    stockCount.status = 'submitted';
+    stockCount.submittedBy = req.user._id;
+    stockCount.submittedAt = new Date();
+    await stockCount.save();
+
+    res.json({
+      message: 'Stock count submitted for approval',
+      stockCount,
+      summary
+    });
+  } catch (error) {
+    console.error('Submit stock count error:', error);
+    res.status(500).json({ message: 'Failed to submit stock count' });
+  }
+});
+
+// Approve a submitted count
+router.post('/:id/approve', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const stockCount = await loadCount(req);
+    if (!stockCount) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    if (stockCount.status !== 'submitted') {
+      return res.status(400).json({ message: 'Only submitted stock counts can be approved' });
+    }
+
+    stockCount.status = 'approved';
+    stockCount.approvedBy = req.user._id;
+    stockCount.approvedAt = new Date();
+    if (req.body.reviewNotes !== undefined) stockCount.reviewNotes = req.body.reviewNotes;
+    await stockCount.save();
+
+    res.json({
+      message: 'Stock count approved successfully',
+      stockCount,
+      summary: stockCount.getSummary()
+    });
+  } catch (error) {
+    console.error('Approve stock count error:', error);
+    res.status(500).json({ message: 'Failed to approve stock count' });
+  }
+});
+
+// Send a submitted count back for recounting
+router.post('/:id/reject', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const stockCount = await loadCount(req);
+    if (!stockCount) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    if (!['submitted', 'approved'].includes(stockCount.status)) {
+      return res.status(400).json({ message: 'Only submitted or approved stock counts can be sent back' });
+    }
+
+    stockCount.status = 'open';
+    stockCount.approvedBy = undefined;
+    stockCount.approvedAt = undefined;
+    stockCount.reviewNotes = req.body.reviewNotes;
+    await stockCount.save();
+
+    res.json({
+      message: 'Stock count sent back for recounting',
+      stockCount
+    });
+  } catch (error) {
+    console.error('Reject stock count error:', error);
+    res.status(500).json({ message: 'Failed to send back stock count' });
+  }
+});
+
+// Post an approved count: each counted variance is written as a stock_count movement.
+// Adjustments are the variance against the quantity expected when the session opened,
+// so stock that moved while counting is kept.
+router.post('/:id/post', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const stockCount = await loadCount(req);
+    if (!stockCount) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    if (stockCount.status !== 'approved') {
+      return res.status(400).json({ message: 'Only approved stock counts can be posted' });
+    }
+
+    const lines = stockCount.items.filter(item => item.variance !== null && item.variance !== 0);
+    const products = await Product.find({
+      _id: { $in: lines.map(item => item.product) },
+      company: req.user.company._id
+    });
+
+    for (const item of lines) {
+      const product = products.find(p => p._id.toString() === item.product.toString());
+      if (!product) continue;
+
+      const movement = await product.updateStock(Math.abs(item.variance), item.variance > 0 ? 'add' : 'subtract', {
+        type: 'stock_count',
+        reason: `Stock count ${stockCount.countNumber}`,
+        sourceType: 'stock_count',
+        sourceId: stockCount._id,
+        sourceNumber: stockCount.countNumber,
+        user: req.user._id,
+        warehouse: stockCount.warehouse,
+        unitCost: item.variance > 0 ? item.costPrice : undefined
+      });
+
+      if (movement) {
+        item.adjustmentQuantity = movement.quantity;
+        item.adjustmentCost = Math.sign(movement.quantity) * (movement.totalCost || 0);
+      }
+    }
+
+    stockCount.status = 'posted';
+    stockCount.postedBy = req.user._id;
+    stockCount.postedAt = new Date();
+    await stockCount.save();
+
+    await postStockCount(stockCount, req.user._id);
+
+    res.json({
+      message: 'Stock count posted successfully',
+      stockCount,
+      summary: stockCount.getSummary()
+    });
+  } catch (error) {
+    console.error('Post stock count error:', error);
+    res.status(500).json({ message: 'Failed to post stock count' });
+  }
+});
+
+// Cancel a count that hasn't been posted
+router.post('/:id/cancel', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const stockCount = await loadCount(req);
+    if (!stockCount) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    if (!ACTIVE_STATUSES.includes(stockCount.status)) {
+      return res.status(400).json({ message: `A ${stockCount.status} stock count cannot be cancelled` });
+    }
+
+    stockCount.status = 'cancelled';
+    stockCount.cancelledBy = req.user._id;
+    stockCount.cancelledAt = new Date();
+    stockCount.cancelReason = req.body.reason;
+    await stockCount.save();
+
+    res.json({
+      message: 'Stock count cancelled successfully',
+      stockCount
+    });
+  } catch (error) {
+    console.error('Cancel stock count error:', error);
+    res.status(500).json({ message: 'Failed to cancel stock count' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,304 @@
+const express = require('express');
+const router = express.Router();
+const StockTransfer = require('../models/StockTransfer');
+const Warehouse = require('../models/Warehouse');
+const Product = require('../models/Product');
+const Company = require('../models/Company');
+const { authenticateToken, requireRole, requireSameCompany } = require('../middleware/auth');
+const { generateStockTransferPDF } = require('../utils/pdfGenerator');
+
+// Check every product holds enough at `warehouseId` for the quantities being moved out
+const checkAvailability = async (companyId, warehouseId, items, products) => {
+  const defaultWarehouse = await Warehouse.getDefault(companyId);
+
+  const needed = {};
+  items.forEach(item => {
+    const key = item.product.toString();
+    needed[key] = (needed[key] || 0) + item.quantity;
+  });
+
+  for (const [productId, quantity] of Object.entries(needed)) {
+    const product = products[productId];
+    const available = product.getLocationQuantity(warehouseId, defaultWarehouse._id);
+    if (available < quantity) {
+      return `Insufficient stock for ${product.name}. Available: ${available}`;
+    }
+  }
+  return null;
+};
+
+// Move each line's quantity between two locations, logging the movements against the transfer
+const moveItems = async (transfer, products, fromWarehouseId, toWarehouseId, userId, reason) => {
+  for (const item of transfer.items) {
+    await products[item.product.toString()].transferStock(item.quantity, fromWarehouseId, toWarehouseId, {
+      reason,
+      sourceType: 'stock_transfer',
+      sourceId: transfer._id,
+      sourceNumber: transfer.transferNumber,
+      user: userId
+    });
+  }
+};
+
+// Load the company's products referenced by the transfer lines, keyed by id
+const loadProducts = async (companyId, items) => {
+  const products = await Product.find({
+    _id: { $in: items.map(item => item.product) },
+    company: companyId
+  });
+  return products.reduce((map, product) => {
+    map[product._id.toString()] = product;
+    return map;
+  }, {});
+};
+
+// Get all stock transfers with pagination and filtering
+router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filters = {
+      company: req.user.company._id
+    };
+
+    // Transfers in or out of a location
+    if (req.query.warehouseId) {
+      filters.$or = [
+        { fromWarehouse: req.query.warehouseId },
+        { toWarehouse: req.query.warehouseId }
+      ];
+    }
+
+    if (req.query.productId) {
+      filters['items.product'] = req.query.productId;
+    }
+
+    if (req.query.status) {
+      filters.status = req.query.status;
+    }
+
+    if (req.query.search) {
+      filters.transferNumber = { $regex: req.query.search, $options: 'i' };
+    }
+
+    if (req.query.startDate || req.query.endDate) {
+      filters.transferDate = {};
+      if (req.query.startDate) {
+        filters.transferDate.$gte = new Date(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        const endDate = new Date(req.query.endDate);
+        endDate.setHours(23, 59, 59, 999);
+        filters.transferDate.$lte = endDate;
+      }
+    }
+
+    const transfers = await StockTransfer.find(filters)
+      .populate('fromWarehouse', 'name code')
+      .populate('toWarehouse', 'name code')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ transferDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await StockTransfer.countDocuments(filters);
+    const pages = Math.ceil(total / limit);
+
+    res.json({
+      transfers,
+      pagination: {
+        current: page,
+        pages,
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get stock transfers error:', error);
+    res.status(500).json({ message: 'Failed to fetch stock transfers' });
+  }
+});
+
+// Get single stock transfer
+router.get('/:id', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const transfer = await StockTransfer.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    })
+      .populate('fromWarehouse', 'name code address')
+      .populate('toWarehouse', 'name code address')
+      .populate('items.product', 'name sku unit stockQuantity')
+      .populate('createdBy', 'firstName lastName')
+      .populate('cancelledBy', 'firstName lastName');
+
+    if (!transfer) {
+      return res.status(404).json({ message: 'Stock transfer not found' });
+    }
+
+    res.json({ transfer });
+  } catch (error) {
+    console.error('Get stock transfer error:', error);
+    res.status(500).json({ message: 'Failed to fetch stock transfer' });
+  }
+});
+
+// Transfer stock between two locations
+router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const { fromWarehouse: fromId, toWarehouse: toId, transferDate, items, reference, notes } = req.body;
+
+    if (!fromId || !toId) {
+      return res.status(400).json({ message: 'Source and destination locations are required' });
+    }
+
+    const [fromWarehouse, toWarehouse] = await Promise.all([
+      Warehouse.resolveForCompany(req.user.company._id, fromId),
+      Warehouse.resolveForCompany(req.user.company._id, toId)
+    ]);
+    if (!fromWarehouse || !toWarehouse) {
+      return res.status(400).json({ message: 'Invalid warehouse selected' });
+    }
+
+    if (fromWarehouse._id.toString() === toWarehouse._id.toString()) {
+      return res.status(400).json({ message: 'Source and destination locations must be different' });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'At least one item is required' });
+    }
+
+    if (items.some(item => !item.product || !(Number(item.quantity) > 0))) {
+      return res.status(400).json({ message: 'Each item needs a product and a quantity greater than 0' });
+    }
+
+    const products = await loadProducts(req.user.company._id, items);
+    const unknown = items.find(item => !products[item.product.toString()]);
+    if (unknown) {
+      return res.status(400).json({ message: `Product not found: ${unknown.product}` });
+    }
+
+    const lines = items.map(item => {
+      const product = products[item.product.toString()];
+      return {
+        product: product._id,
+        productName: product.name,
+        productSku: product.sku,
+        unit: product.unit,
+        quantity: Number(item.quantity)
+      };
+    });
+
+    const shortage = await checkAvailability(req.user.company._id, fromWarehouse._id, lines, products);
+    if (shortage) {
+      return res.status(400).json({ message: `${shortage} at ${fromWarehouse.name}` });
+    }
+
+    const transfer = new StockTransfer({
+      company: req.user.company._id,
+      fromWarehouse: fromWarehouse._id,
+      toWarehouse: toWarehouse._id,
+      transferDate: transferDate || new Date(),
+      items: lines,
+      reference,
+      notes,
+      createdBy: req.user._id
+    });
+    await transfer.save();
+
+    await moveItems(transfer, products, fromWarehouse._id, toWarehouse._id, req.user._id,
+      `Transfer ${fromWarehouse.code} → ${toWarehouse.code}`);
+
+    await transfer.populate([
+      { path: 'fromWarehouse', select: 'name code' },
+      { path: 'toWarehouse', select: 'name code' }
+    ]);
+
+    res.status(201).json({ transfer });
+  } catch (error) {
+    console.error('Create stock transfer error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to create stock transfer' });
+  }
+});
+
+// Cancel a transfer; the stock moves back to the source location
+router.post('/:id/cancel', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const transfer = await StockTransfer.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!transfer) {
+      return res.status(404).json({ message: 'Stock transfer not found' });
+    }
+
+    if (transfer.status === 'cancelled') {
+      return res.status(400).json({ message: 'Stock transfer is already cancelled' });
+    }
+
+    const products = await loadProducts(req.user.company._id, transfer.items);
+    if (transfer.items.some(item => !products[item.product.toString()])) {
+      return res.status(400).json({ message: 'A product on this transfer no longer exists' });
+    }
+
+    const shortage = await checkAvailability(req.user.company._id, transfer.toWarehouse, transfer.items, products);
+    if (shortage) {
+      return res.status(400).json({ message: `${shortage} at the destination; the transferred stock has already been used` });
+    }
+
+    await moveItems(transfer, products, transfer.toWarehouse, transfer.fromWarehouse, req.user._id,
+      `Transfer ${transfer.transferNumber} cancelled`);
+
+    transfer.status = 'cancelled';
+    transfer.cancelledAt = new Date();
+    transfer.cancelledBy = req.user._id;
+    transfer.cancelReason = req.body.reason;
+    await transfer.save();
+
+    res.json({
+      message: 'Stock transfer cancelled successfully',
+      transfer
+    });
+  } catch (error) {
+    console.error('Cancel stock transfer error:', error);
+    res.status(500).json({ message: 'Failed to cancel stock transfer' });
+  }
+});
+
+// Generate stock transfer PDF
+router.get('/:id/pdf', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const transfer = await StockTransfer.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    })
+      .populate('fromWarehouse', 'name code address')
+      .populate('toWarehouse', 'name code address')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!transfer) {
+      return res.status(404).json({ message: 'Stock transfer not found' });
+    }
+
+    const company = await Company.findById(req.user.company._id);
+    const pdfResult = await generateStockTransferPDF(transfer, company);
+
+    res.setHeader('Content-Type', pdfResult.isHtml ? 'text/html' : 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${pdfResult.filename}"`);
+    res.send(pdfResult.buffer);
+  } catch (error) {
+    console.error('Generate stock transfer PDF error:', error);
+    res.status(500).json({ message: 'Failed to generate stock transfer PDF' });
+  }
+});
+
+module.exports = router;
@@ -21,7 +21,7 @@ router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
 // Create new tax
 router.post('/', authenticateToken, requireSameCompany, async (req, res) => {
   try {
-    const { name, percentage, description } = req.body;
+    const { name, percentage, description, isCompound, vatCategory } = req.body;
 
     // Check if tax name already exists for this company
     const existingTax = await Tax.findOne({ 
@@ -38,6 +38,8 @@ router.post('/', authenticateToken, requireSameCompany, async (req, res) => {
     const tax = new Tax({
       name: name.trim(),
       percentage,
+      isCompound: !!isCompound,
+      vatCategory,
       description: description?.trim(),
       company: req.user.company._id,
       createdBy: req.user._id
@@ -49,6 +51,11 @@ router.post('/', authenticateToken, requireSameCompany, async (req, res) => {
     console.error('Create tax error:', error);
     if (error.code === 11000) {
       res.status(400).json({ message: 'Tax with this name already exists' });
+    } else if (error.name === 'ValidationError') {
+      res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
     } else {
       res.status(500).json({ message: 'Failed to create tax' });
     }
@@ -58,7 +65,7 @@ router.post('/', authenticateToken, requireSameCompany, async (req, res) => {
 // Update tax
 router.put('/:id', authenticateToken, requireSameCompany, async (req, res) => {
   try {
-    const { name, percentage, description, isActive } = req.body;
+    const { name, percentage, description, isActive, isCompound, vatCategory } = req.body;
 
     const tax = await Tax.findOne({ 
       _id: req.params.id, 
@@ -86,6 +93,8 @@ router.put('/:id', authenticateToken, requireSameCompany, async (req, res) => {
 
     tax.name = name?.trim() || tax.name;
     tax.percentage = percentage !== undefined ? percentage : tax.percentage;
+    tax.isCompound = isCompound !== undefined ? !!isCompound : tax.isCompound;
+    tax.vatCategory = vatCategory || tax.vatCategory;
     tax.description = description?.trim() || tax.description;
     tax.isActive = isActive !== undefined ? isActive : tax.isActive;
 
@@ -95,6 +104,11 @@ router.put('/:id', authenticateToken, requireSameCompany, async (req, res) => {
     console.error('Update tax error:', error);
     if (error.code === 11000) {
       res.status(400).json({ message: 'Tax with this name already exists' });
+    } else if (error.name === 'ValidationError') {
+      res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
     } else {
       res.status(500).json({ message: 'Failed to update tax' });
     }
@@ -0,0 +1,424 @@
+const express = require('express');
+const router = express.Router();
+const VendorBill = require('../models/VendorBill');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Vendor = require('../models/Vendor');
+const { authenticateToken, requireRole, requireSameCompany } = require('../middleware/auth');
+const {
+  dueDateFromTerms,
+  getBillableItems,
+  planBillItems,
+  billVariances,
+  refreshPurchaseOrderBilling
+} = require('../utils/vendorBills');
+const { syncVendorBill, postBillPayment, reverseBillPayment } = require('../utils/ledger');
+
+// Reject a vendor invoice number already entered on another live bill from the same vendor
+const findDuplicateBill = (companyId, vendorId, vendorInvoiceNumber, excludeBillId = null) => {
+  if (!vendorInvoiceNumber) return null;
+
+  const filters = {
+    company: companyId,
+    vendor: vendorId,
+    vendorInvoiceNumber,
+    status: { $ne: 'void' }
+  };
+  if (excludeBillId) {
+    filters._id = { $ne: excludeBillId };
+  }
+  return VendorBill.findOne(filters).select('billNumber');
+};
+
+// Get all vendor bills with pagination and filtering
+router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filters = {
+      company: req.user.company._id
+    };
+
+    if (req.query.vendorId) {
+      filters.vendor = req.query.vendorId;
+    }
+
+    if (req.query.purchaseOrderId) {
+      filters.purchaseOrder = req.query.purchaseOrderId;
+    }
+
+    if (req.query.status) {
+      filters.status = req.query.status;
+    }
+
+    // Unpaid bills past their due date
+    if (req.query.overdue === 'true') {
+      filters.status = { $in: ['open', 'partially_paid'] };
+      filters.dueDate = { $lt: new Date() };
+    }
+
+    if (req.query.search) {
+      filters.$or = [
+        { billNumber: { $regex: req.query.search, $options: 'i' } },
+        { vendorInvoiceNumber: { $regex: req.query.search, $options: 'i' } },
+        { poNumber: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    if (req.query.startDate || req.query.endDate) {
+      filters.billDate = {};
+      if (req.query.startDate) {
+        filters.billDate.$gte = new Date(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        const endDate = new Date(req.query.endDate);
+        endDate.setHours(23, 59, 59, 999);
+        filters.billDate.$lte = endDate;
+      }
+    }
+
+    const bills = await VendorBill.find(filters)
+      .populate('vendor', 'name email')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ billDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await VendorBill.countDocuments(filters);
+    const pages = Math.ceil(total / limit);
+
+    res.json({
+      bills,
+      pagination: {
+        current: page,
+        pages,
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get vendor bills error:', error);
+    res.status(500).json({ message: 'Failed to fetch vendor bills' });
+  }
+});
+
+// Get what is left to bill on a purchase order
+router.get('/purchase-order/:purchaseOrderId/billable', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: req.params.purchaseOrderId,
+      company: req.user.company._id
+    }).populate('vendor', 'name paymentTerms customPaymentTerms');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    const items = await getBillableItems(purchaseOrder);
+
+    res.json({
+      purchaseOrder: {
+        _id: purchaseOrder._id,
+        poNumber: purchaseOrder.poNumber,
+        status: purchaseOrder.status,
+        billingStatus: purchaseOrder.billingStatus,
+        billedAmount: purchaseOrder.billedAmount,
+        total: purchaseOrder.total,
+        taxRate: purchaseOrder.taxRate,
+        currency: purchaseOrder.currency,
+        vendor: purchaseOrder.vendor
+      },
+      items
+    });
+  } catch (error) {
+    console.error('Get billable items error:', error);
+    res.status(500).json({ message: 'Failed to fetch billable items' });
+  }
+});
+
+// Get single vendor bill
+router.get('/:id', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const bill = await VendorBill.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    })
+      .populate('vendor', 'name email phone address paymentTerms customPaymentTerms')
+      .populate('purchaseOrder', 'poNumber title total status billingStatus billedAmount')
+      .populate('createdBy', 'firstName lastName')
+      .populate('payments.recordedBy', 'firstName lastName')
+      .populate('voidedBy', 'firstName lastName');
+
+    if (!bill) {
+      return res.status(404).json({ message: 'Vendor bill not found' });
+    }
+
+    res.json({ bill, variances: billVariances(bill) });
+  } catch (error) {
+    console.error('Get vendor bill error:', error);
+    res.status(500).json({ message: 'Failed to fetch vendor bill' });
+  }
+});
+
+// Create a bill from a completed purchase order. `items` may bill part of the order,
+// at different prices, or add extra charges; without items the whole remainder is billed.
+router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const { purchaseOrder: purchaseOrderId, vendorInvoiceNumber, billDate, dueDate, items, taxRate, notes } = req.body;
+
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: purchaseOrderId,
+      company: req.user.company._id
+    });
+    if (!purchaseOrder) {
+      return res.status(400).json({ message: 'Purchase order not found' });
+    }
+
+    if (purchaseOrder.status !== 'completed') {
+      return res.status(400).json({ message: 'Only completed purchase orders can be billed' });
+    }
+
+    const vendor = await Vendor.findById(purchaseOrder.vendor);
+    if (!vendor) {
+      return res.status(400).json({ message: 'Vendor not found' });
+    }
+
+    const duplicate = await findDuplicateBill(req.user.company._id, vendor._id, vendorInvoiceNumber);
+    if (duplicate) {
+      return res.status(400).json({ message: `Vendor invoice ${vendorInvoiceNumber} is already entered as ${duplicate.billNumber}` });
+    }
+
+    const plan = await planBillItems(purchaseOrder, items);
+    if (plan.error) {
+      return res.status(400).json({ message: plan.error });
+    }
+
+    const effectiveBillDate = billDate ? new Date(billDate) : new Date();
+    const effectiveDueDate = dueDate ? new Date(dueDate) : dueDateFromTerms(vendor, effectiveBillDate);
+    if (!effectiveDueDate) {
+      return res.status(400).json({ message: 'Vendor payment terms do not specify a number of days; please provide a due date' });
+    }
+
+    const bill = new VendorBill({
+      company: req.user.company._id,
+      vendor: vendor._id,
+      purchaseOrder: purchaseOrder._id,
+      poNumber: purchaseOrder.poNumber,
+      vendorInvoiceNumber,
+      currency: purchaseOrder.currency,
+      exchangeRate: purchaseOrder.exchangeRate,
+      billDate: effectiveBillDate,
+      dueDate: effectiveDueDate,
+      paymentTerms: vendor.paymentTerms === 'Custom' ? vendor.customPaymentTerms : vendor.paymentTerms,
+      items: plan.items,
+      taxRate: taxRate !== undefined ? taxRate : purchaseOrder.taxRate,
+      notes,
+      createdBy: req.user._id
+    });
+
+    await bill.save();
+    await syncVendorBill(bill, req.user._id);
+    await refreshPurchaseOrderBilling(purchaseOrder._id);
+
+    await bill.populate('vendor', 'name email');
+
+    res.status(201).json({ bill, variances: billVariances(bill) });
+  } catch (error) {
+    console.error('Create vendor bill error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to create vendor bill' });
+  }
+});
+
+// Update a bill that has no payments yet
+router.put('/:id', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const bill = await VendorBill.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!bill) {
+      return res.status(404).json({ message: 'Vendor bill not found' });
+    }
+
+    if (bill.status !== 'open') {
+      return res.status(400).json({ message: 'Only unpaid bills can be edited' });
+    }
+
+    const { vendorInvoiceNumber, billDate, dueDate, items, taxRate, notes } = req.body;
+
+    if (vendorInvoiceNumber !== undefined) {
+      const duplicate = await findDuplicateBill(req.user.company._id, bill.vendor, vendorInvoiceNumber, bill._id);
+      if (duplicate) {
+        return res.status(400).json({ message: `Vendor invoice ${vendorInvoiceNumber} is already entered as ${duplicate.billNumber}` });
+      }
+      bill.vendorInvoiceNumber = vendorInvoiceNumber;
+    }
+
+    if (items !== undefined) {
+      const purchaseOrder = await PurchaseOrder.findById(bill.purchaseOrder);
+      const plan = await planBillItems(purchaseOrder, items, bill._id);
+      if (plan.error) {
+        return res.status(400).json({ message: plan.error });
+      }
+      bill.items = plan.items;
+    }
+
+    if (billDate !== undefined) bill.billDate = billDate;
+    if (dueDate !== undefined) bill.dueDate = dueDate;
+    if (taxRate !== undefined) bill.taxRate = taxRate;
+    if (notes !== undefined) bill.notes = notes;
+
+    await bill.save();
+    await syncVendorBill(bill, req.user._id);
+    await refreshPurchaseOrderBilling(bill.purchaseOrder);
+
+    res.json({
+      message: 'Vendor bill updated successfully',
+      bill,
+      variances: billVariances(bill)
+    });
+  } catch (error) {
+    console.error('Update vendor bill error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to update vendor bill' });
+  }
+});
+
+// Record a payment against a bill
+router.post('/:id/payments', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const { amount, paymentDate, paymentMethod, reference, notes } = req.body;
+
+    const bill = await VendorBill.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!bill) {
+      return res.status(404).json({ message: 'Vendor bill not found' });
+    }
+
+    if (bill.status === 'void') {
+      return res.status(400).json({ message: 'Cannot record payments on a voided bill' });
+    }
+
+    if (!(amount > 0)) {
+      return res.status(400).json({ message: 'Payment amount must be greater than 0' });
+    }
+
+    if (amount - bill.balanceDue > 0.005) {
+      return res.status(400).json({ message: `Payment exceeds the balance due (${bill.balanceDue.toFixed(2)})` });
+    }
+
+    bill.payments.push({
+      amount,
+      paymentDate: paymentDate || new Date(),
+      paymentMethod,
+      reference,
+      notes,
+      recordedBy: req.user._id
+    });
+
+    await bill.save();
+    await postBillPayment(bill, bill.payments[bill.payments.length - 1], req.user._id);
+
+    res.json({
+      message: 'Payment recorded successfully',
+      bill
+    });
+  } catch (error) {
+    console.error('Record bill payment error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to record bill payment' });
+  }
+});
+
+// Remove a payment from a bill
+router.delete('/:id/payments/:paymentId', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const bill = await VendorBill.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!bill) {
+      return res.status(404).json({ message: 'Vendor bill not found' });
+    }
+
+    const payment = bill.payments.id(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    bill.payments.pull(payment._id);
+    await bill.save();
+    await reverseBillPayment(bill, payment, req.user._id);
+
+    res.json({
+      message: 'Payment removed successfully',
+      bill
+    });
+  } catch (error) {
+    console.error('Remove bill payment error:', error);
+    res.status(500).json({ message: 'Failed to remove bill payment' });
+  }
+});
+
+// Void a bill (e.g. entered in error); its quantities become billable again
+router.post('/:id/void', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const bill = await VendorBill.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!bill) {
+      return res.status(404).json({ message: 'Vendor bill not found' });
+    }
+
+    if (bill.status === 'void') {
+      return res.status(400).json({ message: 'Bill is already void' });
+    }
+
+    if (bill.payments.length > 0) {
+      return res.status(400).json({ message: 'Remove the payments on this bill before voiding it' });
+    }
+
+    bill.status = 'void';
+    bill.voidedAt = new Date();
+    bill.voidedBy = req.user._id;
+    bill.voidReason = req.body.reason;
+
+    await bill.save();
+    await syncVendorBill(bill, req.user._id);
+    await refreshPurchaseOrderBilling(bill.purchaseOrder);
+
+    res.json({
+      message: 'Vendor bill voided successfully',
+      bill
+    });
+  } catch (error) {
+    console.error('Void vendor bill error:', error);
+    res.status(500).json({ message: 'Failed to void vendor bill' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,243 @@
+const express = require('express');
+const router = express.Router();
+const Warehouse = require('../models/Warehouse');
+const Product = require('../models/Product');
+const { authenticateToken, requireRole, requireSameCompany } = require('../middleware/auth');
+
+// Get all warehouses for the company
+router.get('/', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    // Make sure the default location exists before listing
+    await Warehouse.getDefault(req.user.company._id);
+
+    const filters = { company: req.user.company._id };
+    if (req.query.includeInactive !== 'true') {
+      filters.isActive = true;
+    }
+
+    const warehouses = await Warehouse.find(filters).sort({ isDefault: -1, name: 1 });
+
+    res.json({ warehouses });
+  } catch (error) {
+    console.error('Get warehouses error:', error);
+    res.status(500).json({ message: 'Failed to fetch warehouses' });
+  }
+});
+
+// Get single warehouse
+router.get('/:id', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+
+    res.json({ warehouse });
+  } catch (error) {
+    console.error('Get warehouse error:', error);
+    res.status(500).json({ message: 'Failed to fetch warehouse' });
+  }
+});
+
+// Get stock held at a warehouse
+router.get('/:id/stock', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+
+    const defaultWarehouse = await Warehouse.getDefault(req.user.company._id);
+    const products = await Product.find({
+      company: req.user.company._id,
+      isActive: true,
+      isTrackable: true
+    })
+      .select('name sku unit category costPrice stockQuantity minStockLevel stockLevels')
+      .sort({ name: 1 });
+
+    const stock = products
+      .map(product => {
+        const level = product.getStockByLocation(defaultWarehouse._id)
+          .find(l => l.warehouse.toString() === warehouse._id.toString());
+        if (!level || level.quantity <= 0) return null;
+        return {
+          product: product._id,
+          name: product.name,
+          sku: product.sku,
+          unit: product.unit,
+          category: product.category,
+          quantity: level.quantity,
+          minStockLevel: level.minStockLevel,
+          totalQuantity: product.stockQuantity,
+          value: Math.round(level.quantity * (product.costPrice || 0) * 100) / 100
+        };
+      })
+      .filter(Boolean);
+
+    res.json({
+      warehouse,
+      stock,
+      totals: {
+        products: stock.length,
+        quantity: stock.reduce((sum, line) => sum + line.quantity, 0),
+        value: Math.round(stock.reduce((sum, line) => sum + line.value, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Get warehouse stock error:', error);
+    res.status(500).json({ message: 'Failed to fetch warehouse stock' });
+  }
+});
+
+// Create warehouse
+router.post('/', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const { name, code, type, address, isDefault, notes } = req.body;
+
+    const existing = await Warehouse.findOne({
+      company: req.user.company._id,
+      code: (code || '').toUpperCase()
+    });
+    if (existing) {
+      return res.status(400).json({ message: 'Warehouse code already exists' });
+    }
+
+    // Seed the default first so a new default can take over from it
+    await Warehouse.getDefault(req.user.company._id);
+
+    const warehouse = new Warehouse({
+      company: req.user.company._id,
+      name,
+      code,
+      type,
+      address,
+      notes,
+      createdBy: req.user._id
+    });
+    await warehouse.save();
+
+    if (isDefault) {
+      await Warehouse.updateMany({ company: req.user.company._id, _id: { $ne: warehouse._id } }, { isDefault: false });
+      warehouse.isDefault = true;
+      await warehouse.save();
+    }
+
+    res.status(201).json({ warehouse });
+  } catch (error) {
+    console.error('Create warehouse error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to create warehouse' });
+  }
+});
+
+// Update warehouse
+router.put('/:id', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+
+    const { name, code, type, address, isDefault, isActive, notes } = req.body;
+
+    if (code && code.toUpperCase() !== warehouse.code) {
+      const existing = await Warehouse.findOne({
+        company: req.user.company._id,
+        code: code.toUpperCase(),
+        _id: { $ne: warehouse._id }
+      });
+      if (existing) {
+        return res.status(400).json({ message: 'Warehouse code already exists' });
+      }
+      warehouse.code = code;
+    }
+
+    if (warehouse.isDefault && (isDefault === false || isActive === false)) {
+      return res.status(400).json({ message: 'Make another warehouse the default first' });
+    }
+
+    if (name !== undefined) warehouse.name = name;
+    if (type !== undefined) warehouse.type = type;
+    if (address !== undefined) warehouse.address = address;
+    if (notes !== undefined) warehouse.notes = notes;
+    if (isActive !== undefined) warehouse.isActive = isActive;
+
+    if (isDefault && !warehouse.isDefault) {
+      if (!warehouse.isActive) {
+        return res.status(400).json({ message: 'An inactive warehouse cannot be the default' });
+      }
+      await Warehouse.updateMany({ company: req.user.company._id, _id: { $ne: warehouse._id } }, { isDefault: false });
+      warehouse.isDefault = true;
+    }
+
+    await warehouse.save();
+
+    res.json({
+      message: 'Warehouse updated successfully',
+      warehouse
+    });
+  } catch (error) {
+    console.error('Update warehouse error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to update warehouse' });
+  }
+});
+
+// Deactivate an empty warehouse
+router.delete('/:id', authenticateToken, requireRole('admin', 'manager'), requireSameCompany, async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findOne({
+      _id: req.params.id,
+      company: req.user.company._id
+    });
+
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+
+    if (warehouse.isDefault) {
+      return res.status(400).json({ message: 'The default warehouse cannot be removed' });
+    }
+
+    const holdingStock = await Product.exists({
+      company: req.user.company._id,
+      stockLevels: { $elemMatch: { warehouse: warehouse._id, quantity: { $gt: 0 } } }
+    });
+    if (holdingStock) {
+      return res.status(400).json({ message: 'Transfer the stock out of this warehouse before removing it' });
+    }
+
+    warehouse.isActive = false;
+    await warehouse.save();
+
+    res.json({ message: 'Warehouse removed successfully' });
+  } catch (error) {
+    console.error('Delete warehouse error:', error);
+    res.status(500).json({ message: 'Failed to remove warehouse' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+require('../models/Company');
+require('../models/Customer');
+const Invoice = require('../models/Invoice');
+const Sale = require('../models/Sale');
+const Expense = require('../models/Expense');
+const CreditNote = require('../models/CreditNote');
+const Payment = require('../models/Payment');
+const VendorBill = require('../models/VendorBill');
+const {
+  syncInvoice,
+  postInvoicePayment,
+  syncPayment,
+  syncSale,
+  syncExpense,
+  postCreditNote,
+  syncVendorBill,
+  postBillPayment
+} = require('../utils/ledger');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/royalserve');
+
+// Post journal entries for documents created before the general ledger existed.
+// Postings are idempotent, so the script can be re-run safely.
+async function postLedgerHistory() {
+  try {
+    console.log('Starting ledger backfill...');
+
+    const invoices = await Invoice.find({});
+    for (const invoice of invoices) {
+      await syncInvoice(invoice, invoice.createdBy);
+      for (const payment of invoice.payments || []) {
+        await postInvoicePayment(invoice, payment, invoice.createdBy);
+      }
+    }
+    console.log(`Processed ${invoices.length} invoices`);
+
+    const payments = await Payment.find({});
+    for (const payment of payments) {
+      await syncPayment(payment, payment.createdBy);
+    }
+    console.log(`Processed ${payments.length} payment receipts`);
+
+    const sales = await Sale.find({});
+    for (const sale of sales) {
+      await syncSale(sale, sale.createdBy);
+    }
+    console.log(`Processed ${sales.length} sales`);
+
+    const expenses = await Expense.find({ approvedAt: { $ne: null } });
+    for (const expense of expenses) {
+      await syncExpense(expense, expense.approvedBy || expense.createdBy);
+    }
+    console.log(`Processed ${expenses.length} approved expenses`);
+
+    const creditNotes = await CreditNote.find({});
+    for (const creditNote of creditNotes) {
+      await postCreditNote(creditNote, creditNote.createdBy);
+    }
+    console.log(`Processed ${creditNotes.length} credit notes`);
+
+    const bills = await VendorBill.find({});
+    for (const bill of bills) {
+      await syncVendorBill(bill, bill.createdBy);
+      if (bill.status === 'void') continue;
+      for (const payment of bill.payments) {
+        await postBillPayment(bill, payment, payment.recordedBy || bill.createdBy);
+      }
+    }
+    console.log(`Processed ${bills.length} vendor bills`);
+
+    console.log('Ledger backfill complete');
+  } catch (error) {
+    console.error('Error posting ledger history:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+}
+
+// Run the backfill
+postLedgerHistory();
@@ -3,6 +3,8 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
+const { startRecurringInvoiceScheduler } = require('./utils/recurringInvoiceScheduler');
+const { startInvoiceReminderScheduler } = require('./utils/invoiceReminderScheduler');
 
 // Load environment variables
 dotenv.config();
@@ -49,6 +51,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/business-
   .then(() => {
     console.log('✅ Connected to MongoDB');
     console.log('Database URL:', process.env.MONGODB_URI ? 'Using environment MONGODB_URI' : 'Using local MongoDB');
+
+    // Start background jobs once the database is available
+    startRecurringInvoiceScheduler();
+    startInvoiceReminderScheduler();
   })
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
@@ -60,18 +66,31 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/business-
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/companies', require('./routes/companies'));
 app.use('/api/customers', require('./routes/customers'));
+app.use('/api/price-lists', require('./routes/priceLists'));
+app.use('/api/promotions', require('./routes/promotions'));
 app.use('/api/quotes', require('./routes/quotes'));
 app.use('/api/invoices', require('./routes/invoices'));
+app.use('/api/recurring-invoices', require('./routes/recurringInvoices'));
+app.use('/api/payments', require('./routes/payments'));
 app.use('/api/vendors', require('./routes/vendors'));
 app.use('/api/purchase-orders', require('./routes/purchaseOrders'));
+app.use('/api/vendor-bills', require('./routes/vendorBills'));
 app.use('/api/images', require('./routes/images'));
 app.use('/api/taxes', require('./routes/taxes'));
+app.use('/api/exchange-rates', require('./routes/exchangeRates'));
 app.use('/api/categories', require('./routes/categories'));
 app.use('/api/products', require('./routes/products'));
+app.use('/api/warehouses', require('./routes/warehouses'));
+app.use('/api/stock-transfers', require('./routes/stockTransfers'));
+app.use('/api/stock-counts', require('./routes/stockCounts'));
 app.use('/api/sales', require('./routes/sales'));
 app.use('/api/expenses', require('./routes/expenses'));
 app.use('/api/soa', require('./routes/soa'));
+app.use('/api/portal', require('./routes/portal'));
 app.use('/api/credit-notes', require('./routes/creditNotes'));
+app.use('/api/accounts', require('./routes/accounts'));
+app.use('/api/journal-entries', require('./routes/journalEntries'));
+app.use('/api/reports', require('./routes/reports'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Product = require('../models/Product');
+const Sale = require('../models/Sale');
+const creditNotes = require('../routes/creditNotes');
+const { connect, disconnect, createCompany } = require('./helpers/db');
+const { request } = require('./helpers/http');
+
+before(connect);
+after(disconnect);
+
+test('crediting a tax-inclusive sale credits what the customer paid', async () => {
+  const { company, user, customer } = await createCompany();
+
+  const product = await Product.create({
+    company: company._id,
+    name: 'Desk Lamp',
+    sku: `LAMP-${company._id}`,
+    category: 'Lighting',
+    costPrice: 60,
+    sellingPrice: 105,
+    stockQuantity: 10,
+    createdBy: user._id
+  });
+
+  const sale = new Sale({
+    company: company._id,
+    saleNumber: `SALE-${company._id}-0001`,
+    customer: customer._id,
+    items: [{ product: product._id, productName: product.name, quantity: 2, unitPrice: 105, total: 0 }],
+    subtotal: 0,
+    taxRate: 5,
+    pricesIncludeTax: true,
+    total: 0,
+    createdBy: user._id
+  });
+  await sale.save();
+
+  const { status, body } = await request(creditNotes, user, {
+    method: 'POST',
+    body: {
+      sourceType: 'sale',
+      sourceId: sale._id,
+      returnedItems: [{ product: product._id.toString(), productName: product.name, quantity: 2 }]
+    }
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.creditNote.subtotal, 200);
+  assert.equal(body.creditNote.taxAmount, 10);
+  assert.equal(body.creditNote.creditAmount, sale.items[0].total);
+});
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Company = require('../../models/Company');
+const User = require('../../models/User');
+const Customer = require('../../models/Customer');
+
+let server;
+
+// Start an in-memory MongoDB and connect mongoose to it
+const connect = async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+};
+
+// A company with an admin user and a customer, the starting point for most tests
+const createCompany = async (settings = {}) => {
+  const company = await Company.create({
+    name: 'Test Trading LLC',
+    email: 'accounts@test-trading.example',
+    settings
+  });
+
+  const user = await User.create({
+    firstName: 'Test',
+    lastName: 'Admin',
+    email: `admin-${company._id}@test-trading.example`,
+    password: 'password123',
+    company: company._id,
+    role: 'admin'
+  });
+
+  const customer = await Customer.create({
+    company: company._id,
+    firstName: 'Jane',
+    lastName: 'Customer',
+    email: `customer-${company._id}@example.com`,
+    createdBy: user._id
+  });
+
+  return { company, user, customer };
+};
+
+module.exports = {
+  connect,
+  disconnect,
+  createCompany
+};
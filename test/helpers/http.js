@@ -0,0 +1,32 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Call a router's route as the given user, the way the app mounts it; resolves to
+// { status, body }
+const request = async (router, user, { method = 'GET', path = '/', body } = {}) => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+  const app = express();
+  app.use(express.json());
+  app.use(router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  try {
+    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+module.exports = {
+  request
+};
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Account = require('../models/Account');
+const Invoice = require('../models/Invoice');
+const JournalEntry = require('../models/JournalEntry');
+const { syncInvoice, getAccountBalances } = require('../utils/ledger');
+const { connect, disconnect, createCompany } = require('./helpers/db');
+
+before(connect);
+after(disconnect);
+
+// Debit and credit totals and balance of a system account for a period
+const accountBalance = async (companyId, systemKey, range) => {
+  const account = await Account.findOne({ company: companyId, systemKey });
+  const balances = await getAccountBalances(companyId, range);
+  return balances.find(b => b.account._id.equals(account._id));
+};
+
+test('editing a past-dated invoice keeps its period at the new amount', async () => {
+  const { company, user, customer } = await createCompany();
+  const january = { startDate: new Date('2026-01-01T00:00:00Z'), endDate: new Date('2026-01-31T23:59:59Z') };
+
+  const invoice = new Invoice({
+    company: company._id,
+    customer: customer._id,
+    title: 'Consulting',
+    items: [{ name: 'Consulting', description: 'January consulting', quantity: 1, unitPrice: 1000 }],
+    subtotal: 0,
+    total: 0,
+    status: 'sent',
+    dueDate: new Date('2026-02-14T00:00:00Z'),
+    createdAt: new Date('2026-01-15T00:00:00Z'),
+    createdBy: user._id
+  });
+  await invoice.save();
+  await syncInvoice(invoice, user._id);
+
+  invoice.items[0].unitPrice = 1200;
+  await invoice.save();
+  await syncInvoice(invoice, user._id);
+
+  const entries = await JournalEntry.find({ company: company._id, sourceId: invoice._id });
+  assert.equal(entries.length, 3);
+  entries.forEach(entry => assert.equal(entry.date.toISOString(), '2026-01-15T00:00:00.000Z'));
+
+  assert.equal((await accountBalance(company._id, 'sales_revenue', january)).balance, 1200);
+  assert.equal((await accountBalance(company._id, 'accounts_receivable', january)).balance, 1200);
+
+  // Nothing from the edit lands in a later period
+  const later = await accountBalance(company._id, 'sales_revenue', { startDate: new Date('2026-02-01T00:00:00Z'), endDate: new Date() });
+  assert.equal(later.debit, 0);
+  assert.equal(later.credit, 0);
+
+  const trialBalance = await getAccountBalances(company._id, january);
+  const net = trialBalance.reduce((sum, b) => sum + b.net, 0);
+  assert.equal(Math.round(net * 100) / 100, 0);
+});
@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Product = require('../models/Product');
+const Sale = require('../models/Sale');
+const StockMovement = require('../models/StockMovement');
+const { connect, disconnect, createCompany } = require('./helpers/db');
+
+before(connect);
+after(disconnect);
+
+test('saving a tax-inclusive sale again does not take its stock twice', async () => {
+  const { company, user, customer } = await createCompany();
+
+  const product = await Product.create({
+    company: company._id,
+    name: 'Desk Lamp',
+    sku: `LAMP-${company._id}`,
+    category: 'Lighting',
+    costPrice: 60,
+    sellingPrice: 105,
+    stockQuantity: 10,
+    createdBy: user._id
+  });
+
+  const sale = new Sale({
+    company: company._id,
+    saleNumber: `SALE-${company._id}-0001`,
+    customer: customer._id,
+    items: [{ product: product._id, productName: product.name, quantity: 2, unitPrice: 105, total: 0 }],
+    subtotal: 0,
+    taxRate: 5,
+    pricesIncludeTax: true,
+    total: 0,
+    createdBy: user._id
+  });
+  await sale.save();
+
+  // The line keeps its tax-inclusive total; the net amount is stored beside it
+  assert.equal(sale.items[0].total, 210);
+  assert.equal(sale.items[0].netAmount, 200);
+  assert.equal(sale.subtotal, 200);
+  assert.equal(sale.total, 210);
+
+  sale.notes = 'Gift wrapped';
+  await sale.save();
+
+  const reloaded = await Sale.findById(sale._id);
+  reloaded.notes = 'Gift wrapped, collected in store';
+  await reloaded.save();
+
+  assert.equal((await Product.findById(product._id)).stockQuantity, 8);
+  assert.equal(await StockMovement.countDocuments({ sourceId: sale._id }), 1);
+});
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'AED', 'INR'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const baseCurrency = async (companyId) => {
+  const company = await mongoose.model('Company').findById(companyId).select('settings.currency');
+  return company?.settings?.currency || 'INR';
+};
+
+// An amount in a document's currency, in the company's base currency. Documents saved
+// before currencies were tracked have no rate and are already in base currency.
+const toBase = (amount, exchangeRate) => round2((amount || 0) * (exchangeRate || 1));
+
+// Query condition for documents in a currency (the base currency when none is given),
+// counting documents saved before currencies were tracked as base currency
+const currencyCondition = async (companyId, currency) => {
+  const base = await baseCurrency(companyId);
+  const wanted = currency || base;
+  return wanted === base ? { $in: [base, null] } : wanted;
+};
+
+// Rate to base currency for a currency on a date: 1 for the base currency, null when
+// the company has no rate for it
+const lookupExchangeRate = async (companyId, currency, date = new Date()) => {
+  if (!currency || currency === await baseCurrency(companyId)) return 1;
+  return mongoose.model('ExchangeRate').lookup(companyId, currency, date || new Date());
+};
+
+const missingRateMessage = (currency, date) => (
+  `No ${currency} exchange rate on or before ${new Date(date || Date.now()).toISOString().slice(0, 10)}`
+);
+
+// Set the document's currency (the company's base currency when not given) and its
+// rate to base currency. The rate is looked up in the company's exchange rates on
+// `date` for new documents and when the currency changes, unless one was given.
+// Throws a ValidationError when the company has no rate for the currency.
+const resolveExchangeRate = async (document, date = new Date()) => {
+  const base = await baseCurrency(document.company);
+  if (!document.currency) {
+    document.currency = base;
+  }
+
+  if (document.currency === base) {
+    document.exchangeRate = 1;
+    return;
+  }
+
+  if (!document.isNew && !document.isModified('currency')) return;
+  if (document.exchangeRate && document.isModified('exchangeRate')) return;
+
+  const rate = await lookupExchangeRate(document.company, document.currency, date);
+  if (!rate) {
+    const error = new mongoose.Error.ValidationError(document);
+    error.addError('exchangeRate', new mongoose.Error.ValidatorError({
+      path: 'exchangeRate',
+      message: missingRateMessage(document.currency, date),
+      value: document.exchangeRate
+    }));
+    throw error;
+  }
+  document.exchangeRate = rate;
+};
+
+module.exports = {
+  CURRENCIES,
+  baseCurrency,
+  toBase,
+  currencyCondition,
+  lookupExchangeRate,
+  missingRateMessage,
+  resolveExchangeRate
+};
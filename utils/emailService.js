@@ -2,6 +2,7 @@ const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs');
 const { generateQuotePDF, generateInvoicePDF } = require('./pdfGenerator');
+const { createPortalLink } = require('./portal');
 
 // HTTP request helper function with fetch fallback to Node's native https module
 const makeRequest = async (url, method, headers, body = null) => {
@@ -314,8 +315,8 @@ const getEmailTemplates = () => {
                   <tr>
                     <td>${item.description}</td>
                     <td>${item.quantity}</td>
-                    <td>${formatCurrency(item.unitPrice, quoteData.company.settings?.currency || 'USD')}</td>
-                    <td>${formatCurrency(item.total, quoteData.company.settings?.currency || 'USD')}</td>
+                    <td>${formatCurrency(item.unitPrice, quoteData.currency || quoteData.company.settings?.currency || 'USD')}</td>
+                    <td>${formatCurrency(item.netAmount ?? item.total, quoteData.currency || quoteData.company.settings?.currency || 'USD')}</td>
                   </tr>
                 `).join('')}
               </tbody>
@@ -324,15 +325,17 @@ const getEmailTemplates = () => {
             <div class="total-section">
               <div class="total-row">
                 <span>Subtotal:</span>
-                <span>${formatCurrency(quoteData.subtotal, quoteData.company.settings?.currency || 'USD')}</span>
-              </div>
-              <div class="total-row">
-                <span>Tax (${quoteData.taxRate}%):</span>
-                <span>${formatCurrency(quoteData.taxAmount, quoteData.company.settings?.currency || 'USD')}</span>
+                <span>${formatCurrency(quoteData.subtotal, quoteData.currency || quoteData.company.settings?.currency || 'USD')}</span>
               </div>
+              ${(quoteData.taxSummary?.length > 0 ? quoteData.taxSummary : [{ name: 'Tax', rate: quoteData.taxRate, amount: quoteData.taxAmount }]).map(row => `
+                <div class="total-row">
+                  <span>${row.name || 'Tax'} (${row.rate}%):</span>
+                  <span>${formatCurrency(row.amount, quoteData.currency || quoteData.company.settings?.currency || 'USD')}</span>
+                </div>
+              `).join('')}
               <div class="total-row final">
                 <span>Total:</span>
-                <span>${formatCurrency(quoteData.total, quoteData.company.settings?.currency || 'USD')}</span>
+                <span>${formatCurrency(quoteData.total, quoteData.currency || quoteData.company.settings?.currency || 'USD')}</span>
               </div>
             </div>
             
@@ -378,12 +381,13 @@ const getEmailTemplates = () => {
         
         Items:
         ${quoteData.items.map(item => 
-          `${item.description} - Qty: ${item.quantity} - Unit Price: ${formatCurrency(item.unitPrice, quoteData.company.settings?.currency || 'USD')} - Total: ${formatCurrency(item.total, quoteData.company.settings?.currency || 'USD')}`
+          `${item.description} - Qty: ${item.quantity} - Unit Price: ${formatCurrency(item.unitPrice, quoteData.currency || quoteData.company.settings?.currency || 'USD')} - Total: ${formatCurrency(item.netAmount ?? item.total, quoteData.currency || quoteData.company.settings?.currency || 'USD')}`
         ).join('\n')}
         
-        Subtotal: ${formatCurrency(quoteData.subtotal, quoteData.company.settings?.currency || 'USD')}
-        Tax (${quoteData.taxRate}%): ${formatCurrency(quoteData.taxAmount, quoteData.company.settings?.currency || 'USD')}
-        Total: ${formatCurrency(quoteData.total, quoteData.company.settings?.currency || 'USD')}
+        Subtotal: ${formatCurrency(quoteData.subtotal, quoteData.currency || quoteData.company.settings?.currency || 'USD')}
+        ${(quoteData.taxSummary?.length > 0 ? quoteData.taxSummary : [{ name: 'Tax', rate: quoteData.taxRate, amount: quoteData.taxAmount }])
+          .map(row => `${row.name || 'Tax'} (${row.rate}%): ${formatCurrency(row.amount, quoteData.currency || quoteData.company.settings?.currency || 'USD')}`).join('\n        ')}
+        Total: ${formatCurrency(quoteData.total, quoteData.currency || quoteData.company.settings?.currency || 'USD')}
         
         ${quoteData.terms ? `Terms: ${quoteData.terms}\n` : ''}
         ${quoteData.notes ? `Notes: ${quoteData.notes}\n` : ''}
@@ -421,6 +425,25 @@ const replacePlaceholders = (text, data) => {
   });
 };
 
+// Put the customer portal link in a message body: where {{portalLink}} is, or at the end
+// for email bodies written before the portal existed
+const withPortalLink = (rawBody, portalLink, prompt) => {
+  if (!portalLink || rawBody.includes('{{portalLink}}')) return rawBody;
+  return `${rawBody}\n\n${prompt}: {{portalLink}}`;
+};
+
+// Plain-text and HTML message bodies, the portal link being clickable in the HTML one
+const renderBodies = (rawBody, placeholderData, companyName) => {
+  const { portalLink } = placeholderData;
+  const body = replacePlaceholders(rawBody, placeholderData);
+  const html = wrapInEmailTemplate(replacePlaceholders(rawBody, {
+    ...placeholderData,
+    portalLink: portalLink ? `<a href="${portalLink}">${portalLink}</a>` : ''
+  }), companyName);
+
+  return { body, html };
+};
+
 // Helper function to wrap message body in professional HTML structure
 const wrapInEmailTemplate = (body, companyName) => {
   const formattedBody = body.replace(/\n/g, '<br/>');
@@ -470,16 +493,20 @@ const sendQuoteEmail = async (quoteData, customerEmail) => {
     const placeholderData = {
       customerName: `${quoteData.customer.firstName} ${quoteData.customer.lastName}`,
       quoteNumber: quoteData.quoteNumber,
-      totalAmount: formatCurrency(quoteData.total, settings.currency || 'USD'),
-      companyName: quoteData.company.name
+      totalAmount: formatCurrency(quoteData.total, quoteData.currency || settings.currency || 'USD'),
+      companyName: quoteData.company.name,
+      portalLink: createPortalLink(quoteData.customer, quoteData.company) || ''
     };
 
     const rawSubject = settings.quoteEmailSubject || 'Quote {{quoteNumber}} from {{companyName}}';
-    const rawBody = settings.quoteEmailBody || 'Dear {{customerName}},\n\nPlease find attached the quote {{quoteNumber}} for your review.\n\nTotal: {{totalAmount}}\n\nThank you for your business!';
+    const rawBody = withPortalLink(
+      settings.quoteEmailBody || 'Dear {{customerName}},\n\nPlease find attached the quote {{quoteNumber}} for your review.\n\nTotal: {{totalAmount}}\n\nThank you for your business!',
+      placeholderData.portalLink,
+      'View, accept or decline this quote online'
+    );
 
     const subject = replacePlaceholders(rawSubject, placeholderData);
-    const body = replacePlaceholders(rawBody, placeholderData);
-    const html = wrapInEmailTemplate(body, quoteData.company.name);
+    const { body, html } = renderBodies(rawBody, placeholderData, quoteData.company.name);
 
     // Generate PDF to attach
     console.log('Generating quote PDF attachment...');
@@ -560,18 +587,22 @@ const sendInvoiceEmail = async (invoiceData, customerEmail) => {
     const placeholderData = {
       customerName: `${invoiceData.customer.firstName} ${invoiceData.customer.lastName}`,
       invoiceNumber: invoiceData.invoiceNumber,
-      totalAmount: formatCurrency(invoiceData.total, settings.currency || 'USD'),
-      paidAmount: formatCurrency(invoiceData.paidAmount || 0, settings.currency || 'USD'),
-      balanceDue: formatCurrency(invoiceData.total - (invoiceData.paidAmount || 0), settings.currency || 'USD'),
-      companyName: invoiceData.company.name
+      totalAmount: formatCurrency(invoiceData.total, invoiceData.currency || settings.currency || 'USD'),
+      paidAmount: formatCurrency(invoiceData.paidAmount || 0, invoiceData.currency || settings.currency || 'USD'),
+      balanceDue: formatCurrency(invoiceData.total - (invoiceData.paidAmount || 0), invoiceData.currency || settings.currency || 'USD'),
+      companyName: invoiceData.company.name,
+      portalLink: createPortalLink(invoiceData.customer, invoiceData.company) || ''
     };
 
     const rawSubject = settings.invoiceEmailSubject || 'Invoice {{invoiceNumber}} from {{companyName}}';
-    const rawBody = settings.invoiceEmailBody || 'Dear {{customerName}},\n\nPlease find attached the invoice {{invoiceNumber}} for your review.\n\nTotal: {{totalAmount}}\nAmount Paid: {{paidAmount}}\nBalance Due: {{balanceDue}}\n\nThank you for your business!';
+    const rawBody = withPortalLink(
+      settings.invoiceEmailBody || 'Dear {{customerName}},\n\nPlease find attached the invoice {{invoiceNumber}} for your review.\n\nTotal: {{totalAmount}}\nAmount Paid: {{paidAmount}}\nBalance Due: {{balanceDue}}\n\nThank you for your business!',
+      placeholderData.portalLink,
+      'View your invoices and statement online'
+    );
 
     const subject = replacePlaceholders(rawSubject, placeholderData);
-    const body = replacePlaceholders(rawBody, placeholderData);
-    const html = wrapInEmailTemplate(body, invoiceData.company.name);
+    const { body, html } = renderBodies(rawBody, placeholderData, invoiceData.company.name);
 
     // Generate PDF to attach
     console.log('Generating invoice PDF attachment...');
@@ -640,6 +671,105 @@ const sendInvoiceEmail = async (invoiceData, customerEmail) => {
   }
 };
 
+// Send payment reminder email for an invoice (before due, on the due date or overdue)
+const sendPaymentReminderEmail = async (invoiceData, customerEmail, { daysFromDue }) => {
+  try {
+    const hasResend = !!process.env.RESEND_API_KEY;
+    const hasSmtp = !!(process.env.EMAIL_USER && process.env.EMAIL_PASS);
+
+    if (!hasResend && !hasSmtp) {
+      console.warn('Email credentials not configured. Skipping email send.');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    const settings = invoiceData.company.settings || {};
+    const balance = (invoiceData.finalPayable ?? invoiceData.total) - (invoiceData.paidAmount || 0);
+    const placeholderData = {
+      customerName: `${invoiceData.customer.firstName} ${invoiceData.customer.lastName}`,
+      invoiceNumber: invoiceData.invoiceNumber,
+      totalAmount: formatCurrency(invoiceData.total, invoiceData.currency || settings.currency || 'USD'),
+      paidAmount: formatCurrency(invoiceData.paidAmount || 0, invoiceData.currency || settings.currency || 'USD'),
+      balanceDue: formatCurrency(balance, invoiceData.currency || settings.currency || 'USD'),
+      dueDate: new Date(invoiceData.dueDate).toLocaleDateString('en-GB'),
+      daysUntilDue: Math.max(0, -daysFromDue),
+      daysOverdue: Math.max(0, daysFromDue),
+      companyName: invoiceData.company.name
+    };
+
+    const isOverdue = daysFromDue > 0;
+    const rawSubject = isOverdue
+      ? settings.overdueReminderSubject || 'Overdue: Invoice {{invoiceNumber}} is {{daysOverdue}} days past due'
+      : settings.paymentReminderSubject || 'Payment reminder: Invoice {{invoiceNumber}} is due {{dueDate}}';
+    const rawBody = isOverdue
+      ? settings.overdueReminderBody || 'Dear {{customerName}},\n\nInvoice {{invoiceNumber}} was due on {{dueDate}} and {{balanceDue}} is still outstanding.\n\nThank you,\n{{companyName}}'
+      : settings.paymentReminderBody || 'Dear {{customerName}},\n\nThis is a friendly reminder that invoice {{invoiceNumber}} for {{balanceDue}} is due on {{dueDate}}.\n\nThank you for your business!';
+
+    const subject = replacePlaceholders(rawSubject, placeholderData);
+    const body = replacePlaceholders(rawBody, placeholderData);
+    const html = wrapInEmailTemplate(body, invoiceData.company.name);
+
+    // Attach the invoice so the customer has it at hand
+    const pdfResult = await generateInvoicePDF(invoiceData, invoiceData.company, invoiceData.customer);
+    const pdfBuffer = pdfResult.isHtml ? pdfResult.buffer : pdfResult;
+    const attachmentFilename = pdfResult.isHtml ? pdfResult.filename : `invoice-${invoiceData.invoiceNumber}.pdf`;
+    const attachmentContentType = pdfResult.isHtml ? 'text/html' : 'application/pdf';
+
+    // Choose delivery mechanism with fallbacks
+    const emailServiceType = settings.emailServiceType || 'smtp';
+    let useResend = false;
+    if (emailServiceType === 'resend' && hasResend) {
+      useResend = true;
+    } else if (emailServiceType === 'smtp' && hasSmtp) {
+      useResend = false;
+    } else {
+      useResend = hasResend;
+    }
+
+    // Determine 'from' address
+    let fromEmail = process.env.EMAIL_USER;
+    if (useResend && (!fromEmail || fromEmail.includes('@gmail.com') || fromEmail.includes('@yahoo.com') || fromEmail.includes('@outlook.com') || fromEmail.includes('@hotmail.com'))) {
+      fromEmail = 'onboarding@resend.dev';
+    }
+
+    const mailOptions = {
+      from: `"${invoiceData.company.name}" <${fromEmail}>`,
+      to: customerEmail,
+      subject: subject,
+      html: html,
+      text: body,
+      attachments: [
+        {
+          filename: attachmentFilename,
+          content: pdfBuffer,
+          contentType: attachmentContentType
+        }
+      ]
+    };
+
+    let result;
+    if (useResend) {
+      result = await sendViaResend(mailOptions);
+    } else {
+      const transporter = createTransporter();
+      result = await transporter.sendMail(mailOptions);
+    }
+    console.log(`Payment reminder for invoice ${invoiceData.invoiceNumber} sent:`, result.messageId);
+
+    return {
+      success: true,
+      messageId: result.messageId,
+      message: 'Payment reminder sent successfully'
+    };
+  } catch (error) {
+    console.error('Error sending payment reminder email:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Failed to send payment reminder'
+    };
+  }
+};
+
 // Test email configuration
 const testEmailConfiguration = async (companySettings = {}) => {
   try {
@@ -682,6 +812,7 @@ const testEmailConfiguration = async (companySettings = {}) => {
 module.exports = {
   sendQuoteEmail,
   sendInvoiceEmail,
+  sendPaymentReminderEmail,
   testEmailConfiguration,
   formatCurrency
 };
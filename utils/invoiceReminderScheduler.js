@@ -0,0 +1,133 @@
+const Invoice = require('../models/Invoice');
+const { sendPaymentReminderEmail } = require('./emailService');
+
+// Give up on a schedule step after this many failed sends
+const MAX_REMINDER_ATTEMPTS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Mark unpaid invoices whose due date has passed as overdue
+const markOverdueInvoices = async (now = new Date()) => {
+  const result = await Invoice.updateMany(
+    { status: 'sent', dueDate: { $lt: startOfDay(now) } },
+    { $set: { status: 'overdue' } }
+  );
+  return result.modifiedCount || 0;
+};
+
+// The latest schedule step that has fallen due and is still unsent, if any.
+// Older missed steps are skipped so a customer never gets a burst of reminders.
+const nextReminderStep = (invoice, schedule, daysFromDue) => {
+  const dueSteps = schedule.filter(offset => offset <= daysFromDue);
+  if (dueSteps.length === 0) return null;
+
+  const offset = Math.max(...dueSteps);
+  const attempts = (invoice.reminders || []).filter(reminder => reminder.offsetDays === offset);
+  if (attempts.some(reminder => reminder.status === 'sent') || attempts.length >= MAX_REMINDER_ATTEMPTS) {
+    return null;
+  }
+
+  // Don't fall back to an earlier step once a later one has been handled
+  const laterHandled = (invoice.reminders || []).some(reminder => reminder.offsetDays > offset);
+  return laterHandled ? null : offset;
+};
+
+// Send the reminder due for each open invoice and log it on the invoice
+const sendDueReminders = async (now = new Date()) => {
+  const result = { sent: 0, failed: 0 };
+  const today = startOfDay(now);
+
+  const invoices = await Invoice.find({ status: { $in: ['sent', 'overdue'] } })
+    .populate('customer')
+    .populate('company');
+
+  for (const invoice of invoices) {
+    const settings = invoice.company?.settings || {};
+    if (!invoice.company || settings.paymentRemindersEnabled === false) continue;
+    if (!invoice.customer || invoice.customer.paymentRemindersOptOut || !invoice.customer.email) continue;
+
+    const balance = (invoice.finalPayable ?? invoice.total) - (invoice.paidAmount || 0);
+    if (balance <= 0.005) continue;
+
+    const schedule = (settings.paymentReminderSchedule && settings.paymentReminderSchedule.length > 0)
+      ? settings.paymentReminderSchedule
+      : [-3, 0, 7, 30];
+    const daysFromDue = Math.round((today - startOfDay(invoice.dueDate)) / DAY_MS);
+
+    const offset = nextReminderStep(invoice, schedule, daysFromDue);
+    if (offset === null) continue;
+
+    const emailResult = await sendPaymentReminderEmail(invoice, invoice.customer.email, { daysFromDue });
+
+    invoice.reminders.push({
+      offsetDays: offset,
+      type: offset < 0 ? 'upcoming' : offset === 0 ? 'due' : 'overdue',
+      email: invoice.customer.email,
+      status: emailResult.success ? 'sent' : 'failed',
+      error: emailResult.success ? undefined : (emailResult.error || emailResult.message),
+      sentAt: new Date()
+    });
+    await invoice.save();
+
+    result[emailResult.success ? 'sent' : 'failed'] += 1;
+  }
+
+  return result;
+};
+
+// Run one pass: flag overdue invoices, then send any reminders due
+const processInvoiceReminders = async (now = new Date()) => {
+  if (isRunning) return null;
+  isRunning = true;
+
+  try {
+    const overdue = await markOverdueInvoices(now);
+    const reminders = await sendDueReminders(now);
+
+    if (overdue || reminders.sent || reminders.failed) {
+      console.log(`Invoice reminders: ${overdue} marked overdue, ${reminders.sent} reminders sent, ${reminders.failed} failed`);
+    }
+    return { overdue, ...reminders };
+  } catch (error) {
+    console.error('Invoice reminder job error:', error);
+    return null;
+  } finally {
+    isRunning = false;
+  }
+};
+
+// Start the overdue/reminder job on an interval
+const startInvoiceReminderScheduler = () => {
+  if (timer) return;
+
+  // How often the job runs (minutes); reminders are de-duplicated per schedule step.
+  // Read on start rather than on load, so a value from .env is picked up.
+  const intervalMinutes = parseInt(process.env.INVOICE_REMINDER_INTERVAL_MINUTES) || 60;
+  console.log(`⏰ Invoice reminder job running every ${intervalMinutes} minutes`);
+  processInvoiceReminders();
+  timer = setInterval(processInvoiceReminders, intervalMinutes * 60 * 1000);
+};
+
+const stopInvoiceReminderScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  markOverdueInvoices,
+  sendDueReminders,
+  processInvoiceReminders,
+  startInvoiceReminderScheduler,
+  stopInvoiceReminderScheduler
+};
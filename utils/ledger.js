@@ -0,0 +1,579 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+
+// Round to cents
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Convert entry lines from a document's currency to base currency. Lines flagged
+// isBase (stock at cost) are in base currency already. Rounding each line can leave
+// the entry a cent out of balance; the difference goes on the largest converted line.
+const toBaseCurrency = (lines, exchangeRate) => {
+  const rate = exchangeRate || 1;
+  if (rate === 1) return lines;
+
+  const converted = lines.map(line => (line.isBase ? line : {
+    ...line,
+    debit: round2((line.debit || 0) * rate),
+    credit: round2((line.credit || 0) * rate)
+  }));
+
+  const difference = round2(converted.reduce((sum, line) => sum + round2(line.debit) - round2(line.credit), 0));
+  if (difference !== 0) {
+    const largest = converted
+      .filter(line => !line.isBase)
+      .reduce((max, line) => (Math.max(line.debit, line.credit) > Math.max(max.debit, max.credit) ? line : max));
+    if (largest.debit > 0) {
+      largest.debit = round2(largest.debit - difference);
+    } else {
+      largest.credit = round2(largest.credit + difference);
+    }
+  }
+
+  return converted;
+};
+
+// Map a document payment method to the cash or bank account
+const paymentAccountKey = (paymentMethod) => {
+  if (paymentMethod === 'cash') return 'cash';
+  if (paymentMethod === 'credit') return 'accounts_receivable';
+  return 'bank';
+};
+
+// Map an Expense.category to its expense account
+const expenseAccountKey = (category) => `expense_${category || 'other'}`;
+
+// Run a posting without failing the calling request; the document is already saved
+// and posting errors are logged so they can be reconciled from the journal.
+const safely = (label, fn) => async (...args) => {
+  try {
+    return await fn(...args);
+  } catch (error) {
+    console.error(`Ledger posting failed (${label}):`, error);
+    return null;
+  }
+};
+
+// Resolve lines expressed with systemKey into account ids
+const resolveLines = async (companyId, lines) => {
+  const accounts = await Account.getSystemAccounts(companyId);
+
+  return lines
+    .filter(line => round2(line.debit) > 0 || round2(line.credit) > 0)
+    .map(line => {
+      const fallback = line.key && line.key.startsWith('expense_') ? accounts.expense_other : null;
+      const account = line.account || (accounts[line.key] || fallback)?._id;
+      if (!account) {
+        throw new Error(`No ledger account found for "${line.key}"`);
+      }
+      return {
+        account,
+        debit: round2(line.debit),
+        credit: round2(line.credit),
+        description: line.description
+      };
+    });
+};
+
+// Net amount per account, used to detect whether a posted entry is still current
+const lineSignature = (lines) => {
+  const totals = {};
+  lines.forEach(line => {
+    const key = line.account.toString();
+    totals[key] = round2((totals[key] || 0) + (line.debit || 0) - (line.credit || 0));
+  });
+  return Object.keys(totals)
+    .filter(key => totals[key] !== 0)
+    .sort()
+    .map(key => `${key}:${totals[key].toFixed(2)}`)
+    .join('|');
+};
+
+// Create and save a balanced journal entry
+const createEntry = async ({ company, date, description, sourceType = 'manual', sourceId, sourceNumber, lines, createdBy }) => {
+  const resolvedLines = await resolveLines(company, lines);
+  if (resolvedLines.length === 0) {
+    return null;
+  }
+
+  const entry = new JournalEntry({
+    company,
+    date: date || new Date(),
+    description,
+    sourceType,
+    sourceId,
+    sourceNumber,
+    lines: resolvedLines,
+    createdBy
+  });
+
+  await entry.save();
+  return entry;
+};
+
+// Post a reversing entry (debits and credits swapped) for an existing entry, dated
+// today unless a date is given
+const reverseEntry = async (entry, userId, reason, date = new Date()) => {
+  if (entry.isReversed || entry.reversalOf) {
+    return null;
+  }
+
+  const reversal = new JournalEntry({
+    company: entry.company,
+    date,
+    description: reason || `Reversal of ${entry.entryNumber}: ${entry.description}`,
+    sourceType: entry.sourceType,
+    sourceId: entry.sourceId,
+    sourceNumber: entry.sourceNumber,
+    lines: entry.lines.map(line => ({
+      account: line.account,
+      debit: line.credit,
+      credit: line.debit,
+      description: line.description
+    })),
+    reversalOf: entry._id,
+    createdBy: userId
+  });
+
+  await reversal.save();
+
+  entry.isReversed = true;
+  entry.reversedBy = reversal._id;
+  await entry.save();
+
+  return reversal;
+};
+
+// Entries currently in effect for a source document
+const findActiveEntries = (companyId, sourceType, sourceId) => {
+  return JournalEntry.find({
+    company: companyId,
+    sourceType,
+    sourceId,
+    isReversed: false,
+    reversalOf: null
+  });
+};
+
+// Reverse every active entry for a source document
+const reverseSourceEntries = async (companyId, sourceType, sourceId, userId, reason) => {
+  const entries = await findActiveEntries(companyId, sourceType, sourceId);
+  const reversals = [];
+  for (const entry of entries) {
+    const reversal = await reverseEntry(entry, userId, reason);
+    if (reversal) reversals.push(reversal);
+  }
+  return reversals;
+};
+
+// Bring the ledger in line with a document: post when missing, re-post when the
+// amounts changed, reverse when the document should no longer be on the books.
+// Amounts are converted to base currency at the document's exchange rate.
+const syncSourceEntry = async ({ companyId, sourceType, sourceId, shouldPost, buildEntry, userId, exchangeRate }) => {
+  const activeEntries = await findActiveEntries(companyId, sourceType, sourceId);
+
+  if (!shouldPost) {
+    for (const entry of activeEntries) {
+      await reverseEntry(entry, userId);
+    }
+    return null;
+  }
+
+  const entryData = buildEntry();
+  const resolvedLines = await resolveLines(companyId, toBaseCurrency(entryData.lines, exchangeRate));
+
+  if (activeEntries.length === 1 && lineSignature(activeEntries[0].lines) === lineSignature(resolvedLines)) {
+    return activeEntries[0];
+  }
+
+  // A re-post replaces the old entry in its own period: the reversal takes the old
+  // entry's date, so editing a document from a closed period does not move amounts
+  // between periods
+  for (const entry of activeEntries) {
+    await reverseEntry(entry, userId, null, entry.date);
+  }
+
+  return createEntry({
+    ...entryData,
+    company: companyId,
+    sourceType,
+    sourceId,
+    lines: resolvedLines,
+    createdBy: userId
+  });
+};
+
+// Invoice: Dr Accounts Receivable / Customer Credit, Cr Sales Revenue / VAT Payable
+const syncInvoice = async (invoice, userId) => {
+  const companyId = invoice.company._id || invoice.company;
+  const creditUsed = Math.min(invoice.creditApplied || 0, invoice.total || 0);
+
+  return syncSourceEntry({
+    companyId,
+    sourceType: 'invoice',
+    sourceId: invoice._id,
+    userId,
+    exchangeRate: invoice.exchangeRate,
+    shouldPost: !['draft', 'cancelled'].includes(invoice.status),
+    buildEntry: () => ({
+      date: invoice.createdAt,
+      description: `Invoice ${invoice.invoiceNumber}${invoice.title ? ` - ${invoice.title}` : ''}`,
+      sourceNumber: invoice.invoiceNumber,
+      lines: [
+        { key: 'accounts_receivable', debit: invoice.total - creditUsed, description: 'Amount receivable' },
+        { key: 'customer_credit', debit: creditUsed, description: 'Credit note applied' },
+        { key: 'sales_revenue', credit: invoice.subtotal, description: 'Invoice revenue' },
+        { key: 'vat_output', credit: invoice.taxAmount, description: 'Output tax' }
+      ]
+    })
+  });
+};
+
+// Legacy payment embedded in Invoice.payments: Dr Cash/Bank, Cr Accounts Receivable
+const postInvoicePayment = async (invoice, payment, userId) => {
+  const companyId = invoice.company._id || invoice.company;
+
+  const existing = await findActiveEntries(companyId, 'invoice_payment', payment._id);
+  if (existing.length > 0) {
+    return existing[0];
+  }
+
+  return createEntry({
+    company: companyId,
+    date: payment.paymentDate,
+    description: `Payment received for invoice ${invoice.invoiceNumber}`,
+    sourceType: 'invoice_payment',
+    sourceId: payment._id,
+    sourceNumber: invoice.invoiceNumber,
+    createdBy: userId,
+    lines: toBaseCurrency([
+      { key: paymentAccountKey(payment.paymentMethod), debit: payment.amount, description: `Payment (${payment.paymentMethod || 'bank_transfer'})` },
+      { key: 'accounts_receivable', credit: payment.amount, description: 'Receivable settled' }
+    ], invoice.exchangeRate)
+  });
+};
+
+// Customer receipt: Dr Cash/Bank for the full amount, Cr Accounts Receivable for the
+// part allocated to invoices and Cr Customer Advances for the rest. Re-synced whenever
+// allocations change; a voided receipt is reversed. The receivables are settled at the
+// rates the invoices were booked at and the rest at the receipt's rate, so a foreign
+// currency receipt also posts its realized exchange gain (Cr) or loss (Dr).
+const syncPayment = async (payment, userId) => {
+  const companyId = payment.company._id || payment.company;
+  const rate = payment.exchangeRate || 1;
+  const settled = round2(payment.allocations.reduce((sum, a) => sum + round2(a.amount * (a.exchangeRate || 1)), 0));
+  const fxGainLoss = payment.fxGainLoss || 0;
+
+  return syncSourceEntry({
+    companyId,
+    sourceType: 'payment',
+    sourceId: payment._id,
+    userId,
+    shouldPost: payment.status !== 'void',
+    buildEntry: () => ({
+      date: payment.paymentDate,
+      description: `Receipt ${payment.receiptNumber}${payment.reference ? ` (${payment.reference})` : ''}`,
+      sourceNumber: payment.receiptNumber,
+      lines: [
+        { key: paymentAccountKey(payment.paymentMethod), debit: payment.amount * rate, description: `Payment (${payment.paymentMethod})` },
+        { key: 'accounts_receivable', credit: settled, description: 'Receivables settled' },
+        { key: 'customer_advances', credit: (payment.amount - payment.allocatedAmount) * rate, description: 'Held as customer advance' },
+        { key: 'fx_gain_loss', credit: Math.max(0, fxGainLoss), description: 'Realized exchange gain' },
+        { key: 'fx_gain_loss', debit: Math.max(0, -fxGainLoss), description: 'Realized exchange loss' }
+      ]
+    })
+  });
+};
+
+// Reverse the entries behind an invoice and all its payments (e.g. on delete)
+const reverseInvoice = async (invoice, userId) => {
+  const companyId = invoice.company._id || invoice.company;
+  await reverseSourceEntries(companyId, 'invoice', invoice._id, userId, `Invoice ${invoice.invoiceNumber} removed`);
+  for (const payment of invoice.payments || []) {
+    await reverseSourceEntries(companyId, 'invoice_payment', payment._id, userId, `Payment on invoice ${invoice.invoiceNumber} removed`);
+  }
+};
+
+// Sale: Dr Cash/Bank/AR / Customer Credit, Cr Sales Revenue / VAT Payable,
+// plus Dr COGS / Cr Inventory at cost. Returns post the mirror image.
+const syncSale = async (sale, userId) => {
+  const companyId = sale.company._id || sale.company;
+  const sourceType = sale.isReturn ? 'sale_return' : 'sale';
+  const creditUsed = Math.min(sale.creditApplied || 0, sale.total || 0);
+  const netRevenue = (sale.total || 0) - (sale.taxAmount || 0);
+  const totalCost = sale.totalCost ?? sale.items.reduce((sum, item) => sum + (item.costPrice || 0) * item.quantity, 0);
+  const settlementKey = paymentAccountKey(sale.paymentMethod);
+
+  return syncSourceEntry({
+    companyId,
+    sourceType,
+    sourceId: sale._id,
+    userId,
+    exchangeRate: sale.exchangeRate,
+    shouldPost: sale.status !== 'cancelled',
+    buildEntry: () => {
+      const lines = sale.isReturn
+        ? [
+          { key: 'sales_returns', debit: netRevenue, description: 'Goods returned' },
+          { key: 'vat_output', debit: sale.taxAmount, description: 'Output tax reversed' },
+          { key: settlementKey, credit: sale.total, description: 'Refund' },
+          { key: 'inventory', debit: totalCost, description: 'Returned stock at cost', isBase: true },
+          { key: 'cogs', credit: totalCost, description: 'Cost of goods returned', isBase: true }
+        ]
+        : [
+          { key: settlementKey, debit: sale.total - creditUsed, description: `Sale settlement (${sale.paymentMethod})` },
+          { key: 'customer_credit', debit: creditUsed, description: 'Credit note applied' },
+          { key: 'sales_revenue', credit: netRevenue, description: 'Sale revenue (net of discount)' },
+          { key: 'vat_output', credit: sale.taxAmount, description: 'Output tax' },
+          { key: 'cogs', debit: totalCost, description: 'Cost of goods sold', isBase: true },
+          { key: 'inventory', credit: totalCost, description: 'Stock relieved at cost', isBase: true }
+        ];
+
+      return {
+        date: sale.saleDate,
+        description: `${sale.isReturn ? 'Sale return' : 'Sale'} ${sale.saleNumber}${sale.customerName ? ` - ${sale.customerName}` : ''}`,
+        sourceNumber: sale.saleNumber,
+        lines
+      };
+    }
+  });
+};
+
+const reverseSale = async (sale, userId) => {
+  const companyId = sale.company._id || sale.company;
+  return reverseSourceEntries(companyId, sale.isReturn ? 'sale_return' : 'sale', sale._id, userId, `Sale ${sale.saleNumber} removed`);
+};
+
+// Approved expense: Dr expense account for its category (net of recoverable tax) and
+// VAT Receivable, Cr Cash/Bank (paid) or Accounts Payable (pending)
+const syncExpense = async (expense, userId) => {
+  const companyId = expense.company._id || expense.company;
+  const creditKey = expense.paymentStatus === 'pending' ? 'accounts_payable' : paymentAccountKey(expense.paymentMethod);
+
+  return syncSourceEntry({
+    companyId,
+    sourceType: 'expense',
+    sourceId: expense._id,
+    userId,
+    exchangeRate: expense.exchangeRate,
+    shouldPost: !!expense.approvedAt,
+    buildEntry: () => ({
+      date: expense.expenseDate,
+      description: `Expense ${expense.expenseNumber} - ${expense.title}`,
+      sourceNumber: expense.expenseNumber,
+      lines: [
+        { key: expenseAccountKey(expense.category), debit: expense.amount - (expense.taxAmount || 0), description: expense.category },
+        { key: 'vat_input', debit: expense.taxAmount || 0, description: 'Input tax' },
+        { key: creditKey, credit: expense.amount, description: creditKey === 'accounts_payable' ? 'Amount payable' : `Paid (${expense.paymentMethod})` }
+      ]
+    })
+  });
+};
+
+const reverseExpense = async (expense, userId) => {
+  const companyId = expense.company._id || expense.company;
+  return reverseSourceEntries(companyId, 'expense', expense._id, userId, `Expense ${expense.expenseNumber} removed`);
+};
+
+// Credit note issued: Dr Sales Returns / VAT Payable, Cr Customer Credit Notes.
+// Stock returned against a sale also moves back from COGS into inventory at the
+// original cost; invoices never relieved inventory, so their returns do not.
+const postCreditNote = async (creditNote, userId) => {
+  const companyId = creditNote.company._id || creditNote.company;
+
+  let restockCost = 0;
+  if (creditNote.sourceType === 'sale' && creditNote.originalSale) {
+    const Sale = mongoose.model('Sale');
+    const sale = await Sale.findById(creditNote.originalSale._id || creditNote.originalSale).lean();
+    if (sale) {
+      creditNote.returnedItems.forEach(item => {
+        const saleItem = sale.items.find(si =>
+          (si.product && item.product && si.product.toString() === item.product.toString()) ||
+          si.productName === item.productName
+        );
+        restockCost += (saleItem?.costPrice || 0) * item.quantity;
+      });
+    }
+  }
+
+  return syncSourceEntry({
+    companyId,
+    sourceType: 'credit_note',
+    sourceId: creditNote._id,
+    userId,
+    exchangeRate: creditNote.exchangeRate,
+    shouldPost: true,
+    buildEntry: () => ({
+      date: creditNote.createdAt,
+      description: `Credit note ${creditNote.creditNoteNumber}`,
+      sourceNumber: creditNote.creditNoteNumber,
+      lines: [
+        { key: 'sales_returns', debit: creditNote.subtotal, description: 'Returned goods' },
+        { key: 'vat_output', debit: creditNote.taxAmount, description: 'Output tax reversed' },
+        { key: 'customer_credit', credit: creditNote.creditAmount, description: 'Credit owed to customer' },
+        { key: 'inventory', debit: restockCost, description: 'Returned stock at cost', isBase: true },
+        { key: 'cogs', credit: restockCost, description: 'Cost of goods returned', isBase: true }
+      ]
+    })
+  });
+};
+
+const reverseCreditNote = async (creditNote, userId) => {
+  const companyId = creditNote.company._id || creditNote.company;
+  return reverseSourceEntries(companyId, 'credit_note', creditNote._id, userId, `Credit note ${creditNote.creditNoteNumber} removed`);
+};
+
+// Vendor bill: Dr Inventory / VAT Receivable, Cr Accounts Payable. A voided bill is reversed.
+const syncVendorBill = async (bill, userId) => {
+  const companyId = bill.company._id || bill.company;
+
+  return syncSourceEntry({
+    companyId,
+    sourceType: 'vendor_bill',
+    sourceId: bill._id,
+    userId,
+    exchangeRate: bill.exchangeRate,
+    shouldPost: bill.status !== 'void',
+    buildEntry: () => ({
+      date: bill.billDate,
+      description: `Bill ${bill.billNumber}${bill.vendorInvoiceNumber ? ` (vendor invoice ${bill.vendorInvoiceNumber})` : ''}${bill.poNumber ? ` for ${bill.poNumber}` : ''}`,
+      sourceNumber: bill.billNumber,
+      lines: [
+        { key: 'inventory', debit: bill.subtotal, description: 'Goods purchased' },
+        { key: 'vat_input', debit: bill.taxAmount, description: 'Input tax' },
+        { key: 'accounts_payable', credit: bill.total, description: 'Amount payable to vendor' }
+      ]
+    })
+  });
+};
+
+// Posted stock count: surpluses Dr Inventory / Cr Inventory Adjustments, shortages
+// Dr Inventory Adjustments / Cr Inventory, at the cost the adjustments moved
+const postStockCount = async (stockCount, userId) => {
+  const companyId = stockCount.company._id || stockCount.company;
+  const gain = round2(stockCount.items.reduce((sum, item) => sum + Math.max(0, item.adjustmentCost || 0), 0));
+  const loss = round2(stockCount.items.reduce((sum, item) => sum + Math.max(0, -(item.adjustmentCost || 0)), 0));
+
+  return syncSourceEntry({
+    companyId,
+    sourceType: 'stock_count',
+    sourceId: stockCount._id,
+    userId,
+    shouldPost: stockCount.status === 'posted' && (gain > 0 || loss > 0),
+    buildEntry: () => ({
+      date: stockCount.postedAt || new Date(),
+      description: `Stock count ${stockCount.countNumber}`,
+      sourceNumber: stockCount.countNumber,
+      lines: [
+        { key: 'inventory', debit: gain, description: 'Stock found on count' },
+        { key: 'inventory_adjustments', credit: gain, description: 'Count surplus' },
+        { key: 'inventory_adjustments', debit: loss, description: 'Count shortage' },
+        { key: 'inventory', credit: loss, description: 'Stock missing on count' }
+      ]
+    })
+  });
+};
+
+// Payment of a vendor bill: Dr Accounts Payable, Cr Cash/Bank
+const postBillPayment = async (bill, payment, userId) => {
+  const companyId = bill.company._id || bill.company;
+
+  const existing = await findActiveEntries(companyId, 'bill_payment', payment._id);
+  if (existing.length > 0) {
+    return existing[0];
+  }
+
+  return createEntry({
+    company: companyId,
+    date: payment.paymentDate,
+    description: `Payment of bill ${bill.billNumber}${payment.reference ? ` (${payment.reference})` : ''}`,
+    sourceType: 'bill_payment',
+    sourceId: payment._id,
+    sourceNumber: bill.billNumber,
+    createdBy: userId,
+    lines: toBaseCurrency([
+      { key: 'accounts_payable', debit: payment.amount, description: 'Payable settled' },
+      { key: paymentAccountKey(payment.paymentMethod), credit: payment.amount, description: `Paid (${payment.paymentMethod || 'bank_transfer'})` }
+    ], bill.exchangeRate)
+  });
+};
+
+const reverseBillPayment = async (bill, payment, userId) => {
+  const companyId = bill.company._id || bill.company;
+  return reverseSourceEntries(companyId, 'bill_payment', payment._id, userId, `Payment on bill ${bill.billNumber} removed`);
+};
+
+// Debit and credit totals per account (split by source type) for an optional date range
+const getAccountBalances = async (companyId, { startDate, endDate } = {}) => {
+  await Account.ensureDefaultAccounts(companyId);
+
+  const match = { company: new mongoose.Types.ObjectId(companyId) };
+  if (startDate || endDate) {
+    match.date = {};
+    if (startDate) match.date.$gte = startDate;
+    if (endDate) match.date.$lte = endDate;
+  }
+
+  const [accounts, totals] = await Promise.all([
+    Account.find({ company: companyId }).sort({ code: 1 }),
+    JournalEntry.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: { account: '$lines.account', sourceType: '$sourceType' },
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' }
+        }
+      }
+    ])
+  ]);
+
+  const totalsByAccount = {};
+  totals.forEach(t => {
+    const key = t._id.account.toString();
+    if (!totalsByAccount[key]) {
+      totalsByAccount[key] = { debit: 0, credit: 0, bySource: {} };
+    }
+    totalsByAccount[key].debit += t.debit;
+    totalsByAccount[key].credit += t.credit;
+    totalsByAccount[key].bySource[t._id.sourceType] = round2(t.debit - t.credit);
+  });
+
+  return accounts.map(account => {
+    const accountTotals = totalsByAccount[account._id.toString()] || { debit: 0, credit: 0, bySource: {} };
+    const net = round2(accountTotals.debit - accountTotals.credit);
+    return {
+      account,
+      debit: round2(accountTotals.debit),
+      credit: round2(accountTotals.credit),
+      // Net debit-minus-credit, and the same split by the document type that posted it
+      net,
+      bySource: accountTotals.bySource,
+      // Balance on the account's normal side
+      balance: account.normalBalance === 'debit' ? net : -net
+    };
+  });
+};
+
+module.exports = {
+  round2,
+  getAccountBalances,
+  createEntry,
+  reverseEntry,
+  findActiveEntries,
+  syncInvoice: safely('invoice', syncInvoice),
+  postInvoicePayment: safely('invoice payment', postInvoicePayment),
+  syncPayment: safely('payment', syncPayment),
+  reverseInvoice: safely('invoice reversal', reverseInvoice),
+  syncSale: safely('sale', syncSale),
+  reverseSale: safely('sale reversal', reverseSale),
+  syncExpense: safely('expense', syncExpense),
+  reverseExpense: safely('expense reversal', reverseExpense),
+  postCreditNote: safely('credit note', postCreditNote),
+  reverseCreditNote: safely('credit note reversal', reverseCreditNote),
+  syncVendorBill: safely('vendor bill', syncVendorBill),
+  postBillPayment: safely('bill payment', postBillPayment),
+  reverseBillPayment: safely('bill payment reversal', reverseBillPayment),
+  postStockCount: safely('stock count', postStockCount)
+};
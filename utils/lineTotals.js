@@ -0,0 +1,25 @@
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Discount taken off a line: `discount` percent of quantity x unitPrice, or a fixed
+// amount (never more than the line is worth)
+const lineDiscountAmount = (item) => {
+  const gross = (item.quantity || 0) * (item.unitPrice || 0);
+  if (!(item.discount > 0) || gross <= 0) return 0;
+  const amount = item.discountType === 'fixed'
+    ? item.discount
+    : (gross * Math.min(item.discount, 100)) / 100;
+  return round2(Math.min(amount, gross));
+};
+
+// Set each line's discountAmount and total (net of its discount). Works on subdocuments
+// and plain objects; returns the discount across all lines.
+const applyLineTotals = (items) => items.reduce((sum, item) => {
+  item.discountAmount = lineDiscountAmount(item);
+  item.total = round2((item.quantity || 0) * (item.unitPrice || 0) - item.discountAmount);
+  return round2(sum + item.discountAmount);
+}, 0);
+
+module.exports = {
+  lineDiscountAmount,
+  applyLineTotals
+};
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const { round2, syncPayment } = require('./ledger');
+const { baseCurrency, currencyCondition } = require('./currency');
+
+// Amount still owed on an invoice
+const invoiceBalance = (invoice) => round2((invoice.finalPayable ?? invoice.total) - (invoice.paidAmount || 0));
+
+// A customer's open invoices, oldest due first (only those in `currency` when given)
+const getOpenInvoices = async (companyId, customerId, currency) => {
+  const filters = {
+    company: companyId,
+    customer: customerId,
+    status: { $in: ['sent', 'overdue'] }
+  };
+  if (currency) {
+    filters.currency = await currencyCondition(companyId, currency);
+  }
+  return Invoice.find(filters).sort({ dueDate: 1, createdAt: 1 });
+};
+
+// Work out how a receipt's unallocated amount is split across open invoices in its
+// currency: oldest first when no split is requested, otherwise exactly as requested.
+// Returns { allocations: [{ invoice, amount }] } or { error }.
+const planAllocations = async (payment, requested) => {
+  const available = round2(payment.amount - payment.allocations.reduce((sum, a) => sum + a.amount, 0));
+  const openInvoices = await getOpenInvoices(payment.company, payment.customer,
+    payment.currency || await baseCurrency(payment.company));
+
+  if (!requested) {
+    const allocations = [];
+    let remaining = available;
+    for (const invoice of openInvoices) {
+      if (remaining <= 0) break;
+      const balance = invoiceBalance(invoice);
+      if (balance <= 0) continue;
+
+      const amount = round2(Math.min(remaining, balance));
+      allocations.push({ invoice, amount });
+      remaining = round2(remaining - amount);
+    }
+    return { allocations };
+  }
+
+  const allocations = [];
+  for (const request of requested) {
+    const amount = round2(request.amount);
+    if (!(amount > 0)) {
+      return { error: 'Allocation amounts must be greater than 0' };
+    }
+
+    const invoice = openInvoices.find(inv => inv._id.toString() === String(request.invoice));
+    if (!invoice) {
+      return { error: `Invoice ${request.invoice} is not an open ${payment.currency || 'base currency'} invoice for this customer` };
+    }
+
+    const alreadyPlanned = allocations
+      .filter(a => a.invoice._id.equals(invoice._id))
+      .reduce((sum, a) => sum + a.amount, 0);
+    if (amount + alreadyPlanned - invoiceBalance(invoice) > 0.005) {
+      return { error: `Allocation to invoice ${invoice.invoiceNumber} exceeds its balance of ${invoiceBalance(invoice).toFixed(2)}` };
+    }
+
+    allocations.push({ invoice, amount });
+  }
+
+  const total = round2(allocations.reduce((sum, a) => sum + a.amount, 0));
+  if (total - available > 0.005) {
+    return { error: `Allocations (${total.toFixed(2)}) exceed the unallocated amount of ${available.toFixed(2)}` };
+  }
+
+  return { allocations };
+};
+
+// Record planned allocations on the receipt and the invoices, then re-post the receipt.
+// Allocations made as the receipt is recorded are dated with its payment date; ones made
+// later to an existing receipt are dated when they are made.
+const applyAllocations = async (payment, allocations, userId) => {
+  const date = payment.isNew ? (payment.paymentDate || new Date()) : new Date();
+
+  allocations.forEach(({ invoice, amount }) => {
+    payment.allocations.push({ invoice: invoice._id, invoiceNumber: invoice.invoiceNumber, amount, exchangeRate: invoice.exchangeRate, date });
+  });
+  // Saving first assigns the receipt number for new receipts
+  await payment.save();
+
+  for (const { invoice, amount } of allocations) {
+    invoice.paymentAllocations.push({ payment: payment._id, receiptNumber: payment.receiptNumber, amount, date });
+    await invoice.save();
+  }
+
+  await syncPayment(payment, userId);
+  return payment;
+};
+
+// Remove allocations from a receipt (all, or only those matching the filter) and from
+// their invoices; the released amount returns to the customer's advance
+const releaseAllocations = async (payment, userId, filter = () => true) => {
+  const released = payment.allocations.filter(filter);
+  if (released.length === 0) return payment;
+
+  payment.allocations = payment.allocations.filter(allocation => !released.includes(allocation));
+  await payment.save();
+
+  const invoiceIds = [...new Set(released.map(allocation => allocation.invoice.toString()))];
+  for (const invoiceId of invoiceIds) {
+    const invoice = await Invoice.findById(invoiceId);
+    if (!invoice) continue;
+
+    invoice.paymentAllocations = invoice.paymentAllocations.filter(
+      allocation => allocation.payment.toString() !== payment._id.toString()
+    );
+    // Keep the receipt's remaining allocations to this invoice
+    payment.allocations
+      .filter(allocation => allocation.invoice.toString() === invoiceId)
+      .forEach(allocation => {
+        invoice.paymentAllocations.push({
+          payment: payment._id,
+          receiptNumber: payment.receiptNumber,
+          amount: allocation.amount,
+          date: allocation.date
+        });
+      });
+    await invoice.save();
+  }
+
+  await syncPayment(payment, userId);
+  return payment;
+};
+
+// Release every receipt allocation made to an invoice (e.g. when it is deleted)
+const releaseInvoiceAllocations = async (invoice, userId) => {
+  const payments = await Payment.find({ 'allocations.invoice': invoice._id });
+
+  for (const payment of payments) {
+    payment.allocations = payment.allocations.filter(
+      allocation => allocation.invoice.toString() !== invoice._id.toString()
+    );
+    await payment.save();
+    await syncPayment(payment, userId);
+  }
+};
+
+// Total advance (unallocated receipts) held for a customer, in base currency
+const getCustomerAdvance = async (companyId, customerId) => {
+  const result = await Payment.aggregate([
+    {
+      $match: {
+        company: new mongoose.Types.ObjectId(companyId),
+        customer: new mongoose.Types.ObjectId(customerId),
+        status: { $in: ['unallocated', 'partially_allocated'] }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        advanceBalance: { $sum: { $multiply: ['$unallocatedAmount', { $ifNull: ['$exchangeRate', 1] }] } }
+      }
+    }
+  ]);
+
+  return round2(result[0]?.advanceBalance || 0);
+};
+
+module.exports = {
+  invoiceBalance,
+  getOpenInvoices,
+  planAllocations,
+  applyAllocations,
+  releaseAllocations,
+  releaseInvoiceAllocations,
+  getCustomerAdvance
+};
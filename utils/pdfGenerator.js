@@ -152,6 +152,65 @@ const launchPuppeteer = async () => {
   }
 };
 
+// Tax lines for a document's totals: one per tax in its breakdown, or the single
+// document-level tax for documents saved before taxes were charged per line
+const documentTaxLines = (document) => {
+  if (document.taxSummary && document.taxSummary.length > 0) {
+    return document.taxSummary.map(row => ({
+      label: `${row.name || document.tax?.name || 'Tax'} (${row.rate}%${row.isCompound ? ', compound' : ''})`,
+      amount: row.amount
+    }));
+  }
+  return [{ label: `${document.tax?.name || 'Tax'} (${document.taxRate || 0}%)`, amount: document.taxAmount || 0 }];
+};
+
+// Sales documents are tax invoices (tax credit notes) once VAT is charged on them
+const taxDocumentTitle = (document, title) => (document.taxAmount > 0 ? `Tax ${title}` : title);
+
+// VAT converted to AED for a document in another currency, at the rate it was issued with
+const aedVatAmount = (document, currency) => (
+  currency !== 'AED' && document.taxAmount > 0 && document.aedExchangeRate > 0
+    ? { rate: document.aedExchangeRate, amount: Math.round(document.taxAmount * document.aedExchangeRate * 100) / 100 }
+    : null
+);
+
+// Rate of a document in another currency than the company's, as "1 EUR = 90.5 INR"
+const exchangeRateNote = (document, company) => (
+  document.currency && document.exchangeRate && document.currency !== company.settings?.currency
+    ? `1 ${document.currency} = ${document.exchangeRate} ${company.settings?.currency}`
+    : null
+);
+
+// Tax summary table printed under a document's totals
+const taxSummaryTableHTML = (document, formatAmount) => {
+  if (!document.taxSummary || document.taxSummary.length === 0) return '';
+  return `
+    <div style="margin: 20px 0;">
+      <h3 style="font-size: 13px; font-weight: 600; color: #1a1a1a; margin: 0 0 8px;">Tax Summary${document.pricesIncludeTax ? ' <span style="font-weight: 400; color: #666;">(prices include tax)</span>' : ''}</h3>
+      <table style="width: 100%; border-collapse: collapse; font-size: 11px;">
+        <thead>
+          <tr style="background: #f8fafc;">
+            <th style="text-align: left; padding: 6px 8px; border-bottom: 1px solid #e2e8f0;">Tax</th>
+            <th style="text-align: right; padding: 6px 8px; border-bottom: 1px solid #e2e8f0;">Rate</th>
+            <th style="text-align: right; padding: 6px 8px; border-bottom: 1px solid #e2e8f0;">Taxable Amount</th>
+            <th style="text-align: right; padding: 6px 8px; border-bottom: 1px solid #e2e8f0;">Tax Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${document.taxSummary.map(row => `
+            <tr>
+              <td style="padding: 6px 8px; border-bottom: 1px solid #f1f5f9;">${row.name || document.tax?.name || 'Tax'}${row.isCompound ? ' (compound)' : ''}</td>
+              <td style="text-align: right; padding: 6px 8px; border-bottom: 1px solid #f1f5f9;">${row.rate}%</td>
+              <td style="text-align: right; padding: 6px 8px; border-bottom: 1px solid #f1f5f9;">${formatAmount(row.taxableAmount)}</td>
+              <td style="text-align: right; padding: 6px 8px; border-bottom: 1px solid #f1f5f9;">${formatAmount(row.amount)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+};
+
 // Generate PDF from quote data with optimized settings
 const generateQuotePDF = async (quote, company, customer) => {
   let browser;
@@ -321,8 +380,10 @@ const generateSOAHTML = async (data, company, customer, logoBase64) => {
           td { padding: 8px; border-bottom: 1px solid #e2e8f0; font-size: 9px; }
           .amount-col { text-align: right; }
           .total-section { display: flex; justify-content: flex-end; }
-          .total-box { width: 200px; }
+          .total-box { width: 260px; }
+          .summary-row { display: flex; justify-content: space-between; padding: 4px 8px; border-bottom: 1px solid #e2e8f0; }
           .total-row { display: flex; justify-content: space-between; padding: 8px; background: #1e40af; color: white; font-weight: bold; }
+          .opening-row td, .totals-row td { font-weight: bold; background: #f8fafc; }
         </style>
       </head>
       <body>
@@ -359,32 +420,58 @@ const generateSOAHTML = async (data, company, customer, logoBase64) => {
             <thead>
               <tr>
                 <th>Date</th>
-                <th>Invoice No</th>
+                <th>Reference</th>
                 <th>Description</th>
-                <th class="amount-col">Amount</th>
-                <th class="amount-col">Payment</th>
+                <th class="amount-col">Debit</th>
+                <th class="amount-col">Credit</th>
                 <th class="amount-col">Balance</th>
               </tr>
             </thead>
             <tbody>
-              ${data.invoices.map(inv => `
+              <tr class="opening-row">
+                <td>${formatDate(data.period.from)}</td>
+                <td></td>
+                <td>Opening Balance</td>
+                <td class="amount-col"></td>
+                <td class="amount-col"></td>
+                <td class="amount-col">${formatCurrency(data.openingBalance)}</td>
+              </tr>
+              ${data.transactions.map(line => `
                 <tr>
-                  <td>${formatDate(inv.invoiceDate)}</td>
-                  <td>${inv.invoiceNumber}</td>
-                  <td>${inv.description}</td>
-                  <td class="amount-col">${formatCurrency(inv.amount)}</td>
-                  <td class="amount-col">${formatCurrency(inv.payment)}</td>
-                  <td class="amount-col">${formatCurrency(inv.runningBalance)}</td>
+                  <td>${formatDate(line.date)}</td>
+                  <td>${line.reference || ''}</td>
+                  <td>${line.description}</td>
+                  <td class="amount-col">${line.debit ? formatCurrency(line.debit) : ''}</td>
+                  <td class="amount-col">${line.credit ? formatCurrency(line.credit) : ''}</td>
+                  <td class="amount-col">${formatCurrency(line.balance)}</td>
                 </tr>
               `).join('')}
+              <tr class="totals-row">
+                <td colspan="3">Period Totals</td>
+                <td class="amount-col">${formatCurrency(data.totals.debit)}</td>
+                <td class="amount-col">${formatCurrency(data.totals.credit)}</td>
+                <td class="amount-col"></td>
+              </tr>
             </tbody>
           </table>
 
           <div class="total-section">
             <div class="total-box">
+              <div class="summary-row">
+                <span>Opening Balance</span>
+                <span>${formatCurrency(data.openingBalance)}</span>
+              </div>
+              <div class="summary-row">
+                <span>Debits</span>
+                <span>${formatCurrency(data.totals.debit)}</span>
+              </div>
+              <div class="summary-row">
+                <span>Credits</span>
+                <span>(${formatCurrency(data.totals.credit)})</span>
+              </div>
               <div class="total-row">
-                <span>Total Outstanding Balance</span>
-                <span>${formatCurrency(data.totalBalance)}</span>
+                <span>${data.closingBalance < 0 ? 'Closing Balance (in your favour)' : 'Closing Balance Due'}</span>
+                <span>${formatCurrency(Math.abs(data.closingBalance))}</span>
               </div>
             </div>
           </div>
@@ -393,10 +480,681 @@ const generateSOAHTML = async (data, company, customer, logoBase64) => {
       </html>
     `;
 };
+
+// Render report HTML to PDF (html-pdf-node, then Puppeteer, then the HTML itself)
+const renderReportPDF = async (htmlContent, filename) => {
+  try {
+    const options = {
+      format: 'A4',
+      margin: { top: '15mm', right: '10mm', bottom: '15mm', left: '10mm' },
+      printBackground: true,
+      displayHeaderFooter: false,
+      preferCSSPageSize: false,
+      timeout: 60000,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--disable-web-security',
+        '--disable-features=VizDisplayCompositor',
+        '--disable-extensions',
+        '--disable-plugins'
+      ]
+    };
+
+    const pdfBuffer = await htmlPdf.generatePdf({ content: htmlContent }, options);
+    return { buffer: pdfBuffer, filename: `${filename}.pdf`, isHtml: false };
+  } catch (error) {
+    console.error('Report PDF generation error (html-pdf-node), trying Puppeteer fallback:', error.message);
+    let browser;
+    try {
+      browser = await launchPuppeteer();
+      const page = await browser.newPage();
+      await page.setContent(htmlContent, { waitUntil: 'networkidle0', timeout: 30000 });
+      const pdfBuffer = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '15mm', right: '10mm', bottom: '15mm', left: '10mm' }
+      });
+      return { buffer: pdfBuffer, filename: `${filename}.pdf`, isHtml: false };
+    } catch (puppeteerError) {
+      console.error('Puppeteer fallback also failed:', puppeteerError.message);
+      // Last resort: return HTML
+      return { buffer: Buffer.from(htmlContent), filename: `${filename}.html`, isHtml: true };
+    } finally {
+      if (browser) {
+        try { await browser.close(); } catch (e) { /* ignore */ }
+      }
+    }
+  }
+};
+
+// Currency and date formatters shared by the report layouts (in the company's currency
+// unless a document currency is given)
+const reportFormatters = (company, documentCurrency) => {
+  const currency = documentCurrency || company.settings?.currency || 'AED';
+  const locale = currency === 'AED' ? 'ar-AE' : 'en-US';
+  return {
+    formatCurrency: (amount) => new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount || 0),
+    formatDate: (dateString) => new Date(dateString).toLocaleDateString('en-GB') // DD/MM/YYYY
+  };
+};
+
+// Wrap report body content in the standard report layout (company header, title, period)
+const generateReportHTML = ({ title, periodLabel, company, logoBase64, body }) => {
+  const { formatDate } = reportFormatters(company);
+
+  return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <title>${title}</title>
+        <style>
+          body { font-family: 'Inter', sans-serif; font-size: 10px; color: #1a1a1a; }
+          .container { padding: 20px; }
+          .header { display: flex; justify-content: space-between; margin-bottom: 30px; border-bottom: 2px solid #1e40af; padding-bottom: 10px; }
+          .company-info h1 { margin: 0; font-size: 18px; color: #1e40af; }
+          .report-title { text-align: right; }
+          .report-title h2 { margin: 0; font-size: 20px; text-transform: uppercase; color: #1a1a1a; }
+          .section-title { margin: 20px 0 8px 0; font-size: 12px; color: #1e40af; border-bottom: 1px solid #e2e8f0; padding-bottom: 5px; }
+          table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+          th { background: #1e40af; color: white; padding: 8px; text-align: left; font-size: 9px; }
+          td { padding: 6px 8px; border-bottom: 1px solid #e2e8f0; font-size: 9px; }
+          .amount-col { text-align: right; }
+          .indent { padding-left: 20px; }
+          .subtotal-row td { font-weight: bold; background: #f8fafc; }
+          .total-row td { font-weight: bold; background: #1e40af; color: white; }
+          .note { font-size: 9px; color: #6b7280; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div class="company-info">
+              ${logoBase64 ? `<img src="data:image/png;base64,${logoBase64}" style="height: 40px; margin-bottom: 10px;">` : ''}
+              <h1>${company.name}</h1>
+              <p>${company.address?.street || ''}, ${company.address?.city || ''}</p>
+              <p>${company.email || ''} | ${company.phone || ''}</p>
+              ${company.trn ? `<p>TRN: ${company.trn}</p>` : ''}
+            </div>
+            <div class="report-title">
+              <h2>${title}</h2>
+              <p>${periodLabel}</p>
+              <p>Generated: ${formatDate(new Date())}</p>
+            </div>
+          </div>
+          ${body}
+        </div>
+      </body>
+      </html>
+    `;
+};
+
+// Describe a report period for the header
+const reportPeriodLabel = (period, formatDate) => {
+  if (period.from && period.to) return `${formatDate(period.from)} - ${formatDate(period.to)}`;
+  if (period.to) return `As of ${formatDate(period.to)}`;
+  if (period.from) return `From ${formatDate(period.from)}`;
+  return 'All dates';
+};
+
+// Generate Profit & Loss PDF
+const generateProfitAndLossPDF = async (report, company) => {
+  const { formatCurrency, formatDate } = reportFormatters(company);
+  const logoBase64 = company.logo ? await getLogoBase64(company.logo) : null;
+
+  const accountRows = (accounts) => accounts.map(line => `
+                <tr>
+                  <td class="indent">${line.code} - ${line.name}</td>
+                  <td class="amount-col">${formatCurrency(line.amount)}</td>
+                </tr>
+              `).join('');
+
+  const body = `
+          <table>
+            <thead>
+              <tr>
+                <th>Account</th>
+                <th class="amount-col">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr class="subtotal-row"><td>Revenue</td><td></td></tr>
+              <tr><td class="indent">Invoices</td><td class="amount-col">${formatCurrency(report.revenue.bySource.invoices)}</td></tr>
+              <tr><td class="indent">Sales</td><td class="amount-col">${formatCurrency(report.revenue.bySource.sales)}</td></tr>
+              ${report.revenue.bySource.other ? `<tr><td class="indent">Other</td><td class="amount-col">${formatCurrency(report.revenue.bySource.other)}</td></tr>` : ''}
+              <tr class="subtotal-row"><td>Less: Sales Returns</td><td></td></tr>
+              <tr><td class="indent">Credit Notes</td><td class="amount-col">(${formatCurrency(report.salesReturns.bySource.creditNotes)})</td></tr>
+              <tr><td class="indent">Sale Returns</td><td class="amount-col">(${formatCurrency(report.salesReturns.bySource.saleReturns)})</td></tr>
+              ${report.salesReturns.bySource.other ? `<tr><td class="indent">Other</td><td class="amount-col">(${formatCurrency(report.salesReturns.bySource.other)})</td></tr>` : ''}
+              <tr class="subtotal-row"><td>Net Revenue</td><td class="amount-col">${formatCurrency(report.netRevenue)}</td></tr>
+              <tr><td>Cost of Goods Sold</td><td class="amount-col">(${formatCurrency(report.costOfGoodsSold)})</td></tr>
+              <tr class="subtotal-row"><td>Gross Profit</td><td class="amount-col">${formatCurrency(report.grossProfit)}</td></tr>
+              <tr class="subtotal-row"><td>Operating Expenses</td><td></td></tr>
+              ${accountRows(report.operatingExpenses.accounts)}
+              <tr class="subtotal-row"><td>Total Operating Expenses</td><td class="amount-col">(${formatCurrency(report.operatingExpenses.total)})</td></tr>
+              <tr class="total-row"><td>Net Profit</td><td class="amount-col">${formatCurrency(report.netProfit)}</td></tr>
+            </tbody>
+          </table>
+  `;
+
+  const htmlContent = generateReportHTML({
+    title: 'Profit & Loss',
+    periodLabel: reportPeriodLabel(report.period, formatDate),
+    company,
+    logoBase64,
+    body
+  });
+
+  return renderReportPDF(htmlContent, `Profit-and-Loss-${report.period.to ? formatDate(report.period.to).replace(/\//g, '-') : 'all'}`);
+};
+
+// Generate Balance Sheet PDF
+const generateBalanceSheetPDF = async (report, company) => {
+  const { formatCurrency, formatDate } = reportFormatters(company);
+  const logoBase64 = company.logo ? await getLogoBase64(company.logo) : null;
+
+  const section = (heading, group, extraRows = '') => `
+              <tr class="subtotal-row"><td>${heading}</td><td></td></tr>
+              ${group.accounts.map(line => `
+                <tr>
+                  <td class="indent">${line.code} - ${line.name}</td>
+                  <td class="amount-col">${formatCurrency(line.amount)}</td>
+                </tr>
+              `).join('')}
+              ${extraRows}
+              <tr class="subtotal-row"><td>Total ${heading}</td><td class="amount-col">${formatCurrency(group.total)}</td></tr>
+  `;
+
+  const body = `
+          <table>
+            <thead>
+              <tr>
+                <th>Account</th>
+                <th class="amount-col">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${section('Assets', report.assets)}
+              ${section('Liabilities', report.liabilities)}
+              ${section('Equity', report.equity, `
+                <tr>
+                  <td class="indent">Current Earnings</td>
+                  <td class="amount-col">${formatCurrency(report.equity.currentEarnings)}</td>
+                </tr>
+              `)}
+              <tr class="total-row"><td>Total Liabilities &amp; Equity</td><td class="amount-col">${formatCurrency(report.totalLiabilitiesAndEquity)}</td></tr>
+            </tbody>
+          </table>
+          ${report.isBalanced ? '' : '<p class="note">Warning: assets do not equal liabilities and equity.</p>'}
+  `;
+
+  const htmlContent = generateReportHTML({
+    title: 'Balance Sheet',
+    periodLabel: reportPeriodLabel({ to: report.asOf }, formatDate),
+    company,
+    logoBase64,
+    body
+  });
+
+  return renderReportPDF(htmlContent, `Balance-Sheet-${formatDate(report.asOf).replace(/\//g, '-')}`);
+};
+
+// Generate Trial Balance PDF
+const generateTrialBalancePDF = async (report, company) => {
+  const { formatCurrency, formatDate } = reportFormatters(company);
+  const logoBase64 = company.logo ? await getLogoBase64(company.logo) : null;
+
+  const body = `
+          <table>
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Account</th>
+                <th>Type</th>
+                <th class="amount-col">Period Debit</th>
+                <th class="amount-col">Period Credit</th>
+                <th class="amount-col">Debit Balance</th>
+                <th class="amount-col">Credit Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${report.accounts.map(line => `
+                <tr>
+                  <td>${line.code}</td>
+                  <td>${line.name}</td>
+                  <td>${line.type}</td>
+                  <td class="amount-col">${formatCurrency(line.periodDebit)}</td>
+                  <td class="amount-col">${formatCurrency(line.periodCredit)}</td>
+                  <td class="amount-col">${line.debit ? formatCurrency(line.debit) : ''}</td>
+                  <td class="amount-col">${line.credit ? formatCurrency(line.credit) : ''}</td>
+                </tr>
+              `).join('')}
+              <tr class="total-row">
+                <td colspan="3">Total</td>
+                <td class="amount-col">${formatCurrency(report.totals.periodDebit)}</td>
+                <td class="amount-col">${formatCurrency(report.totals.periodCredit)}</td>
+                <td class="amount-col">${formatCurrency(report.totals.debit)}</td>
+                <td class="amount-col">${formatCurrency(report.totals.credit)}</td>
+              </tr>
+            </tbody>
+          </table>
+          ${report.isBalanced ? '' : '<p class="note">Warning: total debits do not equal total credits.</p>'}
+  `;
+
+  const htmlContent = generateReportHTML({
+    title: 'Trial Balance',
+    periodLabel: reportPeriodLabel(report.period, formatDate),
+    company,
+    logoBase64,
+    body
+  });
+
+  return renderReportPDF(htmlContent, `Trial-Balance-${report.period.to ? formatDate(report.period.to).replace(/\//g, '-') : 'all'}`);
+};
+
+// Generate aging report PDF (receivables or payables), summary or detailed by document
+const generateAgingReportPDF = async (report, company, { title, partyLabel, documentLabel }) => {
+  const { formatCurrency, formatDate } = reportFormatters(company);
+  const logoBase64 = company.logo ? await getLogoBase64(company.logo) : null;
+  const detailed = report.mode === 'detailed';
+
+  const bucketCells = (row, tag = 'td') => report.buckets
+    .map(bucket => `<${tag} class="amount-col">${formatCurrency(row[bucket.key])}</${tag}>`)
+    .join('');
+
+  const documentRows = (party) => party.documents.map(doc => `
+                <tr>
+                  <td class="indent">${doc.number}</td>
+                  <td>${formatDate(doc.date)}</td>
+                  <td>${formatDate(doc.dueDate)}</td>
+                  <td class="amount-col">${doc.daysOverdue}</td>
+                  ${report.buckets.map(bucket => `<td class="amount-col">${doc.bucket === bucket.key ? formatCurrency(doc.balance) : ''}</td>`).join('')}
+                  <td class="amount-col">${formatCurrency(doc.balance)}</td>
+                </tr>
+              `).join('');
+
+  const body = `
+          <table>
+            <thead>
+              <tr>
+                ${detailed
+    ? `<th>${partyLabel} / ${documentLabel} No</th><th>Date</th><th>Due Date</th><th class="amount-col">Days Overdue</th>`
+    : `<th>${partyLabel}</th>`}
+                ${report.buckets.map(bucket => `<th class="amount-col">${bucket.label}</th>`).join('')}
+                <th class="amount-col">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${report.parties.map(party => `
+                <tr${detailed ? ' class="subtotal-row"' : ''}>
+                  <td${detailed ? ' colspan="4"' : ''}>${party.name}${party.companyName ? ` (${party.companyName})` : ''}</td>
+                  ${bucketCells(party)}
+                  <td class="amount-col">${formatCurrency(party.total)}</td>
+                </tr>
+                ${detailed ? documentRows(party) : ''}
+              `).join('')}
+              <tr class="total-row">
+                <td${detailed ? ' colspan="4"' : ''}>Total</td>
+                ${bucketCells(report.totals)}
+                <td class="amount-col">${formatCurrency(report.totals.total)}</td>
+              </tr>
+            </tbody>
+          </table>
+          <p class="note">Age is measured in days past the due date as of ${formatDate(report.asOf)}.</p>
+  `;
+
+  const htmlContent = generateReportHTML({
+    title,
+    periodLabel: reportPeriodLabel({ to: report.asOf }, formatDate),
+    company,
+    logoBase64,
+    body
+  });
+
+  return renderReportPDF(htmlContent, `${title.replace(/\s+/g, '-')}-${formatDate(report.asOf).replace(/\//g, '-')}`);
+};
+
+// Generate inventory valuation PDF
+const generateInventoryValuationPDF = async (report, company) => {
+  const { formatCurrency, formatDate } = reportFormatters(company);
+  const logoBase64 = company.logo ? await getLogoBase64(company.logo) : null;
+  const methodLabel = report.method === 'fifo' ? 'FIFO' : 'Weighted average';
+
+  const body = `
+          <table>
+            <thead>
+              <tr>
+                <th>SKU</th>
+                <th>Product</th>
+                <th>Category</th>
+                <th class="amount-col">Quantity</th>
+                <th class="amount-col">Average Cost</th>
+                <th class="amount-col">Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${report.products.map(line => `
+                <tr>
+                  <td>${line.sku}</td>
+                  <td>${line.name}</td>
+                  <td>${line.category || ''}</td>
+                  <td class="amount-col">${line.quantity} ${line.unit || ''}</td>
+                  <td class="amount-col">${formatCurrency(line.averageCost)}</td>
+                  <td class="amount-col">${formatCurrency(line.value)}</td>
+                </tr>
+              `).join('')}
+              <tr class="total-row">
+                <td colspan="5">Total</td>
+                <td class="amount-col">${formatCurrency(report.totals.value)}</td>
+              </tr>
+            </tbody>
+          </table>
+          <p class="note">Costing method: ${methodLabel}. Inventory account balance in the ledger: ${formatCurrency(report.ledgerBalance)}.</p>
+  `;
+
+  const htmlContent = generateReportHTML({
+    title: 'Inventory Valuation',
+    periodLabel: reportPeriodLabel({ to: report.asOf }, formatDate),
+    company,
+    logoBase64,
+    body
+  });
+
+  return renderReportPDF(htmlContent, `Inventory-Valuation-${formatDate(report.asOf).replace(/\//g, '-')}`);
+};
+
+// Generate VAT return (FTA VAT 201) PDF, with the documents behind each box
+const generateVatReturnPDF = async (report, company) => {
+  const { formatCurrency, formatDate } = reportFormatters(company);
+  const logoBase64 = company.logo ? await getLogoBase64(company.logo) : null;
+  const amountCell = (value) => `<td class="amount-col">${value === undefined ? '' : formatCurrency(value)}</td>`;
+  const sourceLabel = (sourceType) => sourceType.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+  const totalBoxes = ['8', '11', '12', '13', '14'];
+
+  const sections = [
+    ...report.boxes.filter(b => b.documents).map(b => [`Box ${b.box} - ${b.label}`, b.documents]),
+    ['Standard rated supplies without an emirate', report.unassigned.documents],
+    ['Out of scope supplies', report.outOfScope],
+    ['Supplies without tax (not reported)', report.unclassified]
+  ];
+
+  const documentSections = sections.filter(([, entries]) => entries.length > 0).map(([title, entries]) => {
+    return `
+          <h3 class="section-title">${title}</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Document</th>
+                <th>Party</th>
+                <th class="amount-col">Amount</th>
+                <th class="amount-col">VAT</th>
+                <th class="amount-col">Adjustment</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${entries.map(entry => `
+                <tr>
+                  <td>${formatDate(entry.date)}</td>
+                  <td>${sourceLabel(entry.sourceType)} ${entry.number || ''}${entry.reference ? ` (${entry.reference})` : ''}</td>
+                  <td>${entry.party || ''}</td>
+                  ${amountCell(entry.amount)}
+                  ${amountCell(entry.vat)}
+                  ${amountCell(entry.adjustment)}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+    `;
+  }).join('');
+
+  const body = `
+          <table>
+            <thead>
+              <tr>
+                <th>Box</th>
+                <th>Description</th>
+                <th class="amount-col">Amount (${company.settings?.currency || 'AED'})</th>
+                <th class="amount-col">VAT Amount</th>
+                <th class="amount-col">Adjustment</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${report.boxes.map(b => `
+                <tr class="${totalBoxes.includes(b.box) ? 'subtotal-row' : ''}">
+                  <td>${b.box}</td>
+                  <td>${b.label}</td>
+                  ${amountCell(b.amount)}
+                  ${amountCell(b.vat)}
+                  ${amountCell(b.adjustment)}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+          ${report.warnings.map(warning => `<p class="note">${warning}</p>`).join('')}
+          <p class="note">Ledger balances for the period: output tax ${formatCurrency(report.ledger.vatOutput)}, input tax ${formatCurrency(report.ledger.vatInput)}.</p>
+          ${documentSections}
+  `;
+
+  const htmlContent = generateReportHTML({
+    title: 'VAT Return',
+    periodLabel: reportPeriodLabel(report.period, formatDate),
+    company,
+    logoBase64,
+    body
+  });
+
+  return renderReportPDF(htmlContent, `VAT-Return-${formatDate(report.period.from).replace(/\//g, '-')}-${formatDate(report.period.to).replace(/\//g, '-')}`);
+};
+
+// Generate payment receipt PDF
+const generateReceiptPDF = async (payment, company, customer) => {
+  const { formatCurrency, formatDate } = reportFormatters(company, payment.currency);
+  const rateNote = exchangeRateNote(payment, company);
+  const logoBase64 = company.logo ? await getLogoBase64(company.logo) : null;
+
+  const paymentMethodLabel = (payment.paymentMethod || '').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+  const body = `
+          <table>
+            <tbody>
+              <tr><td><strong>Received From</strong></td><td>${customer ? `${customer.firstName} ${customer.lastName}${customer.companyName ? ` (${customer.companyName})` : ''}` : ''}</td></tr>
+              <tr><td><strong>Receipt No</strong></td><td>${payment.receiptNumber}</td></tr>
+              <tr><td><strong>Payment Date</strong></td><td>${formatDate(payment.paymentDate)}</td></tr>
+              <tr><td><strong>Payment Method</strong></td><td>${paymentMethodLabel}</td></tr>
+              ${payment.reference ? `<tr><td><strong>Reference</strong></td><td>${payment.reference}</td></tr>` : ''}
+              ${rateNote ? `<tr><td><strong>Exchange Rate</strong></td><td>${rateNote}</td></tr>` : ''}
+            </tbody>
+          </table>
+
+          <h3 class="section-title">Applied To</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Invoice No</th>
+                <th>Date Applied</th>
+                <th class="amount-col">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${payment.allocations.length > 0 ? payment.allocations.map(allocation => `
+                <tr>
+                  <td>${allocation.invoiceNumber || ''}</td>
+                  <td>${formatDate(allocation.date)}</td>
+                  <td class="amount-col">${formatCurrency(allocation.amount)}</td>
+                </tr>
+              `).join('') : '<tr><td colspan="3">Not yet applied to any invoice</td></tr>'}
+              <tr class="subtotal-row"><td colspan="2">Applied to Invoices</td><td class="amount-col">${formatCurrency(payment.allocatedAmount)}</td></tr>
+              <tr class="subtotal-row"><td colspan="2">Held as Advance</td><td class="amount-col">${formatCurrency(payment.unallocatedAmount)}</td></tr>
+              <tr class="total-row"><td colspan="2">Total Received</td><td class="amount-col">${formatCurrency(payment.amount)}</td></tr>
+            </tbody>
+          </table>
+          ${payment.status === 'void' ? `<p class="note">This receipt was voided on ${formatDate(payment.voidedAt)}${payment.voidReason ? `: ${payment.voidReason}` : ''}.</p>` : ''}
+          ${payment.notes ? `<p class="note">${payment.notes}</p>` : ''}
+  `;
+
+  const htmlContent = generateReportHTML({
+    title: 'Payment Receipt',
+    periodLabel: payment.receiptNumber,
+    company,
+    logoBase64,
+    body
+  });
+
+  return renderReportPDF(htmlContent, `receipt-${payment.receiptNumber}`);
+};
+
+// Generate sale receipt PDF (a simplified tax invoice once VAT is charged)
+const generateSaleReceiptPDF = async (sale, company, customer) => {
+  const { formatCurrency, formatDate } = reportFormatters(company, sale.currency);
+  const logoBase64 = company.logo ? await getLogoBase64(company.logo) : null;
+  const currency = sale.currency || company.settings?.currency || 'AED';
+  const rateNote = exchangeRateNote(sale, company);
+  const aedVat = aedVatAmount(sale, currency);
+  const orderDiscount = Math.round((sale.subtotal + sale.taxAmount - sale.total) * 100) / 100;
+  const paymentMethodLabel = (sale.paymentMethod || '').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+  const customerName = customer
+    ? `${customer.firstName} ${customer.lastName}${customer.companyName ? ` (${customer.companyName})` : ''}`
+    : (sale.customerName || 'Walk-in customer');
+
+  const body = `
+          <table>
+            <tbody>
+              <tr><td><strong>${sale.isReturn ? 'Return' : 'Receipt'} No</strong></td><td>${sale.saleNumber}</td></tr>
+              <tr><td><strong>Date of Supply</strong></td><td>${formatDate(sale.saleDate)}</td></tr>
+              <tr><td><strong>Customer</strong></td><td>${customerName}</td></tr>
+              ${customer?.vatNumber ? `<tr><td><strong>Customer TRN</strong></td><td>${customer.vatNumber}</td></tr>` : ''}
+              <tr><td><strong>Payment Method</strong></td><td>${paymentMethodLabel}</td></tr>
+            </tbody>
+          </table>
+
+          <table>
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th class="amount-col">Quantity</th>
+                <th class="amount-col">Unit Price</th>
+                <th class="amount-col">Discount</th>
+                <th class="amount-col">Amount</th>
+                <th class="amount-col">VAT</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${sale.items.map(item => `
+                <tr>
+                  <td>${item.productName}${item.productSku ? ` (${item.productSku})` : ''}</td>
+                  <td class="amount-col">${item.quantity} ${item.unit || ''}</td>
+                  <td class="amount-col">${formatCurrency(item.unitPrice)}</td>
+                  <td class="amount-col">${item.discountAmount > 0 ? `-${formatCurrency(item.discountAmount)}` : '-'}</td>
+                  <td class="amount-col">${formatCurrency(item.netAmount ?? item.total)}</td>
+                  <td class="amount-col">${formatCurrency(item.taxAmount)}</td>
+                </tr>
+              `).join('')}
+              <tr class="subtotal-row"><td colspan="5">Subtotal</td><td class="amount-col">${formatCurrency(sale.subtotal)}</td></tr>
+              ${orderDiscount > 0 ? `<tr><td colspan="5">Discount</td><td class="amount-col">-${formatCurrency(orderDiscount)}</td></tr>` : ''}
+              ${sale.taxAmount > 0 ? documentTaxLines(sale).map(line => `<tr><td colspan="5">${line.label}</td><td class="amount-col">${formatCurrency(line.amount)}</td></tr>`).join('') : ''}
+              <tr class="total-row"><td colspan="5">Total</td><td class="amount-col">${formatCurrency(sale.total)}</td></tr>
+              ${aedVat ? `<tr><td colspan="5">VAT in AED (1 ${currency} = ${aedVat.rate} AED)</td><td class="amount-col">AED ${aedVat.amount.toFixed(2)}</td></tr>` : ''}
+              ${rateNote ? `<tr><td colspan="5">Exchange rate</td><td class="amount-col">${rateNote}</td></tr>` : ''}
+            </tbody>
+          </table>
+          ${taxSummaryTableHTML(sale, formatCurrency)}
+          ${sale.notes ? `<p class="note">${sale.notes}</p>` : ''}
+  `;
+
+  const htmlContent = generateReportHTML({
+    title: sale.isReturn ? 'Return Receipt' : (sale.taxAmount > 0 ? taxDocumentTitle(sale, 'Invoice') : 'Sales Receipt'),
+    periodLabel: sale.saleNumber,
+    company,
+    logoBase64,
+    body
+  });
+
+  return renderReportPDF(htmlContent, `receipt-${sale.saleNumber}`);
+};
+
+// Generate stock transfer PDF
+const generateStockTransferPDF = async (transfer, company) => {
+  const { formatDate } = reportFormatters(company);
+  const logoBase64 = company.logo ? await getLogoBase64(company.logo) : null;
+
+  const locationLabel = (warehouse) => warehouse
+    ? `${warehouse.name} (${warehouse.code})${warehouse.address?.city ? ` - ${warehouse.address.city}` : ''}`
+    : '';
+
+  const body = `
+          <table>
+            <tbody>
+              <tr><td><strong>Transfer No</strong></td><td>${transfer.transferNumber}</td></tr>
+              <tr><td><strong>Transfer Date</strong></td><td>${formatDate(transfer.transferDate)}</td></tr>
+              <tr><td><strong>From</strong></td><td>${locationLabel(transfer.fromWarehouse)}</td></tr>
+              <tr><td><strong>To</strong></td><td>${locationLabel(transfer.toWarehouse)}</td></tr>
+              ${transfer.reference ? `<tr><td><strong>Reference</strong></td><td>${transfer.reference}</td></tr>` : ''}
+              ${transfer.createdBy?.firstName ? `<tr><td><strong>Prepared By</strong></td><td>${transfer.createdBy.firstName} ${transfer.createdBy.lastName || ''}</td></tr>` : ''}
+            </tbody>
+          </table>
+
+          <h3 class="section-title">Items</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>SKU</th>
+                <th>Product</th>
+                <th>Unit</th>
+                <th class="amount-col">Quantity</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${transfer.items.map((item, index) => `
+                <tr>
+                  <td>${index + 1}</td>
+                  <td>${item.productSku || ''}</td>
+                  <td>${item.productName || ''}</td>
+                  <td>${item.unit || ''}</td>
+                  <td class="amount-col">${item.quantity}</td>
+                </tr>
+              `).join('')}
+              <tr class="total-row">
+                <td colspan="4">Total Quantity</td>
+                <td class="amount-col">${transfer.items.reduce((sum, item) => sum + item.quantity, 0)}</td>
+              </tr>
+            </tbody>
+          </table>
+          ${transfer.status === 'cancelled' ? `<p class="note">This transfer was cancelled on ${formatDate(transfer.cancelledAt)}${transfer.cancelReason ? `: ${transfer.cancelReason}` : ''}.</p>` : ''}
+          ${transfer.notes ? `<p class="note">${transfer.notes}</p>` : ''}
+
+          <table style="margin-top: 40px;">
+            <tbody>
+              <tr>
+                <td style="border: none; width: 50%;">Dispatched by: ____________________</td>
+                <td style="border: none; width: 50%;">Received by: ____________________</td>
+              </tr>
+            </tbody>
+          </table>
+  `;
+
+  const htmlContent = generateReportHTML({
+    title: 'Stock Transfer',
+    periodLabel: transfer.transferNumber,
+    company,
+    logoBase64,
+    body
+  });
+
+  return renderReportPDF(htmlContent, `stock-transfer-${transfer.transferNumber}`);
+};
+
 // Generate HTML content for the quote
 const generateQuoteHTML = async (quote, company, customer) => {
+  // The discount column and rows only show when a line was discounted
+  const hasLineDiscounts = quote.items.some(item => item.discountAmount > 0);
+
   const formatCurrency = (amount) => {
-    const currency = company.settings?.currency || 'USD';
+    const currency = quote.currency || company.settings?.currency || 'USD';
     const locale = currency === 'AED' ? 'ar-AE' : 'en-US';
 
     return new Intl.NumberFormat(locale, {
@@ -919,6 +1677,7 @@ const generateQuoteHTML = async (quote, company, customer) => {
                 <th>Description</th>
                 <th class="text-right">Quantity</th>
                 <th class="text-right">Unit Price</th>
+                ${hasLineDiscounts ? '<th class="text-right">Discount</th>' : ''}
                 <th class="text-right">Total</th>
               </tr>
             </thead>
@@ -942,7 +1701,14 @@ const generateQuoteHTML = async (quote, company, customer) => {
                   </td>
                   <td class="text-right" style="padding: 8px;">${item.quantity}</td>
                   <td class="text-right" style="padding: 8px;">${formatCurrency(item.unitPrice, company.settings?.currency || 'USD')}</td>
-                  <td class="text-right" style="padding: 8px;">${formatCurrency(item.total, company.settings?.currency || 'USD')}</td>
+                  ${hasLineDiscounts ? `
+                    <td class="text-right" style="padding: 8px;">
+                      ${item.discountAmount > 0 ? `-${formatCurrency(item.discountAmount, company.settings?.currency || 'USD')}` : '-'}
+                      ${item.discountAmount > 0 && item.discountType === 'percentage' && !item.promotionName ? `<br><small>(${item.discount}%)</small>` : ''}
+                      ${item.promotionName ? `<br><small>${item.promotionName}</small>` : ''}
+                    </td>
+                  ` : ''}
+                  <td class="text-right" style="padding: 8px;">${formatCurrency(item.netAmount ?? item.total, company.settings?.currency || 'USD')}</td>
                 </tr>
               `).join('')}
             </tbody>
@@ -951,14 +1717,26 @@ const generateQuoteHTML = async (quote, company, customer) => {
           <!-- Professional Totals Section -->
           <div class="totals-section">
             <table class="totals-table">
+              ${hasLineDiscounts ? `
+                <tr>
+                  <td>Items total (before discounts):</td>
+                  <td class="text-right">${formatCurrency(quote.subtotal + (quote.lineDiscountTotal || 0), company.settings?.currency || 'USD')}</td>
+                </tr>
+                <tr>
+                  <td>Discounts${quote.couponCode ? ` (coupon ${quote.couponCode})` : ''}:</td>
+                  <td class="text-right">-${formatCurrency(quote.lineDiscountTotal || 0, company.settings?.currency || 'USD')}</td>
+                </tr>
+              ` : ''}
               <tr class="subtotal-row">
                 <td>Subtotal:</td>
                 <td class="text-right">${formatCurrency(quote.subtotal, company.settings?.currency || 'USD')}</td>
               </tr>
-              <tr class="tax-row">
-                <td>${quote.tax?.name || 'Tax'} (${quote.taxRate}%):</td>
-                <td class="text-right">${formatCurrency(quote.taxAmount, company.settings?.currency || 'USD')}</td>
-              </tr>
+              ${documentTaxLines(quote).map(line => `
+                <tr class="tax-row">
+                  <td>${line.label}:</td>
+                  <td class="text-right">${formatCurrency(line.amount, company.settings?.currency || 'USD')}</td>
+                </tr>
+              `).join('')}
               <tr class="total-row">
                 <td>Total:</td>
                 <td class="text-right">${formatCurrency(quote.total, company.settings?.currency || 'USD')}</td>
@@ -966,6 +1744,8 @@ const generateQuoteHTML = async (quote, company, customer) => {
             </table>
           </div>
 
+          ${taxSummaryTableHTML(quote, (amount) => formatCurrency(amount, company.settings?.currency || 'USD'))}
+
           <!-- Terms Section -->
           <div class="terms-section">
             <h3 class="terms-title">Terms & Conditions</h3>
@@ -1071,6 +1851,12 @@ const generateInvoicePDF = async (invoice, company, customer) => {
 
 // Generate Invoice HTML (similar to quote but for invoices)
 const generateInvoiceHTML = (invoice, company, customer, logoBase64) => {
+  // The discount column and rows only show when a line was discounted
+  const hasLineDiscounts = invoice.items.some(item => item.discountAmount > 0);
+  const currency = invoice.currency || currency;
+  const aedVat = aedVatAmount(invoice, currency);
+  const rateNote = exchangeRateNote(invoice, company);
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -1518,10 +2304,12 @@ const generateInvoiceHTML = (invoice, company, customer, logoBase64) => {
             </div>
             
             <div class="invoice-section">
-              <h2 class="invoice-title">TAX INVOICE</h2>
+              <h2 class="invoice-title">${taxDocumentTitle(invoice, 'Invoice').toUpperCase()}</h2>
               <div class="invoice-meta">
                 <p><strong>Invoice #:</strong> ${invoice.invoiceNumber}</p>
+                ${company.trn ? `<p><strong>TRN:</strong> ${company.trn}</p>` : ''}
                 <p><strong>Date:</strong> ${formatDate(invoice.createdAt)}</p>
+                <p><strong>Date of Supply:</strong> ${formatDate(invoice.supplyDate || invoice.createdAt)}</p>
                 <p><strong>Due Date:</strong> ${formatDate(invoice.dueDate)}</p>
                 <div class="status-badge status-${invoice.status}">${invoice.status}</div>
               </div>
@@ -1535,7 +2323,7 @@ const generateInvoiceHTML = (invoice, company, customer, logoBase64) => {
               <div class="address-content">
                 <div class="address-name">${customer.firstName} ${customer.lastName}</div>
                 ${customer.companyName ? `<div class="address-company">${customer.companyName}</div>` : ''}
-                ${customer.vatNumber ? `<p><strong>VAT Number:</strong> ${customer.vatNumber}</p>` : ''}
+                ${customer.vatNumber ? `<p><strong>TRN:</strong> ${customer.vatNumber}</p>` : ''}
                 ${customer.address.street ? `<p>${customer.address.street}</p>` : ''}
                 ${customer.address.city ? `<p>${customer.address.city}, ${customer.address.state} ${customer.address.zipCode}</p>` : ''}
                 ${customer.address.country ? `<p>${customer.address.country}</p>` : ''}
@@ -1549,6 +2337,7 @@ const generateInvoiceHTML = (invoice, company, customer, logoBase64) => {
               <div class="address-content">
                 <div class="address-name">${company.name}</div>
                 ${company.description ? `<div class="address-company">${company.description}</div>` : ''}
+                ${company.trn ? `<p><strong>TRN:</strong> ${company.trn}</p>` : ''}
                 ${company.address.street ? `<p>${company.address.street}</p>` : ''}
                 ${company.address.city ? `<p>${company.address.city}, ${company.address.state} ${company.address.zipCode}</p>` : ''}
                 ${company.address.country ? `<p>${company.address.country}</p>` : ''}
@@ -1575,6 +2364,7 @@ const generateInvoiceHTML = (invoice, company, customer, logoBase64) => {
                 <th>Description</th>
                 <th class="text-right">Quantity</th>
                 <th class="text-right">Unit Price</th>
+                ${hasLineDiscounts ? '<th class="text-right">Discount</th>' : ''}
                 <th class="text-right">Total</th>
               </tr>
             </thead>
@@ -1588,8 +2378,15 @@ const generateInvoiceHTML = (invoice, company, customer, logoBase64) => {
                     ${item.description}
                   </td>
                   <td class="text-right" style="padding: 8px;">${item.quantity}</td>
-                  <td class="text-right" style="padding: 8px;">${formatCurrency(item.unitPrice, company.settings?.currency || 'USD')}</td>
-                  <td class="text-right" style="padding: 8px;">${formatCurrency(item.total, company.settings?.currency || 'USD')}</td>
+                  <td class="text-right" style="padding: 8px;">${formatCurrency(item.unitPrice, currency)}</td>
+                  ${hasLineDiscounts ? `
+                    <td class="text-right" style="padding: 8px;">
+                      ${item.discountAmount > 0 ? `-${formatCurrency(item.discountAmount, currency)}` : '-'}
+                      ${item.discountAmount > 0 && item.discountType === 'percentage' && !item.promotionName ? `<br><small>(${item.discount}%)</small>` : ''}
+                      ${item.promotionName ? `<br><small>${item.promotionName}</small>` : ''}
+                    </td>
+                  ` : ''}
+                  <td class="text-right" style="padding: 8px;">${formatCurrency(item.netAmount ?? item.total, currency)}</td>
                 </tr>
               `).join('')}
             </tbody>
@@ -1598,43 +2395,69 @@ const generateInvoiceHTML = (invoice, company, customer, logoBase64) => {
           <!-- Professional Totals Section -->
           <div class="totals-section">
             <table class="totals-table">
+              ${hasLineDiscounts ? `
+                <tr>
+                  <td>Items total (before discounts):</td>
+                  <td class="text-right">${formatCurrency(invoice.subtotal + (invoice.lineDiscountTotal || 0), currency)}</td>
+                </tr>
+                <tr>
+                  <td>Discounts${invoice.couponCode ? ` (coupon ${invoice.couponCode})` : ''}:</td>
+                  <td class="text-right">-${formatCurrency(invoice.lineDiscountTotal || 0, currency)}</td>
+                </tr>
+              ` : ''}
               <tr class="subtotal-row">
                 <td>Subtotal:</td>
-                <td class="text-right">${formatCurrency(invoice.subtotal, company.settings?.currency || 'USD')}</td>
-              </tr>
-              <tr class="tax-row">
-                <td>${invoice.tax?.name || 'Tax'} (${invoice.taxRate}%):</td>
-                <td class="text-right">${formatCurrency(invoice.taxAmount, company.settings?.currency || 'USD')}</td>
+                <td class="text-right">${formatCurrency(invoice.subtotal, currency)}</td>
               </tr>
+              ${documentTaxLines(invoice).map(line => `
+                <tr class="tax-row">
+                  <td>${line.label}:</td>
+                  <td class="text-right">${formatCurrency(line.amount, currency)}</td>
+                </tr>
+              `).join('')}
               <tr class="total-row">
                 <td>Total:</td>
-                <td class="text-right">${formatCurrency(invoice.total, company.settings?.currency || 'USD')}</td>
+                <td class="text-right">${formatCurrency(invoice.total, currency)}</td>
               </tr>
+              ${rateNote ? `
+                <tr class="tax-row">
+                  <td>Exchange rate:</td>
+                  <td class="text-right">${rateNote}</td>
+                </tr>
+              ` : ''}
+              ${aedVat ? `
+                <tr class="tax-row">
+                  <td>VAT in AED (1 ${currency} = ${aedVat.rate} AED):</td>
+                  <td class="text-right">${formatCurrency(aedVat.amount, 'AED')}</td>
+                </tr>
+              ` : ''}
               ${invoice.paidAmount > 0 ? `
                 <tr class="subtotal-row">
                   <td>Paid Amount:</td>
-                  <td class="text-right">${formatCurrency(invoice.paidAmount, company.settings?.currency || 'USD')}</td>
+                  <td class="text-right">${formatCurrency(invoice.paidAmount, currency)}</td>
                 </tr>
                 <tr class="tax-row">
                   <td>Balance Due:</td>
-                  <td class="text-right">${formatCurrency(invoice.total - invoice.paidAmount, company.settings?.currency || 'USD')}</td>
+                  <td class="text-right">${formatCurrency(invoice.total - invoice.paidAmount, currency)}</td>
                 </tr>
               ` : ''}
             </table>
           </div>
 
+          ${taxSummaryTableHTML(invoice, (amount) => formatCurrency(amount, currency))}
+
           <!-- Payment Status -->
           <div class="payment-status">
             <h3 class="payment-status-title">Payment Status</h3>
             <div class="payment-status-content">
               <p><strong>Status:</strong> ${invoice.status.toUpperCase()}</p>
-              <p><strong>Total Amount:</strong> ${formatCurrency(invoice.total, company.settings?.currency || 'USD')}</p>
-              <p><strong>Paid Amount:</strong> ${formatCurrency(invoice.paidAmount, company.settings?.currency || 'USD')}</p>
-              <p><strong>Balance Due:</strong> ${formatCurrency(invoice.total - invoice.paidAmount, company.settings?.currency || 'USD')}</p>
+              <p><strong>Total Amount:</strong> ${formatCurrency(invoice.total, currency)}</p>
+              <p><strong>Paid Amount:</strong> ${formatCurrency(invoice.paidAmount, currency)}</p>
+              <p><strong>Balance Due:</strong> ${formatCurrency(invoice.total - invoice.paidAmount, currency)}</p>
               ${invoice.payments && invoice.payments.length > 0 ? `
                 <p><strong>Payment History:</strong></p>
                 ${invoice.payments.map(payment => `
-                  <p>• ${formatCurrency(payment.amount, company.settings?.currency || 'USD')} on ${formatDate(payment.paymentDate)} (${payment.paymentMethod})</p>
+                  <p>• ${formatCurrency(payment.amount, currency)} on ${formatDate(payment.paymentDate)} (${payment.paymentMethod})</p>
                 `).join('')}
               ` : ''}
             </div>
@@ -1802,7 +2625,7 @@ const generatePurchaseOrderPDF = async (purchaseOrder, company, vendor, client)
 // Generate HTML content for the purchase order
 const generatePurchaseOrderHTML = async (purchaseOrder, company, vendor, client) => {
   const formatCurrency = (amount) => {
-    const currency = company.settings?.currency || 'USD';
+    const currency = purchaseOrder.currency || company.settings?.currency || 'USD';
     const locale = currency === 'AED' ? 'ar-AE' : 'en-US';
 
     return new Intl.NumberFormat(locale, {
@@ -2356,7 +3179,7 @@ const generatePurchaseOrderHTML = async (purchaseOrder, company, vendor, client)
                   </td>
                   <td class="text-right" style="padding: 8px;">${item.quantity}</td>
                   <td class="text-right" style="padding: 8px;">${formatCurrency(item.unitPrice)}</td>
-                  <td class="text-right" style="padding: 8px;">${formatCurrency(item.total)}</td>
+                  <td class="text-right" style="padding: 8px;">${formatCurrency(item.netAmount ?? item.total)}</td>
                 </tr>
               `).join('')}
             </tbody>
@@ -2369,10 +3192,12 @@ const generatePurchaseOrderHTML = async (purchaseOrder, company, vendor, client)
                 <td>Subtotal:</td>
                 <td class="text-right">${formatCurrency(purchaseOrder.subtotal)}</td>
               </tr>
-              <tr class="tax-row">
-                <td>Tax (${purchaseOrder.taxRate}%):</td>
-                <td class="text-right">${formatCurrency(purchaseOrder.taxAmount)}</td>
-              </tr>
+              ${documentTaxLines(purchaseOrder).map(line => `
+                <tr class="tax-row">
+                  <td>${line.label}:</td>
+                  <td class="text-right">${formatCurrency(line.amount)}</td>
+                </tr>
+              `).join('')}
               <tr class="total-row">
                 <td>Total:</td>
                 <td class="text-right">${formatCurrency(purchaseOrder.total)}</td>
@@ -2380,6 +3205,8 @@ const generatePurchaseOrderHTML = async (purchaseOrder, company, vendor, client)
             </table>
           </div>
 
+          ${taxSummaryTableHTML(purchaseOrder, formatCurrency)}
+
           <!-- Terms Section -->
           <div class="terms-section">
             <h3 class="terms-title">Terms & Conditions</h3>
@@ -2421,7 +3248,7 @@ const generateCreditNotePDF = async (creditNote, company, customer) => {
 
     const formatCurrency = (amount) => {
       const currencySymbols = { USD: '$', EUR: '€', GBP: '£', AED: 'AED ', INR: '₹', CAD: 'C$', AUD: 'A$' };
-      const symbol = currencySymbols[company.settings?.currency] || '₹';
+      const symbol = currencySymbols[creditNote.currency || company.settings?.currency] || '₹';
       return `${symbol}${Number(amount || 0).toFixed(2)}`;
     };
 
@@ -2429,6 +3256,7 @@ const generateCreditNotePDF = async (creditNote, company, customer) => {
     const sourceRef = creditNote.sourceType === 'invoice'
       ? (creditNote.originalInvoice?.invoiceNumber || 'N/A')
       : (creditNote.originalSale?.saleNumber || 'N/A');
+    const aedVat = aedVatAmount(creditNote, creditNote.currency || company.settings?.currency);
 
     const statusColors = {
       unused: '#10b981',
@@ -2493,13 +3321,14 @@ const generateCreditNotePDF = async (creditNote, company, customer) => {
                 ${company.address?.street ? `<div>${company.address.street}</div>` : ''}
                 ${company.address?.city ? `<div>${[company.address.city, company.address.state, company.address.zipCode].filter(Boolean).join(', ')}</div>` : ''}
                 ${company.address?.country ? `<div>${company.address.country}</div>` : ''}
+                ${company.trn ? `<div>TRN: ${company.trn}</div>` : ''}
               </div>
             </div>
             ${logoBase64 ? `<div class="logo-container"><img src="data:image/png;base64,${logoBase64}" alt="Logo"/></div>` : ''}
           </div>
 
           <div class="cn-title">
-            <h1>CREDIT NOTE</h1>
+            <h1>${taxDocumentTitle(creditNote, 'Credit Note').toUpperCase()}</h1>
             <div class="cn-number">${creditNote.creditNoteNumber || 'N/A'}</div>
           </div>
 
@@ -2516,6 +3345,7 @@ const generateCreditNotePDF = async (creditNote, company, customer) => {
               <div class="info-box-title">Customer</div>
               <p><strong>${customer ? `${customer.firstName} ${customer.lastName}` : 'N/A'}</strong></p>
               ${customer?.companyName ? `<p>${customer.companyName}</p>` : ''}
+              ${customer?.vatNumber ? `<p><strong>TRN:</strong> ${customer.vatNumber}</p>` : ''}
               ${customer?.email ? `<p>${customer.email}</p>` : ''}
               ${customer?.phone ? `<p>${customer.phone}</p>` : ''}
               ${customer?.address?.street ? `<p>${customer.address.street}</p>` : ''}
@@ -2542,7 +3372,7 @@ const generateCreditNotePDF = async (creditNote, company, customer) => {
                   <td>${item.productSku || '-'}</td>
                   <td class="text-right">${item.quantity}</td>
                   <td class="text-right">${formatCurrency(item.unitPrice)}</td>
-                  <td class="text-right">${formatCurrency(item.total)}</td>
+                  <td class="text-right">${formatCurrency(item.netAmount ?? item.total)}</td>
                 </tr>
               `).join('')}
             </tbody>
@@ -2551,13 +3381,16 @@ const generateCreditNotePDF = async (creditNote, company, customer) => {
           <div class="totals">
             <div class="totals-box">
               <div class="totals-row"><span>Subtotal</span><span>${formatCurrency(creditNote.subtotal)}</span></div>
-              ${creditNote.taxRate > 0 ? `<div class="totals-row"><span>Tax (${creditNote.taxRate}%)</span><span>${formatCurrency(creditNote.taxAmount)}</span></div>` : ''}
+              ${creditNote.taxAmount > 0 ? documentTaxLines(creditNote).map(line => `<div class="totals-row"><span>${line.label}</span><span>${formatCurrency(line.amount)}</span></div>`).join('') : ''}
               <div class="totals-row total"><span>Credit Amount</span><span>${formatCurrency(creditNote.creditAmount)}</span></div>
+              ${aedVat ? `<div class="totals-row"><span>VAT in AED (1 ${creditNote.currency || company.settings?.currency} = ${aedVat.rate} AED)</span><span>AED ${aedVat.amount.toFixed(2)}</span></div>` : ''}
               ${creditNote.usedAmount > 0 ? `<div class="totals-row used"><span>Used Amount</span><span>-${formatCurrency(creditNote.usedAmount)}</span></div>` : ''}
               <div class="totals-row remaining"><span>Remaining Balance</span><span>${formatCurrency(creditNote.remainingBalance)}</span></div>
             </div>
           </div>
 
+          ${taxSummaryTableHTML(creditNote, formatCurrency)}
+
           ${creditNote.returnReason ? `
             <div class="reason-box">
               <div class="reason-title">Return Reason</div>
@@ -2636,6 +3469,18 @@ module.exports = {
   generateQuotePDF,
   generateInvoicePDF,
   generateSOAPDF,
+  generateProfitAndLossPDF,
+  generateBalanceSheetPDF,
+  generateTrialBalancePDF,
+  generateAgingReportPDF,
+  generateInventoryValuationPDF,
+  generateVatReturnPDF,
+  generateReceiptPDF,
+  generateSaleReceiptPDF,
+  generateStockTransferPDF,
+  renderReportPDF,
+  generateReportHTML,
+  reportFormatters,
   generatePurchaseOrderPDF,
   generateCreditNotePDF,
   // New export for Delivery Order PDFs
@@ -2740,18 +3585,31 @@ module.exports = {
               <tbody>
                 ${sale.items.map((item, idx) => {
       const product = item.product || {};
-      const img = (product.images && product.images.length > 0) ? product.images[0] : null;
-      const safeDesc = (product.description || item.description || '').toString();
+      // Variants fall back to their parent's image and description
+      const parent = product.parentProduct || {};
+      const images = (product.images && product.images.length > 0) ? product.images : (parent.images || []);
+      const img = images.length > 0 ? images[0] : null;
+      const safeDesc = (product.description || parent.description || item.description || '').toString();
       const safeName = (product.name || item.productName || item.name || 'N/A').toString();
+      const variantLabel = (item.variantAttributes || []).map(attr => `${attr.name}: ${attr.value}`).join(', ');
+      const factor = item.unitFactor || 1;
+      const quantityLabel = item.unit ? `${item.quantity} ${item.unit}` : `${item.quantity}`;
+      const baseLabel = factor !== 1 && product.unit ? `<div style="color:#6b7280; font-size:7px; font-weight:normal;">(${item.quantity * factor} ${product.unit})</div>` : '';
+      // Lots picked for the line (quantities in base units); stock held outside a lot isn't listed
+      const lotLabel = (item.lots || [])
+        .filter(lot => lot.lotNumber && lot.lotNumber !== 'UNASSIGNED')
+        .map(lot => `Lot: ${lot.lotNumber}${lot.expiryDate ? ` (Exp ${new Date(lot.expiryDate).toLocaleDateString('en-GB')})` : ''} &times; ${lot.quantity}${product.unit ? ` ${product.unit}` : ''}`)
+        .join('<br/>');
+      const serialLabel = (item.serialNumbers || []).length > 0 ? `S/N: ${item.serialNumbers.join(', ')}` : '';
       return `
                     <tr>
                       <td class="si-col">${idx + 1}</td>
-                      <td><strong>${safeName}</strong>${product.sku ? `<div style="color:#6b7280; font-size:7px;">SKU: ${product.sku}</div>` : ''}</td>
+                      <td><strong>${safeName}</strong>${variantLabel ? `<div style="color:#6b7280; font-size:7px;">${variantLabel}</div>` : ''}${product.sku ? `<div style="color:#6b7280; font-size:7px;">SKU: ${product.sku}</div>` : ''}${lotLabel ? `<div style="color:#6b7280; font-size:7px;">${lotLabel}</div>` : ''}${serialLabel ? `<div style="color:#6b7280; font-size:7px;">${serialLabel}</div>` : ''}</td>
                       <td class="img-cell">
                         ${img ? `<img src="${img}" alt="Product" style="width:40px; height:40px; object-fit:cover; border-radius:4px;"/>` : `<div class="img-ph">No Image</div>`}
                       </td>
                       <td style="max-width:240px; word-wrap:break-word;">${safeDesc}</td>
-                      <td style="text-align:right; font-weight:600;">${item.quantity}</td>
+                      <td style="text-align:right; font-weight:600;">${quantityLabel}${baseLabel}</td>
                     </tr>
                   `;
     }).join('')}
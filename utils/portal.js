@@ -0,0 +1,34 @@
+const jwt = require('jsonwebtoken');
+
+const PORTAL_TOKEN_TYPE = 'portal';
+
+// Signed, no-password token giving one customer access to their own documents in the
+// customer portal. Raising the customer's portalTokenVersion revokes the tokens issued before.
+const createPortalToken = (customer, company) => {
+  const expiryDays = company.settings?.portalLinkExpiryDays || 30;
+
+  return jwt.sign(
+    {
+      type: PORTAL_TOKEN_TYPE,
+      customerId: customer._id,
+      companyId: company._id,
+      version: customer.portalTokenVersion || 0
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${expiryDays}d` }
+  );
+};
+
+// Magic link to the customer portal, or null when the company has the portal turned off
+const createPortalLink = (customer, company) => {
+  if (company.settings?.portalEnabled === false) return null;
+
+  const token = createPortalToken(customer, company);
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/portal?token=${encodeURIComponent(token)}`;
+};
+
+module.exports = {
+  PORTAL_TOKEN_TYPE,
+  createPortalToken,
+  createPortalLink
+};
@@ -0,0 +1,89 @@
+const Customer = require('../models/Customer');
+const PriceList = require('../models/PriceList');
+const Product = require('../models/Product');
+const { round2 } = require('./ledger');
+
+// Price list that applies to a customer on `date`: the one assigned to them, when it
+// is active and in date
+const priceListForCustomer = async (companyId, customerId, date = new Date()) => {
+  if (!customerId) return null;
+
+  const customer = await Customer.findOne({ _id: customerId, company: companyId }).select('priceList');
+  if (!customer || !customer.priceList) return null;
+
+  const priceList = await PriceList.findOne({ _id: customer.priceList, company: companyId });
+  return priceList && priceList.isValidOn(date) ? priceList : null;
+};
+
+// Unit price for `quantity` of a product sold in `conversion`'s unit (the base unit when
+// not given) under `priceList`, falling back to the product's selling price. Resolves
+// to { unitPrice, pricing }, where pricing records the rule that applied.
+const resolveUnitPrice = (product, quantity, priceList, conversion) => {
+  const { factor, sellingPrice } = conversion || { factor: 1, sellingPrice: product.sellingPrice };
+  const match = priceList ? priceList.priceFor(product, quantity * factor) : null;
+
+  if (!match) {
+    return { unitPrice: sellingPrice, pricing: { source: 'product' } };
+  }
+
+  return {
+    unitPrice: round2(match.unitPrice * factor),
+    pricing: {
+      source: 'price_list',
+      priceList: priceList._id,
+      priceListName: priceList.name,
+      rule: match.rule.type,
+      minQuantity: match.rule.minQuantity,
+      markupPercent: match.rule.markupPercent
+    }
+  };
+};
+
+// Price the lines of a quote or invoice for a customer. Lines linked to a product get
+// their name and description from it when missing and, unless a unit price was typed,
+// the price the customer's price list gives. Returns { items } or { error }.
+const priceDocumentItems = async (companyId, customerId, items, { date } = {}) => {
+  if (!Array.isArray(items)) {
+    return { items };
+  }
+
+  const productIds = items.map(item => item.product).filter(Boolean);
+  const products = await Product.find({ _id: { $in: productIds }, company: companyId });
+  const missing = productIds.find(id => !products.some(p => p._id.toString() === id.toString()));
+  if (missing) {
+    return { error: `Product not found: ${missing}` };
+  }
+
+  const priceList = await priceListForCustomer(companyId, customerId, date);
+
+  const priced = items.map(item => {
+    if (!item.product) {
+      return item;
+    }
+
+    const product = products.find(p => p._id.toString() === item.product.toString());
+    const line = {
+      ...item,
+      name: item.name || product.name,
+      description: item.description || product.description || product.name
+    };
+
+    if (item.unitPrice !== undefined && item.unitPrice !== null && item.unitPrice !== '') {
+      line.pricing = { source: 'manual' };
+      return line;
+    }
+
+    const { unitPrice, pricing } = resolveUnitPrice(product, Number(item.quantity) || 0, priceList);
+    line.unitPrice = unitPrice;
+    line.pricing = pricing;
+    return line;
+  });
+
+  return { items: priced };
+};
+
+module.exports = {
+  priceListForCustomer,
+  resolveUnitPrice,
+  priceDocumentItems
+};
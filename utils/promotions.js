@@ -0,0 +1,137 @@
+const Promotion = require('../models/Promotion');
+const Product = require('../models/Product');
+const { round2 } = require('./ledger');
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Whether a line's product is `productId` or one of its variants
+const isProductOrVariant = (product, productId) => (
+  !!product && (sameId(product._id, productId) || sameId(product.parentProduct, productId))
+);
+
+// Promotions that can apply on `date`: every automatic one still in date with uses
+// left, plus the coupon for `couponCode`. Returns { promotions, coupon } or { error }.
+const loadPromotions = async (companyId, { couponCode, customerId, date = new Date() } = {}) => {
+  const code = couponCode ? String(couponCode).trim().toUpperCase() : null;
+  const promotions = await Promotion.find({
+    company: companyId,
+    isActive: true,
+    $or: [{ code: null }, ...(code ? [{ code }] : [])]
+  });
+
+  let coupon = null;
+  if (code) {
+    coupon = promotions.find(p => p.code === code);
+    if (!coupon) {
+      return { error: `Coupon code ${code} is not valid` };
+    }
+    if (!coupon.isValidOn(date)) {
+      return { error: `Coupon code ${code} is not valid on this date` };
+    }
+    if (!coupon.hasUsageLeft(customerId)) {
+      return { error: `Coupon code ${code} has reached its usage limit` };
+    }
+  }
+
+  return {
+    promotions: promotions.filter(p => p.isValidOn(date) && p.hasUsageLeft(customerId)),
+    coupon
+  };
+};
+
+// Discount per line index a promotion gives across the document's lines
+const promotionDiscounts = (promotion, lines) => {
+  const discounts = {};
+
+  if (promotion.type === 'category_discount') {
+    const category = promotion.category.toLowerCase();
+    lines.forEach(({ item, product }, index) => {
+      if (product && (product.category || '').toLowerCase() === category) {
+        discounts[index] = round2(item.quantity * item.unitPrice * promotion.discountPercent / 100);
+      }
+    });
+    return discounts;
+  }
+
+  // Buy X get Y: count what was bought, then discount that many "get" units line by line
+  const getProductId = promotion.getProduct || promotion.buyProduct;
+  const bought = lines
+    .filter(({ product }) => isProductOrVariant(product, promotion.buyProduct))
+    .reduce((sum, { item }) => sum + item.quantity, 0);
+  const sameProduct = sameId(getProductId, promotion.buyProduct);
+  const sets = Math.floor(bought / (sameProduct ? promotion.buyQuantity + promotion.getQuantity : promotion.buyQuantity));
+
+  let freeUnits = sets * promotion.getQuantity;
+  lines.forEach(({ item, product }, index) => {
+    if (freeUnits <= 0 || !isProductOrVariant(product, getProductId)) return;
+    const units = Math.min(freeUnits, item.quantity);
+    discounts[index] = round2(units * item.unitPrice * promotion.getDiscountPercent / 100);
+    freeUnits -= units;
+  });
+  return discounts;
+};
+
+// Apply promotions to the lines of a sale, invoice or quote (plain objects with product,
+// quantity, unitPrice and optional discount/discountType). Lines with a discount of
+// their own keep it; every other line gets the best promotion for it as a fixed
+// discount with the promotion recorded. A coupon that discounts nothing is an error.
+// Returns { items } or { error }.
+const applyPromotions = async (companyId, items, { couponCode, customerId, date } = {}) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { items };
+  }
+
+  const { promotions, coupon, error } = await loadPromotions(companyId, { couponCode, customerId, date });
+  if (error) {
+    return { error };
+  }
+
+  // Promotion discounts are worked out afresh each time
+  const lines = items.map(item => ({
+    ...item,
+    ...(item.promotion ? { discount: 0, discountType: 'percentage', promotion: null, promotionName: undefined } : {})
+  }));
+  if (promotions.length === 0) {
+    return { items: lines };
+  }
+
+  const productIds = lines.map(item => item.product).filter(Boolean);
+  const products = await Product.find({ _id: { $in: productIds }, company: companyId })
+    .select('category parentProduct');
+  const eligible = lines.map(item => ({
+    item: { ...item, quantity: Number(item.quantity) || 0, unitPrice: Number(item.unitPrice) || 0 },
+    product: products.find(p => sameId(p._id, item.product)) || null
+  }));
+
+  const best = {};
+  promotions.forEach(promotion => {
+    const discounts = promotionDiscounts(promotion, eligible);
+    Object.entries(discounts).forEach(([index, amount]) => {
+      const line = lines[index];
+      if (amount <= 0 || line.discount > 0) return;
+      if (!best[index] || amount > best[index].amount) {
+        best[index] = { promotion, amount };
+      }
+    });
+  });
+
+  Object.entries(best).forEach(([index, { promotion, amount }]) => {
+    Object.assign(lines[index], {
+      discount: amount,
+      discountType: 'fixed',
+      promotion: promotion._id,
+      promotionName: promotion.name
+    });
+  });
+
+  if (coupon && !Object.values(best).some(({ promotion }) => sameId(promotion._id, coupon._id))) {
+    return { error: `Coupon code ${coupon.code} does not apply to any item` };
+  }
+
+  return { items: lines };
+};
+
+module.exports = {
+  loadPromotions,
+  applyPromotions
+};
@@ -0,0 +1,170 @@
+const Product = require('../models/Product');
+const SerialNumber = require('../models/SerialNumber');
+const { round2 } = require('./ledger');
+
+// Work out which lines a receipt covers. With no lines requested, everything still
+// outstanding is received; otherwise each line needs a poItem and a quantity that
+// does not exceed what is left to receive, and may name the lot received
+// (lotNumber, manufactureDate, expiryDate) and the serialNumbers of the units.
+const planReceipt = (purchaseOrder, requestedItems) => {
+  const outstanding = purchaseOrder.getOutstandingItems();
+
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    const items = outstanding
+      .filter(line => line.remainingQuantity > 0)
+      .map(line => ({ line, quantity: line.remainingQuantity, unitCost: line.unitPrice }));
+
+    if (items.length === 0) {
+      return { error: 'All items on this purchase order have been received' };
+    }
+    return { items };
+  }
+
+  const requestedPerLine = {};
+  const items = [];
+
+  for (const requested of requestedItems) {
+    const quantity = Number(requested.quantity);
+    if (!(quantity > 0)) {
+      return { error: 'Each received item needs a quantity greater than 0' };
+    }
+
+    const line = outstanding.find(o => requested.poItem && o.poItem.toString() === requested.poItem.toString());
+    if (!line) {
+      return { error: `Purchase order line ${requested.poItem} not found` };
+    }
+
+    const key = line.poItem.toString();
+    requestedPerLine[key] = round2((requestedPerLine[key] || 0) + quantity);
+    if (requestedPerLine[key] - line.remainingQuantity > 0.005) {
+      return { error: `Only ${line.remainingQuantity} of "${line.name}" is left to receive` };
+    }
+
+    const lot = requested.lotNumber ? {
+      lotNumber: String(requested.lotNumber).trim(),
+      manufactureDate: requested.manufactureDate ? new Date(requested.manufactureDate) : undefined,
+      expiryDate: requested.expiryDate ? new Date(requested.expiryDate) : undefined
+    } : null;
+    if (lot && [lot.manufactureDate, lot.expiryDate].some(date => date && isNaN(date))) {
+      return { error: `Lot ${lot.lotNumber} has an invalid date` };
+    }
+    if (lot && lot.manufactureDate && lot.expiryDate && lot.expiryDate < lot.manufactureDate) {
+      return { error: `Expiry date of lot ${lot.lotNumber} is before its manufacture date` };
+    }
+
+    items.push({
+      line,
+      quantity,
+      unitCost: requested.unitCost !== undefined ? Number(requested.unitCost) : line.unitPrice,
+      lot,
+      serialNumbers: SerialNumber.normalize(requested.serialNumbers)
+    });
+  }
+
+  return { items };
+};
+
+// Record a goods receipt on a purchase order: lines linked to a product add stock and
+// a cost layer at the received unit cost (into the received lot for lot-tracked products),
+// and the order moves to in_progress or completed. Unit costs are in the order's currency;
+// stock is costed in base currency at the order's exchange rate.
+const receivePurchaseOrder = async (purchaseOrder, requestedItems, { receivedDate, notes, userId, warehouse } = {}) => {
+  const plan = planReceipt(purchaseOrder, requestedItems);
+  if (plan.error) {
+    return { error: plan.error };
+  }
+
+  const productIds = plan.items.map(item => item.line.product).filter(Boolean);
+  const products = await Product.find({ _id: { $in: productIds }, company: purchaseOrder.company });
+  const productMap = {};
+  products.forEach(product => {
+    productMap[product._id.toString()] = product;
+  });
+
+  const missing = productIds.find(id => !productMap[id.toString()]);
+  if (missing) {
+    return { error: `Product ${missing} on this purchase order no longer exists` };
+  }
+
+  const unlotted = plan.items.find(({ line, lot }) => line.product && productMap[line.product.toString()].trackLots && !lot);
+  if (unlotted) {
+    return { error: `A lot number is required for "${unlotted.line.name}"` };
+  }
+
+  for (const { line, quantity, serialNumbers } of plan.items) {
+    const product = line.product ? productMap[line.product.toString()] : null;
+    if (product && product.trackSerials) {
+      const serialError = await SerialNumber.checkReceipt(product, serialNumbers, quantity);
+      if (serialError) {
+        return { error: serialError };
+      }
+    }
+  }
+
+  const receiptItems = [];
+  for (const { line, quantity, unitCost, lot, serialNumbers } of plan.items) {
+    const product = line.product ? productMap[line.product.toString()] : null;
+
+    if (product) {
+      await product.updateStock(quantity, 'add', {
+        unitCost: Math.round(unitCost * (purchaseOrder.exchangeRate || 1) * 10000) / 10000,
+        lots: lot ? [lot] : undefined,
+        date: receivedDate,
+        type: 'purchase_receipt',
+        reason: notes || 'Goods received',
+        sourceType: 'purchase_order',
+        sourceId: purchaseOrder._id,
+        sourceNumber: purchaseOrder.poNumber,
+        user: userId,
+        warehouse
+      });
+
+      if (product.trackSerials) {
+        await SerialNumber.recordEvent(product, serialNumbers, 'received', {
+          date: receivedDate,
+          sourceType: 'purchase_order',
+          sourceId: purchaseOrder._id,
+          sourceNumber: purchaseOrder.poNumber,
+          user: userId,
+          warehouse
+        });
+      }
+    }
+
+    purchaseOrder.items.id(line.poItem).receivedQuantity = round2(line.receivedQuantity + quantity);
+    receiptItems.push({
+      poItem: line.poItem,
+      product: product ? product._id : null,
+      name: line.name,
+      quantity,
+      unitCost,
+      ...(lot || {}),
+      serialNumbers: product && product.trackSerials ? serialNumbers : []
+    });
+  }
+
+  purchaseOrder.receipts.push({
+    receivedDate: receivedDate || new Date(),
+    warehouse,
+    items: receiptItems,
+    notes,
+    receivedBy: userId
+  });
+
+  const fullyReceived = purchaseOrder.getOutstandingItems().every(line => line.remainingQuantity <= 0);
+  if (fullyReceived) {
+    purchaseOrder.status = 'completed';
+    purchaseOrder.completedAt = new Date();
+    purchaseOrder.actualDeliveryDate = receivedDate || new Date();
+  } else {
+    purchaseOrder.status = 'in_progress';
+  }
+
+  await purchaseOrder.save();
+
+  return { receipt: purchaseOrder.receipts[purchaseOrder.receipts.length - 1] };
+};
+
+module.exports = {
+  receivePurchaseOrder
+};
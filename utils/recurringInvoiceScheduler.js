@@ -0,0 +1,194 @@
+const RecurringInvoice = require('../models/RecurringInvoice');
+const Invoice = require('../models/Invoice');
+const Promotion = require('../models/Promotion');
+const { sendInvoiceEmail } = require('./emailService');
+const { syncInvoice } = require('./ledger');
+const { priceDocumentItems } = require('./pricing');
+const { applyPromotions } = require('./promotions');
+const { resolveLineTaxes } = require('./taxes');
+
+let timer = null;
+let isRunning = false;
+
+// Create the invoice for one run of a schedule, emailing it when autoSend is on. Lines
+// are priced, promoted and taxed the same way as invoices created by hand.
+const generateInvoice = async (recurring, runDate) => {
+  const dueDate = new Date(runDate);
+  dueDate.setDate(dueDate.getDate() + recurring.dueInDays);
+
+  const items = recurring.items.map(item => ({
+    product: item.product,
+    name: item.name,
+    description: item.description,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    discount: item.discount,
+    discountType: item.discountType,
+    taxes: item.taxes.map(t => t.tax).filter(Boolean)
+  }));
+
+  const priced = await priceDocumentItems(recurring.company, recurring.customer, items, { date: runDate });
+  if (priced.error) throw new Error(priced.error);
+
+  const promoted = await applyPromotions(recurring.company, priced.items, {
+    customerId: recurring.customer,
+    date: runDate
+  });
+  if (promoted.error) throw new Error(promoted.error);
+
+  const taxed = await resolveLineTaxes(recurring.company, promoted.items);
+  if (taxed.error) throw new Error(taxed.error);
+
+  const invoice = new Invoice({
+    customer: recurring.customer,
+    company: recurring.company,
+    title: recurring.title,
+    description: recurring.description,
+    items: taxed.items,
+    subtotal: recurring.subtotal,
+    tax: recurring.tax,
+    taxRate: recurring.taxRate,
+    taxAmount: recurring.taxAmount,
+    pricesIncludeTax: recurring.pricesIncludeTax,
+    currency: recurring.currency,
+    total: recurring.total,
+    status: recurring.autoSend ? 'sent' : 'draft',
+    // Dated at the occurrence, so a late or retried run is still posted, aged and taxed
+    // in its own period
+    createdAt: runDate,
+    dueDate,
+    terms: recurring.terms,
+    notes: recurring.notes,
+    createdBy: recurring.createdBy,
+    recurringInvoice: recurring._id
+  });
+  await invoice.save();
+
+  // The invoice exists from here on, so nothing below may fail the run
+  try {
+    await Promotion.recordRedemptions(invoice, 'invoice');
+  } catch (promotionError) {
+    console.error('Recurring invoice promotion redemption failed:', promotionError);
+  }
+
+  // Post to the general ledger (drafts are not posted)
+  await syncInvoice(invoice, recurring.createdBy);
+
+  let emailSent = false;
+  if (recurring.autoSend) {
+    await invoice.populate('customer');
+    await invoice.populate('company');
+
+    if (invoice.customer.email) {
+      try {
+        const emailResult = await sendInvoiceEmail(invoice, invoice.customer.email);
+        emailSent = !!emailResult?.success;
+      } catch (emailError) {
+        // Don't fail the run if email fails; the invoice already exists
+        console.error('Recurring invoice email sending failed:', emailError);
+      }
+    }
+  }
+
+  return { invoice, emailSent };
+};
+
+// Generate one due run of a schedule. The run is claimed atomically first (lastRunDate
+// set to it) so that overlapping scheduler passes (or several server instances) cannot
+// bill it twice. The schedule only moves on once the invoice is saved; a failed run
+// gives its claim back and is tried again on the next pass.
+const processRun = async (recurring) => {
+  const runDate = recurring.nextRunDate;
+  const previousRunDate = recurring.lastRunDate;
+
+  const claimed = await RecurringInvoice.findOneAndUpdate(
+    { _id: recurring._id, status: 'active', nextRunDate: runDate, lastRunDate: { $ne: runDate } },
+    { $inc: { occurrencesGenerated: 1 }, $set: { lastRunDate: runDate } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const run = { runDate, status: 'generated' };
+  try {
+    const { invoice, emailSent } = await generateInvoice(claimed, runDate);
+    run.invoice = invoice._id;
+    run.invoiceNumber = invoice.invoiceNumber;
+    run.emailSent = emailSent;
+  } catch (error) {
+    console.error(`Recurring invoice ${claimed._id} run failed:`, error);
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  claimed.runs.push(run);
+  if (run.status === 'generated') {
+    claimed.scheduleNextRun();
+  } else {
+    claimed.occurrencesGenerated -= 1;
+    claimed.lastRunDate = previousRunDate;
+  }
+  await claimed.save();
+
+  return claimed;
+};
+
+// Generate invoices for every active schedule whose next run is due,
+// catching up on any runs missed while the server was down
+const processDueRecurringInvoices = async (now = new Date()) => {
+  if (isRunning) return { generated: 0, failed: 0 };
+  isRunning = true;
+
+  const result = { generated: 0, failed: 0 };
+  try {
+    const due = await RecurringInvoice.find({
+      status: 'active',
+      nextRunDate: { $ne: null, $lte: now }
+    });
+
+    for (let recurring of due) {
+      while (recurring && recurring.status === 'active' && recurring.nextRunDate && recurring.nextRunDate <= now) {
+        recurring = await processRun(recurring);
+        if (recurring) {
+          const lastRun = recurring.runs[recurring.runs.length - 1];
+          result[lastRun.status === 'generated' ? 'generated' : 'failed'] += 1;
+          // Stop catching up on a schedule whose runs are failing
+          if (lastRun.status === 'failed') break;
+        }
+      }
+    }
+
+    if (result.generated || result.failed) {
+      console.log(`Recurring invoices processed: ${result.generated} generated, ${result.failed} failed`);
+    }
+  } catch (error) {
+    console.error('Recurring invoice scheduler error:', error);
+  } finally {
+    isRunning = false;
+  }
+
+  return result;
+};
+
+// Start checking for due schedules on an interval. RECURRING_INVOICE_INTERVAL_MINUTES is
+// read on start rather than on load, so a value from .env is picked up.
+const startRecurringInvoiceScheduler = () => {
+  if (timer) return;
+
+  const intervalMinutes = parseInt(process.env.RECURRING_INVOICE_INTERVAL_MINUTES) || 60;
+  console.log(`🔁 Recurring invoice scheduler running every ${intervalMinutes} minutes`);
+  processDueRecurringInvoices();
+  timer = setInterval(processDueRecurringInvoices, intervalMinutes * 60 * 1000);
+};
+
+const stopRecurringInvoiceScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  processDueRecurringInvoices,
+  startRecurringInvoiceScheduler,
+  stopRecurringInvoiceScheduler
+};
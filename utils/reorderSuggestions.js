@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Sale = require('../models/Sale');
+const Vendor = require('../models/Vendor');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { round2 } = require('./ledger');
+
+// Purchase orders whose outstanding quantities are still expected to arrive
+const OPEN_PO_STATUSES = ['draft', 'sent', 'confirmed', 'in_progress'];
+
+// Net base units sold per product (sales less returns) since `since`
+const unitsSold = async (companyId, since) => {
+  const rows = await Sale.aggregate([
+    {
+      $match: {
+        company: new mongoose.Types.ObjectId(companyId),
+        status: { $ne: 'cancelled' },
+        saleDate: { $gte: since }
+      }
+    },
+    { $unwind: '$items' },
+    { $match: { 'items.product': { $ne: null } } },
+    {
+      $project: {
+        product: '$items.product',
+        quantity: {
+          $multiply: ['$items.quantity', { $ifNull: ['$items.unitFactor', 1] }, { $cond: ['$isReturn', -1, 1] }]
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$product',
+        quantity: { $sum: '$quantity' }
+      }
+    }
+  ]);
+
+  return rows.reduce((map, row) => {
+    map[row._id.toString()] = Math.max(0, row.quantity);
+    return map;
+  }, {});
+};
+
+// Quantity per product ordered on open purchase orders but not yet received
+const incomingStock = async (companyId) => {
+  const rows = await PurchaseOrder.aggregate([
+    {
+      $match: {
+        company: new mongoose.Types.ObjectId(companyId),
+        status: { $in: OPEN_PO_STATUSES }
+      }
+    },
+    { $unwind: '$items' },
+    { $match: { 'items.product': { $ne: null } } },
+    {
+      $group: {
+        _id: '$items.product',
+        quantity: {
+          $sum: { $max: [0, { $subtract: ['$items.quantity', { $ifNull: ['$items.receivedQuantity', 0] }] }] }
+        }
+      }
+    }
+  ]);
+
+  return rows.reduce((map, row) => {
+    map[row._id.toString()] = row.quantity;
+    return map;
+  }, {});
+};
+
+// Work out what to reorder. A product is suggested when it is at its reorder point
+// (needsReorder) or will fall to it within the lead time once open orders arrive. The
+// suggested quantity brings stock back up to maxStockLevel (the reorder point when no
+// maximum is set) plus what is expected to sell while the order is on its way.
+const buildReorderSuggestions = async (companyId, { days = 30, leadTimeDays = 7, supplier } = {}) => {
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+  since.setHours(0, 0, 0, 0);
+
+  const filters = { company: companyId, isActive: true, isTrackable: true, hasVariants: { $ne: true } };
+  if (supplier) {
+    filters.supplier = supplier;
+  }
+
+  const [products, sold, incoming] = await Promise.all([
+    Product.find(filters).populate('supplier', 'name email paymentTerms').sort({ name: 1 }),
+    unitsSold(companyId, since),
+    incomingStock(companyId)
+  ]);
+
+  const suggestions = [];
+  for (const product of products) {
+    const key = product._id.toString();
+    const averageDailySales = round2((sold[key] || 0) / days);
+    const incomingQuantity = incoming[key] || 0;
+    const leadTimeDemand = averageDailySales * leadTimeDays;
+    const projectedQuantity = product.stockQuantity + incomingQuantity - leadTimeDemand;
+
+    if (!product.needsReorder() && projectedQuantity > product.reorderPoint) continue;
+
+    const targetQuantity = (product.maxStockLevel || product.reorderPoint) + leadTimeDemand;
+    const suggestedQuantity = Math.ceil(targetQuantity - product.stockQuantity - incomingQuantity);
+    if (suggestedQuantity <= 0) continue;
+
+    suggestions.push({
+      product: product._id,
+      name: product.name,
+      sku: product.sku,
+      unit: product.unit,
+      supplier: product.supplier ? { _id: product.supplier._id, name: product.supplier.name } : null,
+      stockQuantity: product.stockQuantity,
+      incomingQuantity,
+      reorderPoint: product.reorderPoint,
+      maxStockLevel: product.maxStockLevel ?? null,
+      averageDailySales,
+      daysOfStock: averageDailySales > 0 ? Math.floor(product.stockQuantity / averageDailySales) : null,
+      suggestedQuantity,
+      unitCost: product.costPrice,
+      estimatedCost: round2(suggestedQuantity * product.costPrice)
+    });
+  }
+
+  return suggestions;
+};
+
+// Draft one purchase order per vendor for `lines` ({ product, quantity, vendor? }). Lines
+// go to the product's supplier unless a vendor is given; those with neither are returned
+// as unassigned. `company` is the populated company, placed on each order as the client.
+const draftReorderPurchaseOrders = async (company, lines, { userId, warehouse } = {}) => {
+  const products = await Product.find({
+    _id: { $in: lines.map(line => line.product) },
+    company: company._id
+  });
+  const productMap = products.reduce((map, product) => {
+    map[product._id.toString()] = product;
+    return map;
+  }, {});
+
+  const unknown = lines.find(line => !productMap[line.product.toString()]);
+  if (unknown) {
+    return { error: `Product not found: ${unknown.product}` };
+  }
+
+  const byVendor = {};
+  const unassigned = [];
+  for (const line of lines) {
+    const product = productMap[line.product.toString()];
+    const vendorId = line.vendor || product.supplier;
+    if (!vendorId) {
+      unassigned.push({ product: product._id, name: product.name, sku: product.sku, quantity: line.quantity });
+      continue;
+    }
+    const key = vendorId.toString();
+    if (!byVendor[key]) byVendor[key] = [];
+    byVendor[key].push({ product, quantity: line.quantity });
+  }
+
+  const vendors = await Vendor.find({ _id: { $in: Object.keys(byVendor) }, company: company._id });
+  const missingVendor = Object.keys(byVendor).find(id => !vendors.some(v => v._id.toString() === id));
+  if (missingVendor) {
+    return { error: `Vendor not found: ${missingVendor}` };
+  }
+
+  const purchaseOrders = [];
+  for (const vendor of vendors) {
+    const purchaseOrder = new PurchaseOrder({
+      vendor: vendor._id,
+      client: {
+        id: company._id,
+        name: company.name || 'Company',
+        email: company.email || '',
+        phone: company.phone || '',
+        address: company.address || {}
+      },
+      company: company._id,
+      title: `Stock reorder - ${vendor.name}`,
+      description: 'Drafted from reorder suggestions',
+      items: byVendor[vendor._id.toString()].map(({ product, quantity }) => ({
+        product: product._id,
+        name: product.name,
+        description: product.sku,
+        quantity,
+        unitPrice: product.costPrice
+      })),
+      status: 'draft',
+      paymentTerms: vendor.paymentTerms,
+      customPaymentTerms: vendor.customPaymentTerms,
+      warehouse,
+      createdBy: userId
+    });
+    await purchaseOrder.save();
+    purchaseOrders.push(purchaseOrder);
+  }
+
+  return { purchaseOrders, unassigned };
+};
+
+module.exports = {
+  buildReorderSuggestions,
+  draftReorderPurchaseOrders
+};
@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const CreditNote = require('../models/CreditNote');
+const Sale = require('../models/Sale');
+const { round2 } = require('./ledger');
+const { toBase } = require('./currency');
+
+// Collect every dated movement on a customer's account up to `toDate`.
+// Debits increase what the customer owes; credits reduce it. Documents are
+// debited at their net payable and each credit note redemption is debited
+// separately, so credit used on any document (even a cash sale) is accounted for.
+// Amounts are in base currency at each document's exchange rate; a receipt settling
+// invoices booked at another rate is followed by its realized exchange difference.
+const collectTransactions = async (companyId, customerId, toDate) => {
+  const company = new mongoose.Types.ObjectId(companyId);
+  const customer = new mongoose.Types.ObjectId(customerId);
+
+  const [invoices, payments, creditNotes, sales] = await Promise.all([
+    Invoice.find({
+      company,
+      customer,
+      invoiceNumber: { $exists: true, $ne: null },
+      status: { $nin: ['draft', 'cancelled'] },
+      createdAt: { $lte: toDate }
+    }).lean(),
+    Payment.find({
+      company,
+      customer,
+      status: { $ne: 'void' },
+      paymentDate: { $lte: toDate }
+    }).lean(),
+    CreditNote.find({
+      company,
+      customer,
+      createdAt: { $lte: toDate }
+    }).lean(),
+    Sale.find({
+      company,
+      customer,
+      paymentMethod: 'credit',
+      status: { $ne: 'cancelled' },
+      saleDate: { $lte: toDate }
+    }).lean()
+  ]);
+
+  // Credit reserved by draft or cancelled documents has not been consumed
+  const redeemedInvoiceIds = [];
+  const redeemedSaleIds = [];
+  creditNotes.forEach(creditNote => {
+    creditNote.redemptions.forEach(redemption => {
+      if (redemption.invoice) redeemedInvoiceIds.push(redemption.invoice);
+      if (redemption.sale) redeemedSaleIds.push(redemption.sale);
+    });
+  });
+  const [inactiveInvoices, cancelledSales] = await Promise.all([
+    Invoice.find({ _id: { $in: redeemedInvoiceIds }, status: { $in: ['draft', 'cancelled'] } }).select('_id').lean(),
+    Sale.find({ _id: { $in: redeemedSaleIds }, status: 'cancelled' }).select('_id').lean()
+  ]);
+  const inactiveIds = new Set([...inactiveInvoices, ...cancelledSales].map(doc => doc._id.toString()));
+
+  const transactions = [];
+
+  invoices.forEach(invoice => {
+    const creditApplied = invoice.creditApplied || 0;
+    transactions.push({
+      date: invoice.createdAt,
+      type: 'invoice',
+      reference: invoice.invoiceNumber,
+      sourceId: invoice._id,
+      description: (invoice.items && invoice.items.length > 0
+        ? invoice.items.map(item => item.name).join(', ')
+        : invoice.description || invoice.title || 'Invoice') +
+        (creditApplied > 0 ? ` (total ${round2(invoice.total).toFixed(2)} less credit ${round2(creditApplied).toFixed(2)})` : ''),
+      debit: invoice.finalPayable ?? invoice.total,
+      credit: 0,
+      currency: invoice.currency,
+      exchangeRate: invoice.exchangeRate
+    });
+
+    // Payments recorded directly on the invoice before receipts existed
+    (invoice.payments || []).forEach(payment => {
+      transactions.push({
+        date: payment.paymentDate,
+        type: 'payment',
+        reference: invoice.invoiceNumber,
+        sourceId: payment._id,
+        description: `Payment (${(payment.paymentMethod || 'other').replace(/_/g, ' ')})${payment.notes ? ` - ${payment.notes}` : ''}`,
+        debit: 0,
+        credit: payment.amount,
+        currency: invoice.currency,
+        exchangeRate: invoice.exchangeRate
+      });
+    });
+  });
+
+  payments.forEach(payment => {
+    const appliedTo = payment.allocations.map(allocation => allocation.invoiceNumber).filter(Boolean);
+    transactions.push({
+      date: payment.paymentDate,
+      type: 'payment',
+      reference: payment.receiptNumber,
+      sourceId: payment._id,
+      description: `Payment received (${payment.paymentMethod.replace(/_/g, ' ')})` +
+        (payment.reference ? ` ref ${payment.reference}` : '') +
+        (appliedTo.length > 0 ? ` - applied to ${appliedTo.join(', ')}` : ' - held as advance'),
+      debit: 0,
+      credit: payment.amount,
+      currency: payment.currency,
+      exchangeRate: payment.exchangeRate
+    });
+
+    if (payment.fxGainLoss) {
+      transactions.push({
+        date: payment.paymentDate,
+        type: 'exchange_difference',
+        reference: payment.receiptNumber,
+        sourceId: payment._id,
+        description: `Realized exchange ${payment.fxGainLoss > 0 ? 'gain' : 'loss'}`,
+        debit: Math.max(0, payment.fxGainLoss),
+        credit: Math.max(0, -payment.fxGainLoss)
+      });
+    }
+  });
+
+  creditNotes.forEach(creditNote => {
+    transactions.push({
+      date: creditNote.createdAt,
+      type: 'credit_note',
+      reference: creditNote.creditNoteNumber,
+      sourceId: creditNote._id,
+      description: `Credit note${creditNote.returnReason ? ` - ${creditNote.returnReason}` : ''}`,
+      debit: 0,
+      credit: creditNote.creditAmount,
+      currency: creditNote.currency,
+      exchangeRate: creditNote.exchangeRate
+    });
+
+    creditNote.redemptions.forEach(redemption => {
+      if (redemption.date > toDate) return;
+      const documentId = (redemption.invoice || redemption.sale || '').toString();
+      if (inactiveIds.has(documentId)) return;
+
+      transactions.push({
+        date: redemption.date,
+        type: 'credit_redemption',
+        reference: creditNote.creditNoteNumber,
+        sourceId: redemption._id,
+        description: redemption.notes || 'Credit note applied',
+        debit: redemption.amount,
+        credit: 0,
+        currency: creditNote.currency,
+        exchangeRate: creditNote.exchangeRate
+      });
+    });
+
+    // Unused credit lapses when the credit note expires
+    if (creditNote.status === 'expired' && creditNote.expiryDate && creditNote.expiryDate <= toDate && creditNote.remainingBalance > 0) {
+      transactions.push({
+        date: creditNote.expiryDate,
+        type: 'credit_expiry',
+        reference: creditNote.creditNoteNumber,
+        sourceId: creditNote._id,
+        description: 'Unused credit expired',
+        debit: creditNote.remainingBalance,
+        credit: 0,
+        currency: creditNote.currency,
+        exchangeRate: creditNote.exchangeRate
+      });
+    }
+  });
+
+  sales.forEach(sale => {
+    if (sale.isReturn) {
+      transactions.push({
+        date: sale.saleDate,
+        type: 'sale_return',
+        reference: sale.saleNumber,
+        sourceId: sale._id,
+        description: `Return${sale.returnReason ? ` - ${sale.returnReason}` : ''}`,
+        debit: 0,
+        credit: sale.total,
+        currency: sale.currency,
+        exchangeRate: sale.exchangeRate
+      });
+      return;
+    }
+
+    transactions.push({
+      date: sale.saleDate,
+      type: 'sale',
+      reference: sale.saleNumber,
+      sourceId: sale._id,
+      description: `Credit sale - ${sale.items.map(item => item.productName).join(', ')}`,
+      debit: sale.finalPayable ?? sale.total,
+      credit: 0,
+      currency: sale.currency,
+      exchangeRate: sale.exchangeRate
+    });
+
+    // Sales carry no payment records; a settled credit sale is credited when it was marked paid
+    if (sale.paymentStatus === 'paid' && sale.updatedAt <= toDate) {
+      transactions.push({
+        date: sale.updatedAt,
+        type: 'payment',
+        reference: sale.saleNumber,
+        sourceId: sale._id,
+        description: 'Credit sale settled',
+        debit: 0,
+        credit: sale.finalPayable ?? sale.total,
+        currency: sale.currency,
+        exchangeRate: sale.exchangeRate
+      });
+    }
+  });
+
+  return transactions
+    .map(({ currency, exchangeRate, ...transaction }) => {
+      // Foreign currency documents note the amount in their own currency
+      const foreign = exchangeRate && exchangeRate !== 1
+        ? ` (${currency} ${round2(transaction.debit || transaction.credit).toFixed(2)} at ${exchangeRate})`
+        : '';
+      return {
+        ...transaction,
+        description: transaction.description + foreign,
+        debit: toBase(transaction.debit, exchangeRate),
+        credit: toBase(transaction.credit, exchangeRate)
+      };
+    })
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+// Statement of account for a customer: opening balance brought forward from before
+// `fromDate`, every movement within the period with a running balance, and the closing balance
+const buildStatement = async (companyId, customerId, fromDate, toDate) => {
+  const transactions = await collectTransactions(companyId, customerId, toDate);
+
+  let openingBalance = 0;
+  const periodTransactions = [];
+  transactions.forEach(transaction => {
+    if (new Date(transaction.date) < fromDate) {
+      openingBalance += transaction.debit - transaction.credit;
+    } else {
+      periodTransactions.push(transaction);
+    }
+  });
+  openingBalance = round2(openingBalance);
+
+  let runningBalance = openingBalance;
+  const lines = periodTransactions.map(transaction => {
+    runningBalance = round2(runningBalance + transaction.debit - transaction.credit);
+    return { ...transaction, balance: runningBalance };
+  });
+
+  return {
+    openingBalance,
+    transactions: lines,
+    totals: {
+      debit: round2(lines.reduce((sum, line) => sum + line.debit, 0)),
+      credit: round2(lines.reduce((sum, line) => sum + line.credit, 0))
+    },
+    closingBalance: runningBalance
+  };
+};
+
+module.exports = {
+  buildStatement
+};
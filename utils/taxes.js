@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// A tax as charged on a line: a copy of the Tax at the time, so later rate changes
+// don't alter documents already issued
+const lineTaxSchema = new mongoose.Schema({
+  tax: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tax'
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100%']
+  },
+  // Compound taxes are charged on the line plus the taxes before them
+  isCompound: {
+    type: Boolean,
+    default: false
+  },
+  vatCategory: {
+    type: String,
+    enum: ['standard', 'zero_rated', 'exempt', 'out_of_scope']
+  }
+}, { _id: false });
+
+// One row of a document's tax breakdown
+const taxSummarySchema = new mongoose.Schema({
+  tax: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tax'
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  rate: {
+    type: Number,
+    default: 0
+  },
+  isCompound: {
+    type: Boolean,
+    default: false
+  },
+  vatCategory: {
+    type: String,
+    enum: ['standard', 'zero_rated', 'exempt', 'out_of_scope']
+  },
+  // Net amount of the lines the tax was charged on
+  taxableAmount: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// The document-level tax, charged on every line without taxes of its own
+const documentTaxes = (document) => (
+  document.tax || document.taxRate > 0
+    ? [{ tax: document.tax?._id || document.tax, name: document.tax?.name, rate: document.taxRate || 0, isCompound: false, vatCategory: document.tax?.vatCategory }]
+    : []
+);
+
+// Work out each line's taxes and return the document's tax breakdown. `item.total` must
+// already be the line's amount after discounts; when prices include tax it is taken as
+// tax-inclusive and left as it is, the net amount being worked out from it. `baseFactor`
+// scales the taxable amount (an order-level discount spread over the lines).
+// Sets item.netAmount and item.taxAmount on each line; returns { taxAmount, taxSummary }.
+const applyLineTaxes = (items, { defaultTaxes = [], pricesIncludeTax = false, baseFactor = 1 } = {}) => {
+  const summary = new Map();
+
+  items.forEach(item => {
+    const taxes = item.taxes && item.taxes.length > 0 ? item.taxes : defaultTaxes;
+    const simpleRate = taxes.filter(t => !t.isCompound).reduce((sum, t) => sum + (t.rate || 0), 0) / 100;
+    const grossFactor = taxes.filter(t => t.isCompound)
+      .reduce((factor, t) => factor * (1 + (t.rate || 0) / 100), 1 + simpleRate);
+
+    const lineAmount = item.total || 0;
+    item.netAmount = pricesIncludeTax ? round2(lineAmount / grossFactor) : lineAmount;
+    const base = item.netAmount * baseFactor;
+
+    // Simple taxes are charged on the net amount, compound ones on everything before them
+    const amounts = taxes.map(t => (t.isCompound ? 0 : round2(base * (t.rate || 0) / 100)));
+    let running = base + amounts.reduce((sum, amount) => sum + amount, 0);
+    taxes.forEach((t, index) => {
+      if (!t.isCompound) return;
+      amounts[index] = round2(running * (t.rate || 0) / 100);
+      running += amounts[index];
+    });
+
+    // Inclusive prices: the taxes make up exactly what the net amount leaves of the price
+    if (pricesIncludeTax && baseFactor === 1 && taxes.length > 0) {
+      const difference = round2(lineAmount - item.netAmount - amounts.reduce((sum, amount) => sum + amount, 0));
+      amounts[amounts.length - 1] = round2(amounts[amounts.length - 1] + difference);
+    }
+
+    item.taxAmount = round2(amounts.reduce((sum, amount) => sum + amount, 0));
+
+    taxes.forEach((t, index) => {
+      const key = t.tax ? t.tax.toString() : `${t.name || ''}:${t.rate}`;
+      const row = summary.get(key) || {
+        tax: t.tax || null,
+        name: t.name,
+        rate: t.rate || 0,
+        isCompound: !!t.isCompound,
+        vatCategory: t.vatCategory,
+        taxableAmount: 0,
+        amount: 0
+      };
+      row.taxableAmount = round2(row.taxableAmount + base);
+      row.amount = round2(row.amount + amounts[index]);
+      summary.set(key, row);
+    });
+  });
+
+  const taxSummary = [...summary.values()];
+  return {
+    taxAmount: round2(taxSummary.reduce((sum, row) => sum + row.amount, 0)),
+    taxSummary
+  };
+};
+
+// Tax registration numbers are stored without spaces or dashes. A UAE TRN is 15 digits;
+// other VAT numbers (with a country prefix) are letters and digits.
+const normalizeTaxNumber = (value) => (typeof value === 'string' ? value.replace(/[\s-]/g, '').toUpperCase() : value);
+
+const isValidTaxNumber = (value) => (
+  !value || (/^\d+$/.test(value) ? /^\d{15}$/.test(value) : /^[A-Z0-9]{4,20}$/.test(value))
+);
+
+// AED per unit of the document currency when the document was issued, so VAT can be
+// stated in AED: 1 for AED documents, otherwise the document's rate to base currency
+// times the company's AED rate (none when the company works in AED). Call after the
+// document's exchange rate is resolved.
+const resolveAedExchangeRate = async (document) => {
+  if (document.aedExchangeRate) return;
+  if (document.currency === 'AED') {
+    document.aedExchangeRate = 1;
+    return;
+  }
+  const company = await mongoose.model('Company').findById(document.company).select('settings.currency settings.aedExchangeRate');
+  const baseAedRate = company?.settings?.currency === 'AED' ? 1 : company?.settings?.aedExchangeRate;
+  document.aedExchangeRate = baseAedRate ? Math.round(baseAedRate * (document.exchangeRate || 1) * 1000000) / 1000000 : null;
+};
+
+// Documents created without saying whether prices include tax follow the company setting
+const resolvePricesIncludeTax = async (document) => {
+  if (document.pricesIncludeTax !== null && document.pricesIncludeTax !== undefined) return;
+  const company = await mongoose.model('Company').findById(document.company).select('settings.pricesIncludeTax');
+  document.pricesIncludeTax = !!company?.settings?.pricesIncludeTax;
+};
+
+// Turn the Tax ids sent for each line (items[].taxes) into the taxes stored on the line.
+// Returns { items } or { error }.
+const resolveLineTaxes = async (companyId, items) => {
+  if (!Array.isArray(items)) {
+    return { items };
+  }
+
+  const ids = [...new Set(items.flatMap(item => (Array.isArray(item.taxes) ? item.taxes : []))
+    .map(t => String(t?.tax?._id || t?.tax || t?._id || t)))];
+  const invalid = ids.find(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid) {
+    return { error: `Tax not found: ${invalid}` };
+  }
+
+  const taxes = ids.length > 0
+    ? await mongoose.model('Tax').find({ _id: { $in: ids }, company: companyId })
+    : [];
+  const missing = ids.find(id => !taxes.some(t => t._id.toString() === id));
+  if (missing) {
+    return { error: `Tax not found: ${missing}` };
+  }
+
+  return {
+    items: items.map(item => {
+      if (!Array.isArray(item.taxes)) return item;
+      const lineTaxes = item.taxes.map(t => {
+        const tax = taxes.find(found => found._id.toString() === String(t?.tax?._id || t?.tax || t?._id || t));
+        return { tax: tax._id, name: tax.name, rate: tax.percentage, isCompound: !!tax.isCompound, vatCategory: tax.vatCategory };
+      });
+      // Simple taxes first, then compound ones in the order given
+      return { ...item, taxes: [...lineTaxes.filter(t => !t.isCompound), ...lineTaxes.filter(t => t.isCompound)] };
+    })
+  };
+};
+
+module.exports = {
+  lineTaxSchema,
+  taxSummarySchema,
+  documentTaxes,
+  applyLineTaxes,
+  resolvePricesIncludeTax,
+  resolveLineTaxes,
+  normalizeTaxNumber,
+  isValidTaxNumber,
+  resolveAedExchangeRate
+};
@@ -0,0 +1,450 @@
+const { documentTaxes } = require('./taxes');
+const { invoiceBalance } = require('./paymentAllocations');
+const { round2 } = require('./ledger');
+
+// PEPPOL BIS Billing 3.0 on UBL 2.1
+const CUSTOMIZATION_ID = 'urn:cen.eu:en16931:2017#compliant#urn:fdc:peppol.eu:2017:poacc:billing:3.0';
+const PROFILE_ID = 'urn:fdc:peppol.eu:2017:poacc:billing:01:1.0';
+const NAMESPACES = {
+  Invoice: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+  CreditNote: 'urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2',
+  cac: 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+  cbc: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2'
+};
+
+// UNCL5305 VAT category codes
+const VAT_CATEGORY_CODES = {
+  standard: 'S',
+  zero_rated: 'Z',
+  exempt: 'E',
+  out_of_scope: 'O'
+};
+const EXEMPTION_REASONS = {
+  E: 'Exempt from VAT',
+  O: 'Not subject to VAT'
+};
+
+// Country names found in addresses, by ISO 3166-1 code (two-letter codes are taken as they are)
+const COUNTRY_CODES = {
+  'united arab emirates': 'AE',
+  uae: 'AE',
+  'saudi arabia': 'SA',
+  ksa: 'SA',
+  oman: 'OM',
+  qatar: 'QA',
+  bahrain: 'BH',
+  kuwait: 'KW',
+  india: 'IN',
+  'united kingdom': 'GB',
+  uk: 'GB',
+  'united states': 'US',
+  usa: 'US',
+  canada: 'CA',
+  australia: 'AU',
+  germany: 'DE',
+  france: 'FR'
+};
+
+const countryCode = (country) => {
+  const text = String(country || '').trim();
+  if (/^[A-Za-z]{2}$/.test(text)) return text.toUpperCase();
+  return COUNTRY_CODES[text.toLowerCase()] || null;
+};
+
+// The part of the UBL 2.1 schema the export uses: child elements of each aggregate, in
+// schema order, with PEPPOL BIS cardinalities
+const SCHEMA = {
+  Invoice: [
+    ['cbc:CustomizationID', 1, 1], ['cbc:ProfileID', 1, 1], ['cbc:ID', 1, 1], ['cbc:IssueDate', 1, 1],
+    ['cbc:DueDate', 0, 1], ['cbc:InvoiceTypeCode', 1, 1], ['cbc:Note', 0, 1], ['cbc:TaxPointDate', 0, 1],
+    ['cbc:DocumentCurrencyCode', 1, 1], ['cbc:TaxCurrencyCode', 0, 1], ['cbc:BuyerReference', 0, 1], ['cac:BillingReference', 0, Infinity], ['cac:AccountingSupplierParty', 1, 1],
+    ['cac:AccountingCustomerParty', 1, 1], ['cac:PaymentTerms', 0, 1], ['cac:TaxTotal', 1, 2],
+    ['cac:LegalMonetaryTotal', 1, 1], ['cac:InvoiceLine', 1, Infinity]
+  ],
+  CreditNote: [
+    ['cbc:CustomizationID', 1, 1], ['cbc:ProfileID', 1, 1], ['cbc:ID', 1, 1], ['cbc:IssueDate', 1, 1],
+    ['cbc:CreditNoteTypeCode', 1, 1], ['cbc:Note', 0, 1], ['cbc:TaxPointDate', 0, 1],
+    ['cbc:DocumentCurrencyCode', 1, 1], ['cbc:TaxCurrencyCode', 0, 1], ['cbc:BuyerReference', 0, 1], ['cac:BillingReference', 0, Infinity], ['cac:AccountingSupplierParty', 1, 1],
+    ['cac:AccountingCustomerParty', 1, 1], ['cac:PaymentTerms', 0, 1], ['cac:TaxTotal', 1, 2],
+    ['cac:LegalMonetaryTotal', 1, 1], ['cac:CreditNoteLine', 1, Infinity]
+  ],
+  'cac:BillingReference': [['cac:InvoiceDocumentReference', 1, 1]],
+  'cac:InvoiceDocumentReference': [['cbc:ID', 1, 1], ['cbc:IssueDate', 0, 1]],
+  'cac:AccountingSupplierParty': [['cac:Party', 1, 1]],
+  'cac:AccountingCustomerParty': [['cac:Party', 1, 1]],
+  'cac:Party': [
+    ['cbc:EndpointID', 1, 1], ['cac:PartyName', 0, 1], ['cac:PostalAddress', 1, 1], ['cac:PartyTaxScheme', 0, 2],
+    ['cac:PartyLegalEntity', 1, 1], ['cac:Contact', 0, 1]
+  ],
+  'cac:PartyName': [['cbc:Name', 1, 1]],
+  'cac:PostalAddress': [
+    ['cbc:StreetName', 0, 1], ['cbc:CityName', 0, 1], ['cbc:PostalZone', 0, 1], ['cbc:CountrySubentity', 0, 1],
+    ['cac:Country', 1, 1]
+  ],
+  'cac:Country': [['cbc:IdentificationCode', 1, 1]],
+  'cac:PartyTaxScheme': [['cbc:CompanyID', 1, 1], ['cac:TaxScheme', 1, 1]],
+  'cac:TaxScheme': [['cbc:ID', 1, 1]],
+  'cac:PartyLegalEntity': [['cbc:RegistrationName', 1, 1]],
+  'cac:Contact': [['cbc:Telephone', 0, 1], ['cbc:ElectronicMail', 0, 1]],
+  'cac:PaymentTerms': [['cbc:Note', 1, 1]],
+  'cac:TaxTotal': [['cbc:TaxAmount', 1, 1], ['cac:TaxSubtotal', 0, Infinity]],
+  'cac:TaxSubtotal': [['cbc:TaxableAmount', 1, 1], ['cbc:TaxAmount', 1, 1], ['cac:TaxCategory', 1, 1]],
+  'cac:TaxCategory': [['cbc:ID', 1, 1], ['cbc:Percent', 0, 1], ['cbc:TaxExemptionReason', 0, 1], ['cac:TaxScheme', 1, 1]],
+  'cac:LegalMonetaryTotal': [
+    ['cbc:LineExtensionAmount', 1, 1], ['cbc:TaxExclusiveAmount', 1, 1], ['cbc:TaxInclusiveAmount', 1, 1],
+    ['cbc:PrepaidAmount', 0, 1], ['cbc:PayableAmount', 1, 1]
+  ],
+  'cac:InvoiceLine': [
+    ['cbc:ID', 1, 1], ['cbc:InvoicedQuantity', 1, 1], ['cbc:LineExtensionAmount', 1, 1], ['cac:Item', 1, 1],
+    ['cac:Price', 1, 1]
+  ],
+  'cac:CreditNoteLine': [
+    ['cbc:ID', 1, 1], ['cbc:CreditedQuantity', 1, 1], ['cbc:LineExtensionAmount', 1, 1], ['cac:Item', 1, 1],
+    ['cac:Price', 1, 1]
+  ],
+  'cac:Item': [
+    ['cbc:Description', 0, 1], ['cbc:Name', 1, 1], ['cac:SellersItemIdentification', 0, 1],
+    ['cac:ClassifiedTaxCategory', 1, 1]
+  ],
+  'cac:SellersItemIdentification': [['cbc:ID', 1, 1]],
+  'cac:ClassifiedTaxCategory': [['cbc:ID', 1, 1], ['cbc:Percent', 0, 1], ['cac:TaxScheme', 1, 1]],
+  'cac:Price': [['cbc:PriceAmount', 1, 1]]
+};
+
+// An element with text or child elements; empty ones are left out
+const el = (name, content, attrs = {}) => {
+  if (Array.isArray(content)) {
+    const children = content.filter(Boolean);
+    return children.length > 0 ? { name, attrs, children } : null;
+  }
+  if (content === null || content === undefined || content === '') return null;
+  return { name, attrs, text: String(content) };
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+// Check an element tree against SCHEMA and the basic data types. Amounts may be in the
+// document currency or the tax currency. Returns a list of errors.
+const validateAgainstSchema = (node, currencies, path = node.name, errors = []) => {
+  const [currency] = currencies;
+  const rules = SCHEMA[node.name];
+  const localName = node.name.replace(/^\w+:/, '');
+
+  if (node.children) {
+    if (!rules) {
+      errors.push(`${path}: element is not allowed to have child elements`);
+      return errors;
+    }
+    let position = 0;
+    node.children.forEach(child => {
+      const index = rules.findIndex(([name]) => name === child.name);
+      if (index === -1) {
+        errors.push(`${path}: ${child.name} is not allowed here`);
+        return;
+      }
+      if (index < position) {
+        errors.push(`${path}: ${child.name} is out of order`);
+      }
+      position = Math.max(position, index);
+      validateAgainstSchema(child, currencies, `${path}/${child.name}`, errors);
+    });
+    rules.forEach(([name, min, max]) => {
+      const count = node.children.filter(child => child.name === name).length;
+      if (count < min) errors.push(`${path}: ${name} is required`);
+      if (count > max) errors.push(`${path}: ${name} may occur at most ${max} time(s)`);
+    });
+    return errors;
+  }
+
+  if (rules) {
+    errors.push(`${path}: element must contain ${rules.filter(([, min]) => min > 0).map(([name]) => name).join(', ')}`);
+  } else if (localName === 'PriceAmount') {
+    if (!/^\d+(\.\d+)?$/.test(node.text)) errors.push(`${path}: price must be a positive number`);
+    if (node.attrs.currencyID !== currency) errors.push(`${path}: currencyID must be ${currency}`);
+  } else if (localName.endsWith('Amount')) {
+    if (!/^-?\d+(\.\d{1,2})?$/.test(node.text)) errors.push(`${path}: amount must have at most 2 decimals`);
+    if (!currencies.includes(node.attrs.currencyID)) errors.push(`${path}: currencyID must be ${currencies.join(' or ')}`);
+  } else if (localName.endsWith('Quantity')) {
+    if (!/^-?\d+(\.\d+)?$/.test(node.text)) errors.push(`${path}: quantity must be a number`);
+    if (!node.attrs.unitCode) errors.push(`${path}: unitCode is required`);
+  } else if (localName.endsWith('Date')) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(node.text)) errors.push(`${path}: date must be YYYY-MM-DD`);
+  } else if (localName === 'Percent') {
+    if (!/^\d+(\.\d+)?$/.test(node.text)) errors.push(`${path}: percent must be a number`);
+  } else if (localName === 'IdentificationCode') {
+    if (!/^[A-Z]{2}$/.test(node.text)) errors.push(`${path}: country code must be ISO 3166-1 alpha-2`);
+  } else if (localName === 'EndpointID' && !node.attrs.schemeID) {
+    errors.push(`${path}: schemeID is required`);
+  }
+  return errors;
+};
+
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const renderXml = (node, depth = 0) => {
+  const indent = '  '.repeat(depth);
+  const attrs = Object.entries(node.attrs)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(String(value))}"`)
+    .join('');
+  if (node.children) {
+    return `${indent}<${node.name}${attrs}>\n${node.children.map(child => renderXml(child, depth + 1)).join('\n')}\n${indent}</${node.name}>`;
+  }
+  return `${indent}<${node.name}${attrs}>${escapeXml(node.text)}</${node.name}>`;
+};
+
+// VAT category of a line from its single tax
+const lineTaxCategory = (taxes) => {
+  if (taxes.length === 0) {
+    return { error: 'has no tax; give it a standard, zero rated, exempt or out of scope tax' };
+  }
+  if (taxes.length > 1) {
+    return { error: 'has more than one tax; PEPPOL BIS allows a single VAT rate per line' };
+  }
+  const [tax] = taxes;
+  const code = VAT_CATEGORY_CODES[tax.vatCategory || (tax.rate > 0 ? 'standard' : 'zero_rated')];
+  if (code !== 'S' && tax.rate > 0) {
+    return { error: `has a ${tax.rate}% tax that is not standard rated` };
+  }
+  return { code, percent: code === 'O' ? null : (tax.rate || 0) };
+};
+
+const party = ({ name, email, phone, address, trn }) => el('cac:Party', [
+  el('cbc:EndpointID', email, { schemeID: 'EM' }),
+  el('cac:PartyName', [el('cbc:Name', name)]),
+  el('cac:PostalAddress', [
+    el('cbc:StreetName', address?.street),
+    el('cbc:CityName', address?.city),
+    el('cbc:PostalZone', address?.zipCode),
+    el('cbc:CountrySubentity', address?.state),
+    el('cac:Country', [el('cbc:IdentificationCode', countryCode(address?.country))])
+  ]),
+  trn ? el('cac:PartyTaxScheme', [el('cbc:CompanyID', trn), el('cac:TaxScheme', [el('cbc:ID', 'VAT')])]) : null,
+  el('cac:PartyLegalEntity', [el('cbc:RegistrationName', name)]),
+  el('cac:Contact', [el('cbc:Telephone', phone), el('cbc:ElectronicMail', email)])
+]);
+
+const taxCategory = (name, code, percent) => el(name, [
+  el('cbc:ID', code),
+  el('cbc:Percent', percent),
+  name === 'cac:TaxCategory' ? el('cbc:TaxExemptionReason', EXEMPTION_REASONS[code]) : null,
+  el('cac:TaxScheme', [el('cbc:ID', 'VAT')])
+]);
+
+// Build a UBL invoice or credit note. `document` is the common shape of both:
+// { type, number, issueDate, dueDate, taxPointDate, note, buyerReference, billingReference,
+//   paymentTerms, currency, aedExchangeRate,
+//   lines: [{ name, description, sku, quantity, total, taxAmount, taxes }], total, prepaid }
+// Returns { xml } or { errors }.
+const buildUBL = (document, company, customer) => {
+  const errors = [];
+  const amount = (name, value) => el(name, round2(value || 0).toFixed(2), { currencyID: document.currency });
+
+  const lines = document.lines.map((line, index) => {
+    const category = lineTaxCategory(line.taxes);
+    if (category.error) {
+      errors.push(`Line ${index + 1} (${line.name}) ${category.error}`);
+    }
+    return { ...line, category };
+  });
+
+  const customerName = customer?.companyName || `${customer?.firstName || ''} ${customer?.lastName || ''}`.trim();
+  if (!company?.name) errors.push('BR-06 Seller name is required');
+  if (!customerName) errors.push('BR-07 Buyer name is required');
+  if (!countryCode(company?.address?.country)) {
+    errors.push('BR-09 Seller country is required; set the company address country');
+  }
+  if (!countryCode(customer?.address?.country)) {
+    errors.push('BR-11 Buyer country is required; set the customer address country');
+  }
+  if (!company?.email || !customer?.email) {
+    errors.push('PEPPOL-EN16931-R020 Seller and buyer email addresses are required as electronic addresses');
+  }
+
+  const codes = new Set(lines.map(line => line.category.code).filter(Boolean));
+  const outOfScope = codes.has('O');
+  if (outOfScope && codes.size > 1) {
+    errors.push('BR-O-11 Out of scope lines cannot be mixed with lines of other VAT categories');
+  }
+  if (!outOfScope && codes.size > 0 && !company?.trn) {
+    errors.push('BR-S-02 Seller TRN is required; set the company TRN');
+  }
+
+  // One tax subtotal per VAT category and rate
+  const subtotals = new Map();
+  lines.forEach(line => {
+    if (!line.category.code) return;
+    const key = `${line.category.code}:${line.category.percent}`;
+    const row = subtotals.get(key) || { ...line.category, taxable: 0, tax: 0 };
+    row.taxable = round2(row.taxable + line.total);
+    row.tax = round2(row.tax + (line.taxAmount || 0));
+    subtotals.set(key, row);
+  });
+
+  const lineExtension = round2(lines.reduce((sum, line) => sum + line.total, 0));
+  const taxTotal = round2([...subtotals.values()].reduce((sum, row) => sum + row.tax, 0));
+  const taxInclusive = round2(lineExtension + taxTotal);
+  if (errors.length === 0 && Math.abs(taxInclusive - round2(document.total)) > 0.01) {
+    errors.push(`BR-CO-15 Lines and tax add up to ${taxInclusive.toFixed(2)} but the document total is ${round2(document.total).toFixed(2)}`);
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  // Documents in another currency also state the VAT in AED
+  const taxCurrency = document.currency !== 'AED' && document.aedExchangeRate > 0 ? 'AED' : null;
+
+  const isInvoice = document.type === 'Invoice';
+  const root = el(document.type, [
+    el('cbc:CustomizationID', CUSTOMIZATION_ID),
+    el('cbc:ProfileID', PROFILE_ID),
+    el('cbc:ID', document.number),
+    el('cbc:IssueDate', formatDate(document.issueDate)),
+    isInvoice ? el('cbc:DueDate', formatDate(document.dueDate)) : null,
+    el(isInvoice ? 'cbc:InvoiceTypeCode' : 'cbc:CreditNoteTypeCode', isInvoice ? '380' : '381'),
+    el('cbc:Note', document.note),
+    el('cbc:TaxPointDate', formatDate(document.taxPointDate)),
+    el('cbc:DocumentCurrencyCode', document.currency),
+    el('cbc:TaxCurrencyCode', taxCurrency),
+    el('cbc:BuyerReference', document.buyerReference),
+    document.billingReference ? el('cac:BillingReference', [
+      el('cac:InvoiceDocumentReference', [
+        el('cbc:ID', document.billingReference.number),
+        el('cbc:IssueDate', formatDate(document.billingReference.date))
+      ])
+    ]) : null,
+    el('cac:AccountingSupplierParty', [party({
+      name: company.name,
+      email: company.email,
+      phone: company.phone,
+      address: company.address,
+      trn: outOfScope ? null : company.trn
+    })]),
+    el('cac:AccountingCustomerParty', [party({
+      name: customerName,
+      email: customer.email,
+      phone: customer.phone,
+      address: customer.address,
+      trn: outOfScope ? null : customer.vatNumber
+    })]),
+    el('cac:PaymentTerms', [el('cbc:Note', document.paymentTerms)]),
+    el('cac:TaxTotal', [
+      amount('cbc:TaxAmount', taxTotal),
+      ...[...subtotals.values()].map(row => el('cac:TaxSubtotal', [
+        amount('cbc:TaxableAmount', row.taxable),
+        amount('cbc:TaxAmount', row.tax),
+        taxCategory('cac:TaxCategory', row.code, row.percent)
+      ]))
+    ]),
+    taxCurrency ? el('cac:TaxTotal', [
+      el('cbc:TaxAmount', round2(taxTotal * document.aedExchangeRate).toFixed(2), { currencyID: taxCurrency })
+    ]) : null,
+    el('cac:LegalMonetaryTotal', [
+      amount('cbc:LineExtensionAmount', lineExtension),
+      amount('cbc:TaxExclusiveAmount', lineExtension),
+      amount('cbc:TaxInclusiveAmount', taxInclusive),
+      document.prepaid ? amount('cbc:PrepaidAmount', document.prepaid) : null,
+      amount('cbc:PayableAmount', taxInclusive - (document.prepaid || 0))
+    ]),
+    ...lines.map((line, index) => el(isInvoice ? 'cac:InvoiceLine' : 'cac:CreditNoteLine', [
+      el('cbc:ID', index + 1),
+      el(isInvoice ? 'cbc:InvoicedQuantity' : 'cbc:CreditedQuantity', line.quantity, { unitCode: 'C62' }),
+      amount('cbc:LineExtensionAmount', line.total),
+      el('cac:Item', [
+        el('cbc:Description', line.description),
+        el('cbc:Name', line.name),
+        line.sku ? el('cac:SellersItemIdentification', [el('cbc:ID', line.sku)]) : null,
+        taxCategory('cac:ClassifiedTaxCategory', line.category.code, line.category.percent)
+      ]),
+      // Net unit price, after line discounts
+      el('cac:Price', [
+        el('cbc:PriceAmount', String(line.quantity > 0 ? Number((line.total / line.quantity).toFixed(6)) : 0),
+          { currencyID: document.currency })
+      ])
+    ]))
+  ], {
+    xmlns: NAMESPACES[document.type],
+    'xmlns:cac': NAMESPACES.cac,
+    'xmlns:cbc': NAMESPACES.cbc
+  });
+
+  const schemaErrors = validateAgainstSchema(root, [document.currency, taxCurrency].filter(Boolean));
+  if (schemaErrors.length > 0) {
+    return { errors: schemaErrors };
+  }
+
+  return { xml: `<?xml version="1.0" encoding="UTF-8"?>\n${renderXml(root)}\n` };
+};
+
+// Invoice as PEPPOL BIS UBL. Expects customer, company and tax populated.
+const buildInvoiceUBL = (invoice, company, customer) => {
+  const defaultTaxes = documentTaxes(invoice);
+  const balance = invoiceBalance(invoice);
+
+  return buildUBL({
+    type: 'Invoice',
+    number: invoice.invoiceNumber,
+    issueDate: invoice.createdAt,
+    dueDate: invoice.dueDate,
+    taxPointDate: invoice.supplyDate,
+    note: invoice.notes,
+    // The buyer's own reference when they gave one, so their system can route the invoice
+    buyerReference: invoice.buyerReference || invoice.invoiceNumber,
+    paymentTerms: invoice.terms,
+    currency: invoice.currency || company.settings?.currency || 'AED',
+    aedExchangeRate: invoice.aedExchangeRate,
+    lines: invoice.items.map(item => ({
+      name: item.name,
+      description: item.description,
+      quantity: item.quantity,
+      total: item.netAmount ?? item.total,
+      taxAmount: item.taxAmount,
+      taxes: item.taxes && item.taxes.length > 0 ? item.taxes : defaultTaxes
+    })),
+    total: invoice.total,
+    // Payments and credit already applied
+    prepaid: round2(invoice.total - balance)
+  }, company, customer);
+};
+
+// Credit note as PEPPOL BIS UBL. Expects customer, company, originalInvoice and
+// originalSale populated.
+const buildCreditNoteUBL = (creditNote, company, customer) => {
+  const defaultTaxes = documentTaxes(creditNote);
+  const original = creditNote.originalInvoice
+    ? { number: creditNote.originalInvoice.invoiceNumber, date: creditNote.originalInvoice.createdAt }
+    : creditNote.originalSale && { number: creditNote.originalSale.saleNumber, date: creditNote.originalSale.saleDate };
+
+  return buildUBL({
+    type: 'CreditNote',
+    number: creditNote.creditNoteNumber,
+    issueDate: creditNote.createdAt,
+    note: creditNote.returnReason,
+    buyerReference: creditNote.originalInvoice?.buyerReference || original?.number || creditNote.creditNoteNumber,
+    billingReference: original?.number ? original : null,
+    paymentTerms: creditNote.expiryDate
+      ? `Credit can be applied to invoices until ${formatDate(creditNote.expiryDate)}`
+      : 'Credit can be applied to future invoices',
+    currency: creditNote.currency || company.settings?.currency || 'AED',
+    aedExchangeRate: creditNote.aedExchangeRate,
+    lines: creditNote.returnedItems.map(item => ({
+      name: item.productName,
+      sku: item.productSku,
+      quantity: item.quantity,
+      total: item.netAmount ?? item.total,
+      taxAmount: item.taxAmount,
+      taxes: item.taxes && item.taxes.length > 0 ? item.taxes : defaultTaxes
+    })),
+    total: creditNote.creditAmount
+  }, company, customer);
+};
+
+module.exports = {
+  buildInvoiceUBL,
+  buildCreditNoteUBL
+};
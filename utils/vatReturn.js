@@ -0,0 +1,293 @@
+const Invoice = require('../models/Invoice');
+const Sale = require('../models/Sale');
+const CreditNote = require('../models/CreditNote');
+const Expense = require('../models/Expense');
+const VendorBill = require('../models/VendorBill');
+const Tax = require('../models/Tax');
+const Company = require('../models/Company');
+const { documentTaxes } = require('./taxes');
+const { getAccountBalances, round2 } = require('./ledger');
+const { toBase } = require('./currency');
+
+// Emirates in the order of VAT 201 boxes 1a-1g, with the spellings found in addresses
+const EMIRATES = [
+  { box: '1a', key: 'abu_dhabi', label: 'Abu Dhabi', names: ['abudhabi'] },
+  { box: '1b', key: 'dubai', label: 'Dubai', names: ['dubai'] },
+  { box: '1c', key: 'sharjah', label: 'Sharjah', names: ['sharjah', 'sharja'] },
+  { box: '1d', key: 'ajman', label: 'Ajman', names: ['ajman'] },
+  { box: '1e', key: 'umm_al_quwain', label: 'Umm Al Quwain', names: ['ummalquwain', 'ummalqaiwain', 'uaq'] },
+  { box: '1f', key: 'ras_al_khaimah', label: 'Ras Al Khaimah', names: ['rasalkhaimah', 'rak'] },
+  { box: '1g', key: 'fujairah', label: 'Fujairah', names: ['fujairah', 'fujeirah'] }
+];
+
+// Emirate an address is in (from its state, then its city), or null
+const emirateOf = (address) => {
+  for (const part of [address?.state, address?.city]) {
+    const name = String(part || '').toLowerCase().replace(/[^a-z]/g, '');
+    const emirate = name && EMIRATES.find(e => e.names.includes(name));
+    if (emirate) return emirate;
+  }
+  return null;
+};
+
+// VAT category of a set of line taxes: the first simple tax decides. Taxes saved before
+// categories existed fall back to the Tax's category, and a 0% "standard" tax is zero-rated.
+const categoryOf = (taxes, taxCategories) => {
+  if (taxes.length === 0) return 'unclassified';
+  const primary = taxes.find(t => !t.isCompound) || taxes[0];
+  const category = primary.vatCategory || taxCategories[String(primary.tax?._id || primary.tax)] || 'standard';
+  return category === 'standard' && !(primary.rate > 0) ? 'zero_rated' : category;
+};
+
+// Split an invoice, sale or credit note into net amount and tax per VAT category,
+// in base currency
+const splitByCategory = (document, items, taxCategories) => {
+  // A sale's order-level discount comes off every line
+  const orderDiscount = round2((document.subtotal || 0) + (document.taxAmount || 0) - (document.total ?? document.creditAmount ?? 0));
+  const factor = document.saleNumber && document.subtotal > 0 && orderDiscount > 0
+    ? (document.subtotal - orderDiscount) / document.subtotal
+    : 1;
+  const defaultTaxes = documentTaxes(document);
+
+  const split = {};
+  const add = (category, amount, vat) => {
+    split[category] = split[category] || { amount: 0, vat: 0 };
+    split[category].amount = round2(split[category].amount + amount);
+    split[category].vat = round2(split[category].vat + vat);
+  };
+
+  items.forEach(item => {
+    const taxes = item.taxes && item.taxes.length > 0 ? item.taxes : defaultTaxes;
+    add(categoryOf(taxes, taxCategories), (item.netAmount ?? item.total ?? 0) * factor, 0);
+  });
+
+  // Tax from the document's breakdown; documents saved before taxes were charged per line
+  // carry all of it on the document-level tax
+  if (document.taxSummary && document.taxSummary.length > 0) {
+    document.taxSummary.forEach(row => add(categoryOf([row], taxCategories), 0, row.amount || 0));
+  } else if (document.taxAmount > 0) {
+    add(categoryOf(defaultTaxes, taxCategories), 0, document.taxAmount);
+  }
+
+  Object.values(split).forEach(row => {
+    row.amount = toBase(row.amount, document.exchangeRate);
+    row.vat = toBase(row.vat, document.exchangeRate);
+  });
+  return split;
+};
+
+const partyName = (customer, fallback) => (
+  customer && customer.firstName !== undefined
+    ? (customer.companyName || `${customer.firstName} ${customer.lastName}`.trim())
+    : (fallback || '')
+);
+
+// Build the FTA VAT 201 return for a period. Supplies come from invoices (not draft or
+// cancelled) and sales; credit notes and sale returns reduce the supplies they relate to,
+// with the output tax they give back shown in the Adjustment column of boxes 1a-1g.
+// Recoverable tax comes from approved expenses and vendor bills (purchase orders raise no
+// tax until the vendor bills them). Every box with a source lists the documents behind it.
+const buildVatReturn = async (companyId, { startDate, endDate }) => {
+  const dateRange = { $gte: startDate, $lte: endDate };
+
+  const [company, taxes, invoices, sales, creditNotes, expenses, bills, balances] = await Promise.all([
+    Company.findById(companyId).select('name address'),
+    Tax.find({ company: companyId }).select('vatCategory').lean(),
+    Invoice.find({ company: companyId, status: { $nin: ['draft', 'cancelled'] }, createdAt: dateRange })
+      .populate('customer', 'firstName lastName companyName address')
+      .populate('tax', 'name vatCategory')
+      .lean(),
+    Sale.find({ company: companyId, status: { $ne: 'cancelled' }, saleDate: dateRange })
+      .populate('customer', 'firstName lastName companyName address')
+      .populate('tax', 'name vatCategory')
+      .lean(),
+    CreditNote.find({ company: companyId, createdAt: dateRange })
+      .populate('customer', 'firstName lastName companyName address')
+      .lean(),
+    Expense.find({ company: companyId, approvedAt: { $ne: null }, expenseDate: dateRange }).lean(),
+    VendorBill.find({ company: companyId, status: { $ne: 'void' }, billDate: dateRange })
+      .populate('vendor', 'name')
+      .lean(),
+    getAccountBalances(companyId, { startDate, endDate })
+  ]);
+
+  const taxCategories = {};
+  taxes.forEach(tax => {
+    taxCategories[tax._id.toString()] = tax.vatCategory;
+  });
+  const companyEmirate = emirateOf(company?.address);
+
+  // VAT 201 boxes in return order. Tourist refunds, reverse charge and imports are not
+  // tracked, so boxes 2, 3, 6, 7 and 10 stay at zero.
+  const boxes = [
+    ...EMIRATES.map(e => ({ box: e.box, label: `Standard rated supplies in ${e.label}`, amount: 0, vat: 0, adjustment: 0, documents: [] })),
+    { box: '2', label: 'Tax refunds provided to tourists under the Tax Refunds for Tourists Scheme', amount: 0, vat: 0 },
+    { box: '3', label: 'Supplies subject to the reverse charge provisions', amount: 0, vat: 0 },
+    { box: '4', label: 'Zero rated supplies', amount: 0, documents: [] },
+    { box: '5', label: 'Exempt supplies', amount: 0, documents: [] },
+    { box: '6', label: 'Goods imported into the UAE', amount: 0, vat: 0 },
+    { box: '7', label: 'Adjustments to goods imported into the UAE', amount: 0, vat: 0 },
+    { box: '8', label: 'Totals', amount: 0, vat: 0, adjustment: 0 },
+    { box: '9', label: 'Standard rated expenses', amount: 0, vat: 0, adjustment: 0, documents: [] },
+    { box: '10', label: 'Supplies subject to the reverse charge provisions', amount: 0, vat: 0 },
+    { box: '11', label: 'Totals', amount: 0, vat: 0, adjustment: 0 },
+    { box: '12', label: 'Total value of due tax for the period', vat: 0 },
+    { box: '13', label: 'Total value of recoverable tax for the period', vat: 0 },
+    { box: '14', label: 'Payable tax for the period', vat: 0 }
+  ];
+  const box = (key) => boxes.find(b => b.box === key);
+
+  // Standard rated supplies with no emirate to report them under, and supplies the return
+  // leaves out
+  const unassigned = { amount: 0, vat: 0, adjustment: 0, documents: [] };
+  const outOfScope = [];
+  const unclassified = [];
+  const warnings = [];
+
+  // Add one document's supplies (sign -1 for credit notes and returns)
+  const addSupply = (source, split, sign, address) => {
+    Object.entries(split).forEach(([category, { amount, vat }]) => {
+      if (amount === 0 && vat === 0) return;
+      const entry = {
+        ...source,
+        category,
+        amount: round2(sign * amount),
+        vat: sign > 0 ? vat : 0,
+        adjustment: sign > 0 ? 0 : round2(-vat)
+      };
+
+      if (category === 'standard') {
+        const emirate = emirateOf(address) || companyEmirate;
+        const target = emirate ? box(emirate.box) : unassigned;
+        target.amount = round2(target.amount + entry.amount);
+        target.vat = round2(target.vat + entry.vat);
+        target.adjustment = round2(target.adjustment + entry.adjustment);
+        target.documents.push({ ...entry, emirate: emirate?.key || null });
+      } else if (category === 'zero_rated' || category === 'exempt') {
+        const key = category === 'zero_rated' ? '4' : '5';
+        box(key).amount = round2(box(key).amount + entry.amount);
+        box(key).documents.push(entry);
+      } else {
+        // Out of scope, or lines without any tax to say how they are treated
+        (category === 'out_of_scope' ? outOfScope : unclassified).push(entry);
+      }
+    });
+  };
+
+  invoices.forEach(invoice => {
+    addSupply({
+      sourceType: 'invoice',
+      sourceId: invoice._id,
+      number: invoice.invoiceNumber,
+      date: invoice.createdAt,
+      party: partyName(invoice.customer)
+    }, splitByCategory(invoice, invoice.items, taxCategories), 1, invoice.customer?.address);
+  });
+
+  sales.forEach(sale => {
+    addSupply({
+      sourceType: sale.isReturn ? 'sale_return' : 'sale',
+      sourceId: sale._id,
+      number: sale.saleNumber,
+      date: sale.saleDate,
+      party: partyName(sale.customer, sale.customerName)
+    }, splitByCategory(sale, sale.items, taxCategories), sale.isReturn ? -1 : 1, sale.customer?.address);
+  });
+
+  creditNotes.forEach(creditNote => {
+    addSupply({
+      sourceType: 'credit_note',
+      sourceId: creditNote._id,
+      number: creditNote.creditNoteNumber,
+      date: creditNote.createdAt,
+      party: partyName(creditNote.customer)
+    }, splitByCategory(creditNote, creditNote.returnedItems, taxCategories), -1, creditNote.customer?.address);
+  });
+
+  // Recoverable tax: the net amount and tax of every purchase that carried VAT
+  const addExpense = (entry) => {
+    if (!(entry.vat > 0)) return;
+    box('9').amount = round2(box('9').amount + entry.amount);
+    box('9').vat = round2(box('9').vat + entry.vat);
+    box('9').documents.push({ ...entry, category: 'standard', adjustment: 0 });
+  };
+
+  expenses.forEach(expense => {
+    addExpense({
+      sourceType: 'expense',
+      sourceId: expense._id,
+      number: expense.expenseNumber,
+      date: expense.expenseDate,
+      party: expense.vendorName || '',
+      amount: toBase(expense.amount - (expense.taxAmount || 0), expense.exchangeRate),
+      vat: toBase(expense.taxAmount, expense.exchangeRate)
+    });
+  });
+
+  bills.forEach(bill => {
+    addExpense({
+      sourceType: 'vendor_bill',
+      sourceId: bill._id,
+      number: bill.billNumber,
+      reference: [bill.vendorInvoiceNumber, bill.poNumber].filter(Boolean).join(' / '),
+      date: bill.billDate,
+      party: bill.vendor?.name || '',
+      amount: toBase(bill.subtotal, bill.exchangeRate),
+      vat: toBase(bill.taxAmount, bill.exchangeRate)
+    });
+  });
+
+  const sum = (keys, field) => round2(keys.reduce((total, key) => total + (box(key)[field] || 0), 0));
+  const outputKeys = [...EMIRATES.map(e => e.box), '2', '3', '4', '5', '6', '7'];
+
+  // Supplies that could not be placed in an emirate still count towards the totals
+  Object.assign(box('8'), {
+    amount: round2(sum(outputKeys, 'amount') + unassigned.amount),
+    vat: round2(sum(outputKeys, 'vat') + unassigned.vat),
+    adjustment: round2(sum(outputKeys, 'adjustment') + unassigned.adjustment)
+  });
+  Object.assign(box('11'), {
+    amount: sum(['9', '10'], 'amount'),
+    vat: sum(['9', '10'], 'vat'),
+    adjustment: sum(['9', '10'], 'adjustment')
+  });
+  box('12').vat = round2(box('8').vat + box('8').adjustment);
+  box('13').vat = round2(box('11').vat + box('11').adjustment);
+  box('14').vat = round2(box('12').vat - box('13').vat);
+
+  if (unassigned.documents.length > 0) {
+    warnings.push(`${unassigned.documents.length} standard rated document(s) could not be placed in an emirate; ` +
+      'set the emirate as the state of the customer or company address');
+  }
+  if (unclassified.length > 0) {
+    warnings.push(`${unclassified.length} document(s) have lines without any tax and are left out of the return; ` +
+      'give those lines a zero rated, exempt or out of scope tax');
+  }
+
+  // VAT accounts in the general ledger, for reconciliation
+  const ledgerNet = (key) => balances.find(b => b.account.systemKey === key)?.net || 0;
+  const vatOutput = round2(-ledgerNet('vat_output'));
+  const vatInput = round2(ledgerNet('vat_input'));
+
+  return {
+    period: { from: startDate, to: endDate },
+    company: { name: company?.name, emirate: companyEmirate?.key || null },
+    boxes,
+    unassigned,
+    outOfScope,
+    unclassified,
+    ledger: {
+      vatOutput,
+      vatInput,
+      outputDifference: round2(box('12').vat - vatOutput),
+      inputDifference: round2(box('13').vat - vatInput)
+    },
+    warnings
+  };
+};
+
+module.exports = {
+  EMIRATES,
+  emirateOf,
+  buildVatReturn
+};
@@ -0,0 +1,170 @@
+const VendorBill = require('../models/VendorBill');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { round2 } = require('./ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Due date from the vendor's payment terms; null when the terms carry no day count
+const dueDateFromTerms = (vendor, billDate) => {
+  const days = vendor.getPaymentTermDays();
+  if (days === null) return null;
+  return new Date(new Date(billDate).getTime() + days * DAY_MS);
+};
+
+// Quantity billed per purchase order line across non-void bills, optionally ignoring one bill
+const getBilledQuantities = async (purchaseOrderId, excludeBillId = null) => {
+  const filters = { purchaseOrder: purchaseOrderId, status: { $ne: 'void' } };
+  if (excludeBillId) {
+    filters._id = { $ne: excludeBillId };
+  }
+
+  const bills = await VendorBill.find(filters).select('items').lean();
+
+  const billed = {};
+  bills.forEach(bill => {
+    bill.items.forEach(item => {
+      if (!item.poItem) return;
+      const key = item.poItem.toString();
+      billed[key] = round2((billed[key] || 0) + item.quantity);
+    });
+  });
+  return billed;
+};
+
+// What is still left to bill on each purchase order line
+const getBillableItems = async (purchaseOrder, excludeBillId = null) => {
+  const billed = await getBilledQuantities(purchaseOrder._id, excludeBillId);
+
+  return purchaseOrder.items.map(item => {
+    const billedQuantity = billed[item._id.toString()] || 0;
+    return {
+      poItem: item._id,
+      name: item.name,
+      description: item.description,
+      orderedQuantity: item.quantity,
+      unitPrice: item.unitPrice,
+      billedQuantity,
+      remainingQuantity: Math.max(0, round2(item.quantity - billedQuantity))
+    };
+  });
+};
+
+// Turn requested bill lines into bill items. Lines that reference a PO line may use a
+// different price but cannot bill more than is left on that line; lines without a PO
+// line are extra charges (freight, handling) and need their own name, quantity and price.
+// With no lines requested, everything left on the PO is billed at the ordered prices.
+const planBillItems = async (purchaseOrder, requestedItems, excludeBillId = null) => {
+  const billable = await getBillableItems(purchaseOrder, excludeBillId);
+
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    const items = billable
+      .filter(line => line.remainingQuantity > 0)
+      .map(line => ({
+        poItem: line.poItem,
+        name: line.name,
+        description: line.description,
+        quantity: line.remainingQuantity,
+        unitPrice: line.unitPrice,
+        orderedQuantity: line.orderedQuantity,
+        orderedUnitPrice: line.unitPrice
+      }));
+
+    if (items.length === 0) {
+      return { error: 'Purchase order has been fully billed' };
+    }
+    return { items };
+  }
+
+  const requestedPerLine = {};
+  const items = [];
+
+  for (const requested of requestedItems) {
+    const quantity = Number(requested.quantity);
+    if (!(quantity > 0)) {
+      return { error: 'Each bill item needs a quantity greater than 0' };
+    }
+
+    if (!requested.poItem) {
+      if (!requested.name || requested.unitPrice === undefined) {
+        return { error: 'Items not on the purchase order need a name and unit price' };
+      }
+      items.push({
+        name: requested.name,
+        description: requested.description,
+        quantity,
+        unitPrice: Number(requested.unitPrice)
+      });
+      continue;
+    }
+
+    const line = billable.find(b => b.poItem.toString() === requested.poItem.toString());
+    if (!line) {
+      return { error: `Purchase order line ${requested.poItem} not found` };
+    }
+
+    const key = line.poItem.toString();
+    requestedPerLine[key] = round2((requestedPerLine[key] || 0) + quantity);
+    if (requestedPerLine[key] - line.remainingQuantity > 0.005) {
+      return { error: `Only ${line.remainingQuantity} of "${line.name}" is left to bill` };
+    }
+
+    items.push({
+      poItem: line.poItem,
+      name: requested.name || line.name,
+      description: requested.description ?? line.description,
+      quantity,
+      unitPrice: requested.unitPrice !== undefined ? Number(requested.unitPrice) : line.unitPrice,
+      orderedQuantity: line.orderedQuantity,
+      orderedUnitPrice: line.unitPrice
+    });
+  }
+
+  return { items };
+};
+
+// Quantity and price differences between a bill and its purchase order lines
+const billVariances = (bill) => {
+  return bill.items
+    .filter(item => item.poItem)
+    .map(item => ({
+      poItem: item.poItem,
+      name: item.name,
+      orderedQuantity: item.orderedQuantity,
+      billedQuantity: item.quantity,
+      orderedUnitPrice: item.orderedUnitPrice,
+      billedUnitPrice: item.unitPrice,
+      priceVariance: round2((item.unitPrice - (item.orderedUnitPrice || 0)) * item.quantity)
+    }))
+    .filter(variance => variance.priceVariance !== 0 || variance.billedQuantity !== variance.orderedQuantity);
+};
+
+// Recompute billed quantities, billed amount and billing status on a purchase order
+const refreshPurchaseOrderBilling = async (purchaseOrderId) => {
+  const purchaseOrder = await PurchaseOrder.findById(purchaseOrderId);
+  if (!purchaseOrder) return null;
+
+  const [billed, bills] = await Promise.all([
+    getBilledQuantities(purchaseOrderId),
+    VendorBill.find({ purchaseOrder: purchaseOrderId, status: { $ne: 'void' } }).select('total').lean()
+  ]);
+
+  purchaseOrder.items.forEach(item => {
+    item.billedQuantity = billed[item._id.toString()] || 0;
+  });
+  purchaseOrder.billedAmount = round2(bills.reduce((sum, bill) => sum + bill.total, 0));
+
+  const fullyBilled = purchaseOrder.items.every(item => item.billedQuantity - item.quantity >= -0.005);
+  const anyBilled = bills.length > 0;
+  purchaseOrder.billingStatus = fullyBilled && anyBilled ? 'billed' : anyBilled ? 'partially_billed' : 'unbilled';
+
+  await purchaseOrder.save();
+  return purchaseOrder;
+};
+
+module.exports = {
+  dueDateFromTerms,
+  getBillableItems,
+  planBillItems,
+  billVariances,
+  refreshPurchaseOrderBilling
+};